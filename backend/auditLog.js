@@ -0,0 +1,131 @@
+const { csvValue } = require('kachina-health-shared/csv');
+const { supabase, supabaseAdmin } = require('./supabaseClient');
+
+// Append-only audit trail for writes made through the API.
+// Entries are written with the service role client when it is configured;
+// the audit_log table itself rejects UPDATE and DELETE.
+
+const auditClient = () => supabaseAdmin || supabase;
+
+// Bookkeeping columns that change on every write and would only add noise to diffs
+const IGNORED_DIFF_FIELDS = ['updated_at'];
+
+const AUDIT_CSV_COLUMNS = [
+  'created_at',
+  'organization_id',
+  'actor_id',
+  'actor_email',
+  'entity_type',
+  'entity_id',
+  'action',
+  'changes',
+  'ip_address',
+  'user_agent'
+];
+
+// req.ip honours the app's 'trust proxy' setting, so X-Forwarded-For is only
+// used when it was written by a proxy we trust
+const getClientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress) || null;
+
+// Changed fields between two row snapshots: { field: { from, to } }
+const diffRecords = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (IGNORED_DIFF_FIELDS.includes(key)) return;
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+};
+
+// Current row for an entity, used as the "before" state of an update or delete
+const fetchAuditSnapshot = async (table, id) => {
+  const { data, error } = await auditClient()
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Audit snapshot failed for ${table}/${id}:`, error.message);
+    return null;
+  }
+  return data;
+};
+
+/**
+ * Record one audit entry. Never throws: the write it describes has already
+ * happened, so a logging failure is reported but doesn't fail the request.
+ * @param {object} req - Express request (actor comes from req.user, IP from req.ip)
+ * @param {object} entry - { entityType, entityId, action, before, after, organizationId, actorId, actorEmail }
+ */
+const recordAudit = async (req, {
+  entityType,
+  entityId = null,
+  action,
+  before = null,
+  after = null,
+  organizationId = null,
+  actorId = null,
+  actorEmail = null
+}) => {
+  try {
+    const actor = actorId || (req.user && req.user.userId) || null;
+    let orgId = organizationId ||
+      (after && after.organization_id) ||
+      (before && before.organization_id) ||
+      null;
+
+    if (!orgId && actor) {
+      const { data: profile } = await auditClient()
+        .from('profiles')
+        .select('organization_id')
+        .eq('id', actor)
+        .maybeSingle();
+      orgId = profile ? profile.organization_id : null;
+    }
+
+    const { error } = await auditClient()
+      .from('audit_log')
+      .insert([{
+        organization_id: orgId,
+        actor_id: actor,
+        actor_email: actorEmail || (req.user && req.user.email) || null,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        action,
+        before_data: before,
+        after_data: after,
+        changes: diffRecords(before, after),
+        ip_address: getClientIp(req),
+        user_agent: req.headers['user-agent'] || null
+      }]);
+
+    if (error) {
+      console.error(`❌ Audit log write failed (${entityType} ${action}):`, error.message);
+    }
+  } catch (err) {
+    console.error(`❌ Audit log write failed (${entityType} ${action}):`, err);
+  }
+};
+
+const toAuditCsv = (entries) => [
+  AUDIT_CSV_COLUMNS.join(','),
+  ...entries.map(entry => AUDIT_CSV_COLUMNS.map(column => csvValue(entry[column])).join(','))
+].join('\r\n');
+
+module.exports = {
+  auditClient,
+  diffRecords,
+  fetchAuditSnapshot,
+  getClientIp,
+  recordAudit,
+  toAuditCsv
+};
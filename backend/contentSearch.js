@@ -0,0 +1,90 @@
+const { escapeHtml } = require('kachina-health-shared/notificationTemplates');
+
+// Full-text search across a user's news, study protocols and training
+// materials, including the text extracted from their PDFs. Matching, ranking
+// and highlighting happen in the database (search_trial_content); the
+// highlights come back wrapped in private-use markers so the text can be
+// escaped here before the markers become <mark> tags.
+
+const SEARCH_RESULT_TYPES = ['news', 'study_protocol', 'training_material'];
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+
+/**
+ * Validate the search query string parameters.
+ * @returns {{ values: object } | { error: string }}
+ */
+const parseSearchParams = ({ q, type, trialId, limit, offset }) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+  if (query.length < MIN_QUERY_LENGTH) {
+    return { error: `Search query must be at least ${MIN_QUERY_LENGTH} characters` };
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  let types = null;
+  if (type) {
+    types = [...new Set(String(type).split(',').map(t => t.trim()).filter(Boolean))];
+    const unknown = types.filter(t => !SEARCH_RESULT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return { error: `Unknown result type: ${unknown.join(', ')}. Use ${SEARCH_RESULT_TYPES.join(', ')}` };
+    }
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  const skip = offset === undefined ? 0 : Number(offset);
+  if (!Number.isInteger(skip) || skip < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return {
+    values: {
+      query,
+      types,
+      trialId: trialId ? String(trialId) : null,
+      limit: pageSize,
+      offset: skip
+    }
+  };
+};
+
+// Escape text highlighted by the database and turn its markers into <mark>
+const renderHighlight = (text) => escapeHtml(text || '')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_STOP).join('</mark>');
+
+const formatSearchResult = (row, trialNames = new Map()) => ({
+  type: row.result_type,
+  id: row.id,
+  clinicalTrialId: row.clinical_trial_id,
+  trialName: trialNames.get(row.clinical_trial_id) || null,
+  title: row.title,
+  titleHtml: renderHighlight(row.title_highlight),
+  snippetHtml: renderHighlight(row.snippet),
+  matchedIn: row.document_match ? 'document' : 'content',
+  rank: row.rank,
+  updatedAt: row.updated_at
+});
+
+// Counts for every result type, zero included, from search_trial_content_facets
+const formatSearchFacets = (rows) => {
+  const counts = new Map((rows || []).map(row => [row.result_type, Number(row.match_count)]));
+  return SEARCH_RESULT_TYPES.map(type => ({ type, count: counts.get(type) || 0 }));
+};
+
+module.exports = {
+  SEARCH_RESULT_TYPES,
+  formatSearchFacets,
+  formatSearchResult,
+  parseSearchParams,
+  renderHighlight
+};
@@ -0,0 +1,124 @@
+// Enrollment forecasting for a clinical trial.
+//
+// Progress is measured in randomized participants. Each trial site may have an
+// enrollment target and a target date; its planned curve rises linearly from
+// the day the site joined the trial to the target on the target date. Projected
+// completion dates extrapolate the randomization rate over the recent window.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VELOCITY_WINDOW_DAYS = 28;
+const CURVE_STEP_DAYS = 7;
+
+const toDay = (value) => new Date(value).toISOString().split('T')[0];
+const addDays = (day, days) => toDay(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const plannedAt = (site, day) => {
+  if (site.enrollmentTarget === null || !site.targetDate) return 0;
+  if (day >= site.targetDate) return site.enrollmentTarget;
+
+  const span = daysBetween(site.startDate, site.targetDate);
+  if (span <= 0) return site.enrollmentTarget;
+
+  const elapsed = Math.max(0, daysBetween(site.startDate, day));
+  return site.enrollmentTarget * Math.min(1, elapsed / span);
+};
+
+// Randomizations per day over the velocity window ending today
+const velocityPerDay = (days, today) => {
+  const windowStart = addDays(today, -VELOCITY_WINDOW_DAYS);
+  return days.filter(day => day > windowStart && day <= today).length / VELOCITY_WINDOW_DAYS;
+};
+
+// Date the target was (or is projected to be) reached; null if it can't be projected
+const projectCompletion = (days, target, velocity, today) => {
+  if (target === null) return null;
+  if (days.length >= target) return target === 0 ? null : days[target - 1];
+  if (velocity === 0) return null;
+  return addDays(today, Math.ceil((target - days.length) / velocity));
+};
+
+const isBehindSchedule = (actual, target, targetDate, projectedCompletionDate) => (
+  target !== null && !!targetDate && actual < target &&
+  (projectedCompletionDate === null || projectedCompletionDate > targetDate)
+);
+
+/**
+ * Build the enrollment forecast for a trial.
+ * @param {Array} sites - [{ hospitalId, name, enrollmentTarget, targetDate, startDate }]
+ * @param {Array} randomizedAt - [{ hospitalId, randomizedAt }] one entry per randomized participant
+ * @param {Date} [now]
+ */
+function buildEnrollmentForecast(sites, randomizedAt, now = new Date()) {
+  const today = toDay(now);
+  const allDays = randomizedAt.map(r => toDay(r.randomizedAt)).sort();
+
+  const siteForecasts = sites.map(site => {
+    const days = randomizedAt
+      .filter(r => r.hospitalId === site.hospitalId)
+      .map(r => toDay(r.randomizedAt))
+      .sort();
+    const velocity = velocityPerDay(days, today);
+    const projectedCompletionDate = projectCompletion(days, site.enrollmentTarget, velocity, today);
+    const plannedToDate = round1(plannedAt(site, today));
+
+    return {
+      hospitalId: site.hospitalId,
+      name: site.name,
+      enrollmentTarget: site.enrollmentTarget,
+      targetDate: site.targetDate,
+      actual: days.length,
+      plannedToDate,
+      shortfall: Math.max(0, round1(plannedToDate - days.length)),
+      velocityPerWeek: round1(velocity * 7),
+      projectedCompletionDate,
+      behindSchedule: isBehindSchedule(days.length, site.enrollmentTarget, site.targetDate, projectedCompletionDate)
+    };
+  });
+
+  const targetedSites = sites.filter(s => s.enrollmentTarget !== null);
+  const totalTarget = targetedSites.length > 0
+    ? targetedSites.reduce((sum, s) => sum + s.enrollmentTarget, 0)
+    : null;
+  const targetDate = sites.map(s => s.targetDate).filter(Boolean).sort().pop() || null;
+  const velocity = velocityPerDay(allDays, today);
+  const projectedCompletionDate = projectCompletion(allDays, totalTarget, velocity, today);
+
+  // Weekly actual vs. planned curves from the first site start (or randomization) to the later of today and the target date
+  const start = [...sites.map(s => s.startDate), allDays[0]].filter(Boolean).sort()[0] || today;
+  const end = [today, targetDate].filter(Boolean).sort().pop();
+  const curveDays = [];
+  for (let day = start; day < end; day = addDays(day, CURVE_STEP_DAYS)) {
+    curveDays.push(day);
+  }
+  curveDays.push(end);
+
+  const actualCurve = curveDays
+    .filter(day => day <= today)
+    .map(day => ({ date: day, count: allDays.filter(d => d <= day).length }));
+  const plannedCurve = curveDays.map(day => ({
+    date: day,
+    count: round1(sites.reduce((sum, site) => sum + plannedAt(site, day), 0))
+  }));
+
+  return {
+    metric: 'randomized',
+    totalTarget,
+    targetDate,
+    actual: allDays.length,
+    plannedToDate: round1(sites.reduce((sum, site) => sum + plannedAt(site, today), 0)),
+    velocityPerWeek: round1(velocity * 7),
+    velocityWindowDays: VELOCITY_WINDOW_DAYS,
+    projectedCompletionDate,
+    behindSchedule: isBehindSchedule(allDays.length, totalTarget, targetDate, projectedCompletionDate),
+    curves: {
+      actual: actualCurve,
+      planned: plannedCurve
+    },
+    sites: siteForecasts,
+    behindScheduleSites: siteForecasts.filter(s => s.behindSchedule)
+  };
+}
+
+module.exports = { buildEnrollmentForecast };
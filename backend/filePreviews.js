@@ -0,0 +1,260 @@
+// PDF previews: a first-page thumbnail, the page count and the full text of
+// uploaded PDFs, stored in file_previews next to the record that owns the
+// file (a library document, a study protocol version or a training
+// material). Uploads only queue a row; the worker renders it in the
+// background and retries failures, so uploads never wait on rendering.
+// The extracted text feeds full-text search (file_previews.search_vector).
+//
+//   extractor - how PDFs are read: createPdfExtractor (pdf.js, with
+//               @napi-rs/canvas for the thumbnail). It takes a Buffer and
+//               resolves to { pageCount, text, thumbnail } where thumbnail
+//               is a PNG Buffer or null.
+
+const PREVIEWS_BUCKET = 'file-previews';
+const PREVIEW_FILE_TYPES = ['document', 'study_protocol_version', 'training_material'];
+const PREVIEW_MIME_TYPES = ['application/pdf'];
+const THUMBNAIL_WIDTH = 320;
+const MAX_PREVIEW_BYTES = 100 * 1024 * 1024;
+const MAX_TEXT_CHARS = 500000; // keeps search_vector well under the tsvector size limit
+const THUMBNAIL_URL_TTL_SECONDS = 15 * 60;
+const RETRY_DELAYS_MS = [60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+
+// ===== EXTRACTORS =====
+
+const createPdfExtractor = ({ thumbnailWidth = THUMBNAIL_WIDTH } = {}) => ({
+  name: 'pdfjs',
+  async extract(buffer) {
+    // pdf.js is published as an ES module
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const { createCanvas } = require('@napi-rs/canvas');
+
+    const document = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: true
+    }).promise;
+
+    try {
+      let text = '';
+      for (let number = 1; number <= document.numPages && text.length < MAX_TEXT_CHARS; number++) {
+        const page = await document.getPage(number);
+        const content = await page.getTextContent();
+        text += content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join('') + '\n\n';
+        page.cleanup();
+      }
+
+      const firstPage = await document.getPage(1);
+      const scale = thumbnailWidth / firstPage.getViewport({ scale: 1 }).width;
+      const viewport = firstPage.getViewport({ scale });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await firstPage.render({ canvasContext: context, viewport }).promise;
+
+      return {
+        pageCount: document.numPages,
+        text: text.replace(/[ \t]+\n/g, '\n').trim().slice(0, MAX_TEXT_CHARS),
+        thumbnail: await canvas.encode('png')
+      };
+    } finally {
+      await document.destroy();
+    }
+  }
+});
+
+// ===== FORMATTING =====
+
+const formatFilePreview = (row, thumbnailUrl = null) => ({
+  status: row.status,
+  pageCount: row.page_count,
+  thumbnailUrl,
+  processedAt: row.processed_at,
+  error: row.status === 'failed' ? row.last_error : null
+});
+
+// ===== SERVICE =====
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ * @param {object} options.extractor - see createPdfExtractor
+ */
+const createPreviewService = ({ client, extractor }) => {
+  const signThumbnails = async (rows) => {
+    const paths = rows.map(row => row.thumbnail_path).filter(Boolean);
+    if (paths.length === 0) return new Map();
+
+    const { data, error } = await client.storage
+      .from(PREVIEWS_BUCKET)
+      .createSignedUrls(paths, THUMBNAIL_URL_TTL_SECONDS);
+    if (error) throw error;
+    return new Map(data.filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]));
+  };
+
+  const downloadFile = async (row) => {
+    const { data, error } = await client.storage.from(row.bucket).download(row.path);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  };
+
+  // Render one claimed row and record the outcome
+  const render = async (row) => {
+    try {
+      const buffer = await downloadFile(row);
+      if (buffer.length > MAX_PREVIEW_BYTES) {
+        await client.from('file_previews').update({
+          status: 'skipped',
+          last_error: `PDF is larger than ${MAX_PREVIEW_BYTES / (1024 * 1024)} MB`,
+          processed_at: new Date().toISOString()
+        }).eq('id', row.id);
+        return { id: row.id, status: 'skipped' };
+      }
+
+      const { pageCount, text, thumbnail } = await extractor.extract(buffer);
+
+      let thumbnailPath = null;
+      if (thumbnail) {
+        thumbnailPath = `${row.organization_id}/${row.file_type}/${row.file_id}.png`;
+        const { error: uploadError } = await client.storage
+          .from(PREVIEWS_BUCKET)
+          .upload(thumbnailPath, thumbnail, { contentType: 'image/png', cacheControl: '3600', upsert: true });
+        if (uploadError) throw uploadError;
+      }
+
+      const { error } = await client.from('file_previews').update({
+        status: 'ready',
+        page_count: pageCount,
+        text_content: text || null,
+        thumbnail_path: thumbnailPath,
+        last_error: null,
+        processed_at: new Date().toISOString()
+      }).eq('id', row.id);
+      if (error) throw error;
+
+      return { id: row.id, status: 'ready' };
+    } catch (err) {
+      const retry = row.attempts < row.max_attempts;
+      const delay = RETRY_DELAYS_MS[Math.min(row.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+      await client.from('file_previews').update({
+        status: retry ? 'pending' : 'failed',
+        last_error: err.message,
+        next_attempt_at: new Date(Date.now() + (retry ? delay : 0)).toISOString()
+      }).eq('id', row.id);
+
+      console.error(`Preview for ${row.file_type} ${row.file_id} failed, attempt ${row.attempts}:`, err.message);
+      return { id: row.id, status: retry ? 'pending' : 'failed', error: err.message };
+    }
+  };
+
+  return {
+    /**
+     * Queue a preview for a stored file; files that are not PDFs are ignored.
+     * A file replaced under the same record is queued again.
+     * @returns {Promise<object|null>} the file_previews row
+     */
+    async enqueue({ fileType, fileId, organizationId, clinicalTrialId = null, bucket, path, mimeType }) {
+      if (!PREVIEW_FILE_TYPES.includes(fileType)) {
+        throw new Error(`Unknown preview file type: ${fileType}`);
+      }
+      if (!path || !PREVIEW_MIME_TYPES.includes(mimeType)) return null;
+
+      const { data, error } = await client
+        .from('file_previews')
+        .upsert({
+          file_type: fileType,
+          file_id: fileId,
+          organization_id: organizationId,
+          clinical_trial_id: clinicalTrialId,
+          bucket,
+          path,
+          status: 'pending',
+          attempts: 0,
+          last_error: null,
+          next_attempt_at: new Date().toISOString()
+        }, { onConflict: 'file_type,file_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    /**
+     * Previews for records of one type, keyed by file id, with signed thumbnail URLs.
+     * @returns {Promise<Map<string, object>>}
+     */
+    async loadPreviews(fileType, fileIds) {
+      if (fileIds.length === 0) return new Map();
+
+      const { data, error } = await client
+        .from('file_previews')
+        .select('file_id, status, page_count, thumbnail_path, processed_at, last_error')
+        .eq('file_type', fileType)
+        .in('file_id', fileIds);
+      if (error) throw error;
+
+      const urls = await signThumbnails(data);
+      return new Map(data.map(row => [row.file_id, formatFilePreview(row, urls.get(row.thumbnail_path) || null)]));
+    },
+
+    // One record's preview including the extracted text, or null
+    async getPreview(fileType, fileId) {
+      const { data, error } = await client
+        .from('file_previews')
+        .select('*')
+        .eq('file_type', fileType)
+        .eq('file_id', fileId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return null;
+
+      const urls = await signThumbnails([data]);
+      return { ...formatFilePreview(data, urls.get(data.thumbnail_path) || null), text: data.text_content };
+    },
+
+    // Render due previews (new, or waiting for a retry); returns counts by outcome
+    async processQueue({ limit = 5 } = {}) {
+      const { data: rows, error } = await client.rpc('claim_file_previews', { batch_size: limit });
+      if (error) throw error;
+
+      const results = [];
+      for (const row of rows || []) {
+        results.push(await render(row));
+      }
+      return {
+        ready: results.filter(r => r.status === 'ready').length,
+        retrying: results.filter(r => r.status === 'pending').length,
+        failed: results.filter(r => r.status === 'failed' || r.status === 'skipped').length
+      };
+    },
+
+    // Poll the queue every intervalMs; returns a function that stops the worker
+    startWorker(intervalMs = 15000) {
+      let running = false;
+      const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+          await this.processQueue();
+        } catch (err) {
+          console.error('File preview worker error:', err.message);
+        } finally {
+          running = false;
+        }
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  PREVIEWS_BUCKET,
+  PREVIEW_FILE_TYPES,
+  createPdfExtractor,
+  createPreviewService,
+  formatFilePreview
+};
@@ -0,0 +1,136 @@
+const { DOCUMENT_BUCKETS } = require('kachina-health-shared/acknowledgements');
+const { supabase, supabaseAdmin } = require('./supabaseClient');
+
+// Study protocol amendment history.
+//
+// Every uploaded file is stored under a new path in the study-protocols bucket
+// and recorded as an immutable row in study_protocol_versions; nothing is ever
+// overwritten, so older PDFs stay retrievable through /api/downloads/study_protocol_version/:id.
+// The version in force on a date is the latest one whose effective date is on
+// or before it.
+
+const PROTOCOL_BUCKET = DOCUMENT_BUCKETS.study_protocol;
+
+// A real calendar day in YYYY-MM-DD form; Date.parse alone rolls 2026-02-30 over to March
+const isValidDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+};
+
+// Upload a protocol file under a fresh, timestamped path; returns the storage path
+const uploadProtocolFile = async (file) => {
+  const filename = `${Date.now()}_${file.originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_')}`;
+
+  const { error } = await supabaseAdmin.storage
+    .from(PROTOCOL_BUCKET)
+    .upload(filename, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl: '3600',
+      upsert: false
+    });
+
+  if (error) throw error;
+  return filename;
+};
+
+/**
+ * Record a new version of a protocol and make it current. Either file (a multer
+ * file) or content (text protocols) provides the document.
+ * @returns {Promise<object>} the created study_protocol_versions row
+ */
+const addProtocolVersion = async (protocolId, {
+  file = null,
+  content = null,
+  versionLabel = null,
+  amendmentNote = null,
+  effectiveDate = null,
+  userId
+}) => {
+  const storagePath = file ? await uploadProtocolFile(file) : null;
+
+  const { data, error } = await supabase.rpc('add_study_protocol_version', {
+    protocol_id: protocolId,
+    new_storage_path: storagePath,
+    new_file_name: file ? file.originalname : null,
+    new_mime_type: file ? file.mimetype : null,
+    new_file_size: file ? file.size : null,
+    new_content: file ? null : content,
+    new_version_label: versionLabel || null,
+    new_amendment_note: amendmentNote || null,
+    new_effective_date: effectiveDate || null,
+    author_id: userId
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+const getProtocolVersions = async (protocolId) => {
+  const { data, error } = await supabase
+    .from('study_protocol_versions')
+    .select(`
+      *,
+      profiles (
+        display_name
+      )
+    `)
+    .eq('study_protocol_id', protocolId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Latest version effective on or before day, from versions ordered newest first
+const findVersionInForce = (versions, day) => versions
+  .filter(version => version.effective_date <= day)
+  .sort((a, b) => b.effective_date.localeCompare(a.effective_date) || b.version_number - a.version_number)[0] || null;
+
+/**
+ * API shape for a version history, newest first. in_force_from/in_force_until
+ * give the period each version governed (until is exclusive, null while open).
+ */
+const formatProtocolVersions = (versions, currentVersionId) => {
+  const byEffectiveDate = [...versions].sort((a, b) =>
+    a.effective_date.localeCompare(b.effective_date) || a.version_number - b.version_number);
+
+  return versions.map(version => {
+    const position = byEffectiveDate.indexOf(version);
+    const next = byEffectiveDate.slice(position + 1).find(v => v.effective_date > version.effective_date);
+    const superseded = byEffectiveDate.slice(position + 1).some(v => v.effective_date === version.effective_date);
+
+    return {
+      id: version.id,
+      study_protocol_id: version.study_protocol_id,
+      version_number: version.version_number,
+      version_label: version.version_label,
+      previous_version_id: version.previous_version_id,
+      type: version.type,
+      content: version.content,
+      bucket: version.storage_path ? PROTOCOL_BUCKET : null,
+      storage_path: version.storage_path,
+      file_name: version.file_name,
+      file_size: version.file_size,
+      mime_type: version.mime_type,
+      amendment_note: version.amendment_note,
+      effective_date: version.effective_date,
+      // A version replaced on its own effective date never governed any day
+      in_force_from: superseded ? null : version.effective_date,
+      in_force_until: superseded ? null : (next ? next.effective_date : null),
+      is_current: version.id === currentVersionId,
+      created_by: version.created_by,
+      created_by_name: version.profiles?.display_name || 'Unknown',
+      created_at: version.created_at
+    };
+  });
+};
+
+module.exports = {
+  PROTOCOL_BUCKET,
+  addProtocolVersion,
+  findVersionInForce,
+  formatProtocolVersions,
+  getProtocolVersions,
+  isValidDay
+};
@@ -0,0 +1,224 @@
+// Live updates for the admin dashboard and the mobile app. Changes to
+// hospitals, enrollments, news, study protocols and registration requests
+// are picked up from the database through Supabase Realtime, so writes made
+// through the Next API count too, and relayed over Server-Sent Events to
+// the subscribers of the affected organization and trial.
+//
+// Events only say what changed ({ type, id, organizationId,
+// clinicalTrialId, ... }); clients refetch through the usual endpoints,
+// which apply the usual access checks. Nothing is replayed after a
+// reconnect, so clients refetch when the stream (re)opens as well.
+
+// Table -> resource name used in event types (hospital.updated, news.created, ...)
+const REALTIME_SOURCES = {
+  hospitals: 'hospital',
+  enrollments: 'enrollment',
+  news_updates: 'news',
+  study_protocols: 'protocol',
+  registration_requests: 'registration'
+};
+
+const CHANGE_ACTIONS = { INSERT: 'created', UPDATE: 'updated', DELETE: 'deleted' };
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+// How often an open stream's access is loaded again
+const ACCESS_RECHECK_INTERVAL_MS = 60 * 1000;
+
+// Published, past its publish time and not expired
+const isLiveNews = (row, now = new Date()) =>
+  !!row &&
+  row.status === 'published' &&
+  (!row.published_at || new Date(row.published_at) <= now) &&
+  (!row.expires_at || new Date(row.expires_at) > now);
+
+/**
+ * Turn a Supabase postgres_changes payload into the event sent to clients,
+ * or null for a table that isn't relayed. Deletes carry the old row, which
+ * needs REPLICA IDENTITY FULL to include more than the id.
+ */
+const toRealtimeEvent = (change, now = new Date()) => {
+  const resource = REALTIME_SOURCES[change.table];
+  const action = CHANGE_ACTIONS[change.eventType];
+  if (!resource || !action) return null;
+
+  const row = change.eventType === 'DELETE' ? change.old : change.new;
+  if (!row || !row.id) return null;
+
+  const event = {
+    type: `${resource}.${action}`,
+    resource,
+    action,
+    id: row.id,
+    organizationId: row.organization_id || change.old?.organization_id || null,
+    clinicalTrialId: row.clinical_trial_id || null,
+    hospitalId: resource === 'hospital' ? row.id : (row.hospital_id || null),
+    at: change.commit_timestamp || now.toISOString()
+  };
+
+  if (resource === 'registration') {
+    event.status = row.status;
+  }
+  if (resource === 'news') {
+    // Sites only hear about news they can see now or could see before
+    event.visibleToSites = isLiveNews(change.new, now) || isLiveNews(change.old, now);
+  }
+
+  return event;
+};
+
+/**
+ * Whether a subscriber ({ organizationId, canReviewRegistrations,
+ * canViewDrafts, trialIds, hospitalIds, trialId }) may receive an event.
+ * trialIds is null for admins, who see every trial of their organization;
+ * hospitalIds is null for everyone but site staff; trialId narrows the
+ * stream to one trial.
+ */
+const canReceiveEvent = (subscriber, event) => {
+  if (!event.organizationId || event.organizationId !== subscriber.organizationId) return false;
+
+  // Pending registrations are for the people who review them
+  if (event.resource === 'registration') return !!subscriber.canReviewRegistrations;
+
+  // Hospitals are organization-wide; the leaderboard of every trial may change
+  if (event.resource === 'hospital') return true;
+
+  if (event.clinicalTrialId) {
+    if (subscriber.trialId && event.clinicalTrialId !== subscriber.trialId) return false;
+    if (subscriber.trialIds && !subscriber.trialIds.includes(event.clinicalTrialId)) return false;
+  }
+
+  // Site staff only follow enrollments at their own sites
+  if (event.resource === 'enrollment' && subscriber.hospitalIds) {
+    return subscriber.hospitalIds.includes(event.hospitalId);
+  }
+
+  if (event.resource === 'news' && !event.visibleToSites) {
+    return !!subscriber.canViewDrafts;
+  }
+
+  return true;
+};
+
+// One Server-Sent Events frame
+const formatServerSentEvent = ({ id, event, data }) => {
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  return frame;
+};
+
+/**
+ * Fan-out of database changes to open event streams.
+ *
+ *   client - Supabase client (service role, so changes aren't filtered by RLS)
+ */
+const createRealtimeHub = ({ client, heartbeatMs = HEARTBEAT_INTERVAL_MS }) => {
+  const subscribers = new Set();
+  let nextEventId = 1;
+
+  const publish = (event) => {
+    if (!event) return 0;
+    const frame = formatServerSentEvent({ id: nextEventId++, event: event.type, data: event });
+    let delivered = 0;
+    for (const subscriber of subscribers) {
+      if (!canReceiveEvent(subscriber, event)) continue;
+      try {
+        subscriber.write(frame);
+        delivered++;
+      } catch (err) {
+        console.error(`Failed to write realtime event to ${subscriber.userId}:`, err.message);
+      }
+    }
+    return delivered;
+  };
+
+  return {
+    publish,
+
+    /**
+     * Attach an open response. subscriber: { userId, organizationId,
+     * canReviewRegistrations, canViewDrafts, trialIds, hospitalIds, trialId }.
+     * Returns a function that detaches it.
+     */
+    subscribe(subscriber, res) {
+      const entry = {
+        ...subscriber,
+        write: (frame) => {
+          res.write(frame);
+          if (typeof res.flush === 'function') res.flush();
+        }
+      };
+      subscribers.add(entry);
+      return () => subscribers.delete(entry);
+    },
+
+    get subscriberCount() {
+      return subscribers.size;
+    },
+
+    /**
+     * Listen for changes and keep open streams alive. Returns a stop function.
+     */
+    start() {
+      let channel = null;
+      let retryTimer = null;
+      let stopped = false;
+
+      const connect = () => {
+        const current = Object.keys(REALTIME_SOURCES).reduce(
+          (ch, table) => ch.on('postgres_changes', { event: '*', schema: 'public', table }, (change) => {
+            publish(toRealtimeEvent(change));
+          }),
+          client.channel('realtime-hub')
+        );
+        channel = current;
+
+        current.subscribe((status, err) => {
+          // Statuses of a channel already replaced or stopped don't matter
+          if (stopped || current !== channel) return;
+          if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+            console.error(`Realtime channel ${status.toLowerCase()}:`, err?.message || 'no details');
+            channel = null;
+            client.removeChannel(current);
+            retryTimer = setTimeout(() => {
+              retryTimer = null;
+              if (!stopped) connect();
+            }, RECONNECT_DELAY_MS);
+            retryTimer.unref();
+          }
+        });
+      };
+      connect();
+
+      // Comment frames keep proxies from closing idle streams
+      const heartbeat = setInterval(() => {
+        for (const subscriber of subscribers) {
+          try {
+            subscriber.write(': heartbeat\n\n');
+          } catch (err) {
+            subscribers.delete(subscriber);
+          }
+        }
+      }, heartbeatMs);
+      heartbeat.unref();
+
+      return () => {
+        stopped = true;
+        clearInterval(heartbeat);
+        if (retryTimer) clearTimeout(retryTimer);
+        if (channel) client.removeChannel(channel);
+      };
+    }
+  };
+};
+
+module.exports = {
+  ACCESS_RECHECK_INTERVAL_MS,
+  REALTIME_SOURCES,
+  canReceiveEvent,
+  createRealtimeHub,
+  formatServerSentEvent,
+  isLiveNews,
+  toRealtimeEvent
+};
@@ -0,0 +1,45 @@
+const { ROLE_NAMES, parseRole } = require('kachina-health-shared/permissions');
+
+// Self-service registrations from the mobile app. Applicants ask for a site,
+// role and clinical trial; an admin approves (creating the auth user, profile,
+// trial assignment and site link) or rejects with a reason. The applicant is
+// emailed either way (registration_approved / registration_rejected templates).
+
+// Roles an applicant may ask for; anything else is reviewed as site staff
+const REQUESTABLE_ROLES = ['monitor', 'site_pi', 'site_coordinator'];
+
+// Named role for an approved applicant: an explicit choice by the admin, else
+// the requested role when applicants may ask for it, else site coordinator.
+// Null when the admin's choice isn't a role
+const profileRoleFor = (requestedRole, overrideRole) => {
+  if (overrideRole) {
+    const role = typeof overrideRole === 'string' ? parseRole(overrideRole) : null;
+    return ROLE_NAMES.includes(role) ? role : null;
+  }
+  const requested = parseRole(String(requestedRole || '').trim().toLowerCase());
+  return REQUESTABLE_ROLES.includes(requested) ? requested : 'site_coordinator';
+};
+
+const formatRegistrationRequest = (row) => ({
+  id: row.id,
+  email: row.email,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  siteName: row.site_name,
+  hospitalId: row.hospital_id,
+  hospitalName: row.hospitals?.hospital_name || null,
+  requestedRole: row.requested_role,
+  clinicalTrialId: row.clinical_trial_id,
+  clinicalTrialName: row.clinical_trials?.name || null,
+  status: row.status,
+  rejectionReason: row.rejection_reason,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at,
+  profileId: row.profile_id,
+  createdAt: row.created_at
+});
+
+module.exports = {
+  formatRegistrationRequest,
+  profileRoleFor
+};
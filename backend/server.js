@@ -3,31 +3,268 @@ const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
+const nodemailer = require('nodemailer');
+const {
+  buildComplianceMatrix,
+  fetchRequiredDocumentRows,
+  readAcknowledgementFlag,
+  toComplianceDocuments
+} = require('kachina-health-shared/acknowledgements');
+const { formatHospitalStats, mergeTrialSiteStats, summarizeHospitals } = require('kachina-health-shared/leaderboardStats');
 const { supabase, supabaseAdmin } = require('./supabaseClient');
+const { buildEnrollmentForecast } = require('./enrollmentForecast');
+const {
+  buildTrainingReport,
+  newCertificateNumber,
+  scoreQuiz,
+  summarizeCourseProgress,
+  writeCertificatePdf
+} = require('./trainingCourses');
+const { auditClient, fetchAuditSnapshot, getClientIp, recordAudit, toAuditCsv } = require('./auditLog');
+const {
+  NOTIFICATION_TEMPLATES,
+  createBrandingLoader,
+  createDriverFromEnv,
+  createNotificationService,
+  createSupabaseOutbox
+} = require('kachina-health-shared/notifications');
+const { formatRegistrationRequest, profileRoleFor } = require('./registrationRequests');
+const {
+  PUSH_CATEGORIES,
+  createPushDispatcher,
+  createPushProviderFromEnv
+} = require('kachina-health-shared/pushNotifications');
+const {
+  createNewsScheduler,
+  formatNewsSchedule,
+  newsState,
+  onlyLiveNews,
+  parseNewsSchedule
+} = require('kachina-health-shared/newsSchedule');
+const {
+  NEWS_ASSETS_BUCKET,
+  formatNewsAttachment,
+  formatNewsContent,
+  newsSummary,
+  parseNewsBody,
+  readNewsRichFields,
+  signNewsImages,
+  sortNewsFeed
+} = require('kachina-health-shared/newsContent');
+const {
+  DOCUMENTS_BUCKET,
+  DOCUMENT_COLUMNS,
+  buildFolderTree,
+  canViewDocument,
+  documentPath,
+  filterDocuments,
+  formatDocument,
+  formatDocumentFolder,
+  inTrialScope,
+  parseDocumentFields,
+  scopeDocuments
+} = require('kachina-health-shared/documentLibrary');
+const { FILE_TYPES, canDownload, createFileDownloads, formatFileDownload } = require('kachina-health-shared/fileDownloads');
+const { createMobileTokens } = require('kachina-health-shared/mobileTokens');
+const { PREVIEW_FILE_TYPES, createPdfExtractor, createPreviewService } = require('./filePreviews');
+const { formatSearchFacets, formatSearchResult, parseSearchParams } = require('./contentSearch');
+const {
+  MAX_MESSAGE_ATTACHMENTS,
+  MESSAGE_ATTACHMENTS_BUCKET,
+  THREAD_KINDS,
+  attachmentPath,
+  canPostInThread,
+  canViewThread,
+  createMessaging,
+  formatMessage,
+  formatThread,
+  isParticipant,
+  messagePush,
+  parseMessageBody,
+  parsePageSize,
+  toMessagesCsv
+} = require('kachina-health-shared/messaging');
+const { ACCESS_RECHECK_INTERVAL_MS, createRealtimeHub, formatServerSentEvent } = require('./realtime');
+const {
+  ROLES,
+  ROLE_NAMES,
+  CAPABILITIES,
+  createPermissionPolicy,
+  parseCapabilities,
+  parseRole,
+  parseTrialRole,
+  permissionDeniedMessage
+} = require('kachina-health-shared/permissions');
+const {
+  MAX_DIRECT_UPLOAD_BYTES,
+  MAX_UPLOAD_CHUNK_BYTES,
+  QUARANTINE_BUCKET,
+  UPLOAD_BUCKETS,
+  createScannerFromEnv,
+  createUploadPipeline,
+  formatQuarantinedUpload,
+  formatUploadPolicy,
+  formatUploadSession,
+  parseUploadPolicy,
+  resolvePolicy
+} = require('./uploadPipeline');
+const {
+  PROTOCOL_BUCKET,
+  addProtocolVersion,
+  findVersionInForce,
+  formatProtocolVersions,
+  getProtocolVersions,
+  isValidDay
+} = require('./protocolVersions');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+
+// Transactional email: outbox in notification_outbox, SMTP when SMTP_HOST is set
+const notifications = createNotificationService({
+  outbox: createSupabaseOutbox(supabaseAdmin || supabase),
+  driver: createDriverFromEnv(nodemailer),
+  getBranding: createBrandingLoader(supabaseAdmin || supabase)
+});
+
+// Mobile push: queue in push_notifications, provider chosen by PUSH_PROVIDER
+const pushNotifications = createPushDispatcher({
+  client: supabaseAdmin || supabase,
+  provider: createPushProviderFromEnv()
+});
+
+// File downloads: authorized per record, short-lived signed URLs, logged in file_downloads
+const fileDownloads = createFileDownloads({ client: supabaseAdmin || supabase });
+
+// PDF thumbnails, page counts and text, rendered in the background after upload
+const filePreviews = createPreviewService({
+  client: supabaseAdmin || supabase,
+  extractor: createPdfExtractor()
+});
+
+// Uploads: per-organization bucket policies, content sniffing, virus scanning and resumable sessions
+const uploadPipeline = createUploadPipeline({
+  client: supabaseAdmin || supabase,
+  scanner: createScannerFromEnv()
+});
+
+// Secure messaging: trial-scoped threads between admins and site staff
+const messaging = createMessaging({ client: supabaseAdmin || supabase });
+
+// Role permissions: named roles, their capabilities and per-organization overrides
+const permissions = createPermissionPolicy({ client: supabaseAdmin || supabase });
+
+// Live updates: database changes relayed to dashboard and mobile clients over /api/events
+const realtime = createRealtimeHub({ client: supabaseAdmin || supabase });
+
+// Queue a push for a trial's users. Publishing has already succeeded by the
+// time this runs, so a queueing failure is logged rather than returned
+const queueTrialPush = async (push) => {
+  try {
+    return await pushNotifications.enqueue(push);
+  } catch (err) {
+    console.error(`Failed to queue ${push.category} push for trial ${push.clinicalTrialId}:`, err.message);
+    return null;
+  }
+};
+
+// Queue a PDF preview for a stored file. The upload has already succeeded
+// by the time this runs, so a queueing failure is logged rather than returned
+const queuePreview = async (file) => {
+  try {
+    return await filePreviews.enqueue(file);
+  } catch (err) {
+    console.error(`Failed to queue a preview for ${file.fileType} ${file.fileId}:`, err.message);
+    return null;
+  }
+};
+
+// Add each item's PDF preview (status, page count, thumbnail URL) as item.preview.
+// Previews are optional in list views, so a lookup failure leaves them out
+const attachPreviews = async (fileType, items, fileIdOf = (item) => item.id) => {
+  let previews = new Map();
+  try {
+    previews = await filePreviews.loadPreviews(fileType, items.map(fileIdOf).filter(Boolean));
+  } catch (err) {
+    console.error(`Failed to load ${fileType} previews:`, err.message);
+  }
+  return items.map(item => ({ ...item, preview: previews.get(fileIdOf(item)) || null }));
+};
+
+// News is announced when it goes live: on publish, or by the scheduler for items scheduled ahead
+const newsScheduler = createNewsScheduler({
+  client: supabaseAdmin || supabase,
+  announce: (item) => queueTrialPush({
+    organizationId: item.organization_id,
+    clinicalTrialId: item.clinical_trial_id,
+    category: 'news',
+    title: item.clinical_trials?.name || 'News update',
+    body: item.title,
+    data: { newsUpdateId: item.id },
+    createdBy: item.created_by
+  })
+});
+
+// Called after news is saved; a failure is logged and the scheduler retries
+const announceNewsIfLive = async (item) => {
+  try {
+    await newsScheduler.announceIfLive(item);
+  } catch (err) {
+    console.error(`Failed to announce news update ${item.id}:`, err.message);
+  }
+};
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Number of proxy hops in front of the API (or true/false), so req.ip is
+// taken from X-Forwarded-For only when a trusted proxy set it
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return false;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(cors());
 app.use(express.json());
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Allowed types and size limits depend
+// on the organization and target bucket, so files are checked per route
+// with screenUpload; larger files go through resumable upload sessions.
+// Files are buffered in memory, so each route names the fields it takes
+// (no upload.any()) and a request carries at most a message's attachments
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Only allow PDF files
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'), false);
-    }
+    fileSize: MAX_DIRECT_UPLOAD_BYTES,
+    files: MAX_MESSAGE_ATTACHMENTS
+  }
+});
+
+// News hero images and attachments (news-assets bucket)
+const NEWS_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const newsAssetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DIRECT_UPLOAD_BYTES,
+    files: 10
   }
 });
 
+// Check an uploaded file against the organization's policy for bucket, its
+// content and the virus scanner before it is stored. Sends the error
+// response and returns false when the file is rejected
+const screenUpload = async (req, res, file, { organizationId, bucket }) => {
+  const rejected = await uploadPipeline.screen({ organizationId, userId: req.user.userId, bucket, file });
+  if (!rejected) return true;
+
+  res.status(rejected.status).json({
+    success: false,
+    message: `${file.originalname}: ${rejected.error}`
+  });
+  return false;
+};
+
 // Global request logging middleware (development only)
 if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
@@ -54,6 +291,45 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Authenticate the request and load the caller's role and capabilities into
+// req.access. Every API route goes through this; given capabilities, the
+// caller needs all of them
+const authorize = (...capabilities) => [
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const access = await permissions.load(req.user.userId);
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: 'User profile not found. Please contact an administrator.'
+        });
+      }
+
+      const missing = capabilities.find(capability => !access.can(capability));
+      if (missing) {
+        return res.status(403).json({
+          success: false,
+          message: permissionDeniedMessage(missing)
+        });
+      }
+
+      req.access = access;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+];
+
+// Whether the caller may give someone role: only if the role (with the
+// organization's overrides) can't do anything the caller can't
+const canGrantRole = async (access, role) => {
+  const roles = await permissions.listRoles(access.organizationId);
+  const granted = roles.find(r => r.role === role);
+  return !!granted && granted.capabilities.every(capability => access.can(capability));
+};
+
 // Basic root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -116,6 +392,14 @@ app.post('/api/auth/login', async (req, res) => {
       { expiresIn: '24h' }
     );
 
+    await recordAudit(req, {
+      entityType: 'session',
+      entityId: data.user.id,
+      action: 'login',
+      actorId: data.user.id,
+      actorEmail: data.user.email
+    });
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -164,6 +448,17 @@ app.post('/api/auth/register', async (req, res) => {
       });
     }
 
+    if (data.user) {
+      await recordAudit(req, {
+        entityType: 'user',
+        entityId: data.user.id,
+        action: 'register',
+        after: { id: data.user.id, email: data.user.email, full_name: full_name || email },
+        actorId: data.user.id,
+        actorEmail: data.user.email
+      });
+    }
+
     res.json({
       success: true,
       message: 'Registration successful. Please check your email to confirm your account.',
@@ -180,7 +475,7 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Logout endpoint
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+app.post('/api/auth/logout', authorize(), async (req, res) => {
   try {
     const { error } = await supabase.auth.signOut();
 
@@ -192,6 +487,12 @@ app.post('/api/auth/logout', authenticateToken, async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      entityType: 'session',
+      entityId: req.user.userId,
+      action: 'logout'
+    });
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -206,7 +507,7 @@ app.post('/api/auth/logout', authenticateToken, async (req, res) => {
 });
 
 // Verify token endpoint
-app.get('/api/auth/verify', authenticateToken, (req, res) => {
+app.get('/api/auth/verify', authorize(), (req, res) => {
   res.json({
     success: true,
     user: req.user
@@ -214,7 +515,7 @@ app.get('/api/auth/verify', authenticateToken, (req, res) => {
 });
 
 // Get user profile with organization and role information
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+app.get('/api/user/profile', authorize(), async (req, res) => {
   try {
     const userEmail = req.user.email;
     console.log('🔍 Profile request for email:', userEmail);
@@ -230,24 +531,10 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
       console.error('❌ Profile fetch error:', profileError);
       console.error('❌ Available error details:', JSON.stringify(profileError, null, 2));
 
-      // Try to see what users exist in the table for debugging
-      const { data: allUsers, error: listError } = await supabase
-        .from('users')
-        .select('email, role, name')
-        .limit(10);
-
-      if (!listError) {
-        console.log('📋 Available users in database:', allUsers);
-      }
-
       return res.status(400).json({
         success: false,
         message: 'Failed to fetch user profile',
-        error: profileError.message,
-        debug: {
-          requestedEmail: userEmail,
-          availableUsers: listError ? 'Could not list users' : allUsers?.map(u => ({ email: u.email, role: u.role }))
-        }
+        error: profileError.message
       });
     }
 
@@ -268,7 +555,11 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
         email: userProfile.email,
         name: userProfile.name,
         role: userProfile.role,
+        permission_role: req.access.role,
+        capabilities: req.access.capabilities,
         site: userProfile.site,
+        hospital_ids: req.access.hospitalIds,
+        trial_roles: req.access.trialRoles,
         created_at: userProfile.created_at,
         last_sign_in_at: authUser?.user?.last_sign_in_at
       }
@@ -288,7 +579,7 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
 // Client Management Endpoints
 
 // Get all clients (protected route)
-app.get('/api/clients', authenticateToken, async (req, res) => {
+app.get('/api/clients', authorize(), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('clients')
@@ -317,7 +608,7 @@ app.get('/api/clients', authenticateToken, async (req, res) => {
 });
 
 // Get single client
-app.get('/api/clients/:id', authenticateToken, async (req, res) => {
+app.get('/api/clients/:id', authorize(), async (req, res) => {
   try {
     const { id } = req.params;
     const { data, error } = await supabase
@@ -348,7 +639,7 @@ app.get('/api/clients/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new client
-app.post('/api/clients', authenticateToken, async (req, res) => {
+app.post('/api/clients', authorize(), async (req, res) => {
   try {
     const { name, email, company, phone, status } = req.body;
 
@@ -380,6 +671,8 @@ app.post('/api/clients', authenticateToken, async (req, res) => {
       });
     }
 
+    await recordAudit(req, { entityType: 'client', entityId: data.id, action: 'create', after: data });
+
     res.json({
       success: true,
       message: 'Client created successfully',
@@ -395,11 +688,13 @@ app.post('/api/clients', authenticateToken, async (req, res) => {
 });
 
 // Update client
-app.put('/api/clients/:id', authenticateToken, async (req, res) => {
+app.put('/api/clients/:id', authorize(), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, email, company, phone, status } = req.body;
 
+    const before = await fetchAuditSnapshot('clients', id);
+
     const { data, error } = await supabase
       .from('clients')
       .update({
@@ -422,6 +717,8 @@ app.put('/api/clients/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    await recordAudit(req, { entityType: 'client', entityId: id, action: 'update', before, after: data });
+
     res.json({
       success: true,
       message: 'Client updated successfully',
@@ -437,13 +734,15 @@ app.put('/api/clients/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete client
-app.delete('/api/clients/:id', authenticateToken, async (req, res) => {
+app.delete('/api/clients/:id', authorize(), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const before = await fetchAuditSnapshot('clients', id);
+
+    const { error, count } = await supabase
       .from('clients')
-      .delete()
+      .delete({ count: 'exact' })
       .eq('id', id);
 
     if (error) {
@@ -454,6 +753,15 @@ app.delete('/api/clients/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    await recordAudit(req, { entityType: 'client', entityId: id, action: 'delete', before });
+
     res.json({
       success: true,
       message: 'Client deleted successfully'
@@ -474,32 +782,17 @@ app.delete('/api/clients/:id', authenticateToken, async (req, res) => {
 // ===== USERS MANAGEMENT =====
 
 // Get all users in the authenticated user's organization
-app.get('/api/users', authenticateToken, async (req, res) => {
+app.get('/api/users', authorize(), async (req, res) => {
   try {
-    const userId = req.user.userId;
-
-    // Get the current user's organization
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to get user profile',
-        error: profileError.message
-      });
-    }
+    const { userId, organizationId } = req.access;
 
-    // Only admins can see all users in their organization
-    // Users can only see themselves (for now, can be expanded)
+    // Only users.view sees everyone in the organization; others only themselves
     let query = supabase
       .from('profiles')
       .select(`
         id,
         role,
+        permission_role,
         display_name,
         created_at,
         organizations (
@@ -509,17 +802,17 @@ app.get('/api/users', authenticateToken, async (req, res) => {
         user_clinical_assignments (
           id,
           clinical_trial_id,
+          trial_role,
           clinical_trials (
             id,
             name
           )
         )
       `)
-      .eq('organization_id', userProfile.organization_id);
+      .eq('organization_id', organizationId);
 
-    // If not admin, only show users with equal or lower permissions
-    if (userProfile.role !== 'admin') {
-      query = query.eq('id', userId); // Only show themselves
+    if (!req.access.can('users.view')) {
+      query = query.eq('id', userId);
     }
 
     const { data, error } = await query.order('created_at', { ascending: false });
@@ -549,98 +842,36 @@ app.get('/api/users', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/users', authenticateToken, async (req, res) => {
+app.post('/api/users', authorize('users.invite'), async (req, res) => {
   try {
     const inviterUserId = req.user.userId;
-    const { email, role, displayName, clinicalTrialId } = req.body;
+    const { email, role: requestedRole, displayName, clinicalTrialId } = req.body;
 
-    if (!email || !role) {
+    if (!email || !requestedRole) {
       return res.status(400).json({
         success: false,
         message: 'Email and role are required'
       });
     }
 
-    // Validate role
-    if (!['admin', 'user', 'doctor'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role. Must be: admin, user, or doctor'
-      });
-    }
-
-    // Get inviter's profile to check permissions
-    let { data: inviterProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', inviterUserId)
-      .single();
-
-    // If profile doesn't exist, try to create one automatically
-    if (profileError && profileError.code === 'PGRST116') {
-      console.log(`Profile not found for user ${inviterUserId}, creating one automatically`);
-
-      // Get user info from auth
-      const { data: { user }, error: userError } = await supabase.auth.admin.getUserById(inviterUserId);
-
-      if (userError || !user) {
-        return res.status(400).json({
-          success: false,
-          message: 'Failed to get user information'
-        });
-      }
-
-      // Get default organization (first organization in the database)
-      const { data: defaultOrg, error: orgError } = await supabase
-        .from('organizations')
-        .select('id')
-        .limit(1)
-        .single();
-
-      if (orgError) {
-        console.error('Failed to get default organization:', orgError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to get default organization'
-        });
-      }
-
-      // Auto-create profile with default values
-      const { data: newProfile, error: createError } = await supabase
-        .from('profiles')
-        .insert({
-          id: inviterUserId,
-          organization_id: defaultOrg.id,
-          role: 'user', // Default role
-          display_name: user.email || 'New User'
-        })
-        .select('organization_id, role')
-        .single();
-
-      if (createError) {
-        console.error('Failed to auto-create profile:', createError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to create user profile'
-        });
-      }
-
-      inviterProfile = newProfile;
-    } else if (profileError) {
+    // Named role, or admin/user/doctor from older clients
+    const role = parseRole(requestedRole);
+    if (!role) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}`
       });
     }
 
-    // Check permissions: Only admins and users can invite, doctors cannot
-    if (!['admin', 'user'].includes(inviterProfile.role)) {
+    if (!(await canGrantRole(req.access, role))) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to invite users'
+        message: `You do not have permission to give users the ${ROLES[role].label} role`
       });
     }
 
+    const { organizationId } = req.access;
+
     if (!supabaseAdmin) {
       return res.status(500).json({
         success: false,
@@ -648,13 +879,20 @@ app.post('/api/users', authenticateToken, async (req, res) => {
       });
     }
 
-    // Send invitation using Supabase's built-in system
-    const { data: inviteData, error: inviteError } = await supabaseAdmin.auth.admin.inviteUserByEmail(email, {
-      data: {
-        invited_by: inviterUserId,
-        organization_id: inviterProfile.organization_id,
-        role: role,
-        display_name: displayName || email
+    // Create the invited auth user and its one-time invitation link; the email
+    // itself goes out through the notification outbox with our branding
+    const { data: inviteData, error: inviteError } = await supabaseAdmin.auth.admin.generateLink({
+      type: 'invite',
+      email,
+      options: {
+        data: {
+          invited_by: inviterUserId,
+          organization_id: organizationId,
+          role: ROLES[role].baseRole,
+          permission_role: role,
+          display_name: displayName || email
+        },
+        redirectTo: process.env.INVITE_REDIRECT_URL || undefined
       }
     });
 
@@ -667,16 +905,15 @@ app.post('/api/users', authenticateToken, async (req, res) => {
       });
     }
 
-    // The invitation was sent successfully
     // Now create the profile for the invited user
     const invitedUserId = inviteData.user.id;
 
     // Use the helper function to create profile and assign to organization
-    const { data: result, error: helperError } = await supabase
+    const { data: result, error: helperError } = await (supabaseAdmin || supabase)
       .rpc('create_profile_and_assignments', {
         admin_user_id: inviterUserId,
         new_user_auth_id: invitedUserId,
-        new_user_role: role,
+        new_user_role: ROLES[role].baseRole,
         selected_clinical_trial_id: clinicalTrialId || null
       });
 
@@ -699,20 +936,56 @@ app.post('/api/users', authenticateToken, async (req, res) => {
       });
     }
 
+    // The helper only knows access levels; the named role is set here
+    await (supabaseAdmin || supabase)
+      .from('profiles')
+      .update({ email: email.toLowerCase(), permission_role: role })
+      .eq('id', invitedUserId);
+
+    const [{ data: inviterDetails }, { data: organization }] = await Promise.all([
+      supabase.from('profiles').select('display_name').eq('id', inviterUserId).maybeSingle(),
+      supabase.from('organizations').select('name').eq('id', organizationId).maybeSingle()
+    ]);
+
+    const invitation = await notifications.send('invitation', {
+      to: email,
+      organizationId: organizationId,
+      userId: invitedUserId,
+      data: {
+        email,
+        displayName: displayName || email,
+        role: ROLES[role].label,
+        inviterName: inviterDetails?.display_name || null,
+        organizationName: organization?.name || null,
+        actionUrl: inviteData.properties.action_link
+      },
+      createdBy: inviterUserId
+    });
+
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Sent invitation and created profile for: ${email}`);
+      console.log(`✅ Invitation ${invitation.status} and created profile for: ${email}`);
     }
 
+    await recordAudit(req, {
+      entityType: 'user',
+      entityId: resultData.profile_id,
+      action: 'invite',
+      organizationId: organizationId,
+      after: await fetchAuditSnapshot('profiles', resultData.profile_id)
+    });
+
     res.json({
       success: true,
       message: 'Invitation sent successfully',
       user: {
         id: resultData.profile_id,
         email: email,
-        role: role,
+        role: ROLES[role].baseRole,
+        permission_role: role,
         display_name: displayName || email,
         trial_assigned: resultData.trial_assigned,
-        invitation_sent: true
+        invitation_sent: invitation.status === 'sent',
+        invitation_status: invitation.status
       }
     });
   } catch (err) {
@@ -724,57 +997,40 @@ app.post('/api/users', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user
-// Update user (Admin only, or user updating themselves)
-app.put('/api/users/:id', authenticateToken, async (req, res) => {
+// Update user (users.manage, or anyone updating their own display name)
+app.put('/api/users/:id', authorize(), async (req, res) => {
   try {
     const userId = req.user.userId;
     const { id } = req.params;
     const { displayName, role } = req.body;
 
-    // Get current user's profile to check permissions
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to get user profile'
-      });
-    }
-
-    // Check permissions: Admins can update anyone in their org, users can only update themselves
-    const isAdmin = userProfile.role === 'admin';
+    // Users with users.manage can update anyone in their org, others only themselves
+    const canManage = req.access.can('users.manage');
     const isSelf = id === userId;
-    const canUpdateRole = isAdmin; // Only admins can change roles
 
-    if (!isAdmin && !isSelf) {
+    if (!canManage && !isSelf) {
       return res.status(403).json({
         success: false,
         message: 'You can only update your own profile'
       });
     }
 
-    // If not admin and trying to update role, deny
-    if (!canUpdateRole && role !== undefined) {
+    if (!canManage && role !== undefined) {
       return res.status(403).json({
         success: false,
-        message: 'Only admins can change user roles'
+        message: permissionDeniedMessage('users.manage')
       });
     }
 
-    // Verify the user to be updated is in the same organization (if admin)
-    if (isAdmin) {
+    // Verify the user to be updated is in the same organization
+    if (canManage) {
       const { data: targetUser, error: targetError } = await supabase
         .from('profiles')
         .select('organization_id')
         .eq('id', id)
         .single();
 
-      if (targetError || targetUser.organization_id !== userProfile.organization_id) {
+      if (targetError || targetUser.organization_id !== req.access.organizationId) {
         return res.status(403).json({
           success: false,
           message: 'Cannot update users from different organizations'
@@ -782,6 +1038,8 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    const before = await fetchAuditSnapshot('profiles', id);
+
     // Build update object
     const updateData = {
       updated_at: new Date().toISOString()
@@ -791,24 +1049,52 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
       updateData.display_name = displayName;
     }
 
-    if (canUpdateRole && role !== undefined) {
-      // Validate role
-      if (!['admin', 'user', 'doctor'].includes(role)) {
+    if (role !== undefined) {
+      // Named role, or admin/user/doctor from older clients; the database
+      // derives profiles.role from it
+      const permissionRole = parseRole(role);
+      if (!permissionRole) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}`
+        });
+      }
+
+      if (isSelf) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid role. Must be: admin, user, or doctor'
+          message: 'You cannot change your own role'
+        });
+      }
+
+      if (!(await canGrantRole(req.access, permissionRole))) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to give users the ${ROLES[permissionRole].label} role`
+        });
+      }
+
+      // Nor demote someone who can do more than the caller
+      const currentRole = parseRole(before?.permission_role || before?.role);
+      if (currentRole && !(await canGrantRole(req.access, currentRole))) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to change the role of users with the ${ROLES[currentRole].label} role`
         });
       }
-      updateData.role = role;
+      updateData.permission_role = permissionRole;
     }
 
-    const { data, error } = await supabase
+    // Only the service role and permissions.manage may change roles in the
+    // database (sync_profile_roles); the checks above decide for the API
+    const { data, error } = await (supabaseAdmin || supabase)
       .from('profiles')
       .update(updateData)
       .eq('id', id)
       .select(`
         id,
         role,
+        permission_role,
         display_name,
         created_at,
         updated_at,
@@ -827,6 +1113,14 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      entityType: 'user',
+      entityId: id,
+      action: 'update',
+      before,
+      after: await fetchAuditSnapshot('profiles', id)
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -841,37 +1135,30 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete user (Admin only)
-app.delete('/api/users/:id', authenticateToken, async (req, res) => {
+// Delete user (users.manage)
+app.delete('/api/users/:id', authorize('users.manage'), async (req, res) => {
   try {
     const userId = req.user.userId;
     const { id } = req.params;
 
-    // Get current user's profile to check permissions
-    const { data: userProfile, error: profileError } = await supabase
+    // Verify the user to be deleted is in the same organization
+    const { data: targetUser, error: targetError } = await supabase
       .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
+      .select('organization_id, permission_role')
+      .eq('id', id)
       .single();
 
-    if (profileError || userProfile.role !== 'admin') {
+    if (targetError || targetUser.organization_id !== req.access.organizationId) {
       return res.status(403).json({
         success: false,
-        message: 'Only admins can delete users'
+        message: 'Cannot delete users from different organizations'
       });
     }
 
-    // Verify the user to be deleted is in the same organization
-    const { data: targetUser, error: targetError } = await supabase
-      .from('profiles')
-      .select('organization_id')
-      .eq('id', id)
-      .single();
-
-    if (targetError || targetUser.organization_id !== userProfile.organization_id) {
+    if (!(await canGrantRole(req.access, targetUser.permission_role))) {
       return res.status(403).json({
         success: false,
-        message: 'Cannot delete users from different organizations'
+        message: `You do not have permission to delete users with the ${ROLES[targetUser.permission_role].label} role`
       });
     }
 
@@ -883,10 +1170,12 @@ app.delete('/api/users/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const before = await fetchAuditSnapshot('profiles', id);
+
     // Delete the profile (this will cascade to user_clinical_assignments)
-    const { error } = await supabase
+    const { error, count } = await supabase
       .from('profiles')
-      .delete()
+      .delete({ count: 'exact' })
       .eq('id', id);
 
     if (error) {
@@ -897,6 +1186,15 @@ app.delete('/api/users/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, { entityType: 'user', entityId: id, action: 'delete', before });
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -914,82 +1212,264 @@ app.delete('/api/users/:id', authenticateToken, async (req, res) => {
 // ===== CLINICAL TRIAL ASSIGNMENT MANAGEMENT =====
 // ============================================================================
 
-// Get user's clinical trial assignment
-app.get('/api/users/:userId/clinical-assignment', authenticateToken, async (req, res) => {
+// A user can be assigned to several trials of their organization, each with
+// an optional trial_role (see parseTrialRole); without one the profile's own
+// role applies in that trial
+const ASSIGNMENT_SELECT = `
+  id,
+  clinical_trial_id,
+  trial_role,
+  assigned_by,
+  created_at,
+  clinical_trials (
+    id,
+    name
+  )
+`;
+
+const formatAssignment = (assignment) => ({
+  id: assignment.id,
+  clinical_trial_id: assignment.clinical_trial_id,
+  trial_name: assignment.clinical_trials?.name || null,
+  trial_role: assignment.trial_role || null,
+  assigned_by: assignment.assigned_by || null,
+  created_at: assignment.created_at
+});
+
+// Shared lookup for the assignment routes: the target user in the caller's
+// organization, or null after sending 404
+const loadAssignmentUser = async (res, access, userId) => {
+  const { data: targetUser } = await supabase
+    .from('profiles')
+    .select('id, organization_id, role, permission_role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!targetUser || targetUser.organization_id !== access.organizationId) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return targetUser;
+};
+
+// Assigning trials to someone needs users.manage and every capability of
+// their role, so nobody manages the trials of users above them. Returns false
+// after sending 403
+const checkCanAssign = async (res, access, targetUser, trialRole = null) => {
+  if (!(await canGrantRole(access, targetUser.permission_role))) {
+    res.status(403).json({
+      success: false,
+      message: `You do not have permission to change the trials of users with the ${ROLES[targetUser.permission_role].label} role`
+    });
+    return false;
+  }
+
+  if (trialRole && !(await canGrantRole(access, trialRole))) {
+    res.status(403).json({
+      success: false,
+      message: `You do not have permission to give users the ${ROLES[trialRole].label} role`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const loadAssignments = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_clinical_assignments')
+    .select(ASSIGNMENT_SELECT)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(formatAssignment);
+};
+
+// List a user's trial assignments (their own, or anyone's with users.view)
+app.get('/api/users/:userId/clinical-assignments', authorize(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const currentUserId = req.user.userId;
 
-    // Get current user's profile to check permissions
-    const { data: currentUserProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', currentUserId)
-      .single();
-
-    if (profileError) {
-      return res.status(400).json({
+    if (req.user.userId !== userId && !req.access.can('users.view')) {
+      return res.status(403).json({
         success: false,
-        message: 'Failed to get user profile',
-        error: profileError.message
+        message: permissionDeniedMessage('users.view')
       });
     }
 
-    // Get target user's profile
-    const { data: targetUserProfile, error: targetError } = await supabase
-      .from('profiles')
-      .select('organization_id')
-      .eq('id', userId)
-      .single();
+    const targetUser = await loadAssignmentUser(res, req.access, userId);
+    if (!targetUser) return;
 
-    if (targetError) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      assignments: await loadAssignments(userId)
+    });
+  } catch (err) {
+    console.error('Clinical assignments fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Assign a user to one more trial (clinical_trial_id, optional trial_role)
+app.post('/api/users/:userId/clinical-assignments', authorize('users.manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { clinical_trial_id: clinicalTrialId, trial_role } = req.body;
+
+    const targetUser = await loadAssignmentUser(res, req.access, userId);
+    if (!targetUser) return;
+
+    if (!clinicalTrialId) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'clinical_trial_id is required'
       });
     }
 
-    // Check permissions: only admins can see assignments for users in their organization
-    if (currentUserProfile.role !== 'admin' || targetUserProfile.organization_id !== currentUserProfile.organization_id) {
-      return res.status(403).json({
+    const trialRole = parseTrialRole(trial_role, targetUser.role);
+    if (trialRole.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: trialRole.error
+      });
+    }
+
+    if (!(await checkCanAssign(res, req.access, targetUser, trialRole.value))) return;
+
+    const { data: trial } = await supabase
+      .from('clinical_trials')
+      .select('id')
+      .eq('id', clinicalTrialId)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!trial) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial ID'
       });
     }
 
-    // Get clinical trial assignment
-    const { data: assignment, error: assignmentError } = await supabase
+    const { data: assignment, error } = await supabase
       .from('user_clinical_assignments')
-      .select(`
-        id,
-        clinical_trial_id,
-        clinical_trials (
-          id,
-          name
-        )
-      `)
+      .insert({
+        user_id: userId,
+        clinical_trial_id: trial.id,
+        organization_id: req.access.organizationId,
+        trial_role: trialRole.value,
+        assigned_by: req.user.userId
+      })
+      .select(ASSIGNMENT_SELECT)
+      .single();
+
+    if (error && error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already assigned to the clinical trial'
+      });
+    }
+
+    if (error) {
+      console.error('Assignment insert error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create assignment'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'clinical_assignment',
+      entityId: userId,
+      action: 'create',
+      organizationId: req.access.organizationId,
+      after: assignment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clinical trial assignment added successfully',
+      assignment: formatAssignment(assignment)
+    });
+  } catch (err) {
+    console.error('Clinical assignment create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Change the user's role on one trial (trial_role; null for their own role)
+app.put('/api/users/:userId/clinical-assignments/:trialId', authorize('users.manage'), async (req, res) => {
+  try {
+    const { userId, trialId } = req.params;
+
+    const targetUser = await loadAssignmentUser(res, req.access, userId);
+    if (!targetUser) return;
+
+    const trialRole = parseTrialRole(req.body.trial_role, targetUser.role);
+    if (trialRole.error) {
+      return res.status(400).json({
+        success: false,
+        message: trialRole.error
+      });
+    }
+
+    if (!(await checkCanAssign(res, req.access, targetUser, trialRole.value))) return;
+
+    const { data: before } = await supabase
+      .from('user_clinical_assignments')
+      .select(ASSIGNMENT_SELECT)
       .eq('user_id', userId)
+      .eq('clinical_trial_id', trialId)
       .maybeSingle();
 
-    if (assignmentError) {
-      console.error('Assignment query error:', assignmentError);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const { data: assignment, error } = await supabase
+      .from('user_clinical_assignments')
+      .update({ trial_role: trialRole.value })
+      .eq('id', before.id)
+      .select(ASSIGNMENT_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Assignment update error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch assignment',
-        error: assignmentError.message
+        message: 'Failed to update assignment'
       });
     }
 
+    await recordAudit(req, {
+      entityType: 'clinical_assignment',
+      entityId: userId,
+      action: 'update',
+      organizationId: req.access.organizationId,
+      before,
+      after: assignment
+    });
+
     res.json({
       success: true,
-      assignment: assignment ? {
-        id: assignment.id,
-        clinical_trial_id: assignment.clinical_trial_id,
-        trial_name: assignment.clinical_trials?.name || null
-      } : null
+      message: 'Clinical trial assignment updated successfully',
+      assignment: formatAssignment(assignment)
     });
   } catch (err) {
-    console.error('Clinical assignment fetch error:', err);
+    console.error('Clinical assignment update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -997,40 +1477,105 @@ app.get('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
   }
 });
 
-// Update user's clinical trial assignment
-app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req, res) => {
+// Take a user off one trial
+app.delete('/api/users/:userId/clinical-assignments/:trialId', authorize('users.manage'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { clinical_trial_id } = req.body;
-    const currentUserId = req.user.userId;
+    const { userId, trialId } = req.params;
 
-    // Get current user's profile to check permissions
-    const { data: currentUserProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', currentUserId)
-      .single();
+    const targetUser = await loadAssignmentUser(res, req.access, userId);
+    if (!targetUser) return;
 
-    if (profileError) {
-      return res.status(400).json({
+    if (!(await checkCanAssign(res, req.access, targetUser))) return;
+
+    const { data: before } = await supabase
+      .from('user_clinical_assignments')
+      .select(ASSIGNMENT_SELECT)
+      .eq('user_id', userId)
+      .eq('clinical_trial_id', trialId)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to get user profile',
-        error: profileError.message
+        message: 'Assignment not found'
       });
     }
 
-    // Only admins can update assignments
-    if (currentUserProfile.role !== 'admin') {
-      return res.status(403).json({
+    const { error, count } = await supabase
+      .from('user_clinical_assignments')
+      .delete({ count: 'exact' })
+      .eq('id', before.id);
+
+    if (error) {
+      console.error('Assignment delete error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Only admins can update clinical trial assignments'
+        message: 'Failed to remove assignment'
       });
     }
 
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'clinical_assignment',
+      entityId: userId,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Clinical trial assignment removed successfully'
+    });
+  } catch (err) {
+    console.error('Clinical assignment delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// The first of a user's trial assignments, for older clients (users.view)
+app.get('/api/users/:userId/clinical-assignment', authorize('users.view'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const targetUser = await loadAssignmentUser(res, req.access, userId);
+    if (!targetUser) return;
+
+    const assignments = await loadAssignments(userId);
+
+    res.json({
+      success: true,
+      assignment: assignments[0] || null,
+      assignments
+    });
+  } catch (err) {
+    console.error('Clinical assignment fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Replace all of a user's trial assignments with one (or none), for older
+// clients; /clinical-assignments adds and removes single trials
+app.put('/api/users/:userId/clinical-assignment', authorize('users.manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { clinical_trial_id } = req.body;
     // Get target user's profile
     const { data: targetUserProfile, error: targetError } = await supabase
       .from('profiles')
-      .select('organization_id')
+      .select('organization_id, permission_role')
       .eq('id', userId)
       .single();
 
@@ -1042,20 +1587,22 @@ app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
     }
 
     // Check that target user is in the same organization
-    if (targetUserProfile.organization_id !== currentUserProfile.organization_id) {
+    if (targetUserProfile.organization_id !== req.access.organizationId) {
       return res.status(403).json({
         success: false,
         message: 'Cannot modify users from different organizations'
       });
     }
 
+    if (!(await checkCanAssign(res, req.access, targetUserProfile))) return;
+
     // Validate clinical_trial_id if provided
     if (clinical_trial_id) {
       const { data: trial, error: trialError } = await supabase
         .from('clinical_trials')
         .select('id, organization_id')
         .eq('id', clinical_trial_id)
-        .eq('organization_id', currentUserProfile.organization_id)
+        .eq('organization_id', req.access.organizationId)
         .single();
 
       if (trialError || !trial) {
@@ -1066,10 +1613,16 @@ app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
       }
     }
 
+    const { data: previousAssignments } = await supabase
+      .from('user_clinical_assignments')
+      .select('*')
+      .eq('user_id', userId);
+    const before = previousAssignments && previousAssignments.length > 0 ? previousAssignments : null;
+
     // Remove existing assignment for this user
-    await supabase
+    const { count: removedCount } = await supabase
       .from('user_clinical_assignments')
-      .delete()
+      .delete({ count: 'exact' })
       .eq('user_id', userId);
 
     // Create new assignment if clinical_trial_id is provided
@@ -1079,7 +1632,8 @@ app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
         .insert({
           user_id: userId,
           clinical_trial_id: clinical_trial_id,
-          organization_id: currentUserProfile.organization_id
+          organization_id: req.access.organizationId,
+          assigned_by: req.user.userId
         })
         .select()
         .single();
@@ -1093,12 +1647,31 @@ app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
         });
       }
 
+      await recordAudit(req, {
+        entityType: 'clinical_assignment',
+        entityId: userId,
+        action: 'update',
+        organizationId: req.access.organizationId,
+        before,
+        after: newAssignment
+      });
+
       res.json({
         success: true,
         message: 'Clinical trial assignment updated successfully',
         assignment: newAssignment
       });
     } else {
+      if (removedCount > 0) {
+        await recordAudit(req, {
+          entityType: 'clinical_assignment',
+          entityId: userId,
+          action: 'delete',
+          organizationId: req.access.organizationId,
+          before
+        });
+      }
+
       res.json({
         success: true,
         message: 'Clinical trial assignment removed successfully'
@@ -1114,78 +1687,53 @@ app.put('/api/users/:userId/clinical-assignment', authenticateToken, async (req,
 });
 
 // ============================================================================
-// ===== CLINICAL TRIALS MANAGEMENT =====
+// ===== SITE STAFF =====
 // ============================================================================
 
-// Get clinical trials for the authenticated user
-app.get('/api/clinical-trials', authenticateToken, async (req, res) => {
+// Get the hospitals (sites) a user works at
+app.get('/api/users/:userId/hospitals', authorize(), async (req, res) => {
   try {
-    console.log('📨 GET /api/clinical-trials - Starting request');
-
-    // Get user's organization
-    const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id')
-      .eq('id', userId)
-      .single();
+    const { userId } = req.params;
+    const currentUserId = req.user.userId;
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
-      return res.status(400).json({
+    // Users can see their own sites; users.view anyone's in their organization
+    if (currentUserId !== userId && !req.access.can('users.view')) {
+      return res.status(403).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Access denied'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-
-    // Query the existing clinical_trials table (filtered by organization)
-    console.log('📨 Executing query for clinical trials in organization:', organizationId);
     const { data, error } = await supabase
-      .from('clinical_trials')
-      .select('id, name, description, created_at')
-      .eq('organization_id', organizationId)
-      .order('created_at', { ascending: false });
+      .from('profile_hospitals')
+      .select(`
+        hospital_id,
+        hospitals (
+          hospital_name,
+          location
+        )
+      `)
+      .eq('profile_id', userId)
+      .eq('organization_id', req.access.organizationId);
 
     if (error) {
-      console.error('📨 Supabase query error:', error);
-      console.error('📨 Error details:', {
-        code: error.code,
-        details: error.details,
-        hint: error.hint,
-        message: error.message
-      });
+      console.error('Profile hospitals query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch clinical trials',
-        error: error.message,
-        hint: error.hint
+        message: 'Failed to fetch user hospitals'
       });
     }
 
-    console.log('📨 Query successful, found', data ? data.length : 0, 'clinical trials');
-    if (data && data.length > 0) {
-      console.log('📨 First trial:', data[0]);
-    }
-
-    // Map database columns to frontend expected format
-    const formattedTrials = (data || []).map(trial => ({
-      id: trial.id,
-      trial_name: trial.name, // Map 'name' to 'trial_name'
-      description: trial.description,
-      status: 'Active', // Default status since not in DB
-      start_date: null, // Not in DB
-      end_date: null, // Not in DB
-      created_at: trial.created_at
-    }));
-
     res.json({
       success: true,
-      trials: formattedTrials
+      hospitals: (data || []).map(link => ({
+        id: link.hospital_id,
+        name: link.hospitals?.hospital_name || null,
+        location: link.hospitals?.location || null
+      }))
     });
   } catch (err) {
-    console.error('Clinical trials fetch error:', err);
+    console.error('User hospitals fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1193,84 +1741,112 @@ app.get('/api/clinical-trials', authenticateToken, async (req, res) => {
   }
 });
 
-// Create clinical trial (Admin only)
-app.post('/api/clinical-trials', authenticateToken, async (req, res) => {
+// Replace the hospitals (sites) a user works at (users.manage)
+app.put('/api/users/:userId/hospitals', authorize('users.manage'), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { name, description, isActive } = req.body;
+    const { userId } = req.params;
+    const { hospitalIds } = req.body;
 
-    if (!name) {
+    if (!Array.isArray(hospitalIds)) {
       return res.status(400).json({
         success: false,
-        message: 'Trial name is required'
+        message: 'hospitalIds must be an array'
       });
     }
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
+    const { organizationId } = req.access;
+
+    const { data: targetUserProfile } = await supabase
       .from('profiles')
-      .select('organization_id, role')
+      .select('organization_id')
       .eq('id', userId)
-      .single();
+      .maybeSingle();
 
-    if (profileError) {
-      return res.status(400).json({
+    if (!targetUserProfile || targetUserProfile.organization_id !== organizationId) {
+      return res.status(404).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'User not found'
       });
     }
 
-    // Allow admins and users to create trials (temporarily relaxed for testing)
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to create clinical trials'
-      });
+    const uniqueHospitalIds = [...new Set(hospitalIds)];
+    if (uniqueHospitalIds.length > 0) {
+      const { data: hospitals, error: hospitalsError } = await supabase
+        .from('hospitals')
+        .select('id')
+        .in('id', uniqueHospitalIds)
+        .eq('organization_id', organizationId);
+
+      if (hospitalsError || hospitals.length !== uniqueHospitalIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more hospitals are invalid'
+        });
+      }
     }
 
-    const insertData = {
-      organization_id: userProfile.organization_id,
-      name,
-      description,
-      is_active: isActive !== undefined ? isActive : true,
-      created_by: userId
-    };
+    const { data: before } = await supabase
+      .from('profile_hospitals')
+      .select('hospital_id')
+      .eq('profile_id', userId);
 
-    const { data, error } = await supabase
-      .from('clinical_trials')
-      .insert([insertData])
-      .select(`
-        id,
-        name,
-        description,
-        is_active,
-        created_at,
-        organizations (
-          id,
-          name
-        )
-      `)
-      .single();
+    // Only touch the links that change: leaving a site also takes the user
+    // out of its message threads (see 2026-10-18-site-scoping.sql)
+    const currentHospitalIds = (before || []).map(link => link.hospital_id);
+    const removedHospitalIds = currentHospitalIds.filter(hospitalId => !uniqueHospitalIds.includes(hospitalId));
+    const addedHospitalIds = uniqueHospitalIds.filter(hospitalId => !currentHospitalIds.includes(hospitalId));
 
-    if (error) {
-      console.error('Supabase insert error:', error.message);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to create clinical trial'
-      });
+    if (removedHospitalIds.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('profile_hospitals')
+        .delete()
+        .eq('profile_id', userId)
+        .eq('organization_id', organizationId)
+        .in('hospital_id', removedHospitalIds);
+
+      if (deleteError) {
+        console.error('Profile hospitals delete error:', deleteError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update user hospitals'
+        });
+      }
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Created clinical trial: ${data.id}`);
+    if (addedHospitalIds.length > 0) {
+      const { error: insertError } = await supabase
+        .from('profile_hospitals')
+        .insert(addedHospitalIds.map(hospitalId => ({
+          organization_id: organizationId,
+          profile_id: userId,
+          hospital_id: hospitalId
+        })));
+
+      if (insertError) {
+        console.error('Profile hospitals insert error:', insertError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update user hospitals'
+        });
+      }
     }
 
-    res.json({
+    await recordAudit(req, {
+      entityType: 'profile_hospitals',
+      entityId: userId,
+      action: 'update',
+      organizationId,
+      before: { hospital_ids: [...currentHospitalIds].sort() },
+      after: { hospital_ids: [...uniqueHospitalIds].sort() }
+    });
+
+    res.json({
       success: true,
-      message: 'Clinical trial created successfully',
-      trial: data
+      message: 'User hospitals updated successfully',
+      hospitalIds: uniqueHospitalIds
     });
   } catch (err) {
-    console.error('Clinical trial creation error:', err);
+    console.error('User hospitals update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1278,77 +1854,96 @@ app.post('/api/clinical-trials', authenticateToken, async (req, res) => {
   }
 });
 
-// Update clinical trial
-app.put('/api/clinical-trials/:id', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const { id } = req.params;
-    const { name, description, isActive } = req.body;
+// ============================================================================
+// ===== MOBILE SESSIONS =====
+// ============================================================================
 
-    console.log('📨 PUT /api/clinical-trials/:id - Received:', { id, name, description, isActive, userId });
+// Shared access check: users manage their own devices, users.manage anyone's in their organization.
+// Returns the organization id, or null after sending the error response.
+const resolveMobileSessionOwner = async (req, res, userId) => {
+  const { organizationId } = req.access;
 
-    if (!name) {
-      console.log('❌ PUT /api/clinical-trials/:id - Trial name is empty or undefined');
-      return res.status(400).json({
-        success: false,
-        message: 'Trial name is required'
-      });
-    }
+  if (req.user.userId !== userId && !req.access.can('users.manage')) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
 
-    // Verify user has a profile and can update trials
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+  const { data: targetUserProfile } = await supabase
+    .from('profiles')
+    .select('organization_id')
+    .eq('id', userId)
+    .maybeSingle();
 
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'User profile not found. Please contact an administrator.'
-      });
-    }
+  if (!targetUserProfile || targetUserProfile.organization_id !== organizationId) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
 
-    // Allow admins and users to update trials
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update clinical trials'
-      });
-    }
+  return organizationId;
+};
 
-    const updateData = {
-      name,
-      description,
-      is_active: isActive !== undefined ? isActive : true
-    };
+const formatMobileSession = (session) => ({
+  id: session.id,
+  deviceName: session.device_name,
+  userAgent: session.user_agent,
+  ipAddress: session.ip_address,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  revokedAt: session.revoked_at,
+  revokedReason: session.revoked_reason,
+  active: !session.revoked_at && new Date(session.expires_at) > new Date()
+});
 
-    const { data, error } = await supabase
-      .from('clinical_trials')
-      .update(updateData)
-      .eq('id', id)
+// A signed-out device stops receiving pushes until it registers again
+const disableSessionPushDevices = async (sessionIds) => {
+  if (sessionIds.length === 0) return;
+  const { error } = await (supabaseAdmin || supabase)
+    .from('push_devices')
+    .update({ disabled_at: new Date().toISOString(), disabled_reason: 'signed_out' })
+    .in('mobile_session_id', sessionIds)
+    .is('disabled_at', null);
+
+  if (error) console.error('Failed to disable push devices for signed-out sessions:', error.message);
+};
+
+// List the mobile devices a user is (or was) signed in on
+app.get('/api/users/:userId/mobile-sessions', authorize(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const organizationId = await resolveMobileSessionOwner(req, res, userId);
+    if (!organizationId) return;
+
+    const { data, error } = await supabaseAdmin
+      .from('mobile_sessions')
       .select('*')
-      .single();
+      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
 
     if (error) {
-      console.error('Supabase update error:', error.message);
+      console.error('Mobile sessions query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to update clinical trial'
+        message: 'Failed to fetch mobile sessions'
       });
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Updated clinical trial: ${data.id}`);
-    }
+    const sessions = (data || []).map(formatMobileSession);
 
     res.json({
       success: true,
-      message: 'Clinical trial updated successfully',
-      trial: data
+      sessions,
+      activeSessions: sessions.filter(s => s.active).length
     });
   } catch (err) {
-    console.error('Clinical trial update error:', err.message);
+    console.error('Mobile sessions fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1356,30 +1951,76 @@ app.put('/api/clinical-trials/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete clinical trial
-app.delete('/api/clinical-trials/:id', async (req, res) => {
+// Sign out one mobile device (e.g. a lost phone); its tokens stop working immediately
+app.delete('/api/users/:userId/mobile-sessions/:sessionId', authorize(), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { userId, sessionId } = req.params;
+    const organizationId = await resolveMobileSessionOwner(req, res, userId);
+    if (!organizationId) return;
 
-    const { error } = await supabase
-      .from('clinical_trials')
-      .delete()
-      .eq('id', id);
+    const { data: session, error } = await supabaseAdmin
+      .from('mobile_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
 
-    if (error) {
-      return res.status(400).json({
+    if (error || !session) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to delete clinical trial',
-        error: error.message
+        message: 'Mobile session not found'
+      });
+    }
+
+    if (session.revoked_at) {
+      return res.json({
+        success: true,
+        message: 'Mobile session already signed out',
+        session: formatMobileSession(session)
+      });
+    }
+
+    const { data: revoked, error: revokeError } = await supabaseAdmin
+      .from('mobile_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: req.user.userId,
+        revoked_reason: req.user.userId === userId ? 'logout' : 'admin'
+      })
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (revokeError) {
+      console.error('Mobile session revoke error:', revokeError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sign out mobile session'
       });
     }
 
+    await disableSessionPushDevices([sessionId]);
+
+    await recordAudit(req, {
+      entityType: 'mobile_session',
+      entityId: sessionId,
+      action: 'revoke',
+      organizationId,
+      // Formatted so refresh token hashes stay out of the audit log
+      before: formatMobileSession(session),
+      after: formatMobileSession(revoked)
+    });
+
+    console.log(`📵 Mobile session ${sessionId} for user ${userId} revoked`);
+
     res.json({
       success: true,
-      message: 'Clinical trial deleted successfully'
+      message: 'Mobile session signed out',
+      session: formatMobileSession(revoked)
     });
   } catch (err) {
-    console.error('Clinical trial deletion error:', err);
+    console.error('Mobile session revoke error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1387,74 +2028,52 @@ app.delete('/api/clinical-trials/:id', async (req, res) => {
   }
 });
 
-// ============================================================================
-// ===== CONTENT MANAGEMENT ENDPOINTS =====
-// ============================================================================
-
-// ===== ENROLLMENTS =====
-
-// Get enrollments for user's accessible trials
-app.get('/api/enrollments', authenticateToken, async (req, res) => {
+// Sign a user out of every mobile device
+app.delete('/api/users/:userId/mobile-sessions', authorize(), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const { userId } = req.params;
+    const organizationId = await resolveMobileSessionOwner(req, res, userId);
+    if (!organizationId) return;
 
-    // Get user's accessible trial IDs
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
+    const { data: revoked, error } = await supabaseAdmin
+      .from('mobile_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: req.user.userId,
+        revoked_reason: req.user.userId === userId ? 'logout' : 'admin'
+      })
+      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
+      .is('revoked_at', null)
+      .select('id');
 
-    if (trialsError) {
-      console.error('Accessible trials error:', trialsError);
+    if (error) {
+      console.error('Mobile sessions revoke error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to get accessible trials'
-      });
-    }
-
-    const trialIds = accessibleTrials.map(t => t.id);
-
-    if (trialIds.length === 0) {
-      return res.json({
-        success: true,
-        enrollments: []
+        message: 'Failed to sign out mobile sessions'
       });
     }
 
-    const { data, error } = await supabase
-      .from('enrollments')
-      .select(`
-        id,
-        participant_name,
-        enrollment_date,
-        notes,
-        storage_path,
-        created_at,
-        updated_at,
-        clinical_trials (
-          id,
-          name
-        ),
-        profiles (
-          id,
-          display_name
-        )
-      `)
-      .in('clinical_trial_id', trialIds)
-      .order('enrollment_date', { ascending: false });
+    await disableSessionPushDevices((revoked || []).map(s => s.id));
 
-    if (error) {
-      console.error('Enrollments query error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch enrollments'
+    if ((revoked || []).length > 0) {
+      await recordAudit(req, {
+        entityType: 'mobile_session',
+        entityId: userId,
+        action: 'revoke_all',
+        organizationId,
+        after: { session_ids: revoked.map(s => s.id) }
       });
     }
 
     res.json({
       success: true,
-      enrollments: data || []
+      message: 'Mobile sessions signed out',
+      revokedSessions: (revoked || []).length
     });
   } catch (err) {
-    console.error('Enrollments fetch error:', err);
+    console.error('Mobile sessions revoke error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1462,86 +2081,105 @@ app.get('/api/enrollments', authenticateToken, async (req, res) => {
   }
 });
 
-// Create enrollment
-app.post('/api/enrollments', authenticateToken, async (req, res) => {
+// ============================================================================
+// ===== REGISTRATION REQUESTS =====
+// ============================================================================
+
+// Email the applicant the outcome; a mail failure doesn't undo the decision
+const notifyRegistrationDecision = async (request, decision) => {
   try {
-    const userId = req.user.userId;
-    const { clinicalTrialId, participantName, enrollmentDate, notes, storagePath } = req.body;
+    const result = await notifications.send(`registration_${decision}`, {
+      to: request.email,
+      organizationId: request.organization_id,
+      userId: request.profile_id,
+      data: {
+        firstName: request.first_name,
+        lastName: request.last_name,
+        email: request.email,
+        reason: request.rejection_reason
+      },
+      createdBy: request.reviewed_by
+    });
+    return result.status === 'sent';
+  } catch (err) {
+    console.error(`Failed to email registration ${decision} to ${request.email}:`, err);
+    return false;
+  }
+};
 
-    if (!clinicalTrialId || !participantName || !enrollmentDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Clinical trial ID, participant name, and enrollment date are required'
-      });
-    }
+// The pending request the caller may decide, or null after sending the error response
+const loadPendingRegistration = async (req, res) => {
+  const { data: request, error } = await supabase
+    .from('registration_requests')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('organization_id', req.access.organizationId)
+    .maybeSingle();
+
+  if (error || !request) {
+    res.status(404).json({
+      success: false,
+      message: 'Registration request not found'
+    });
+    return null;
+  }
 
-    // Get user's organization
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+  if (request.status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      message: `Registration request has already been ${request.status}`
+    });
+    return null;
+  }
 
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to get user profile'
-      });
-    }
+  return request;
+};
 
-    // Check if user has access to this trial
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
+// List registration requests (registrations.review); ?status=pending|approved|rejected|all, default pending
+app.get('/api/registration-requests', authorize('registrations.review'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
 
-    if (trialsError || !accessibleTrials.some(t => t.id === clinicalTrialId)) {
-      return res.status(403).json({
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied: You do not have access to this clinical trial'
+        message: 'status must be pending, approved, rejected or all'
       });
     }
 
-    const insertData = {
-      organization_id: userProfile.organization_id,
-      clinical_trial_id: clinicalTrialId,
-      participant_name: participantName,
-      enrollment_date: enrollmentDate,
-      notes,
-      storage_path: storagePath,
-      created_by: userId
-    };
-
-    const { data, error } = await supabase
-      .from('enrollments')
-      .insert([insertData])
+    let query = supabase
+      .from('registration_requests')
       .select(`
-        id,
-        participant_name,
-        enrollment_date,
-        notes,
-        storage_path,
-        created_at,
+        *,
+        hospitals (
+          hospital_name
+        ),
         clinical_trials (
-          id,
           name
         )
       `)
-      .single();
+      .eq('organization_id', req.access.organizationId);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: status === 'pending' });
 
     if (error) {
-      console.error('Enrollment creation error:', error);
+      console.error('Registration requests query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to create enrollment'
+        message: 'Failed to fetch registration requests'
       });
     }
 
     res.json({
       success: true,
-      message: 'Enrollment created successfully',
-      enrollment: data
+      requests: (data || []).map(formatRegistrationRequest)
     });
   } catch (err) {
-    console.error('Enrollment creation error:', err);
+    console.error('Registration requests fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1549,69 +2187,190 @@ app.post('/api/enrollments', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== NEWS UPDATES =====
-
-// Get news updates for user's accessible trials
-app.get('/api/news-updates', authenticateToken, async (req, res) => {
+// Approve a registration: creates the auth user, profile, trial assignment and site link.
+// role, clinicalTrialId and hospitalId override what the applicant asked for.
+app.post('/api/registration-requests/:id/approve', authorize('registrations.review'), async (req, res) => {
   try {
-    const userId = req.user.userId;
-
-    // Get user's accessible trial IDs
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
+    const request = await loadPendingRegistration(req, res);
+    if (!request) return;
+    const { organizationId } = req.access;
 
-    if (trialsError) {
-      console.error('Accessible trials error:', trialsError);
+    if (!supabaseAdmin) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to get accessible trials'
+        message: 'Admin operations not available. Service role key required.'
       });
     }
 
-    const trialIds = accessibleTrials.map(t => t.id);
+    const role = profileRoleFor(request.requested_role, req.body.role);
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
 
-    if (trialIds.length === 0) {
-      return res.json({
-        success: true,
-        news_updates: []
+    if (!(await canGrantRole(req.access, role))) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to give users the ${ROLES[role].label} role`
       });
     }
+    const clinicalTrialId = req.body.clinicalTrialId !== undefined ? req.body.clinicalTrialId : request.clinical_trial_id;
+    const hospitalId = req.body.hospitalId !== undefined ? req.body.hospitalId : request.hospital_id;
 
-    const { data, error } = await supabase
-      .from('news_updates')
-      .select(`
-        id,
-        title,
-        body,
-        published_at,
-        storage_path,
-        created_at,
-        clinical_trials (
-          id,
-          name
-        ),
-        profiles (
-          id,
-          display_name
-        )
-      `)
-      .in('clinical_trial_id', trialIds)
-      .order('published_at', { ascending: false });
+    // Checked before anything is created: the profile helper only finds an
+    // unknown trial after the profile exists
+    if (clinicalTrialId) {
+      const { data: trial } = await supabase
+        .from('clinical_trials')
+        .select('id')
+        .eq('id', clinicalTrialId)
+        .eq('organization_id', organizationId)
+        .maybeSingle();
 
-    if (error) {
-      console.error('News updates query error:', error);
+      if (!trial) {
+        return res.status(400).json({
+          success: false,
+          message: 'Clinical trial not found in your organization'
+        });
+      }
+    }
+
+    if (hospitalId) {
+      const { data: hospital } = await supabase
+        .from('hospitals')
+        .select('id')
+        .eq('id', hospitalId)
+        .eq('organization_id', organizationId)
+        .maybeSingle();
+
+      if (!hospital) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital not found in your organization'
+        });
+      }
+    }
+
+    const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
+      email: request.email,
+      email_confirm: true,
+      user_metadata: { name: `${request.first_name} ${request.last_name}` }
+    });
+
+    if (authError) {
+      console.error('Registration auth user error:', authError);
+      return res.status(409).json({
+        success: false,
+        message: 'Could not create an account for this email address',
+        error: authError.message
+      });
+    }
+
+    const newUserId = authData.user.id;
+
+    const { data: result, error: helperError } = await (supabaseAdmin || supabase)
+      .rpc('create_profile_and_assignments', {
+        admin_user_id: req.user.userId,
+        new_user_auth_id: newUserId,
+        new_user_role: ROLES[role].baseRole,
+        selected_clinical_trial_id: clinicalTrialId || null
+      });
+
+    const resultData = typeof result === 'string' ? JSON.parse(result) : result;
+
+    if (helperError || !resultData?.success) {
+      console.error('Registration profile error:', helperError || resultData);
+      // Remove the auth user so the request can be approved again
+      await supabaseAdmin.auth.admin.deleteUser(newUserId);
+      return res.status(400).json({
+        success: false,
+        message: resultData?.error || 'Failed to create user profile'
+      });
+    }
+
+    const { error: profileUpdateError } = await (supabaseAdmin || supabase)
+      .from('profiles')
+      .update({ email: request.email.toLowerCase(), status: 'approved', permission_role: role })
+      .eq('id', newUserId);
+
+    if (profileUpdateError) {
+      console.error('Registration profile update error:', profileUpdateError);
+    }
+
+    if (hospitalId) {
+      const { error: siteError } = await supabase
+        .from('profile_hospitals')
+        .insert({
+          organization_id: organizationId,
+          profile_id: newUserId,
+          hospital_id: hospitalId
+        });
+
+      if (siteError) {
+        console.error('Registration site link error:', siteError);
+      }
+    }
+
+    const { data: approvedRows, error: updateError } = await supabase
+      .from('registration_requests')
+      .update({
+        status: 'approved',
+        reviewed_by: req.user.userId,
+        reviewed_at: new Date().toISOString(),
+        profile_id: newUserId
+      })
+      .eq('id', request.id)
+      .eq('status', 'pending')
+      .select();
+
+    if (updateError) {
+      console.error('Registration request update error:', updateError);
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch news updates'
+        message: 'User created but the registration request could not be updated'
+      });
+    }
+
+    // Rejected by another reviewer while this approval ran: undo the account
+    if (approvedRows.length === 0) {
+      await supabaseAdmin.auth.admin.deleteUser(newUserId);
+      return res.status(409).json({
+        success: false,
+        message: 'Registration request was reviewed by someone else in the meantime'
       });
     }
+    const approved = approvedRows[0];
+
+    await recordAudit(req, {
+      entityType: 'registration_request',
+      entityId: request.id,
+      action: 'approve',
+      organizationId: organizationId,
+      before: request,
+      after: approved
+    });
+
+    const notified = await notifyRegistrationDecision(approved, 'approved');
+
+    console.log(`✅ Approved registration for ${request.email}`);
 
     res.json({
       success: true,
-      news_updates: data || []
+      message: 'Registration approved',
+      request: formatRegistrationRequest(approved),
+      user: {
+        id: newUserId,
+        email: request.email,
+        role: ROLES[role].baseRole,
+        permission_role: role,
+        trial_assigned: resultData.trial_assigned
+      },
+      notified
     });
   } catch (err) {
-    console.error('News updates fetch error:', err);
+    console.error('Registration approval error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1619,86 +2378,68 @@ app.get('/api/news-updates', authenticateToken, async (req, res) => {
   }
 });
 
-// Create news update
-app.post('/api/news-updates', authenticateToken, async (req, res) => {
+// Reject a registration with a reason that is sent to the applicant
+app.post('/api/registration-requests/:id/reject', authorize('registrations.review'), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { clinicalTrialId, title, body, storagePath } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-    if (!clinicalTrialId || !title || !body) {
+    if (!reason) {
       return res.status(400).json({
         success: false,
-        message: 'Clinical trial ID, title, and body are required'
+        message: 'A rejection reason is required'
       });
     }
 
-    // Get user's organization
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const request = await loadPendingRegistration(req, res);
+    if (!request) return;
 
-    if (profileError) {
-      return res.status(400).json({
+    const { data: rejectedRows, error } = await supabase
+      .from('registration_requests')
+      .update({
+        status: 'rejected',
+        rejection_reason: reason,
+        reviewed_by: req.user.userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', request.id)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) {
+      console.error('Registration rejection error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Failed to reject registration'
       });
     }
 
-    // Check if user has access to this trial
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
-
-    if (trialsError || !accessibleTrials.some(t => t.id === clinicalTrialId)) {
-      return res.status(403).json({
+    if (rejectedRows.length === 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Access denied: You do not have access to this clinical trial'
+        message: 'Registration request was reviewed by someone else in the meantime'
       });
     }
+    const rejected = rejectedRows[0];
 
-    const insertData = {
-      organization_id: userProfile.organization_id,
-      clinical_trial_id: clinicalTrialId,
-      title,
-      body,
-      storage_path: storagePath,
-      created_by: userId,
-      published_at: new Date().toISOString()
-    };
-
-    const { data, error } = await supabase
-      .from('news_updates')
-      .insert([insertData])
-      .select(`
-        id,
-        title,
-        body,
-        published_at,
-        storage_path,
-        created_at,
-        clinical_trials (
-          id,
-          name
-        )
-      `)
-      .single();
+    await recordAudit(req, {
+      entityType: 'registration_request',
+      entityId: request.id,
+      action: 'reject',
+      organizationId: req.access.organizationId,
+      before: request,
+      after: rejected
+    });
 
-    if (error) {
-      console.error('News update creation error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to create news update'
-      });
-    }
+    const notified = await notifyRegistrationDecision(rejected, 'rejected');
 
     res.json({
       success: true,
-      message: 'News update created successfully',
-      news_update: data
+      message: 'Registration rejected',
+      request: formatRegistrationRequest(rejected),
+      notified
     });
   } catch (err) {
-    console.error('News update creation error:', err);
+    console.error('Registration rejection error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1706,68 +2447,83 @@ app.post('/api/news-updates', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== TRAINING MATERIALS =====
+// ============================================================================
+// ===== PERMISSIONS =====
+// ============================================================================
 
-// Temporarily moved authenticated endpoint to /api/training-materials/auth
-app.get('/api/training-materials/auth', authenticateToken, async (req, res) => {
+const formatCapabilityCatalogue = () =>
+  Object.entries(CAPABILITIES).map(([capability, description]) => ({ capability, description }));
+
+// The named roles with this organization's capabilities, the capability
+// catalogue, and the caller's own role and capabilities (for hiding controls)
+app.get('/api/permissions', authorize(), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    res.json({
+      success: true,
+      role: req.access.role,
+      capabilities: req.access.capabilities,
+      roles: await permissions.listRoles(req.access.organizationId),
+      catalogue: formatCapabilityCatalogue()
+    });
+  } catch (err) {
+    console.error('Permissions fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-    // Get user's accessible trial IDs
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
+// Replace a role's capabilities for the organization. Body: capabilities.
+// Nobody can hand out capabilities they don't have themselves
+app.put('/api/permissions/roles/:role', authorize('permissions.manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { organizationId } = req.access;
 
-    if (trialsError) {
-      console.error('Accessible trials error:', trialsError);
-      return res.status(500).json({
+    if (!ROLES[role]) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to get accessible trials'
+        message: `Unknown role. Must be one of: ${ROLE_NAMES.join(', ')}`
       });
     }
 
-    const trialIds = accessibleTrials.map(t => t.id);
-
-    if (trialIds.length === 0) {
-      return res.json({
-        success: true,
-        training_materials: []
+    const parsed = parseCapabilities(role, req.body.capabilities);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
       });
     }
 
-    const { data, error } = await supabase
-      .from('training_materials')
-      .select(`
-        id,
-        title,
-        description,
-        storage_path,
-        created_at,
-        clinical_trials (
-          id,
-          name
-        ),
-        profiles (
-          id,
-          display_name
-        )
-      `)
-      .in('clinical_trial_id', trialIds)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Training materials query error:', error);
-      return res.status(500).json({
+    const notHeld = parsed.values.filter(capability => !req.access.can(capability));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
         success: false,
-        message: 'Failed to fetch training materials'
+        message: `You cannot grant capabilities you don't have: ${notHeld.join(', ')}`
       });
     }
 
+    const before = (await permissions.listRoles(organizationId)).find(r => r.role === role);
+    await permissions.setRoleCapabilities(organizationId, role, parsed.values, req.user.userId);
+    const after = (await permissions.listRoles(organizationId)).find(r => r.role === role);
+
+    await recordAudit(req, {
+      entityType: 'role_permissions',
+      entityId: role,
+      action: 'update',
+      organizationId,
+      before,
+      after
+    });
+
     res.json({
       success: true,
-      training_materials: data || []
+      message: 'Role permissions updated successfully',
+      role: after
     });
   } catch (err) {
-    console.error('Training materials fetch error:', err);
+    console.error('Role permissions update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1775,68 +2531,47 @@ app.get('/api/training-materials/auth', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== STUDY PROTOCOLS =====
-
-// Get study protocols for user's accessible trials
-app.get('/api/study-protocols/auth', authenticateToken, async (req, res) => {
+// Put a role back on its default capabilities
+app.delete('/api/permissions/roles/:role', authorize('permissions.manage'), async (req, res) => {
   try {
-    const userId = req.user.userId;
-
-    // Get user's accessible trial IDs
-    const { data: accessibleTrials, error: trialsError } = await supabase
-      .rpc('get_user_accessible_trials', { user_id: userId });
+    const { role } = req.params;
+    const { organizationId } = req.access;
 
-    if (trialsError) {
-      console.error('Accessible trials error:', trialsError);
-      return res.status(500).json({
+    if (!ROLES[role]) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to get accessible trials'
+        message: `Unknown role. Must be one of: ${ROLE_NAMES.join(', ')}`
       });
     }
 
-    const trialIds = accessibleTrials.map(t => t.id);
-
-    if (trialIds.length === 0) {
-      return res.json({
-        success: true,
-        study_protocols: []
+    const notHeld = ROLES[role].capabilities.filter(capability => !req.access.can(capability));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant capabilities you don't have: ${notHeld.join(', ')}`
       });
     }
 
-    const { data, error } = await supabase
-      .from('study_protocols')
-      .select(`
-        id,
-        title,
-        version,
-        storage_path,
-        created_at,
-        clinical_trials (
-          id,
-          name
-        ),
-        profiles (
-          id,
-          display_name
-        )
-      `)
-      .in('clinical_trial_id', trialIds)
-      .order('created_at', { ascending: false });
+    const before = (await permissions.listRoles(organizationId)).find(r => r.role === role);
+    await permissions.resetRole(organizationId, role);
+    const after = (await permissions.listRoles(organizationId)).find(r => r.role === role);
 
-    if (error) {
-      console.error('Study protocols query error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch study protocols'
-      });
-    }
+    await recordAudit(req, {
+      entityType: 'role_permissions',
+      entityId: role,
+      action: 'reset',
+      organizationId,
+      before,
+      after
+    });
 
     res.json({
       success: true,
-      study_protocols: data || []
+      message: 'Role permissions reset to defaults',
+      role: after
     });
   } catch (err) {
-    console.error('Study protocols fetch error:', err);
+    console.error('Role permissions reset error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -1844,224 +2579,194 @@ app.get('/api/study-protocols/auth', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== DASHBOARD ENDPOINTS =====
+// ============================================================================
+// ===== CLINICAL TRIALS MANAGEMENT =====
+// ============================================================================
 
-// Get dashboard statistics
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
+// Get clinical trials for the authenticated user
+app.get('/api/clinical-trials', authorize(), async (req, res) => {
   try {
-    // Get counts from all tables
-    const [
-      { count: totalUsers },
-      { count: pendingApprovals },
-      { count: activeUsers },
-      { count: newsItems }
-    ] = await Promise.all([
-      supabase.from('users').select('*', { count: 'exact', head: true }),
-      supabase.from('users').select('*', { count: 'exact', head: true }).eq('is_active', false),
-      supabase.from('users').select('*', { count: 'exact', head: true }).eq('is_active', true),
-      supabase.from('news_updates').select('*', { count: 'exact', head: true })
-    ]);
+    console.log('📨 GET /api/clinical-trials - Starting request');
+
+    const organizationId = req.access.organizationId;
+
+    // Query the existing clinical_trials table (filtered by organization)
+    console.log('📨 Executing query for clinical trials in organization:', organizationId);
+    const { data, error } = await supabase
+      .from('clinical_trials')
+      .select('id, name, description, created_at')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('📨 Supabase query error:', error);
+      console.error('📨 Error details:', {
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        message: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch clinical trials',
+        error: error.message,
+        hint: error.hint
+      });
+    }
+
+    console.log('📨 Query successful, found', data ? data.length : 0, 'clinical trials');
+    if (data && data.length > 0) {
+      console.log('📨 First trial:', data[0]);
+    }
+
+    // Map database columns to frontend expected format
+    const formattedTrials = (data || []).map(trial => ({
+      id: trial.id,
+      trial_name: trial.name, // Map 'name' to 'trial_name'
+      description: trial.description,
+      status: 'Active', // Default status since not in DB
+      start_date: null, // Not in DB
+      end_date: null, // Not in DB
+      created_at: trial.created_at
+    }));
 
     res.json({
       success: true,
-      totalUsers: totalUsers || 0,
-      pendingApprovals: pendingApprovals || 0,
-      activeUsers: activeUsers || 0,
-      newsItems: newsItems || 0
+      trials: formattedTrials
     });
   } catch (err) {
-    console.error('Dashboard stats error:', err);
+    console.error('Clinical trials fetch error:', err);
     res.status(500).json({
       success: false,
-      message: 'Failed to get dashboard statistics'
+      message: 'An unexpected error occurred'
     });
   }
 });
 
-// ===== NEWS & UPDATES =====
-
-// Debug endpoint to check database tables
-app.get('/api/debug/tables', async (req, res) => {
+// Create clinical trial
+app.post('/api/clinical-trials', authorize('trials.manage'), async (req, res) => {
   try {
-    console.log('🔍 Checking expected database tables...');
+    const userId = req.user.userId;
+    const { name, description, isActive } = req.body;
 
-    const expectedTables = ['users', 'news_updates', 'hospitals', 'training_materials', 'study_protocols', 'clinical_trials'];
-    const tableStatus = {};
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trial name is required'
+      });
+    }
 
-    // Check each expected table
-    for (const tableName of expectedTables) {
-      try {
-        const { data, error } = await supabase
-          .from(tableName)
-          .select('count', { count: 'exact', head: true });
+    const insertData = {
+      organization_id: req.access.organizationId,
+      name,
+      description,
+      is_active: isActive !== undefined ? isActive : true,
+      created_by: userId
+    };
 
-        if (error) {
-          tableStatus[tableName] = { exists: false, error: error.message };
-        } else {
-          tableStatus[tableName] = { exists: true, count: data };
-        }
-      } catch (err) {
-        tableStatus[tableName] = { exists: false, error: err.message };
-      }
+    const { data, error } = await supabase
+      .from('clinical_trials')
+      .insert([insertData])
+      .select(`
+        id,
+        name,
+        description,
+        is_active,
+        created_at,
+        organizations (
+          id,
+          name
+        )
+      `)
+      .single();
+
+    if (error) {
+      console.error('Supabase insert error:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create clinical trial'
+      });
     }
 
-    console.log('📋 Table status:', tableStatus);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Created clinical trial: ${data.id}`);
+    }
 
-    const existingTables = Object.keys(tableStatus).filter(table => tableStatus[table].exists);
-    const missingTables = Object.keys(tableStatus).filter(table => !tableStatus[table].exists);
+    await recordAudit(req, {
+      entityType: 'clinical_trial',
+      entityId: data.id,
+      action: 'create',
+      organizationId: req.access.organizationId,
+      after: await fetchAuditSnapshot('clinical_trials', data.id)
+    });
 
     res.json({
       success: true,
-      tables: tableStatus,
-      existingTables,
-      missingTables,
-      message: `Found ${existingTables.length} existing tables, ${missingTables.length} missing tables`
+      message: 'Clinical trial created successfully',
+      trial: data
     });
-
   } catch (err) {
-    console.error('Debug endpoint error:', err);
+    console.error('Clinical trial creation error:', err);
     res.status(500).json({
       success: false,
-      error: err.message
+      message: 'An unexpected error occurred'
     });
   }
 });
 
-// Get all news items
-app.get('/api/news', authenticateToken, async (req, res) => {
+// Update clinical trial
+app.put('/api/clinical-trials/:id', authorize('trials.manage'), async (req, res) => {
   try {
-    console.log('📄 Getting news items...');
-
-    // Get user's organization and role
     const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const { id } = req.params;
+    const { name, description, isActive } = req.body;
+
+    console.log('📨 PUT /api/clinical-trials/:id - Received:', { id, name, description, isActive, userId });
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
+    if (!name) {
+      console.log('❌ PUT /api/clinical-trials/:id - Trial name is empty or undefined');
       return res.status(400).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Trial name is required'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-    console.log('🔍 Getting news for organization:', organizationId, 'role:', userProfile.role);
-
-    // Get accessible trial IDs based on user role
-    let accessibleTrialIds = [];
-
-    if (userProfile.role === 'admin') {
-      // Admins can see all trials in their organization
-      const { data: allTrials, error: trialsError } = await supabaseAdmin
-        .from('clinical_trials')
-        .select('id')
-        .eq('organization_id', organizationId);
-
-      if (trialsError) {
-        console.error('Failed to get trials for admin:', trialsError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to fetch accessible trials'
-        });
-      }
-
-      accessibleTrialIds = allTrials.map(trial => trial.id);
-    } else {
-      // Doctors/users can only see trials they're assigned to
-      const { data: assignedTrials, error: assignmentError } = await supabaseAdmin
-        .from('user_clinical_assignments')
-        .select('clinical_trial_id')
-        .eq('user_id', userId);
-
-      if (assignmentError) {
-        console.error('Failed to get trial assignments:', assignmentError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to fetch trial assignments'
-        });
-      }
-
-      accessibleTrialIds = assignedTrials.map(assignment => assignment.clinical_trial_id);
-    }
-
-    console.log('🎯 Accessible trial IDs:', accessibleTrialIds);
+    const before = await fetchAuditSnapshot('clinical_trials', id);
 
-    if (accessibleTrialIds.length === 0) {
-      console.log('📭 No accessible trials found');
-      return res.json({
-        success: true,
-        news: []
-      });
-    }
+    const updateData = {
+      name,
+      description,
+      is_active: isActive !== undefined ? isActive : true
+    };
 
-    // Get news items filtered by accessible trials
-    const { data, error } = await supabaseAdmin
-      .from('news_updates')
-      .select(`
-        id,
-        title,
-        body,
-        organization_id,
-        clinical_trial_id,
-        published_at,
-        created_by,
-        profiles (
-          display_name
-        ),
-        clinical_trials (
-          name
-        )
-      `)
-      .in('clinical_trial_id', accessibleTrialIds)
-      .order('published_at', { ascending: false });
+    const { data, error } = await supabase
+      .from('clinical_trials')
+      .update(updateData)
+      .eq('id', id)
+      .select('*')
+      .single();
 
     if (error) {
-      console.error('Supabase query error:', error.message);
-      console.error('Error details:', error);
+      console.error('Supabase update error:', error.message);
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch news items from database',
-        error: error.message
+        message: 'Failed to update clinical trial'
       });
     }
 
-    console.log('🔍 All news items query result:', data);
-    console.log('🔍 Filtered news items for user:', data ? data.length : 0, 'items');
-
-    if (error) {
-      console.error('Supabase query error:', error.message);
-      console.error('Error details:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch news items from database',
-        error: error.message
-      });
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Updated clinical trial: ${data.id}`);
     }
 
-    console.log('🔍 Filtered news items for user:', data ? data.length : 0, 'items');
-
-    // Transform data to match frontend expectations
-    const transformedNews = (data || []).map(item => ({
-      id: item.id,
-      title: item.title,
-      content: item.body,
-      clinical_trial_id: item.clinical_trial_id,
-      trial_name: item.clinical_trials?.name || 'Unknown Trial',
-      created_at: item.published_at,
-      created_by_name: item.profiles?.display_name || 'Unknown'
-    }));
+    await recordAudit(req, { entityType: 'clinical_trial', entityId: id, action: 'update', before, after: data });
 
-    console.log(`📊 Returning ${transformedNews.length} news items for organization ${organizationId}`);
     res.json({
       success: true,
-      newsItems: transformedNews
+      message: 'Clinical trial updated successfully',
+      trial: data
     });
   } catch (err) {
-    console.error('News fetch error:', err.message);
+    console.error('Clinical trial update error:', err.message);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2069,117 +2774,56 @@ app.get('/api/news', authenticateToken, async (req, res) => {
   }
 });
 
-// Create news item
-app.post('/api/news', authenticateToken, async (req, res) => {
+// Delete clinical trial
+app.delete('/api/clinical-trials/:id', authorize('trials.delete'), async (req, res) => {
   try {
-    const { title, body, clinical_trial_id } = req.body;
+    const { id } = req.params;
 
-    if (!title || !body || !clinical_trial_id) {
-      return res.status(400).json({
+    const before = await fetchAuditSnapshot('clinical_trials', id);
+    if (before && before.organization_id !== req.access.organizationId) {
+      return res.status(404).json({
         success: false,
-        message: 'Title, content, and clinical trial selection are required'
+        message: 'Clinical trial not found'
       });
     }
 
-    // Get user's organization and role
-    const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const { error, count } = await supabase
+      .from('clinical_trials')
+      .delete({ count: 'exact' })
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId);
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
-      return res.status(400).json({
+    // Message threads are kept as a record, so they keep their trial and site
+    if (error && error.code === '23503') {
+      return res.status(409).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Clinical trial has records that must be kept, such as message threads'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-
-    // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabaseAdmin
-      .from('clinical_trials')
-      .select('id, name')
-      .eq('id', clinical_trial_id)
-      .eq('organization_id', organizationId)
-      .single();
-
-    if (trialError || !trial) {
-      console.error('Invalid clinical trial:', trialError);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid clinical trial selected'
+        message: 'Failed to delete clinical trial',
+        error: error.message
       });
     }
 
-    // Check if user has permission to create news for this trial
-    if (userProfile.role !== 'admin') {
-      // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabaseAdmin
-        .from('user_clinical_assignments')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('clinical_trial_id', clinical_trial_id)
-        .single();
-
-      if (assignError || !assignment) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to create news for this clinical trial'
-        });
-      }
-    }
-
-    console.log('📝 Creating news item for trial:', trial.name, { title, body });
-
-    const insertData = {
-      title: title,
-      body: body,
-      organization_id: organizationId,
-      clinical_trial_id: clinical_trial_id,
-      created_by: userId,
-      published_at: new Date().toISOString()
-    };
-
-    const { data, error } = await supabaseAdmin
-      .from('news_updates')
-      .insert([insertData])
-      .select('*')
-      .single();
-
-    if (error) {
-      console.error('Supabase insert error:', error.message);
-      console.error('Error details:', error);
-      return res.status(500).json({
+    if (count === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to create news item in database',
-        error: error.message
+        message: 'Clinical trial not found'
       });
     }
 
-    // Transform data to match frontend expectations
-    const transformedNewsItem = {
-      id: data.id,
-      title: data.title,
-      content: data.body,
-      created_at: data.published_at,
-      created_by_name: 'User'
-    };
-
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Created news item: ${data.id}`);
-    }
+    await recordAudit(req, { entityType: 'clinical_trial', entityId: id, action: 'delete', organizationId: req.access.organizationId, before });
 
     res.json({
       success: true,
-      message: 'News item created successfully',
-      newsItem: transformedNewsItem
+      message: 'Clinical trial deleted successfully'
     });
   } catch (err) {
-    console.error('News creation error:', err.message);
+    console.error('Clinical trial deletion error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2187,124 +2831,128 @@ app.post('/api/news', authenticateToken, async (req, res) => {
   }
 });
 
-// Update news item
-app.put('/api/news/:id', authenticateToken, async (req, res) => {
+// ============================================================================
+// ===== CONTENT MANAGEMENT ENDPOINTS =====
+// ============================================================================
+
+// ===== ENROLLMENTS =====
+
+// Enrollment lifecycle: screened -> consented -> randomized -> completed.
+// Withdrawal is allowed from any status that hasn't already ended.
+// Lifecycle timestamps are stamped by the database trigger on status change.
+const ENROLLMENT_STATUSES = ['screened', 'consented', 'randomized', 'withdrawn', 'completed'];
+
+const ENROLLMENT_STATUS_TRANSITIONS = {
+  screened: ['consented', 'withdrawn'],
+  consented: ['randomized', 'withdrawn'],
+  randomized: ['completed', 'withdrawn'],
+  withdrawn: [],
+  completed: []
+};
+
+const ENROLLMENT_SELECT = `
+  id,
+  participant_name,
+  enrollment_date,
+  status,
+  screened_at,
+  consented_at,
+  randomized_at,
+  withdrawn_at,
+  completed_at,
+  withdrawal_reason,
+  notes,
+  storage_path,
+  created_at,
+  updated_at,
+  hospital_id,
+  hospitals (
+    id,
+    hospital_name
+  ),
+  clinical_trials (
+    id,
+    name
+  ),
+  profiles (
+    id,
+    display_name
+  )
+`;
+
+// Get enrollments for user's accessible trials; site staff only see their own sites
+app.get('/api/enrollments', authorize(), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, body, clinical_trial_id } = req.body;
+    const userId = req.user.userId;
+    const { hospitalId, status } = req.query;
 
-    if (!title || !body || !clinical_trial_id) {
+    if (status && !ENROLLMENT_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Title, content, and clinical trial selection are required'
+        message: `Invalid status. Must be one of: ${ENROLLMENT_STATUSES.join(', ')}`
       });
     }
 
-    // Get user's organization and role
-    const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
-      return res.status(400).json({
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Failed to get accessible trials'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-
-    // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabaseAdmin
-      .from('clinical_trials')
-      .select('id, name')
-      .eq('id', clinical_trial_id)
-      .eq('organization_id', organizationId)
-      .single();
+    const trialIds = accessibleTrials.map(t => t.id);
+    const { hospitalIds } = req.access;
 
-    if (trialError || !trial) {
-      console.error('Invalid clinical trial:', trialError);
-      return res.status(400).json({
+    if (hospitalId && !req.access.canAccessHospital(hospitalId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid clinical trial selected'
+        message: 'Access denied: You do not work at this site'
       });
     }
 
-    // Check if user has permission to update news for this trial
-    if (userProfile.role !== 'admin') {
-      // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabaseAdmin
-        .from('user_clinical_assignments')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('clinical_trial_id', clinical_trial_id)
-        .single();
-
-      if (assignError || !assignment) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to update news for this clinical trial'
-        });
-      }
+    if (trialIds.length === 0 || (hospitalIds && hospitalIds.length === 0)) {
+      return res.json({
+        success: true,
+        enrollments: []
+      });
     }
 
-    console.log('📝 Updating news item:', id, 'for trial:', trial.name);
-
-    // First check if the news item exists and belongs to the user's organization
-    const { data: existingNews, error: checkError } = await supabaseAdmin
-      .from('news_updates')
-      .select('organization_id, clinical_trial_id')
-      .eq('id', id)
-      .single();
+    let query = supabase
+      .from('enrollments')
+      .select(ENROLLMENT_SELECT)
+      .in('clinical_trial_id', trialIds);
 
-    if (checkError || !existingNews) {
-      return res.status(404).json({
-        success: false,
-        message: 'News item not found'
-      });
+    if (hospitalId) {
+      query = query.eq('hospital_id', hospitalId);
+    } else if (hospitalIds) {
+      query = query.in('hospital_id', hospitalIds);
     }
 
-    if (existingNews.organization_id !== organizationId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this news item'
-      });
+    if (status) {
+      query = query.eq('status', status);
     }
 
-    const { data, error } = await supabaseAdmin
-      .from('news_updates')
-      .update({
-        title: title,
-        body: body,
-        clinical_trial_id: clinical_trial_id
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    const { data, error } = await query.order('enrollment_date', { ascending: false });
 
     if (error) {
-      console.error('Supabase update error:', error.message);
+      console.error('Enrollments query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to update news item'
+        message: 'Failed to fetch enrollments'
       });
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Updated news item: ${id}`);
-    }
-
     res.json({
       success: true,
-      message: 'News item updated successfully',
-      newsItem: data
+      enrollments: data || []
     });
   } catch (err) {
-    console.error('News update error:', err.message);
+    console.error('Enrollments fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2312,158 +2960,108 @@ app.put('/api/news/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete news item
-app.delete('/api/news/:id', authenticateToken, async (req, res) => {
+// Create enrollment (enrollments.create, possibly from the caller's role on the trial)
+app.post('/api/enrollments', authorize(), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Get user's organization
     const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id')
-      .eq('id', userId)
-      .single();
+    const { clinicalTrialId, hospitalId, participantName, enrollmentDate, status, notes, storagePath } = req.body;
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
+    if (!clinicalTrialId || !hospitalId || !participantName || !enrollmentDate) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Clinical trial ID, hospital ID, participant name, and enrollment date are required'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-    console.log('🗑️ Deleting news item:', id, 'for organization:', organizationId);
+    if (status !== undefined && !ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${ENROLLMENT_STATUSES.join(', ')}`
+      });
+    }
 
-    // First check if the news item belongs to the user's organization
-    const { data: existingNews, error: checkError } = await supabaseAdmin
-      .from('news_updates')
-      .select('organization_id')
-      .eq('id', id)
-      .single();
+    // Check if user has access to this trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (checkError || !existingNews) {
-      return res.status(404).json({
+    if (trialsError || !accessibleTrials.some(t => t.id === clinicalTrialId)) {
+      return res.status(403).json({
         success: false,
-        message: 'News item not found'
+        message: 'Access denied: You do not have access to this clinical trial'
       });
     }
 
-    if (existingNews.organization_id !== organizationId) {
+    if (!req.access.canInTrial('enrollments.create', clinicalTrialId)) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to delete this news item'
+        message: permissionDeniedMessage('enrollments.create')
       });
     }
 
-    const { error } = await supabaseAdmin
-      .from('news_updates')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
-      console.error('Supabase delete error:', error.message);
-      return res.status(500).json({
+    if (!req.access.canAccessHospital(hospitalId)) {
+      return res.status(403).json({
         success: false,
-        message: 'Failed to delete news item'
+        message: 'Access denied: You do not work at this site'
       });
     }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`✅ Deleted news item: ${id}`);
-    }
+    // Validate that the hospital is a site for this trial in user's organization
+    const { data: trialSite, error: trialSiteError } = await supabase
+      .from('trial_sites')
+      .select('id')
+      .eq('clinical_trial_id', clinicalTrialId)
+      .eq('hospital_id', hospitalId)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
 
-    res.json({
-      success: true,
-      message: 'News item deleted successfully'
-    });
-  } catch (err) {
-    console.error('News deletion error:', err.message);
-    res.status(500).json({
-      success: false,
-      message: 'An unexpected error occurred'
-    });
-  }
-});
+    if (trialSiteError || !trialSite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected hospital is not a site for this clinical trial'
+      });
+    }
 
-// ===== HOSPITALS/LEADERBOARD =====
+    const insertData = {
+      organization_id: req.access.organizationId,
+      clinical_trial_id: clinicalTrialId,
+      hospital_id: hospitalId,
+      participant_name: participantName,
+      enrollment_date: enrollmentDate,
+      status: status || 'screened',
+      notes,
+      storage_path: storagePath,
+      created_by: userId
+    };
 
-// Get all hospitals (temporarily unauthenticated for testing Supabase connection)
-app.get('/api/hospitals', async (req, res) => {
-  try {
     const { data, error } = await supabase
-      .from('hospitals')
-      .select('*')
-      .order('randomized_patients', { ascending: false });
+      .from('enrollments')
+      .insert([insertData])
+      .select(ENROLLMENT_SELECT)
+      .single();
 
-    // Transform the data to match frontend expectations
-    // Handle different column names that might exist in Supabase
-    let transformedHospitals = [];
-    if (data && data.length > 0) {
-      console.log('Supabase returned data:', data.length, 'hospitals');
-      transformedHospitals = data.map(hospital => ({
-        id: hospital.id,
-        name: hospital.hospital_name || hospital.name || hospital.hospitalName,
-        location: hospital.location,
-        principal_investigator: hospital.principal_investigator || hospital.principalInvestigator,
-        consented_patients: hospital.consented_patients || hospital.consentedPatients,
-        randomized_patients: hospital.randomized_patients || hospital.randomizedPatients,
-        consent_rate: hospital.consented_rate || hospital.consentRate,
-        created_at: hospital.created_at
-      }));
-    } else {
-      console.log('No data from Supabase, using mock data for testing');
-      transformedHospitals = [
-        {
-          id: '1',
-          name: 'City General Hospital',
-          location: 'New York, NY',
-          principal_investigator: 'Dr. Michael Johnson',
-          consented_patients: 150,
-          randomized_patients: 120,
-          consent_rate: 80.00,
-          created_at: new Date().toISOString()
-        },
-        {
-          id: '2',
-          name: 'Metro Medical Center',
-          location: 'Los Angeles, CA',
-          principal_investigator: 'Dr. Sarah Williams',
-          consented_patients: 200,
-          randomized_patients: 180,
-          consent_rate: 90.00,
-          created_at: new Date().toISOString()
-        },
-        {
-          id: '3',
-          name: 'Regional Health System',
-          location: 'Chicago, IL',
-          principal_investigator: 'Dr. Robert Brown',
-          consented_patients: 125,
-          randomized_patients: 100,
-          consent_rate: 80.00,
-          created_at: new Date().toISOString()
-        }
-      ];
+    if (error) {
+      console.error('Enrollment creation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create enrollment'
+      });
     }
 
-    // Calculate summary statistics
-    const summary = {
-      totalConsented: transformedHospitals.reduce((sum, hospital) => sum + (hospital.consented_patients || 0), 0),
-      totalRandomized: transformedHospitals.reduce((sum, hospital) => sum + (hospital.randomized_patients || 0), 0),
-      totalHospitals: transformedHospitals.length
-    };
-
-    console.log('Summary statistics:', summary);
+    await recordAudit(req, {
+      entityType: 'enrollment',
+      entityId: data.id,
+      action: 'create',
+      organizationId: req.access.organizationId,
+      after: await fetchAuditSnapshot('enrollments', data.id)
+    });
 
     res.json({
       success: true,
-      hospitals: transformedHospitals,
-      summary: summary
+      message: 'Enrollment created successfully',
+      enrollment: data
     });
   } catch (err) {
-    console.error('Hospitals fetch error:', err);
+    console.error('Enrollment creation error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2471,131 +3069,99 @@ app.get('/api/hospitals', async (req, res) => {
   }
 });
 
-// Get single hospital
-app.get('/api/hospitals/:id', authenticateToken, async (req, res) => {
+// Move an enrollment to the next lifecycle status (enrollments.update, possibly
+// from the caller's role on the trial)
+app.put('/api/enrollments/:id/status', authorize(), async (req, res) => {
   try {
+    const userId = req.user.userId;
     const { id } = req.params;
-    const { data, error } = await supabase
-      .from('hospitals')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const { status, withdrawalReason } = req.body;
 
-    if (error) {
-      return res.status(404).json({
+    if (!ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Hospital not found',
-        error: error.message
+        message: `Invalid status. Must be one of: ${ENROLLMENT_STATUSES.join(', ')}`
       });
     }
 
-    res.json({
-      success: true,
-      hospital: data
-    });
-  } catch (err) {
-    console.error('Hospital fetch error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'An unexpected error occurred'
-    });
-  }
-});
-
-// Create hospital
-app.post('/api/hospitals', authenticateToken, async (req, res) => {
-  try {
-    const { name, location, principalInvestigator, consentedPatients, randomizedPatients, consentRate } = req.body;
-    const userId = req.user.userId;
+    const { data: enrollment, error: enrollmentError } = await supabase
+      .from('enrollments')
+      .select('id, status, clinical_trial_id, hospital_id, organization_id')
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
 
-    if (!name || !location || !principalInvestigator) {
-      return res.status(400).json({
+    // Site staff can't see other sites' enrollments
+    if (enrollmentError || !enrollment || !req.access.canAccessHospital(enrollment.hospital_id)) {
+      return res.status(404).json({
         success: false,
-        message: 'Name, location, and principal investigator are required'
+        message: 'Enrollment not found'
       });
     }
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    // Check if user has access to the enrollment's trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (profileError) {
-      return res.status(400).json({
+    if (trialsError || !accessibleTrials.some(t => t.id === enrollment.clinical_trial_id)) {
+      return res.status(403).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'Access denied: You do not have access to this clinical trial'
       });
     }
 
-    // Allow admins and users to create hospitals (temporarily relaxed for testing)
-    if (!['admin', 'user'].includes(userProfile.role)) {
+    if (!req.access.canInTrial('enrollments.update', enrollment.clinical_trial_id)) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to create hospitals'
+        message: permissionDeniedMessage('enrollments.update')
       });
     }
 
-    // Try to insert into Supabase, but fallback to mock response if it fails
-    let transformedHospital;
-    try {
-      // Use the correct column names that match the Supabase table
-      const insertData = {
-        organization_id: userProfile.organization_id,
-        hospital_name: name,
-        location: location,
-        principal_investigator: principalInvestigator,
-        consented_patients: consentedPatients || 0,
-        randomized_patients: randomizedPatients || 0,
-        consented_rate: consentRate || 0,
-        created_by: userId
-      };
+    if (!ENROLLMENT_STATUS_TRANSITIONS[enrollment.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move enrollment from ${enrollment.status} to ${status}`
+      });
+    }
 
-      const { data, error } = await supabase
-        .from('hospitals')
-        .insert([insertData])
-        .select('*')
-        .single();
+    const before = await fetchAuditSnapshot('enrollments', id);
 
-      if (!error && data) {
-        console.log('Successfully inserted into Supabase:', data.id);
-        // Transform the data to match frontend expectations
-        transformedHospital = {
-          id: data.id,
-          name: data.hospital_name || data.name || data.hospitalName,
-          location: data.location,
-          principal_investigator: data.principal_investigator || data.principalInvestigator,
-          consented_patients: data.consented_patients || data.consentedPatients,
-          randomized_patients: data.randomized_patients || data.randomizedPatients,
-          consent_rate: data.consented_rate || data.consentRate,
-          created_at: data.created_at
-        };
-      } else {
-        throw new Error(error?.message || 'Supabase insert failed');
-      }
-    } catch (supabaseError) {
-      console.log('Supabase insert failed, using mock response:', supabaseError.message);
-      // Fallback: Return mock created hospital for testing
-      transformedHospital = {
-        id: Date.now().toString(),
-        name: name,
-        location: location,
-        principal_investigator: principalInvestigator,
-        consented_patients: consentedPatients || 0,
-        randomized_patients: randomizedPatients || 0,
-        consent_rate: consentRate || 0,
-        created_at: new Date().toISOString()
-      };
+    const updateData = { status };
+    if (status === 'withdrawn') {
+      updateData.withdrawal_reason = withdrawalReason || null;
+    }
+
+    const { data, error } = await supabase
+      .from('enrollments')
+      .update(updateData)
+      .eq('id', id)
+      .select(ENROLLMENT_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Enrollment status update error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update enrollment status'
+      });
     }
 
+    await recordAudit(req, {
+      entityType: 'enrollment',
+      entityId: id,
+      action: 'status_change',
+      organizationId: req.access.organizationId,
+      before,
+      after: await fetchAuditSnapshot('enrollments', id)
+    });
+
     res.json({
       success: true,
-      message: 'Hospital created successfully',
-      hospital: transformedHospital
+      message: 'Enrollment status updated successfully',
+      enrollment: data
     });
   } catch (err) {
-    console.error('Hospital creation error:', err);
+    console.error('Enrollment status update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2603,92 +3169,104 @@ app.post('/api/hospitals', authenticateToken, async (req, res) => {
   }
 });
 
-// Update hospital
-app.put('/api/hospitals/:id', authenticateToken, async (req, res) => {
+// ===== NEWS UPDATES =====
+
+// Get news updates for user's accessible trials. Callers who can see drafts
+// (news.view_drafts) also get drafts, scheduled and expired items; everyone
+// else only sees live ones
+app.get('/api/news-updates', authorize(), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, location, principalInvestigator, consentedPatients, randomizedPatients, consentRate } = req.body;
     const userId = req.user.userId;
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (profileError) {
-      return res.status(400).json({
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'Failed to get accessible trials'
       });
     }
 
-    // Allow admins and users to update hospitals (temporarily relaxed for testing)
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update hospitals'
+    const trialIds = accessibleTrials.map(t => t.id);
+
+    if (trialIds.length === 0) {
+      return res.json({
+        success: true,
+        news_updates: []
       });
     }
 
-    // Try to update in Supabase, but fallback to mock response if it fails
-    let transformedHospital;
-    try {
-      const { data, error } = await supabase
-        .from('hospitals')
-        .update({
-          hospital_name: name,
-          location: location,
-          principal_investigator: principalInvestigator,
-          consented_patients: consentedPatients,
-          randomized_patients: randomizedPatients,
-          consented_rate: consentRate,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .eq('organization_id', userProfile.organization_id)
-        .select('id, hospital_name, location, principal_investigator, consented_patients, randomized_patients, consented_rate, created_at')
-        .single();
+    let query = supabase
+      .from('news_updates')
+      .select(`
+        id,
+        title,
+        body,
+        status,
+        published_at,
+        expires_at,
+        storage_path,
+        created_at,
+        body_format,
+        tags,
+        hero_image_path,
+        pinned_at,
+        news_categories (
+          id,
+          name,
+          color
+        ),
+        news_attachments (
+          id,
+          file_name,
+          mime_type,
+          file_size,
+          storage_bucket,
+          storage_path,
+          position
+        ),
+        clinical_trials (
+          id,
+          name
+        ),
+        profiles (
+          id,
+          display_name
+        )
+      `)
+      .in('clinical_trial_id', trialIds)
+      .neq('content_type', 'file');
 
-      if (!error && data) {
-        console.log('Successfully updated hospital in Supabase:', data.id);
-        // Transform the data to match frontend expectations
-        transformedHospital = {
-          id: data.id,
-          name: data.hospital_name,
-          location: data.location,
-          principal_investigator: data.principal_investigator,
-          consented_patients: data.consented_patients,
-          randomized_patients: data.randomized_patients,
-          consent_rate: data.consented_rate,
-          created_at: data.created_at
-        };
-      } else {
-        throw new Error(error?.message || 'Supabase update failed');
-      }
-    } catch (supabaseError) {
-      console.log('Supabase update failed, using mock response:', supabaseError.message);
-      // Fallback: Return mock updated hospital for testing
-      transformedHospital = {
-        id: id,
-        name: name,
-        location: location,
-        principal_investigator: principalInvestigator,
-        consented_patients: consentedPatients || 0,
-        randomized_patients: randomizedPatients || 0,
-        consent_rate: consentRate || 0,
-        created_at: new Date().toISOString()
-      };
+    if (!req.access.can('news.view_drafts')) {
+      query = onlyLiveNews(query);
+    }
+
+    const { data, error } = await query
+      .order('published_at', { ascending: false, nullsFirst: true });
+
+    if (error) {
+      console.error('News updates query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch news updates'
+      });
     }
 
+    const imageUrls = await signedNewsImages(data || []);
+
     res.json({
       success: true,
-      message: 'Hospital updated successfully',
-      hospital: transformedHospital
+      news_updates: sortNewsFeed(data || []).map(({ news_categories, news_attachments, ...item }) => ({
+        ...item,
+        state: newsState(item),
+        ...formatNewsContent({ ...item, news_categories, news_attachments }, { imageUrls })
+      }))
     });
   } catch (err) {
-    console.error('Hospital update error:', err);
+    console.error('News updates fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2696,54 +3274,112 @@ app.put('/api/hospitals/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete hospital
-app.delete('/api/hospitals/:id', authenticateToken, async (req, res) => {
+// Create news update
+app.post('/api/news-updates', authorize('news.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
     const userId = req.user.userId;
+    const { clinicalTrialId, title, body, storagePath, status, publishAt, expiresAt, bodyFormat, categoryId, tags } = req.body;
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    if (!clinicalTrialId || !title || !body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clinical trial ID, title, and body are required'
+      });
+    }
 
-    if (profileError) {
+    const schedule = parseNewsSchedule({ status, publishAt, expiresAt });
+    if (schedule.error) {
       return res.status(400).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: schedule.error
       });
     }
 
-    // Allow admins to delete hospitals
-    if (userProfile.role !== 'admin') {
+    // Check if user has access to this trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError || !accessibleTrials.some(t => t.id === clinicalTrialId)) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to delete hospitals'
+        message: 'Access denied: You do not have access to this clinical trial'
       });
     }
 
-    const { error } = await supabase
-      .from('hospitals')
-      .delete()
-      .eq('id', id)
-      .eq('organization_id', userProfile.organization_id);
+    const rich = await readNewsRichFields(supabaseAdmin, { bodyFormat, categoryId, tags }, req.access.organizationId);
+    if (rich.error) {
+      return res.status(400).json({
+        success: false,
+        message: rich.error
+      });
+    }
+
+    const insertData = {
+      organization_id: req.access.organizationId,
+      clinical_trial_id: clinicalTrialId,
+      title,
+      body,
+      storage_path: storagePath,
+      created_by: userId,
+      ...schedule.values,
+      ...rich.values
+    };
+
+    const { data, error } = await supabase
+      .from('news_updates')
+      .insert([insertData])
+      .select(`
+        id,
+        title,
+        body,
+        status,
+        published_at,
+        expires_at,
+        announced_at,
+        storage_path,
+        created_at,
+        body_format,
+        tags,
+        hero_image_path,
+        pinned_at,
+        news_categories (
+          id,
+          name,
+          color
+        ),
+        clinical_trials (
+          id,
+          name
+        )
+      `)
+      .single();
 
     if (error) {
-      return res.status(400).json({
+      console.error('News update creation error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to delete hospital',
-        error: error.message
+        message: 'Failed to create news update'
       });
     }
 
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: data.id,
+      action: 'create',
+      organizationId: req.access.organizationId,
+      after: await fetchAuditSnapshot('news_updates', data.id)
+    });
+
+    await announceNewsIfLive(data);
+    const imageUrls = await signedNewsImages([data]);
+
     res.json({
       success: true,
-      message: 'Hospital deleted successfully'
+      message: 'News update created successfully',
+      news_update: { ...data, state: newsState(data), ...formatNewsContent(data, { imageUrls }) }
     });
   } catch (err) {
-    console.error('Hospital deletion error:', err);
+    console.error('News update creation error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -2753,80 +3389,64 @@ app.delete('/api/hospitals/:id', authenticateToken, async (req, res) => {
 
 // ===== TRAINING MATERIALS =====
 
-// Get all training materials (authenticated and filtered by organization)
-app.get('/api/training-materials', authenticateToken, async (req, res) => {
+// Temporarily moved authenticated endpoint to /api/training-materials/auth
+app.get('/api/training-materials/auth', authorize(), async (req, res) => {
   try {
-    console.log('📨 GET /api/training-materials - Starting request');
     const userId = req.user.userId;
 
-    // Get user's organization
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id')
-      .eq('id', userId)
-      .single();
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (profileError) {
-      return res.status(400).json({
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'Failed to get accessible trials'
+      });
+    }
+
+    const trialIds = accessibleTrials.map(t => t.id);
+
+    if (trialIds.length === 0) {
+      return res.json({
+        success: true,
+        training_materials: []
       });
     }
 
     const { data, error } = await supabase
       .from('training_materials')
-      .select('*')
-      .eq('organization_id', userProfile.organization_id)
+      .select(`
+        id,
+        title,
+        description,
+        storage_path,
+        acknowledgement_required,
+        created_at,
+        clinical_trials (
+          id,
+          name
+        ),
+        profiles (
+          id,
+          display_name
+        )
+      `)
+      .in('clinical_trial_id', trialIds)
       .order('created_at', { ascending: false });
 
     if (error) {
-      console.error('📨 Supabase query error:', error);
-      console.error('📨 Error details:', {
-        code: error.code,
-        details: error.details,
-        hint: error.hint,
-        message: error.message
-      });
+      console.error('Training materials query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to fetch training materials',
-        error: error.message,
-        hint: error.hint
+        message: 'Failed to fetch training materials'
       });
     }
 
-    console.log('📨 Query successful, found', data ? data.length : 0, 'training materials');
-    if (data && data.length > 0) {
-      console.log('📨 First material:', data[0]);
-    }
-
-    // Format the data for frontend
-    const trainingMaterials = data.map(material => ({
-      id: material.id,
-      title: material.title,
-      description: material.description,
-      type: material.type,
-      content: material.content,
-      category: material.category,
-      clinical_trial_id: material.clinical_trial_id,
-      created_by: material.created_by,
-      created_by_name: material.created_by_name || 'Unknown',
-      upload_date: material.upload_date || material.created_at,
-      is_active: material.is_active,
-      created_at: material.created_at,
-      file_name: material.file_name,
-      file_size: material.file_size,
-      mime_type: material.mime_type,
-      storage_path: material.storage_path,
-      storage_bucket: material.storage_bucket,
-      version: material.version,
-      tags: material.tags
-    }));
-
-    console.log(`📊 Returning ${trainingMaterials.length} training materials to frontend`);
     res.json({
       success: true,
-      trainingMaterials: trainingMaterials
+      training_materials: data || []
     });
   } catch (err) {
     console.error('Training materials fetch error:', err);
@@ -2837,280 +3457,266 @@ app.get('/api/training-materials', authenticateToken, async (req, res) => {
   }
 });
 
-// Create training material (temporary unauthenticated access for testing)
-app.post('/api/training-materials', upload.fields([
-  { name: 'title', maxCount: 1 },
-  { name: 'description', maxCount: 1 },
-  { name: 'type', maxCount: 1 },
-  { name: 'category', maxCount: 1 },
-  { name: 'clinical_trial_id', maxCount: 1 },
-  { name: 'file', maxCount: 1 }
-]), authenticateToken, async (req, res) => {
-  try {
-    console.log('📨 POST /api/training-materials - Request received');
-    console.log('📨 Headers:', req.headers);
-    console.log('📨 Content-Type:', req.headers['content-type']);
-    console.log('📨 Body type:', typeof req.body);
-    console.log('📨 Body keys:', Object.keys(req.body || {}));
-    console.log('📨 Body raw:', req.body);
-    console.log('📨 Files received:', req.files ? req.files.length : 0);
-    if (req.files && req.files.length > 0) {
-      console.log('📨 File details:', req.files.map(f => ({ fieldname: f.fieldname, originalname: f.originalname, size: f.size })));
-    }
-
-    // Extract FormData fields - multer should populate req.body
-    let title = req.body?.title;
-    let description = req.body?.description;
-    let type = req.body?.type;
-    let content = req.body?.content;
-    let category = req.body?.category;
-    let clinical_trial_id = req.body?.clinical_trial_id;
-
-    // Handle array format (sometimes multer puts single values in arrays)
-    if (Array.isArray(title)) title = title[0];
-    if (Array.isArray(description)) description = description[0];
-    if (Array.isArray(type)) type = type[0];
-    if (Array.isArray(content)) content = content[0];
-    if (Array.isArray(category)) category = category[0];
-    if (Array.isArray(clinical_trial_id)) clinical_trial_id = clinical_trial_id[0];
-
-    console.log('📨 Final extracted values:', {
-      title: `"${title}"`,
-      type: `"${type}"`,
-      clinical_trial_id: `"${clinical_trial_id}"`,
-      description: `"${description}"`,
-      category: `"${category}"`,
-      hasFiles: !!(req.files && req.files.length > 0)
-    });
+// ===== STUDY PROTOCOLS =====
 
+// Get study protocols for user's accessible trials
+app.get('/api/study-protocols/auth', authorize(), async (req, res) => {
+  try {
     const userId = req.user.userId;
 
-    console.log('🔍 VALIDATION CHECK:');
-    console.log('  title exists:', !!title, 'value:', title);
-    console.log('  type exists:', !!type, 'value:', type);
-    console.log('  clinical_trial_id exists:', !!clinical_trial_id, 'value:', clinical_trial_id);
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
 
-    if (!title || !type || !clinical_trial_id) {
-      console.log('❌ VALIDATION FAILED - returning error');
-      return res.status(400).json({
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
         success: false,
-        message: 'Title, type, and clinical trial selection are required'
+        message: 'Failed to get accessible trials'
       });
     }
 
-    console.log('✅ VALIDATION PASSED - proceeding with upload');
-
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const trialIds = accessibleTrials.map(t => t.id);
 
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'User profile not found. Please contact an administrator.'
+    if (trialIds.length === 0) {
+      return res.json({
+        success: true,
+        study_protocols: []
       });
     }
 
-    // Allow admins and users to create training materials
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
+    const { data, error } = await supabase
+      .from('study_protocols')
+      .select(`
+        id,
+        title,
+        version,
+        storage_path,
+        acknowledgement_required,
+        created_at,
+        clinical_trials (
+          id,
+          name
+        ),
+        profiles (
+          id,
+          display_name
+        )
+      `)
+      .in('clinical_trial_id', trialIds)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Study protocols query error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'You do not have permission to create training materials'
+        message: 'Failed to fetch study protocols'
       });
     }
 
-    // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabase
-      .from('clinical_trials')
-      .select('id, name')
-      .eq('id', clinical_trial_id)
-      .eq('organization_id', userProfile.organization_id)
-      .single();
+    res.json({
+      success: true,
+      study_protocols: data || []
+    });
+  } catch (err) {
+    console.error('Study protocols fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-    if (trialError || !trial) {
-      console.error('Invalid clinical trial:', trialError);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid clinical trial selected'
-      });
-    }
+// ===== DASHBOARD ENDPOINTS =====
 
-    // Check if user has permission to create training materials for this trial
-    if (userProfile.role !== 'admin') {
-      // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabase
-        .from('user_clinical_assignments')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('clinical_trial_id', clinical_trial_id)
-        .single();
+// Get dashboard statistics
+app.get('/api/dashboard', authorize(), async (req, res) => {
+  try {
+    // Get counts from all tables
+    const [
+      { count: totalUsers },
+      { count: pendingApprovals },
+      { count: activeUsers },
+      { count: newsItems }
+    ] = await Promise.all([
+      supabase.from('users').select('*', { count: 'exact', head: true }),
+      supabase.from('users').select('*', { count: 'exact', head: true }).eq('is_active', false),
+      supabase.from('users').select('*', { count: 'exact', head: true }).eq('is_active', true),
+      supabase.from('news_updates').select('*', { count: 'exact', head: true })
+    ]);
 
-      if (assignError || !assignment) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to create training materials for this clinical trial'
-        });
-      }
-    }
+    res.json({
+      success: true,
+      totalUsers: totalUsers || 0,
+      pendingApprovals: pendingApprovals || 0,
+      activeUsers: activeUsers || 0,
+      newsItems: newsItems || 0
+    });
+  } catch (err) {
+    console.error('Dashboard stats error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dashboard statistics'
+    });
+  }
+});
 
-    // Handle file upload if provided
-    let uploadedFile = null;
-    let storagePath = null;
+// ===== NEWS & UPDATES =====
 
-    console.log('🔍 Checking for files - req.files:', !!req.files);
-    console.log('🔍 req.files keys:', req.files ? Object.keys(req.files) : 'no files');
-    console.log('🔍 req.files.file:', req.files?.file);
-    console.log('🔍 req.files.file length:', req.files?.file?.length);
+// Get all news items
+app.get('/api/news', authorize(), async (req, res) => {
+  try {
+    console.log('📄 Getting news items...');
 
-    if (req.files && req.files.file && req.files.file.length > 0) {
-      uploadedFile = req.files.file[0]; // Take the first file from the 'file' field
-      console.log('📤 Training material file upload detected:', uploadedFile.originalname);
+    const userId = req.user.userId;
 
-      const bucket = 'training-materials';
-      const filename = `${Date.now()}_${uploadedFile.originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_')}`;
+    const organizationId = req.access.organizationId;
+    console.log('🔍 Getting news for organization:', organizationId, 'role:', req.access.baseRole);
 
-      const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-        .from(bucket)
-        .upload(filename, uploadedFile.buffer, {
-          contentType: uploadedFile.mimetype,
-          cacheControl: '3600'
-        });
+    // Get accessible trial IDs based on user role
+    let accessibleTrialIds = [];
 
-      if (uploadError) {
-        console.error('Training material file upload error:', uploadError);
+    if (req.access.baseRole === 'admin') {
+      // Admins can see all trials in their organization
+      const { data: allTrials, error: trialsError } = await supabaseAdmin
+        .from('clinical_trials')
+        .select('id')
+        .eq('organization_id', organizationId);
+
+      if (trialsError) {
+        console.error('Failed to get trials for admin:', trialsError);
         return res.status(500).json({
           success: false,
-          message: 'Failed to upload file. Please try again.'
+          message: 'Failed to fetch accessible trials'
         });
       }
 
-      storagePath = filename;
-      console.log('✅ Training material file uploaded successfully:', filename);
-    }
-
-    // Try to insert into Supabase, but fallback to mock response if it fails
-    let transformedTrainingMaterial;
-    try {
-      // Validate type and file combination
-      let actualType = type; // Use the type sent by frontend
-      let actualContent = content; // Default to content
+      accessibleTrialIds = allTrials.map(trial => trial.id);
+    } else {
+      // Doctors/users can only see trials they're assigned to
+      const { data: assignedTrials, error: assignmentError } = await supabaseAdmin
+        .from('user_clinical_assignments')
+        .select('clinical_trial_id')
+        .eq('user_id', userId);
 
-      // If a file was uploaded, override content with storage path
-      if (storagePath) {
-        actualContent = storagePath;
-        // For file uploads, the type should match the upload type
-        if (uploadedFile) {
-          if (uploadedFile.mimetype === 'application/pdf') {
-            actualType = 'pdf';
-          } else if (uploadedFile.mimetype.startsWith('video/')) {
-            actualType = 'video';
-          } else {
-            actualType = 'document';
-          }
-        }
-      } else if (type === 'pdf' || type === 'video' || type === 'document') {
-        // If they selected a file type but no file was uploaded, that's an error
-        return res.status(400).json({
+      if (assignmentError) {
+        console.error('Failed to get trial assignments:', assignmentError);
+        return res.status(500).json({
           success: false,
-          message: `File upload required for ${type} type`
+          message: 'Failed to fetch trial assignments'
         });
       }
 
-      // Get user profile info for created_by_name
-      const { data: profileData, error: profileFetchError } = await supabase
-        .from('profiles')
-        .select('first_name, last_name')
-        .eq('id', userId)
-        .single();
+      accessibleTrialIds = assignedTrials.map(assignment => assignment.clinical_trial_id);
+    }
 
-      const creatorName = profileFetchError ?
-        'Unknown User' :
-        `${profileData.first_name || ''} ${profileData.last_name || ''}`.trim() || 'Unknown User';
+    console.log('🎯 Accessible trial IDs:', accessibleTrialIds);
 
-      // Use the correct column names that match the new Supabase table schema
-      const insertData = {
-        organization_id: userProfile.organization_id,
-        clinical_trial_id: clinical_trial_id,
+    if (accessibleTrialIds.length === 0) {
+      console.log('📭 No accessible trials found');
+      return res.json({
+        success: true,
+        news: []
+      });
+    }
+
+    // Get news items filtered by accessible trials; drafts, scheduled and
+    // expired items only for admins and users, who write news
+    let newsQuery = supabaseAdmin
+      .from('news_updates')
+      .select(`
+        id,
         title,
-        description,
-        type: actualType,
-        content: actualContent,
-        category: category || 'General',
-        file_name: uploadedFile ? uploadedFile.originalname : null,
-        file_size: uploadedFile ? uploadedFile.size : null,
-        mime_type: uploadedFile ? uploadedFile.mimetype : null,
-        storage_path: storagePath,
-        storage_bucket: 'training-materials',
-        created_by: userId,
-        created_by_name: creatorName,
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        version: '1.0'
-      };
+        body,
+        organization_id,
+        clinical_trial_id,
+        status,
+        published_at,
+        expires_at,
+        created_at,
+        created_by,
+        body_format,
+        tags,
+        hero_image_path,
+        pinned_at,
+        news_categories (
+          id,
+          name,
+          color
+        ),
+        news_attachments (
+          id,
+          file_name,
+          mime_type,
+          file_size,
+          storage_bucket,
+          storage_path,
+          position
+        ),
+        profiles (
+          display_name
+        ),
+        clinical_trials (
+          name
+        )
+      `)
+      .in('clinical_trial_id', accessibleTrialIds)
+      .neq('content_type', 'file');
 
-      const { data, error } = await supabase
-        .from('training_materials')
-        .insert([insertData])
-        .select('*')
-        .single();
+    if (!req.access.can('news.view_drafts')) {
+      newsQuery = onlyLiveNews(newsQuery);
+    }
 
-      if (!error && data) {
-        console.log('Successfully inserted training material into Supabase:', data.id);
+    const { data, error } = await newsQuery
+      .order('published_at', { ascending: false, nullsFirst: true });
 
-        // Get trial name for the response
-        transformedTrainingMaterial = {
-          id: data.id,
-          title: data.title,
-          description: data.description,
-          type: data.type,
-          content: data.content,
-          category: data.category,
-          clinical_trial_id: data.clinical_trial_id,
-          trial_name: trial.name,
-          created_by: data.created_by,
-          created_by_name: data.created_by_name,
-          upload_date: data.upload_date || data.created_at,
-          is_active: data.is_active,
-          created_at: data.created_at,
-          file_name: data.file_name,
-          file_size: data.file_size,
-          mime_type: data.mime_type,
-          storage_path: data.storage_path,
-          version: data.version
-        };
-      } else {
-        throw new Error(error?.message || 'Supabase insert failed');
-      }
-    } catch (supabaseError) {
-      console.log('Supabase insert failed, using mock response:', supabaseError.message);
-      // Fallback: Return mock created training material for testing
-      transformedTrainingMaterial = {
-        id: Date.now().toString(),
-        title,
-        description,
-        type,
-        content,
-        category,
-        clinical_trial_id: clinical_trial_id,
-        trial_name: trial.name,
-        created_by: userId,
-        created_by_name: 'Test User',
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        created_at: new Date().toISOString()
-      };
+    if (error) {
+      console.error('Supabase query error:', error.message);
+      console.error('Error details:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch news items from database',
+        error: error.message
+      });
+    }
+
+    console.log('🔍 All news items query result:', data);
+    console.log('🔍 Filtered news items for user:', data ? data.length : 0, 'items');
+
+    if (error) {
+      console.error('Supabase query error:', error.message);
+      console.error('Error details:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch news items from database',
+        error: error.message
+      });
     }
 
+    console.log('🔍 Filtered news items for user:', data ? data.length : 0, 'items');
+
+    // Transform data to match frontend expectations
+    const imageUrls = await signedNewsImages(data || []);
+    const transformedNews = sortNewsFeed(data || []).map(item => ({
+      id: item.id,
+      title: item.title,
+      content: item.body,
+      clinical_trial_id: item.clinical_trial_id,
+      trial_name: item.clinical_trials?.name || 'Unknown Trial',
+      created_at: item.published_at || item.created_at,
+      created_by_name: item.profiles?.display_name || 'Unknown',
+      ...formatNewsSchedule(item),
+      ...formatNewsContent(item, { imageUrls })
+    }));
+
+    console.log(`📊 Returning ${transformedNews.length} news items for organization ${organizationId}`);
     res.json({
       success: true,
-      message: 'Training material created successfully',
-      trainingMaterial: transformedTrainingMaterial
+      newsItems: transformedNews
     });
   } catch (err) {
-    console.error('Training material creation error:', err);
+    console.error('News fetch error:', err.message);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -3118,53 +3724,36 @@ app.post('/api/training-materials', upload.fields([
   }
 });
 
-// Update training material
-app.put('/api/training-materials/:id', authenticateToken, async (req, res) => {
+// Create news item
+app.post('/api/news', authorize('news.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, description, type, content, category, clinical_trial_id } = req.body;
-    const userId = req.user.userId;
-
-    console.log('🔄 PUT /api/training-materials/:id - Request received');
-    console.log('📝 ID:', id);
-    console.log('👤 User ID:', userId);
-    console.log('📋 Data:', { title, description, type, content, category, clinical_trial_id });
+    const { title, body, clinical_trial_id, status, publish_at, expires_at, body_format, category_id, tags } = req.body;
 
-    if (!title || !type || !clinical_trial_id) {
+    if (!title || !body || !clinical_trial_id) {
       return res.status(400).json({
         success: false,
-        message: 'Title, type, and clinical trial selection are required'
+        message: 'Title, content, and clinical trial selection are required'
       });
     }
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError) {
+    const schedule = parseNewsSchedule({ status, publishAt: publish_at, expiresAt: expires_at });
+    if (schedule.error) {
       return res.status(400).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: schedule.error
       });
     }
 
-    // Allow admins and users to update training materials
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update training materials'
-      });
-    }
+    const userId = req.user.userId;
+
+    const organizationId = req.access.organizationId;
 
     // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabase
+    const { data: trial, error: trialError } = await supabaseAdmin
       .from('clinical_trials')
       .select('id, name')
       .eq('id', clinical_trial_id)
-      .eq('organization_id', userProfile.organization_id)
+      .eq('organization_id', organizationId)
       .single();
 
     if (trialError || !trial) {
@@ -3175,10 +3764,10 @@ app.put('/api/training-materials/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user has permission to update training materials for this trial
-    if (userProfile.role !== 'admin') {
+    // Check if user has permission to create news for this trial
+    if (req.access.baseRole !== 'admin') {
       // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabase
+      const { data: assignment, error: assignError } = await supabaseAdmin
         .from('user_clinical_assignments')
         .select('id')
         .eq('user_id', userId)
@@ -3188,72 +3777,73 @@ app.put('/api/training-materials/:id', authenticateToken, async (req, res) => {
       if (assignError || !assignment) {
         return res.status(403).json({
           success: false,
-          message: 'You do not have permission to update training materials for this clinical trial'
+          message: 'You do not have permission to create news for this clinical trial'
         });
       }
     }
 
-    console.log('👥 User profile found:', { organization_id: userProfile.organization_id, role: userProfile.role });
+    const rich = await readNewsRichFields(supabaseAdmin, { bodyFormat: body_format, categoryId: category_id, tags }, organizationId);
+    if (rich.error) {
+      return res.status(400).json({
+        success: false,
+        message: rich.error
+      });
+    }
 
-    console.log('🔍 Searching for training material with ID:', id, 'and organization_id:', userProfile.organization_id);
+    console.log('📝 Creating news item for trial:', trial.name, { title, body });
 
-    const { data, error } = await supabase
-      .from('training_materials')
-      .update({
-        title,
-        description,
-        clinical_trial_id: clinical_trial_id,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .eq('organization_id', userProfile.organization_id)
-      .select()
-      .single();
+    const insertData = {
+      title: title,
+      body: body,
+      organization_id: organizationId,
+      clinical_trial_id: clinical_trial_id,
+      created_by: userId,
+      ...schedule.values,
+      ...rich.values
+    };
 
-    console.log('📊 Update result - data:', data, 'error:', error);
+    const { data, error } = await supabaseAdmin
+      .from('news_updates')
+      .insert([insertData])
+      .select('*')
+      .single();
 
     if (error) {
-      console.error('❌ Supabase error:', error);
-      console.error('❌ Error details:', {
-        code: error.code,
-        details: error.details,
-        hint: error.hint,
-        message: error.message
-      });
+      console.error('Supabase insert error:', error.message);
+      console.error('Error details:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to update training material',
+        message: 'Failed to create news item in database',
         error: error.message
       });
     }
 
-    console.log('✅ Training material updated successfully:', data.id);
-
-    // Transform the data to match frontend expectations
-    const transformedTrainingMaterial = {
+    // Transform data to match frontend expectations
+    const imageUrls = await signedNewsImages([data]);
+    const transformedNewsItem = {
       id: data.id,
       title: data.title,
-      description: data.description,
-      type: type, // Frontend concept - not stored in DB
-      content: content, // Frontend concept - not stored in DB
-      category: category, // Frontend concept - not stored in DB
-      clinical_trial_id: clinical_trial_id,
-      trial_name: trial.name,
-      created_by: data.created_by,
-      created_by_name: 'Test User', // TODO: Get from profiles table
-      upload_date: data.created_at,
-      is_active: true,
-      created_at: data.created_at,
-      updated_at: data.updated_at
+      content: data.body,
+      created_at: data.published_at || data.created_at,
+      created_by_name: 'User',
+      ...formatNewsSchedule(data),
+      ...formatNewsContent(data, { imageUrls })
     };
 
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Created news item: ${data.id}`);
+    }
+
+    await recordAudit(req, { entityType: 'news_update', entityId: data.id, action: 'create', organizationId, after: data });
+    await announceNewsIfLive(data);
+
     res.json({
       success: true,
-      message: 'Training material updated successfully',
-      trainingMaterial: transformedTrainingMaterial
+      message: 'News item created successfully',
+      newsItem: transformedNewsItem
     });
   } catch (err) {
-    console.error('Training material update error:', err);
+    console.error('News creation error:', err.message);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -3261,54 +3851,141 @@ app.put('/api/training-materials/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete training material
-app.delete('/api/training-materials/:id', authenticateToken, async (req, res) => {
+// Update news item
+app.put('/api/news/:id', authorize('news.manage'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { title, body, clinical_trial_id, status, publish_at, expires_at, body_format, category_id, tags } = req.body;
+
+    if (!title || !body || !clinical_trial_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, content, and clinical trial selection are required'
+      });
+    }
+
     const userId = req.user.userId;
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
+    const organizationId = req.access.organizationId;
+
+    // Validate that the clinical trial exists and belongs to user's organization
+    const { data: trial, error: trialError } = await supabaseAdmin
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', organizationId)
       .single();
 
-    if (profileError) {
+    if (trialError || !trial) {
+      console.error('Invalid clinical trial:', trialError);
       return res.status(400).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    // Check if user has permission to update news for this trial
+    if (req.access.baseRole !== 'admin') {
+      // Non-admin users must be assigned to the trial
+      const { data: assignment, error: assignError } = await supabaseAdmin
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update news for this clinical trial'
+        });
+      }
+    }
+
+    console.log('📝 Updating news item:', id, 'for trial:', trial.name);
+
+    // First check if the news item exists and belongs to the user's organization
+    const { data: existingNews, error: checkError } = await supabaseAdmin
+      .from('news_updates')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (checkError || !existingNews) {
+      return res.status(404).json({
+        success: false,
+        message: 'News item not found'
       });
     }
 
-    // Allow admins to delete training materials
-    if (userProfile.role !== 'admin') {
+    if (existingNews.organization_id !== organizationId) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to delete training materials'
+        message: 'You do not have permission to update this news item'
       });
     }
 
-    const { error } = await supabase
-      .from('training_materials')
-      .delete()
+    const schedule = parseNewsSchedule({ status, publishAt: publish_at, expiresAt: expires_at }, existingNews);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
+    const rich = await readNewsRichFields(supabaseAdmin, { bodyFormat: body_format, categoryId: category_id, tags }, organizationId);
+    if (rich.error) {
+      return res.status(400).json({
+        success: false,
+        message: rich.error
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('news_updates')
+      .update({
+        title: title,
+        body: body,
+        clinical_trial_id: clinical_trial_id,
+        ...schedule.values,
+        ...rich.values
+      })
       .eq('id', id)
-      .eq('organization_id', userProfile.organization_id);
+      .select()
+      .single();
 
     if (error) {
-      return res.status(400).json({
+      console.error('Supabase update error:', error.message);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to delete training material',
-        error: error.message
+        message: 'Failed to update news item'
       });
     }
 
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Updated news item: ${id}`);
+    }
+
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: id,
+      action: 'update',
+      organizationId,
+      before: existingNews,
+      after: data
+    });
+
+    // A draft published now (or a schedule moved into the past) goes out straight away
+    await announceNewsIfLive(data);
+    const imageUrls = await signedNewsImages([data]);
+
     res.json({
       success: true,
-      message: 'Training material deleted successfully'
+      message: 'News item updated successfully',
+      newsItem: { ...data, ...formatNewsSchedule(data), ...formatNewsContent(data, { imageUrls }) }
     });
   } catch (err) {
-    console.error('Training material deletion error:', err);
+    console.error('News update error:', err.message);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -3316,477 +3993,380 @@ app.delete('/api/training-materials/:id', authenticateToken, async (req, res) =>
   }
 });
 
-// ===== FILE UPLOAD ENDPOINT =====
-
-// Upload file to Supabase storage
-app.post('/api/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// Delete news item
+app.delete('/api/news/:id', authorize('news.delete'), async (req, res) => {
   try {
-    console.log('📤 GENERIC File upload request received - THIS SHOULD NOT BE CALLED FOR STUDY PROTOCOLS');
+    const { id } = req.params;
+    const organizationId = req.access.organizationId;
+    console.log('🗑️ Deleting news item:', id, 'for organization:', organizationId);
 
-    if (!req.file) {
-      return res.status(400).json({
+    // First check if the news item belongs to the user's organization
+    const { data: existingNews, error: checkError } = await supabaseAdmin
+      .from('news_updates')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (checkError || !existingNews) {
+      return res.status(404).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'News item not found'
       });
     }
 
-    // Get user profile to determine organization
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', req.user.userId)
-      .single();
-
-    if (profileError || !userProfile) {
-      console.error('Profile fetch error:', profileError);
+    if (existingNews.organization_id !== organizationId) {
       return res.status(403).json({
         success: false,
-        message: 'User profile not found'
+        message: 'You do not have permission to delete this news item'
       });
     }
 
-    // Generate unique filename with organization prefix
-    const fileExtension = req.file.originalname.split('.').pop();
-    const timestamp = Date.now();
-    const randomId = Math.random().toString(36).substring(2, 15);
-    const filename = `${userProfile.organization_id}/${timestamp}_${randomId}.${fileExtension}`;
-
-    // Determine bucket based on file type or request parameter
-    const bucket = req.body.bucket || 'study-protocols';
+    const { data: attachments } = await supabaseAdmin
+      .from('news_attachments')
+      .select('storage_path')
+      .eq('news_update_id', id);
 
-    console.log(`📁 Uploading to bucket: ${bucket}, filename: ${filename}`);
+    const { error, count } = await supabaseAdmin
+      .from('news_updates')
+      .delete({ count: 'exact' })
+      .eq('id', id);
 
-    // Upload file to Supabase storage (use admin client for public buckets)
-    const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-      .from(bucket)
-      .upload(filename, req.file.buffer, {
-        contentType: req.file.mimetype,
-        cacheControl: '3600'
+    if (error) {
+      console.error('Supabase delete error:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete news item'
       });
+    }
 
-    if (uploadError) {
-      console.error('Upload error:', uploadError);
-      return res.status(500).json({
+    if (count === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to upload file',
-        error: uploadError.message
+        message: 'News item not found'
       });
     }
 
-    // Store file reference in database
-    const { data: fileData, error: fileError } = await supabase
-      .from('news_updates')
-      .insert({
-        organization_id: userProfile.organization_id,
-        clinical_trial_id: req.body.clinical_trial_id || null, // Optional - can be null
-        title: req.body.title || req.file.originalname,
-        content_type: 'file',
-        body: req.body.description || null,
-        file_url: `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${filename}`,
-        file_name: req.file.originalname,
-        file_size: req.file.size,
-        mime_type: req.file.mimetype,
-        storage_bucket: bucket,
-        storage_path: filename,
-        created_by: req.user.userId
-      })
-      .select()
-      .single();
+    await removeNewsAssets([existingNews.hero_image_path, ...(attachments || []).map(a => a.storage_path)]);
 
-    if (fileError) {
-      console.error('File reference error:', fileError);
-      // Don't fail the request if file reference fails, but log it
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`✅ Deleted news item: ${id}`);
     }
 
-    // Generate signed URL for immediate access
-    const { data: signedUrlData, error: signedUrlError } = await supabase.storage
-      .from(bucket)
-      .createSignedUrl(filename, 3600); // 1 hour expiry
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: id,
+      action: 'delete',
+      organizationId,
+      before: existingNews
+    });
 
-    const response = {
+    res.json({
       success: true,
-      message: 'File uploaded successfully',
-      data: {
-        filename: filename,
-        originalName: req.file.originalname,
-        size: req.file.size,
-        bucket: bucket,
-        signedUrl: signedUrlData?.signedUrl || null,
-        fileId: fileData?.id || null
-      }
-    };
-
-    console.log('✅ File upload completed successfully');
-    res.json(response);
-
-  } catch (error) {
-    console.error('Unexpected upload error:', error);
+      message: 'News item deleted successfully'
+    });
+  } catch (err) {
+    console.error('News deletion error:', err.message);
     res.status(500).json({
       success: false,
-      message: 'An unexpected error occurred during upload',
-      error: error.message
+      message: 'An unexpected error occurred'
     });
   }
 });
 
-// ===== FILE ACCESS ENDPOINT =====
+// Signed hero image URLs for news rows (news-assets is private)
+const signedNewsImages = (items) => signNewsImages(supabaseAdmin || supabase, items);
+
+// The news item for routes behind news.manage, if the caller may edit it
+// (admins, or others assigned to its trial, as for PUT /api/news/:id), or
+// null after sending the error response
+const loadEditableNews = async (req, res, newsId) => {
+  const { data: news } = await supabaseAdmin
+    .from('news_updates')
+    .select('*')
+    .eq('id', newsId)
+    .eq('organization_id', req.access.organizationId)
+    .maybeSingle();
+
+  if (!news) {
+    res.status(404).json({
+      success: false,
+      message: 'News item not found'
+    });
+    return null;
+  }
 
-// Generate signed URL for file access
-app.get('/api/files/signed-url', authenticateToken, async (req, res) => {
-  try {
-    const { bucket, path } = req.query;
+  if (req.access.baseRole !== 'admin') {
+    const { data: assignment } = await supabaseAdmin
+      .from('user_clinical_assignments')
+      .select('id')
+      .eq('user_id', req.user.userId)
+      .eq('clinical_trial_id', news.clinical_trial_id)
+      .maybeSingle();
 
-    if (!bucket || !path) {
-      return res.status(400).json({
+    if (!assignment) {
+      res.status(403).json({
         success: false,
-        message: 'Bucket and path parameters are required'
+        message: 'You do not have permission to update news for this clinical trial'
       });
+      return null;
     }
+  }
 
-    console.log(`🔗 Generating access URL for ${bucket}/${path}`);
+  return news;
+};
 
-    // Check if bucket exists
-    console.log(`🔍 Checking for bucket: ${bucket}`);
-    console.log(`🔑 Using Supabase URL: ${process.env.SUPABASE_URL}`);
-    console.log(`🔑 Service role key exists: ${!!process.env.SUPABASE_SERVICE_ROLE_KEY}`);
+const newsAssetPath = (news, file) => {
+  const extension = file.originalname.includes('.') ? `.${file.originalname.split('.').pop().toLowerCase()}` : '';
+  const randomId = Math.random().toString(36).substring(2, 15);
+  return `${news.organization_id}/news/${news.id}/${Date.now()}_${randomId}${extension}`;
+};
 
-    let buckets;
-    try {
-      console.log(`📡 Calling supabaseAdmin.storage.listBuckets()`);
-      const result = await supabaseAdmin.storage.listBuckets();
-      console.log(`📡 Raw API response:`, JSON.stringify(result, null, 2));
+const uploadNewsAsset = async (path, file) => {
+  const { error } = await supabaseAdmin.storage
+    .from(NEWS_ASSETS_BUCKET)
+    .upload(path, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl: '3600'
+    });
+  if (error) throw error;
+};
 
-      if (result.error) {
-        console.error(`❌ API Error:`, result.error);
-        return res.status(500).json({
-          success: false,
-          message: `Supabase API error: ${result.error.message}`,
-          details: result.error
-        });
-      }
+// Best effort: a leftover object is only wasted space
+const removeNewsAssets = async (paths) => {
+  const existing = paths.filter(Boolean);
+  if (existing.length === 0) return;
+  const { error } = await supabaseAdmin.storage.from(NEWS_ASSETS_BUCKET).remove(existing);
+  if (error) console.error('Failed to remove news assets:', error.message);
+};
+
+const formatNewsCategory = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color,
+  sortOrder: row.sort_order
+});
+
+// Get the organization's news categories
+app.get('/api/news-categories', authorize(), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('news_categories')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .order('sort_order')
+      .order('name');
 
-      buckets = result.data;
-      console.log(`🔗 Parsed buckets data:`, buckets);
-      console.log(`🔗 Available buckets:`, buckets?.map(b => b.name) || []);
-      console.log(`🔗 Bucket count:`, buckets?.length || 0);
-    } catch (error) {
-      console.error(`❌ Exception during bucket listing:`, error);
-      console.error(`❌ Error stack:`, error.stack);
+    if (error) {
+      console.error('News categories query error:', error);
       return res.status(500).json({
         success: false,
-        message: `Exception during bucket check: ${error.message}`,
-        stack: error.stack
+        message: 'Failed to fetch news categories'
       });
     }
 
-    const bucketExists = buckets?.some(b => b.name === bucket);
-    console.log(`🔍 Bucket ${bucket} exists: ${bucketExists}`);
-
-    if (!bucketExists) {
-      console.log(`❌ Bucket ${bucket} does not exist in Supabase storage`);
-      console.log(`📋 Detailed bucket info:`, buckets);
-      return res.status(404).json({
-        success: false,
-        message: `Bucket '${bucket}' does not exist in Supabase storage. Available buckets: ${buckets?.map(b => b.name).join(', ') || 'none'}. Please create the bucket in Supabase Storage first.`
-      });
-    }
-
-    console.log(`✅ Bucket ${bucket} exists`);
-
-    // For public buckets, use direct public URLs
-    if (bucket === 'news-assets' || bucket === 'training-materials') {
-      const supabaseUrl = process.env.SUPABASE_URL;
-      if (!supabaseUrl) {
-        return res.status(500).json({
-          success: false,
-          message: 'Supabase URL not configured'
-        });
-      }
-
-      const directUrl = `${supabaseUrl}/storage/v1/object/public/${bucket}/${encodeURIComponent(path)}`;
-      console.log('🔗 Using direct public URL for public bucket:', directUrl);
+    res.json({
+      success: true,
+      categories: (data || []).map(formatNewsCategory)
+    });
+  } catch (err) {
+    console.error('News categories fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-      res.json({
-        success: true,
-        signedUrl: directUrl,
-        note: 'Using direct public storage URL'
-      });
-    } else {
-      // For private buckets, use signed URLs
-      console.log(`🔗 Attempting to create signed URL for private bucket ${bucket}/${path}`);
-      const { data: signedUrlData, error: signedUrlError } = await supabaseAdmin.storage
-        .from(bucket)
-        .createSignedUrl(path, 3600); // 1 hour expiry
+const validNewsCategoryColor = (color) => color === undefined || color === null || /^#[0-9A-Fa-f]{6}$/.test(color);
 
-      if (signedUrlError) {
-        console.error('❌ Signed URL error:', signedUrlError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to generate signed URL',
-          error: signedUrlError.message
-        });
-      }
+// Create a news category
+app.post('/api/news-categories', authorize('news.categories'), async (req, res) => {
+  try {
+    const { name, color, sortOrder } = req.body;
 
-      console.log('✅ Signed URL generated successfully');
-      res.json({
-        success: true,
-        signedUrl: signedUrlData.signedUrl
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required'
       });
     }
 
-    // Check user permissions using existing user_clinical_assignments table
-    const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError || !userProfile) {
-      console.log('❌ User profile not found');
-      return res.status(403).json({
+    if (!validNewsCategoryColor(color)) {
+      return res.status(400).json({
         success: false,
-        message: 'User profile not found'
+        message: 'Color must be a hex color such as #1f4e79'
       });
     }
 
-    // Check permissions based on bucket type
-    if (bucket === 'study-protocols' || bucket === 'training-materials' || bucket === 'news-assets') {
-      // Check if user is assigned to any clinical trials or is an admin
-      const { data: userAssignments, error: assignError } = await supabase
-        .from('user_clinical_assignments')
-        .select('clinical_trial_id')
-        .eq('user_id', userId);
-
-      if (assignError) {
-        console.log('❌ Error checking user clinical assignments:', assignError);
-        return res.status(500).json({
-          success: false,
-          message: 'Error checking permissions'
-        });
-      }
+    const { data, error } = await supabaseAdmin
+      .from('news_categories')
+      .insert({
+        organization_id: req.access.organizationId,
+        name: String(name).trim(),
+        color: color || null,
+        sort_order: parseInt(sortOrder, 10) || 0,
+        created_by: req.user.userId
+      })
+      .select()
+      .single();
 
-      // Allow access if user is admin or has clinical trial assignments
-      const hasAccess = userProfile.role === 'admin' || (userAssignments && userAssignments.length > 0);
-      if (!hasAccess) {
-        console.log(`❌ User does not have permission to access ${bucket} files`);
-        return res.status(403).json({
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
           success: false,
-          message: `You do not have permission to access ${bucket.replace('-', ' ')} files`
+          message: 'A category with this name already exists'
         });
       }
+      console.error('News category creation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create news category'
+      });
     }
 
-    // For other buckets, use similar permission checks as needed
-    // For now, allow access to other buckets if user has valid profile
-
-    // Construct direct public storage URL
-    const directUrl = `${supabaseUrl}/storage/v1/object/public/${bucket}/${encodeURIComponent(path)}`;
-    console.log('🔗 Using direct public storage URL:', directUrl);
+    await recordAudit(req, {
+      entityType: 'news_category',
+      entityId: data.id,
+      action: 'create',
+      organizationId: req.access.organizationId,
+      after: data
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      signedUrl: directUrl,
-      note: 'Using direct public storage URL with permission check'
+      message: 'News category created',
+      category: formatNewsCategory(data)
     });
-
-  } catch (error) {
-    console.error('Unexpected signed URL error:', error);
+  } catch (err) {
+    console.error('News category creation error:', err);
     res.status(500).json({
       success: false,
-      message: 'An unexpected error occurred',
-      error: error.message
+      message: 'An unexpected error occurred'
     });
   }
 });
 
-// ===== STUDY PROTOCOLS =====
-
-// Get all study protocols (temporary unauthenticated access for testing)
-app.get('/api/study-protocols', authenticateToken, async (req, res) => {
+// Update a news category
+app.put('/api/news-categories/:id', authorize('news.categories'), async (req, res) => {
   try {
-    console.log('📨 GET /api/study-protocols - Starting request');
-
-    // Get user's organization and role
-    const userId = req.user.userId;
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const { name, color, sortOrder } = req.body;
 
-    if (profileError || !userProfile) {
-      console.error('Failed to get user profile:', profileError);
+    if (name !== undefined && !String(name).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to get user profile'
+        message: 'Category name cannot be empty'
       });
     }
 
-    const organizationId = userProfile.organization_id;
-    console.log('🔍 Getting study protocols for organization:', organizationId, 'role:', userProfile.role);
-
-    // Get accessible trial IDs based on user role
-    let accessibleTrialIds = [];
+    if (!validNewsCategoryColor(color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Color must be a hex color such as #1f4e79'
+      });
+    }
 
-    if (userProfile.role === 'admin') {
-      // Admins can see all trials in their organization
-      const { data: allTrials, error: trialsError } = await supabase
-        .from('clinical_trials')
-        .select('id')
-        .eq('organization_id', organizationId);
+    const before = await fetchAuditSnapshot('news_categories', req.params.id);
+    if (!before || before.organization_id !== req.access.organizationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'News category not found'
+      });
+    }
 
-      if (trialsError) {
-        console.error('Failed to get trials for admin:', trialsError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to fetch accessible trials'
-        });
-      }
+    const changes = {};
+    if (name !== undefined) changes.name = String(name).trim();
+    if (color !== undefined) changes.color = color || null;
+    if (sortOrder !== undefined) changes.sort_order = parseInt(sortOrder, 10) || 0;
 
-      accessibleTrialIds = allTrials.map(trial => trial.id);
-    } else {
-      // Doctors/users can only see trials they're assigned to
-      const { data: assignedTrials, error: assignmentError } = await supabase
-        .from('user_clinical_assignments')
-        .select('clinical_trial_id')
-        .eq('user_id', userId);
+    const { data, error } = await supabaseAdmin
+      .from('news_categories')
+      .update(changes)
+      .eq('id', req.params.id)
+      .select()
+      .single();
 
-      if (assignmentError) {
-        console.error('Failed to get trial assignments:', assignmentError);
-        return res.status(500).json({
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
           success: false,
-          message: 'Failed to fetch trial assignments'
+          message: 'A category with this name already exists'
         });
       }
-
-      accessibleTrialIds = assignedTrials.map(assignment => assignment.clinical_trial_id);
+      console.error('News category update error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update news category'
+      });
     }
 
-    console.log('🎯 Accessible trial IDs:', accessibleTrialIds);
+    await recordAudit(req, {
+      entityType: 'news_category',
+      entityId: data.id,
+      action: 'update',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
 
-    if (accessibleTrialIds.length === 0) {
-      console.log('📭 No accessible trials found');
-      return res.json({
-        success: true,
-        studyProtocols: []
+    res.json({
+      success: true,
+      message: 'News category updated',
+      category: formatNewsCategory(data)
+    });
+  } catch (err) {
+    console.error('News category update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete a news category; its news items become uncategorized
+app.delete('/api/news-categories/:id', authorize('news.categories'), async (req, res) => {
+  try {
+    const before = await fetchAuditSnapshot('news_categories', req.params.id);
+    if (!before || before.organization_id !== req.access.organizationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'News category not found'
       });
     }
 
-    // Get study protocols filtered by accessible trials
-    const { data, error } = await supabase
-      .from('study_protocols')
-      .select(`
-        id,
-        title,
-        description,
-        type,
-        content,
-        storage_path,
-        version,
-        clinical_trial_id,
-        created_by,
-        created_at,
-        updated_at,
-        clinical_trials (
-          name
-        ),
-        profiles (
-          display_name
-        )
-      `)
-      .in('clinical_trial_id', accessibleTrialIds)
-      .order('created_at', { ascending: false });
+    const { error, count } = await supabaseAdmin
+      .from('news_categories')
+      .delete({ count: 'exact' })
+      .eq('id', req.params.id);
 
     if (error) {
-      console.error('📨 Supabase query error:', error);
-      console.error('📨 Error details:', {
-        code: error.code,
-        details: error.details,
-        hint: error.hint,
-        message: error.message
+      console.error('News category deletion error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete news category'
       });
-
-      // Fall back to mock data if database query fails
-      console.log('📨 Falling back to mock data');
-    } else {
-      console.log('📨 Query successful, found', data ? data.length : 0, 'study protocols');
-      if (data && data.length > 0) {
-        console.log('📨 First protocol:', data[0]);
-      }
     }
 
-    // Use real data if available, otherwise mock data
-    let studyProtocols;
-    if (!error && data && data.length > 0) {
-      studyProtocols = data.map(protocol => ({
-        id: protocol.id,
-        title: protocol.title,
-        description: protocol.description,
-        type: protocol.type || 'pdf',
-        content: protocol.type === 'pdf' ? protocol.storage_path : protocol.content,
-        version: protocol.version,
-        clinical_trial_id: protocol.clinical_trial_id,
-        trial_name: protocol.clinical_trials?.name || 'Unknown Trial',
-        created_by: protocol.created_by,
-        created_by_name: protocol.profiles?.display_name || 'Unknown',
-        upload_date: protocol.created_at,
-        created_at: protocol.created_at
-      }));
-    } else {
-      // Mock data for testing
-      console.log('📨 Using mock data');
-      const mockStudyProtocols = [
-      {
-        id: '1',
-        title: 'Phase III Clinical Trial Protocol v2.1',
-        description: 'Complete protocol for the Phase III clinical trial including inclusion/exclusion criteria',
-        type: 'pdf',
-        content: 'https://example.com/phase3-protocol.pdf',
-        version: '2.1',
-        created_by: 'admin',
-        created_by_name: 'Admin',
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        created_at: new Date().toISOString()
-      },
-      {
-        id: '2',
-        title: 'Patient Recruitment Guidelines',
-        description: 'Guidelines for patient recruitment and enrollment procedures',
-        type: 'text',
-        content: 'Detailed patient recruitment guidelines content...',
-        version: '1.0',
-        created_by: 'admin',
-        created_by_name: 'Admin',
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        created_at: new Date().toISOString()
-      },
-      {
-        id: '3',
-        title: 'Data Collection Standards',
-        description: 'Standards and procedures for data collection and management',
-        type: 'pdf',
-        content: 'https://example.com/data-standards.pdf',
-        version: '3.0',
-        created_by: 'admin',
-        created_by_name: 'Admin',
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        created_at: new Date().toISOString()
-      }
-      ];
-      studyProtocols = mockStudyProtocols;
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'News category not found'
+      });
     }
 
-    console.log(`📊 Returning ${studyProtocols.length} study protocols to frontend`);
+    await recordAudit(req, {
+      entityType: 'news_category',
+      entityId: req.params.id,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before
+    });
+
     res.json({
       success: true,
-      studyProtocols: studyProtocols
+      message: 'News category deleted'
     });
   } catch (err) {
-    console.error('Study protocols fetch error:', err);
+    console.error('News category deletion error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -3794,192 +4374,194 @@ app.get('/api/study-protocols', authenticateToken, async (req, res) => {
   }
 });
 
-// Create study protocol (temporary unauthenticated access for testing)
-app.post('/api/study-protocols', authenticateToken, upload.any(), async (req, res) => {
+// Pin a news item to the top of its trial's feed
+app.post('/api/news/:id/pin', authorize('news.manage'), async (req, res) => {
   try {
-    console.log('📨 POST /api/study-protocols - Request received');
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
 
-    let uploadedFile = null;
-    if (req.files && req.files.length > 0) {
-      uploadedFile = req.files[0]; // Take the first file
-      console.log('📨 File uploaded:', uploadedFile.originalname);
-    }
-
-    const { title, description, type, content, version, clinical_trial_id } = req.body;
-    const userId = req.user.userId;
+    const { data, error } = await supabaseAdmin
+      .from('news_updates')
+      .update({ pinned_at: new Date().toISOString(), pinned_by: req.user.userId })
+      .eq('id', news.id)
+      .select()
+      .single();
 
-    if (!title || !type || !clinical_trial_id) {
-      return res.status(400).json({
+    if (error) {
+      console.error('News pin error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Title, type, and clinical trial selection are required'
+        message: 'Failed to pin news item'
       });
     }
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'pin',
+      organizationId: req.access.organizationId,
+      before: { pinned_at: news.pinned_at, pinned_by: news.pinned_by },
+      after: { pinned_at: data.pinned_at, pinned_by: data.pinned_by }
+    });
 
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'User profile not found. Please contact an administrator.'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'News item pinned',
+      pinnedAt: data.pinned_at
+    });
+  } catch (err) {
+    console.error('News pin error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-    // Allow admins and users to create study protocols
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
+// Unpin a news item
+app.delete('/api/news/:id/pin', authorize('news.manage'), async (req, res) => {
+  try {
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
+
+    const { error } = await supabaseAdmin
+      .from('news_updates')
+      .update({ pinned_at: null, pinned_by: null })
+      .eq('id', news.id);
+
+    if (error) {
+      console.error('News unpin error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'You do not have permission to create study protocols'
+        message: 'Failed to unpin news item'
       });
     }
 
-    // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabase
-      .from('clinical_trials')
-      .select('id, name')
-      .eq('id', clinical_trial_id)
-      .eq('organization_id', userProfile.organization_id)
-      .single();
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'unpin',
+      organizationId: req.access.organizationId,
+      before: { pinned_at: news.pinned_at, pinned_by: news.pinned_by },
+      after: { pinned_at: null, pinned_by: null }
+    });
 
-    if (trialError || !trial) {
-      console.error('Invalid clinical trial:', trialError);
+    res.json({
+      success: true,
+      message: 'News item unpinned'
+    });
+  } catch (err) {
+    console.error('News unpin error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Set or replace a news item's hero image (multipart field "image")
+app.put('/api/news/:id/hero-image', authorize('news.manage'), newsAssetUpload.single('image'), async (req, res) => {
+  try {
+    if (!req.file || !NEWS_IMAGE_TYPES.includes(req.file.mimetype)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid clinical trial selected'
+        message: 'A JPEG, PNG, WebP or GIF image is required'
       });
     }
 
-    // Check if user has permission to create study protocols for this trial
-    if (userProfile.role !== 'admin') {
-      // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabase
-        .from('user_clinical_assignments')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('clinical_trial_id', clinical_trial_id)
-        .single();
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
 
-      if (assignError || !assignment) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to create study protocols for this clinical trial'
-        });
-      }
-    }
+    if (!(await screenUpload(req, res, req.file, { organizationId: news.organization_id, bucket: NEWS_ASSETS_BUCKET }))) return;
 
-    // Try to insert into Supabase, but fallback to mock response if it fails
-    let transformedStudyProtocol;
+    const path = newsAssetPath(news, req.file);
     try {
-      let storagePath = null;
-      let actualType = type;
+      await uploadNewsAsset(path, req.file);
+    } catch (uploadError) {
+      console.error('Hero image upload error:', uploadError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload image'
+      });
+    }
 
-      // Handle file upload if a file was provided
-      if (uploadedFile) {
-        console.log('📤 File upload detected:', uploadedFile.originalname);
-        const bucket = 'study-protocols';
-        const filename = `${Date.now()}_${uploadedFile.originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_')}`;
-
-        const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-          .from(bucket)
-          .upload(filename, uploadedFile.buffer, {
-            contentType: uploadedFile.mimetype,
-            cacheControl: '3600'
-          });
+    const { data, error } = await supabaseAdmin
+      .from('news_updates')
+      .update({ hero_image_path: path })
+      .eq('id', news.id)
+      .select()
+      .single();
 
-        if (uploadError) {
-          console.error('File upload error:', uploadError);
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to upload file. Please try again.'
-          });
-        }
+    if (error) {
+      console.error('Hero image update error:', error);
+      await removeNewsAssets([path]);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save image'
+      });
+    }
 
-        storagePath = filename;
-        actualType = 'pdf'; // Override type when file is uploaded
-        console.log('✅ File uploaded successfully:', filename);
-      }
+    await removeNewsAssets([news.hero_image_path]);
 
-      // Use the correct column names that match the Supabase table
-      const insertData = {
-        organization_id: userProfile.organization_id,
-        clinical_trial_id: clinical_trial_id,
-        title,
-        description,
-        type: actualType,
-        content: actualType === 'pdf' ? null : (content || null), // For PDFs, content is stored in storage_path
-        version: version || '1.0',
-        created_by: userId,
-        storage_path: storagePath
-      };
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'set_hero_image',
+      organizationId: req.access.organizationId,
+      before: { hero_image_path: news.hero_image_path },
+      after: { hero_image_path: path }
+    });
 
-      const { data, error } = await supabase
-        .from('study_protocols')
-        .insert([insertData])
-        .select('*')
-        .single();
+    res.json({
+      success: true,
+      message: 'Hero image saved',
+      heroImageUrl: (await signedNewsImages([data])).get(path) || null
+    });
+  } catch (err) {
+    console.error('Hero image upload error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-      if (!error && data) {
-        console.log('Successfully inserted study protocol into Supabase:', data.id);
-        // Transform the data to match frontend expectations
-        transformedStudyProtocol = {
-          id: data.id,
-          title: data.title,
-          description: data.description,
-          version: data.version,
-          type: actualType,
-          content: content,
-          storage_path: data.storage_path,
-          clinical_trial_id: clinical_trial_id,
-          trial_name: trial.name,
-          created_by: data.created_by,
-          created_by_name: 'Test User', // TODO: Get from profiles table
-          upload_date: data.created_at,
-          is_active: true,
-          created_at: data.created_at
-        };
-      } else {
-        throw new Error(error?.message || 'Supabase insert failed');
-      }
-    } catch (supabaseError) {
-      console.log('Supabase insert failed, using mock response:', supabaseError.message);
+// Remove a news item's hero image
+app.delete('/api/news/:id/hero-image', authorize('news.manage'), async (req, res) => {
+  try {
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
 
-      // If file upload failed, return error instead of mock
-      if (uploadedFile) {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to upload file. Please try again.'
-        });
-      }
+    const { error } = await supabaseAdmin
+      .from('news_updates')
+      .update({ hero_image_path: null })
+      .eq('id', news.id);
 
-      // Fallback: Return mock created study protocol for testing (text only)
-      transformedStudyProtocol = {
-        id: Date.now().toString(),
-        title,
-        description,
-        version: version || '1.0',
-        type,
-        content,
-        clinical_trial_id: clinical_trial_id,
-        trial_name: trial.name,
-        created_by: userId,
-        created_by_name: 'Test User',
-        upload_date: new Date().toISOString(),
-        is_active: true,
-        created_at: new Date().toISOString()
-      };
+    if (error) {
+      console.error('Hero image removal error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove image'
+      });
     }
 
+    await removeNewsAssets([news.hero_image_path]);
+
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'remove_hero_image',
+      organizationId: req.access.organizationId,
+      before: { hero_image_path: news.hero_image_path },
+      after: { hero_image_path: null }
+    });
+
     res.json({
       success: true,
-      message: 'Study protocol created successfully',
-      studyProtocol: transformedStudyProtocol
+      message: 'Hero image removed'
     });
   } catch (err) {
-    console.error('Study protocol creation error:', err);
+    console.error('Hero image removal error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -3987,123 +4569,5955 @@ app.post('/api/study-protocols', authenticateToken, upload.any(), async (req, re
   }
 });
 
-// Update study protocol
-app.put('/api/study-protocols/:id', authenticateToken, async (req, res) => {
+// Attach files to a news item (multipart field "files", up to 10)
+app.post('/api/news/:id/attachments', authorize('news.manage'), newsAssetUpload.array('files', 10), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, description, type, content, version, clinical_trial_id } = req.body;
-    const userId = req.user.userId;
-
-    if (!title || !type || !clinical_trial_id) {
+    if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Title, type, and clinical trial selection are required'
+        message: 'At least one file is required'
       });
     }
 
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
 
-    if (profileError) {
-      return res.status(400).json({
+    for (const file of req.files) {
+      if (!(await screenUpload(req, res, file, { organizationId: news.organization_id, bucket: NEWS_ASSETS_BUCKET }))) return;
+    }
+
+    const { data: last } = await supabaseAdmin
+      .from('news_attachments')
+      .select('position')
+      .eq('news_update_id', news.id)
+      .order('position', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const rows = [];
+    try {
+      for (const [index, file] of req.files.entries()) {
+        const path = newsAssetPath(news, file);
+        await uploadNewsAsset(path, file);
+        rows.push({
+          news_update_id: news.id,
+          organization_id: news.organization_id,
+          storage_bucket: NEWS_ASSETS_BUCKET,
+          storage_path: path,
+          file_name: file.originalname,
+          mime_type: file.mimetype,
+          file_size: file.size,
+          position: (last ? last.position + 1 : 0) + index,
+          created_by: req.user.userId
+        });
+      }
+    } catch (uploadError) {
+      console.error('News attachment upload error:', uploadError);
+      await removeNewsAssets(rows.map(r => r.storage_path));
+      return res.status(500).json({
         success: false,
-        message: 'User profile not found. Please contact an administrator.'
+        message: 'Failed to upload attachments'
       });
     }
 
-    // Allow admins and users to update study protocols
-    if (!['admin', 'user'].includes(userProfile.role)) {
-      return res.status(403).json({
+    const { data, error } = await supabaseAdmin
+      .from('news_attachments')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      console.error('News attachment save error:', error);
+      await removeNewsAssets(rows.map(r => r.storage_path));
+      return res.status(500).json({
         success: false,
-        message: 'You do not have permission to update study protocols'
+        message: 'Failed to save attachments'
       });
     }
 
-    // Validate that the clinical trial exists and belongs to user's organization
-    const { data: trial, error: trialError } = await supabase
-      .from('clinical_trials')
-      .select('id, name')
-      .eq('id', clinical_trial_id)
-      .eq('organization_id', userProfile.organization_id)
-      .single();
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'add_attachments',
+      organizationId: req.access.organizationId,
+      after: { attachments: data }
+    });
 
-    if (trialError || !trial) {
-      console.error('Invalid clinical trial:', trialError);
-      return res.status(400).json({
+    res.status(201).json({
+      success: true,
+      message: `${data.length} attachment(s) added`,
+      attachments: data.map(row => formatNewsAttachment(row))
+    });
+  } catch (err) {
+    console.error('News attachment upload error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Remove an attachment from a news item
+app.delete('/api/news/:id/attachments/:attachmentId', authorize('news.manage'), async (req, res) => {
+  try {
+    const news = await loadEditableNews(req, res, req.params.id);
+    if (!news) return;
+
+    const { data: attachment } = await supabaseAdmin
+      .from('news_attachments')
+      .select('*')
+      .eq('id', req.params.attachmentId)
+      .eq('news_update_id', news.id)
+      .maybeSingle();
+
+    if (!attachment) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid clinical trial selected'
+        message: 'Attachment not found'
       });
     }
 
-    // Check if user has permission to update study protocols for this trial
-    if (userProfile.role !== 'admin') {
-      // Non-admin users must be assigned to the trial
-      const { data: assignment, error: assignError } = await supabase
-        .from('user_clinical_assignments')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('clinical_trial_id', clinical_trial_id)
-        .single();
+    const { error } = await supabaseAdmin
+      .from('news_attachments')
+      .delete()
+      .eq('id', attachment.id);
 
-      if (assignError || !assignment) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have permission to update study protocols for this clinical trial'
+    if (error) {
+      console.error('News attachment deletion error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove attachment'
+      });
+    }
+
+    await removeNewsAssets([attachment.storage_path]);
+
+    await recordAudit(req, {
+      entityType: 'news_update',
+      entityId: news.id,
+      action: 'remove_attachment',
+      organizationId: req.access.organizationId,
+      before: { attachment }
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment removed'
+    });
+  } catch (err) {
+    console.error('News attachment deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== HOSPITALS/LEADERBOARD =====
+
+// Get hospitals leaderboard
+// Admins see every hospital in the organization unless a trialId is given;
+// everyone else only sees the sites of the trials they are assigned to.
+app.get('/api/hospitals', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { trialId } = req.query;
+
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get accessible trials'
+      });
+    }
+
+    const trialIds = accessibleTrials.map(t => t.id);
+
+    if (trialId && !trialIds.includes(trialId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    let transformedHospitals = [];
+    if (!trialId && req.access.baseRole === 'admin') {
+      const { data, error } = await supabase
+        .from('hospital_enrollment_stats')
+        .select('*')
+        .eq('organization_id', req.access.organizationId)
+        .order('randomized_patients', { ascending: false });
+
+      if (error) {
+        console.error('Hospital stats query error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch hospitals'
+        });
+      }
+
+      transformedHospitals = (data || []).map(formatHospitalStats);
+    } else if (trialIds.length > 0) {
+      const { data, error } = await supabase
+        .from('trial_site_enrollment_stats')
+        .select('*')
+        .in('clinical_trial_id', trialId ? [trialId] : trialIds);
+
+      if (error) {
+        console.error('Trial site stats query error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch hospitals'
+        });
+      }
+
+      transformedHospitals = mergeTrialSiteStats((data || []).map(formatHospitalStats))
+        .sort((a, b) => b.randomized_patients - a.randomized_patients);
+    }
+
+    res.json({
+      success: true,
+      trialId: trialId || null,
+      hospitals: transformedHospitals,
+      summary: summarizeHospitals(transformedHospitals)
+    });
+  } catch (err) {
+    console.error('Hospitals fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Get single hospital; site staff only get the hospitals they work at
+app.get('/api/hospitals/:id', authorize(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.access.canAccessHospital(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('hospital_enrollment_stats')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      hospital: formatHospitalStats(data)
+    });
+  } catch (err) {
+    console.error('Hospital fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Create hospital
+app.post('/api/hospitals', authorize('hospitals.manage'), async (req, res) => {
+  try {
+    const { name, location, principalInvestigator } = req.body;
+    const userId = req.user.userId;
+
+    if (!name || !location || !principalInvestigator) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, location, and principal investigator are required'
+      });
+    }
+
+    // Try to insert into Supabase, but fallback to mock response if it fails
+    let transformedHospital;
+    try {
+      // Use the correct column names that match the Supabase table
+      const insertData = {
+        organization_id: req.access.organizationId,
+        hospital_name: name,
+        location: location,
+        principal_investigator: principalInvestigator,
+        created_by: userId
+      };
+
+      const { data, error } = await supabase
+        .from('hospitals')
+        .insert([insertData])
+        .select('*')
+        .single();
+
+      if (!error && data) {
+        console.log('Successfully inserted into Supabase:', data.id);
+        await recordAudit(req, {
+          entityType: 'hospital',
+          entityId: data.id,
+          action: 'create',
+          organizationId: req.access.organizationId,
+          after: data
+        });
+        // A new hospital has no enrollments yet, so every count starts at zero
+        transformedHospital = formatHospitalStats(data);
+      } else {
+        throw new Error(error?.message || 'Supabase insert failed');
+      }
+    } catch (supabaseError) {
+      console.log('Supabase insert failed, using mock response:', supabaseError.message);
+      // Fallback: Return mock created hospital for testing
+      transformedHospital = {
+        id: Date.now().toString(),
+        name: name,
+        location: location,
+        principal_investigator: principalInvestigator,
+        consented_patients: 0,
+        randomized_patients: 0,
+        consent_rate: 0,
+        created_at: new Date().toISOString()
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Hospital created successfully',
+      hospital: transformedHospital
+    });
+  } catch (err) {
+    console.error('Hospital creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update hospital
+app.put('/api/hospitals/:id', authorize('hospitals.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, location, principalInvestigator } = req.body;
+    const userId = req.user.userId;
+
+    // Try to update in Supabase, but fallback to mock response if it fails
+    let transformedHospital;
+    try {
+      const before = await fetchAuditSnapshot('hospitals', id);
+
+      const { data, error } = await supabase
+        .from('hospitals')
+        .update({
+          hospital_name: name,
+          location: location,
+          principal_investigator: principalInvestigator,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('organization_id', req.access.organizationId)
+        .select('*')
+        .single();
+
+      if (!error && data) {
+        console.log('Successfully updated hospital in Supabase:', data.id);
+        await recordAudit(req, {
+          entityType: 'hospital',
+          entityId: id,
+          action: 'update',
+          organizationId: req.access.organizationId,
+          before,
+          after: data
+        });
+        // Re-read through the stats view so the response carries current counts
+        const { data: stats, error: statsError } = await supabase
+          .from('hospital_enrollment_stats')
+          .select('*')
+          .eq('id', data.id)
+          .single();
+
+        if (statsError) {
+          throw new Error(statsError.message);
+        }
+
+        transformedHospital = formatHospitalStats(stats);
+      } else {
+        throw new Error(error?.message || 'Supabase update failed');
+      }
+    } catch (supabaseError) {
+      console.log('Supabase update failed, using mock response:', supabaseError.message);
+      // Fallback: Return mock updated hospital for testing
+      transformedHospital = {
+        id: id,
+        name: name,
+        location: location,
+        principal_investigator: principalInvestigator,
+        consented_patients: 0,
+        randomized_patients: 0,
+        consent_rate: 0,
+        created_at: new Date().toISOString()
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Hospital updated successfully',
+      hospital: transformedHospital
+    });
+  } catch (err) {
+    console.error('Hospital update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete hospital
+app.delete('/api/hospitals/:id', authorize('hospitals.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const before = await fetchAuditSnapshot('hospitals', id);
+
+    const { error, count } = await supabase
+      .from('hospitals')
+      .delete({ count: 'exact' })
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId);
+
+    // Message threads are kept as a record, so they keep their trial and site
+    if (error && error.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        message: 'Hospital has records that must be kept, such as message threads'
+      });
+    }
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to delete hospital',
+        error: error.message
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'hospital',
+      entityId: id,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Hospital deleted successfully'
+    });
+  } catch (err) {
+    console.error('Hospital deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== TRIAL SITES =====
+
+// Attach a hospital to a clinical trial, or update its enrollment target and target date
+app.put('/api/clinical-trials/:id/sites/:hospitalId', authorize('sites.manage'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id, hospitalId } = req.params;
+    const { enrollmentTarget, targetDate } = req.body;
+
+    if (enrollmentTarget !== undefined && enrollmentTarget !== null &&
+        (!Number.isInteger(enrollmentTarget) || enrollmentTarget < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollment target must be a non-negative integer'
+      });
+    }
+
+    if (targetDate && !isValidDay(targetDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target date must be a valid date in YYYY-MM-DD format'
+      });
+    }
+
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id')
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical trial not found'
+      });
+    }
+
+    const { data: hospital, error: hospitalError } = await supabase
+      .from('hospitals')
+      .select('id')
+      .eq('id', hospitalId)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (hospitalError || !hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const { data: before } = await supabase
+      .from('trial_sites')
+      .select('*')
+      .eq('clinical_trial_id', id)
+      .eq('hospital_id', hospitalId)
+      .maybeSingle();
+
+    // Only the fields sent change; the others keep their current values
+    const values = {};
+    if (enrollmentTarget !== undefined) values.enrollment_target = enrollmentTarget;
+    if (targetDate !== undefined) values.target_date = targetDate || null;
+
+    // created_by stays with whoever first attached the site
+    const { data, error } = await (before
+      ? supabase
+        .from('trial_sites')
+        .update(values)
+        .eq('id', before.id)
+      : supabase
+        .from('trial_sites')
+        .insert({
+          organization_id: req.access.organizationId,
+          clinical_trial_id: id,
+          hospital_id: hospitalId,
+          ...values,
+          created_by: userId
+        }))
+      .select('id, clinical_trial_id, hospital_id, enrollment_target, target_date, created_at, updated_at')
+      .single();
+
+    // Another request attached the site first
+    if (error && error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This hospital was just attached to the trial; please try again'
+      });
+    }
+
+    if (error) {
+      console.error('Trial site save error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save trial site'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'trial_site',
+      entityId: data.id,
+      action: before ? 'update' : 'create',
+      organizationId: req.access.organizationId,
+      before,
+      after: await fetchAuditSnapshot('trial_sites', data.id)
+    });
+
+    res.json({
+      success: true,
+      message: 'Trial site saved successfully',
+      site: data
+    });
+  } catch (err) {
+    console.error('Trial site save error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Detach a hospital from a clinical trial
+app.delete('/api/clinical-trials/:id/sites/:hospitalId', authorize('sites.manage'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id, hospitalId } = req.params;
+
+    const { data: before } = await supabase
+      .from('trial_sites')
+      .select('*')
+      .eq('clinical_trial_id', id)
+      .eq('hospital_id', hospitalId)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    const { error, count } = await supabase
+      .from('trial_sites')
+      .delete({ count: 'exact' })
+      .eq('clinical_trial_id', id)
+      .eq('hospital_id', hospitalId)
+      .eq('organization_id', req.access.organizationId);
+
+    if (error) {
+      console.error('Trial site deletion error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove trial site'
+      });
+    }
+
+    if (before && count > 0) {
+      await recordAudit(req, {
+        entityType: 'trial_site',
+        entityId: before.id,
+        action: 'delete',
+        organizationId: req.access.organizationId,
+        before
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trial site removed successfully'
+    });
+  } catch (err) {
+    console.error('Trial site deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Enrollment forecast: actual vs. planned randomizations, projected completion
+// and sites behind schedule
+app.get('/api/clinical-trials/:id/enrollment-forecast', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    // Check if user has access to this trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError || !accessibleTrials.some(t => t.id === id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    const { data: sites, error: sitesError } = await supabase
+      .from('trial_sites')
+      .select(`
+        hospital_id,
+        enrollment_target,
+        target_date,
+        created_at,
+        hospitals (
+          hospital_name
+        )
+      `)
+      .eq('clinical_trial_id', id);
+
+    if (sitesError) {
+      console.error('Trial sites query error:', sitesError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch trial sites'
+      });
+    }
+
+    const { data: randomizations, error: enrollmentsError } = await supabase
+      .from('enrollments')
+      .select('hospital_id, randomized_at')
+      .eq('clinical_trial_id', id)
+      .not('randomized_at', 'is', null);
+
+    if (enrollmentsError) {
+      console.error('Enrollments query error:', enrollmentsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch enrollments'
+      });
+    }
+
+    const forecast = buildEnrollmentForecast(
+      (sites || []).map(site => ({
+        hospitalId: site.hospital_id,
+        name: site.hospitals?.hospital_name || null,
+        enrollmentTarget: site.enrollment_target,
+        targetDate: site.target_date,
+        startDate: site.created_at.split('T')[0]
+      })),
+      (randomizations || []).map(e => ({
+        hospitalId: e.hospital_id,
+        randomizedAt: e.randomized_at
+      }))
+    );
+
+    res.json({
+      success: true,
+      trialId: id,
+      forecast
+    });
+  } catch (err) {
+    console.error('Enrollment forecast error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Acknowledgement compliance matrix: every user assigned to the trial against
+// every protocol and training material that requires acknowledgement
+// (reports.view, possibly from the caller's role on the trial)
+app.get('/api/clinical-trials/:id/compliance', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    // Check if user has access to this trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError || !accessibleTrials.some(t => t.id === id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    if (!req.access.canInTrial('reports.view', id)) {
+      return res.status(403).json({
+        success: false,
+        message: permissionDeniedMessage('reports.view')
+      });
+    }
+
+    const [documentRows, assignmentsResult, acknowledgementsResult] = await Promise.all([
+      fetchRequiredDocumentRows(supabase, [id]).catch(error => ({ error })),
+      supabase
+        .from('user_clinical_assignments')
+        .select(`
+          user_id,
+          profiles (
+            display_name,
+            role
+          )
+        `)
+        .eq('clinical_trial_id', id),
+      supabase
+        .from('document_acknowledgements')
+        .select('user_id, document_type, document_id, document_version_id, document_version, acknowledged_at')
+        .eq('clinical_trial_id', id)
+    ]);
+
+    const failed = [documentRows, assignmentsResult, acknowledgementsResult].find(r => r.error);
+    if (failed) {
+      console.error('Compliance query error:', failed.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch acknowledgement compliance'
+      });
+    }
+
+    const matrix = buildComplianceMatrix(
+      toComplianceDocuments(documentRows.protocols, documentRows.trainingMaterials),
+      assignmentsResult.data || [],
+      acknowledgementsResult.data || []
+    );
+
+    res.json({
+      success: true,
+      trialId: id,
+      ...matrix
+    });
+  } catch (err) {
+    console.error('Compliance matrix error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Training readiness per site: every staff member linked to a trial site and
+// assigned to the trial, against the trial's active training courses
+// (reports.view, possibly from the caller's role on the trial)
+app.get('/api/clinical-trials/:id/training-report', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    // Check if user has access to this trial
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError || !accessibleTrials.some(t => t.id === id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    if (!req.access.canInTrial('reports.view', id)) {
+      return res.status(403).json({
+        success: false,
+        message: permissionDeniedMessage('reports.view')
+      });
+    }
+
+    const [sitesResult, assignmentsResult, coursesResult] = await Promise.all([
+      supabase
+        .from('trial_sites')
+        .select(`
+          hospital_id,
+          hospitals (
+            hospital_name
+          )
+        `)
+        .eq('clinical_trial_id', id),
+      supabase
+        .from('user_clinical_assignments')
+        .select(`
+          user_id,
+          profiles (
+            display_name,
+            role
+          )
+        `)
+        .eq('clinical_trial_id', id),
+      supabase
+        .from('training_courses')
+        .select('id, title, passing_score')
+        .eq('clinical_trial_id', id)
+        .eq('is_active', true)
+        .order('created_at', { ascending: true })
+    ]);
+
+    const failed = [sitesResult, assignmentsResult, coursesResult].find(r => r.error);
+    if (failed) {
+      console.error('Training report query error:', failed.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch training report'
+      });
+    }
+
+    const hospitalIds = sitesResult.data.map(site => site.hospital_id);
+    const courseIds = coursesResult.data.map(course => course.id);
+
+    const [staffResult, certificatesResult] = await Promise.all([
+      hospitalIds.length
+        ? supabase.from('profile_hospitals').select('profile_id, hospital_id').in('hospital_id', hospitalIds)
+        : { data: [] },
+      courseIds.length
+        ? supabase.from('training_certificates').select('user_id, course_id, certificate_number, issued_at').in('course_id', courseIds)
+        : { data: [] }
+    ]);
+
+    if (staffResult.error || certificatesResult.error) {
+      console.error('Training report query error:', staffResult.error || certificatesResult.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch training report'
+      });
+    }
+
+    res.json({
+      success: true,
+      trialId: id,
+      ...buildTrainingReport(
+        sitesResult.data,
+        staffResult.data,
+        assignmentsResult.data,
+        coursesResult.data,
+        certificatesResult.data
+      )
+    });
+  } catch (err) {
+    console.error('Training report error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== TRAINING MATERIALS =====
+
+// Get all training materials (authenticated and filtered by organization)
+app.get('/api/training-materials', authorize(), async (req, res) => {
+  try {
+    console.log('📨 GET /api/training-materials - Starting request');
+    const userId = req.user.userId;
+
+    const { data, error } = await supabase
+      .from('training_materials')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('📨 Supabase query error:', error);
+      console.error('📨 Error details:', {
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        message: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch training materials',
+        error: error.message,
+        hint: error.hint
+      });
+    }
+
+    console.log('📨 Query successful, found', data ? data.length : 0, 'training materials');
+    if (data && data.length > 0) {
+      console.log('📨 First material:', data[0]);
+    }
+
+    // Format the data for frontend, with PDF previews
+    const trainingMaterials = await attachPreviews('training_material', data.map(material => ({
+      id: material.id,
+      title: material.title,
+      description: material.description,
+      type: material.type,
+      content: material.content,
+      category: material.category,
+      clinical_trial_id: material.clinical_trial_id,
+      created_by: material.created_by,
+      created_by_name: material.created_by_name || 'Unknown',
+      upload_date: material.upload_date || material.created_at,
+      is_active: material.is_active,
+      created_at: material.created_at,
+      file_name: material.file_name,
+      file_size: material.file_size,
+      mime_type: material.mime_type,
+      storage_path: material.storage_path,
+      storage_bucket: material.storage_bucket,
+      version: material.version,
+      tags: material.tags,
+      acknowledgement_required: material.acknowledgement_required || false
+    })));
+
+    console.log(`📊 Returning ${trainingMaterials.length} training materials to frontend`);
+    res.json({
+      success: true,
+      trainingMaterials: trainingMaterials
+    });
+  } catch (err) {
+    console.error('Training materials fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Create training material
+app.post('/api/training-materials', authorize('training.manage'), upload.fields([
+  { name: 'title', maxCount: 1 },
+  { name: 'description', maxCount: 1 },
+  { name: 'type', maxCount: 1 },
+  { name: 'category', maxCount: 1 },
+  { name: 'clinical_trial_id', maxCount: 1 },
+  { name: 'file', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    console.log('📨 POST /api/training-materials - Request received');
+    console.log('📨 Headers:', req.headers);
+    console.log('📨 Content-Type:', req.headers['content-type']);
+    console.log('📨 Body type:', typeof req.body);
+    console.log('📨 Body keys:', Object.keys(req.body || {}));
+    console.log('📨 Body raw:', req.body);
+    console.log('📨 Files received:', req.files ? req.files.length : 0);
+    if (req.files && req.files.length > 0) {
+      console.log('📨 File details:', req.files.map(f => ({ fieldname: f.fieldname, originalname: f.originalname, size: f.size })));
+    }
+
+    // Extract FormData fields - multer should populate req.body
+    let title = req.body?.title;
+    let description = req.body?.description;
+    let type = req.body?.type;
+    let content = req.body?.content;
+    let category = req.body?.category;
+    let clinical_trial_id = req.body?.clinical_trial_id;
+    let uploadId = req.body?.upload_id;
+    const acknowledgementRequired = readAcknowledgementFlag(req.body?.acknowledgement_required) || false;
+
+    // Handle array format (sometimes multer puts single values in arrays)
+    if (Array.isArray(title)) title = title[0];
+    if (Array.isArray(description)) description = description[0];
+    if (Array.isArray(type)) type = type[0];
+    if (Array.isArray(content)) content = content[0];
+    if (Array.isArray(category)) category = category[0];
+    if (Array.isArray(clinical_trial_id)) clinical_trial_id = clinical_trial_id[0];
+    if (Array.isArray(uploadId)) uploadId = uploadId[0];
+
+    console.log('📨 Final extracted values:', {
+      title: `"${title}"`,
+      type: `"${type}"`,
+      clinical_trial_id: `"${clinical_trial_id}"`,
+      description: `"${description}"`,
+      category: `"${category}"`,
+      hasFiles: !!(req.files && req.files.length > 0)
+    });
+
+    const userId = req.user.userId;
+
+    console.log('🔍 VALIDATION CHECK:');
+    console.log('  title exists:', !!title, 'value:', title);
+    console.log('  type exists:', !!type, 'value:', type);
+    console.log('  clinical_trial_id exists:', !!clinical_trial_id, 'value:', clinical_trial_id);
+
+    if (!title || !type || !clinical_trial_id) {
+      console.log('❌ VALIDATION FAILED - returning error');
+      return res.status(400).json({
+        success: false,
+        message: 'Title, type, and clinical trial selection are required'
+      });
+    }
+
+    console.log('✅ VALIDATION PASSED - proceeding with upload');
+
+    // Validate that the clinical trial exists and belongs to user's organization
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      console.error('Invalid clinical trial:', trialError);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    // Check if user has permission to create training materials for this trial
+    if (req.access.baseRole !== 'admin') {
+      // Non-admin users must be assigned to the trial
+      const { data: assignment, error: assignError } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create training materials for this clinical trial'
+        });
+      }
+    }
+
+    // Handle file upload if provided
+    let uploadedFile = null;
+    let storagePath = null;
+
+    console.log('🔍 Checking for files - req.files:', !!req.files);
+    console.log('🔍 req.files keys:', req.files ? Object.keys(req.files) : 'no files');
+    console.log('🔍 req.files.file:', req.files?.file);
+    console.log('🔍 req.files.file length:', req.files?.file?.length);
+
+    if (req.files && req.files.file && req.files.file.length > 0) {
+      uploadedFile = req.files.file[0]; // Take the first file from the 'file' field
+      console.log('📤 Training material file upload detected:', uploadedFile.originalname);
+
+      const bucket = 'training-materials';
+      if (!(await screenUpload(req, res, uploadedFile, { organizationId: req.access.organizationId, bucket }))) return;
+      const filename = `${Date.now()}_${uploadedFile.originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_')}`;
+
+      const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
+        .from(bucket)
+        .upload(filename, uploadedFile.buffer, {
+          contentType: uploadedFile.mimetype,
+          cacheControl: '3600'
+        });
+
+      if (uploadError) {
+        console.error('Training material file upload error:', uploadError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to upload file. Please try again.'
+        });
+      }
+
+      storagePath = filename;
+      console.log('✅ Training material file uploaded successfully:', filename);
+    } else if (uploadId) {
+      // A large file (e.g. a video) sent beforehand as a resumable upload; it
+      // has already been checked, scanned and stored
+      const session = await uploadPipeline.attachSession(uploadId, { userId, bucket: 'training-materials' });
+      if (!session) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload not found, not completed or already used'
+        });
+      }
+
+      uploadedFile = {
+        originalname: session.file_name,
+        mimetype: session.mime_type,
+        size: Number(session.total_bytes)
+      };
+      storagePath = session.storage_path;
+    }
+
+    // Try to insert into Supabase, but fallback to mock response if it fails
+    let transformedTrainingMaterial;
+    try {
+      // Validate type and file combination
+      let actualType = type; // Use the type sent by frontend
+      let actualContent = content; // Default to content
+
+      // If a file was uploaded, override content with storage path
+      if (storagePath) {
+        actualContent = storagePath;
+        // For file uploads, the type should match the upload type
+        if (uploadedFile) {
+          if (uploadedFile.mimetype === 'application/pdf') {
+            actualType = 'pdf';
+          } else if (uploadedFile.mimetype.startsWith('video/')) {
+            actualType = 'video';
+          } else {
+            actualType = 'document';
+          }
+        }
+      } else if (type === 'pdf' || type === 'video' || type === 'document') {
+        // If they selected a file type but no file was uploaded, that's an error
+        return res.status(400).json({
+          success: false,
+          message: `File upload required for ${type} type`
+        });
+      }
+
+      // Get user profile info for created_by_name
+      const { data: profileData, error: profileFetchError } = await supabase
+        .from('profiles')
+        .select('first_name, last_name')
+        .eq('id', userId)
+        .single();
+
+      const creatorName = profileFetchError ?
+        'Unknown User' :
+        `${profileData.first_name || ''} ${profileData.last_name || ''}`.trim() || 'Unknown User';
+
+      // Use the correct column names that match the new Supabase table schema
+      const insertData = {
+        organization_id: req.access.organizationId,
+        clinical_trial_id: clinical_trial_id,
+        title,
+        description,
+        type: actualType,
+        content: actualContent,
+        category: category || 'General',
+        file_name: uploadedFile ? uploadedFile.originalname : null,
+        file_size: uploadedFile ? uploadedFile.size : null,
+        mime_type: uploadedFile ? uploadedFile.mimetype : null,
+        storage_path: storagePath,
+        storage_bucket: 'training-materials',
+        created_by: userId,
+        created_by_name: creatorName,
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        version: '1.0',
+        acknowledgement_required: acknowledgementRequired
+      };
+
+      const { data, error } = await supabase
+        .from('training_materials')
+        .insert([insertData])
+        .select('*')
+        .single();
+
+      if (!error && data) {
+        console.log('Successfully inserted training material into Supabase:', data.id);
+        await recordAudit(req, { entityType: 'training_material', entityId: data.id, action: 'create', after: data });
+        await queuePreview({
+          fileType: 'training_material',
+          fileId: data.id,
+          organizationId: data.organization_id,
+          clinicalTrialId: data.clinical_trial_id,
+          bucket: 'training-materials',
+          path: data.storage_path,
+          mimeType: uploadedFile?.mimetype
+        });
+
+        // Get trial name for the response
+        transformedTrainingMaterial = {
+          id: data.id,
+          title: data.title,
+          description: data.description,
+          type: data.type,
+          content: data.content,
+          category: data.category,
+          clinical_trial_id: data.clinical_trial_id,
+          trial_name: trial.name,
+          created_by: data.created_by,
+          created_by_name: data.created_by_name,
+          upload_date: data.upload_date || data.created_at,
+          is_active: data.is_active,
+          created_at: data.created_at,
+          file_name: data.file_name,
+          file_size: data.file_size,
+          mime_type: data.mime_type,
+          storage_path: data.storage_path,
+          version: data.version,
+          acknowledgement_required: data.acknowledgement_required
+        };
+      } else {
+        throw new Error(error?.message || 'Supabase insert failed');
+      }
+    } catch (supabaseError) {
+      console.log('Supabase insert failed, using mock response:', supabaseError.message);
+      // Fallback: Return mock created training material for testing
+      transformedTrainingMaterial = {
+        id: Date.now().toString(),
+        title,
+        description,
+        type,
+        content,
+        category,
+        clinical_trial_id: clinical_trial_id,
+        trial_name: trial.name,
+        created_by: userId,
+        created_by_name: 'Test User',
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        created_at: new Date().toISOString()
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Training material created successfully',
+      trainingMaterial: transformedTrainingMaterial
+    });
+  } catch (err) {
+    console.error('Training material creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update training material
+app.put('/api/training-materials/:id', authorize('training.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, type, content, category, clinical_trial_id } = req.body;
+    const acknowledgementRequired = readAcknowledgementFlag(req.body.acknowledgement_required);
+    const userId = req.user.userId;
+
+    console.log('🔄 PUT /api/training-materials/:id - Request received');
+    console.log('📝 ID:', id);
+    console.log('👤 User ID:', userId);
+    console.log('📋 Data:', { title, description, type, content, category, clinical_trial_id });
+
+    if (!title || !type || !clinical_trial_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, type, and clinical trial selection are required'
+      });
+    }
+
+    // Validate that the clinical trial exists and belongs to user's organization
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      console.error('Invalid clinical trial:', trialError);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    // Check if user has permission to update training materials for this trial
+    if (req.access.baseRole !== 'admin') {
+      // Non-admin users must be assigned to the trial
+      const { data: assignment, error: assignError } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update training materials for this clinical trial'
+        });
+      }
+    }
+
+    console.log('🔍 Searching for training material with ID:', id, 'and organization_id:', req.access.organizationId);
+
+    const before = await fetchAuditSnapshot('training_materials', id);
+
+    const updates = {
+      title,
+      description,
+      clinical_trial_id: clinical_trial_id,
+      updated_at: new Date().toISOString()
+    };
+    if (acknowledgementRequired !== undefined) {
+      updates.acknowledgement_required = acknowledgementRequired;
+    }
+
+    const { data, error } = await supabase
+      .from('training_materials')
+      .update(updates)
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .select()
+      .single();
+
+    console.log('📊 Update result - data:', data, 'error:', error);
+
+    if (error) {
+      console.error('❌ Supabase error:', error);
+      console.error('❌ Error details:', {
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        message: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update training material',
+        error: error.message
+      });
+    }
+
+    console.log('✅ Training material updated successfully:', data.id);
+
+    await recordAudit(req, {
+      entityType: 'training_material',
+      entityId: id,
+      action: 'update',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
+
+    // Transform the data to match frontend expectations
+    const transformedTrainingMaterial = {
+      id: data.id,
+      title: data.title,
+      description: data.description,
+      type: type, // Frontend concept - not stored in DB
+      content: content, // Frontend concept - not stored in DB
+      category: category, // Frontend concept - not stored in DB
+      acknowledgement_required: data.acknowledgement_required,
+      clinical_trial_id: clinical_trial_id,
+      trial_name: trial.name,
+      created_by: data.created_by,
+      created_by_name: 'Test User', // TODO: Get from profiles table
+      upload_date: data.created_at,
+      is_active: true,
+      created_at: data.created_at,
+      updated_at: data.updated_at
+    };
+
+    res.json({
+      success: true,
+      message: 'Training material updated successfully',
+      trainingMaterial: transformedTrainingMaterial
+    });
+  } catch (err) {
+    console.error('Training material update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete training material
+app.delete('/api/training-materials/:id', authorize('training.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const before = await fetchAuditSnapshot('training_materials', id);
+
+    const { error, count } = await supabase
+      .from('training_materials')
+      .delete({ count: 'exact' })
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to delete training material',
+        error: error.message
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training material not found'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'training_material',
+      entityId: id,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Training material deleted successfully'
+    });
+  } catch (err) {
+    console.error('Training material deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== TRAINING COURSES =====
+
+// Loads a course the caller (req.access) can see. canManage is true for
+// callers with training.manage who are admins or assigned to the course's
+// trial. Returns { error: { status, message } } when the course is out of reach.
+const loadTrainingCourse = async (courseId, access) => {
+  const { data: course, error: courseError } = await supabase
+    .from('training_courses')
+    .select(`
+      *,
+      clinical_trials (
+        name
+      )
+    `)
+    .eq('id', courseId)
+    .eq('organization_id', access.organizationId)
+    .maybeSingle();
+
+  if (courseError || !course) {
+    return { error: { status: 404, message: 'Training course not found' } };
+  }
+
+  if (access.baseRole === 'admin') {
+    return { course, canManage: access.can('training.manage') };
+  }
+
+  const { data: assignment } = await supabase
+    .from('user_clinical_assignments')
+    .select('id')
+    .eq('user_id', access.userId)
+    .eq('clinical_trial_id', course.clinical_trial_id)
+    .maybeSingle();
+
+  // Inactive courses are hidden from everyone but the people who manage them
+  if (!assignment || (!course.is_active && !access.can('training.manage'))) {
+    return { error: { status: 403, message: 'Access denied: You do not have access to this clinical trial' } };
+  }
+
+  return { course, canManage: access.can('training.manage') };
+};
+
+// Ordered materials and quiz questions of a course
+const getTrainingCourseContent = async (courseId) => {
+  const [itemsResult, questionsResult] = await Promise.all([
+    supabase
+      .from('training_course_items')
+      .select(`
+        training_material_id,
+        position,
+        training_materials (
+          id,
+          title,
+          description,
+          type,
+          storage_path,
+          storage_bucket
+        )
+      `)
+      .eq('course_id', courseId)
+      .order('position', { ascending: true }),
+    supabase
+      .from('training_quiz_questions')
+      .select('id, position, question, options, correct_option')
+      .eq('course_id', courseId)
+      .order('position', { ascending: true })
+  ]);
+
+  if (itemsResult.error) throw itemsResult.error;
+  if (questionsResult.error) throw questionsResult.error;
+
+  return { items: itemsResult.data || [], questions: questionsResult.data || [] };
+};
+
+// Progress rows, quiz attempts and certificates of one user for the given courses
+const getTrainingRecords = async (userId, courseIds) => {
+  if (courseIds.length === 0) return { progress: [], attempts: [], certificates: [] };
+
+  const [progressResult, attemptsResult, certificatesResult] = await Promise.all([
+    supabase.from('training_progress').select('*').eq('user_id', userId).in('course_id', courseIds),
+    supabase.from('training_quiz_attempts').select('*').eq('user_id', userId).in('course_id', courseIds)
+      .order('created_at', { ascending: false }),
+    supabase.from('training_certificates').select('*').eq('user_id', userId).in('course_id', courseIds)
+  ]);
+
+  const failed = [progressResult, attemptsResult, certificatesResult].find(r => r.error);
+  if (failed) throw failed.error;
+
+  return {
+    progress: progressResult.data,
+    attempts: attemptsResult.data,
+    certificates: certificatesResult.data
+  };
+};
+
+const courseProgressFor = (courseId, materialIds, records) => summarizeCourseProgress(
+  materialIds,
+  records.progress.filter(p => p.course_id === courseId),
+  records.attempts.filter(a => a.course_id === courseId),
+  records.certificates.find(c => c.course_id === courseId) || null
+);
+
+// Issue the completion certificate once every material is done and the quiz is
+// passed. Returns the certificate (new or existing), or null if not yet earned.
+const issueCertificateIfComplete = async (req, course, userId) => {
+  const { items } = await getTrainingCourseContent(course.id);
+  const records = await getTrainingRecords(userId, [course.id]);
+  const existing = records.certificates[0];
+  if (existing) return existing;
+
+  const progress = courseProgressFor(course.id, items.map(i => i.training_material_id), records);
+  if (!progress.materialsComplete || !progress.quizPassed) return null;
+
+  const passedAttempt = records.attempts.find(a => a.passed);
+  const { data: certificate, error } = await supabaseAdmin
+    .from('training_certificates')
+    .insert([{
+      organization_id: course.organization_id,
+      course_id: course.id,
+      user_id: userId,
+      certificate_number: newCertificateNumber(),
+      quiz_attempt_id: passedAttempt.id
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log('🎓 Training certificate issued:', certificate.certificate_number);
+  await recordAudit(req, {
+    entityType: 'training_certificate',
+    entityId: certificate.id,
+    action: 'create',
+    after: certificate
+  });
+
+  return certificate;
+};
+
+// Replace a course's materials with materialIds, in that order. Every material
+// must belong to the course's trial.
+const setTrainingCourseMaterials = async (course, materialIds) => {
+  const uniqueIds = [...new Set(materialIds)];
+
+  if (uniqueIds.length > 0) {
+    const { data: materials, error } = await supabase
+      .from('training_materials')
+      .select('id')
+      .in('id', uniqueIds)
+      .eq('clinical_trial_id', course.clinical_trial_id);
+
+    if (error) throw error;
+    if (materials.length !== uniqueIds.length) {
+      return 'Every material must belong to the course\'s clinical trial';
+    }
+  }
+
+  const { error: deleteError } = await supabase
+    .from('training_course_items')
+    .delete()
+    .eq('course_id', course.id);
+
+  if (deleteError) throw deleteError;
+
+  if (uniqueIds.length > 0) {
+    const { error: insertError } = await supabase
+      .from('training_course_items')
+      .insert(uniqueIds.map((materialId, index) => ({
+        course_id: course.id,
+        training_material_id: materialId,
+        position: index + 1
+      })));
+
+    if (insertError) throw insertError;
+  }
+
+  return null;
+};
+
+const formatTrainingCourse = (course, items, questions, { includeAnswers }) => ({
+  id: course.id,
+  clinical_trial_id: course.clinical_trial_id,
+  trial_name: course.clinical_trials?.name || null,
+  title: course.title,
+  description: course.description,
+  passing_score: course.passing_score,
+  is_active: course.is_active,
+  created_at: course.created_at,
+  updated_at: course.updated_at,
+  materials: items.map(item => ({
+    id: item.training_material_id,
+    position: item.position,
+    title: item.training_materials?.title || null,
+    description: item.training_materials?.description || null,
+    type: item.training_materials?.type || null,
+    storage_path: item.training_materials?.storage_path || null,
+    storage_bucket: item.training_materials?.storage_bucket || null
+  })),
+  quiz: questions.map(question => ({
+    id: question.id,
+    position: question.position,
+    question: question.question,
+    options: question.options,
+    ...(includeAnswers ? { correct_option: question.correct_option } : {})
+  }))
+});
+
+// List training courses in the caller's trials, with the caller's progress
+app.get('/api/training-courses', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { trialId } = req.query;
+
+    let query = supabase
+      .from('training_courses')
+      .select(`
+        *,
+        clinical_trials (
+          name
+        ),
+        training_course_items (
+          training_material_id,
+          position
+        ),
+        training_quiz_questions (
+          id
+        )
+      `)
+      .eq('organization_id', req.access.organizationId)
+      .order('created_at', { ascending: true });
+
+    if (req.access.baseRole !== 'admin') {
+      const { data: assignments, error: assignmentError } = await supabase
+        .from('user_clinical_assignments')
+        .select('clinical_trial_id')
+        .eq('user_id', userId);
+
+      if (assignmentError) {
+        console.error('Failed to get trial assignments:', assignmentError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch trial assignments'
+        });
+      }
+
+      query = query.in('clinical_trial_id', assignments.map(a => a.clinical_trial_id));
+      if (!req.access.can('training.manage')) {
+        query = query.eq('is_active', true);
+      }
+    }
+
+    if (trialId) {
+      query = query.eq('clinical_trial_id', trialId);
+    }
+
+    const { data: courses, error } = await query;
+
+    if (error) {
+      console.error('Training courses query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch training courses'
+      });
+    }
+
+    const records = await getTrainingRecords(userId, courses.map(c => c.id));
+
+    res.json({
+      success: true,
+      trainingCourses: courses.map(course => {
+        const materialIds = [...course.training_course_items]
+          .sort((a, b) => a.position - b.position)
+          .map(item => item.training_material_id);
+
+        return {
+          id: course.id,
+          clinical_trial_id: course.clinical_trial_id,
+          trial_name: course.clinical_trials?.name || null,
+          title: course.title,
+          description: course.description,
+          passing_score: course.passing_score,
+          is_active: course.is_active,
+          material_count: materialIds.length,
+          question_count: course.training_quiz_questions.length,
+          created_at: course.created_at,
+          progress: courseProgressFor(course.id, materialIds, records)
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Training courses fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Create a training course
+app.post('/api/training-courses', authorize('training.manage'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { clinical_trial_id, title, description, passing_score, material_ids } = req.body;
+
+    if (!title || !clinical_trial_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and clinical trial selection are required'
+      });
+    }
+
+    const passingScore = passing_score === undefined ? 80 : Number(passing_score);
+    if (!Number.isInteger(passingScore) || passingScore < 0 || passingScore > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passing score must be a whole percentage between 0 and 100'
+      });
+    }
+
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    if (req.access.baseRole !== 'admin') {
+      const { data: assignment } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .maybeSingle();
+
+      if (!assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create training courses for this clinical trial'
+        });
+      }
+    }
+
+    const { data: course, error } = await supabase
+      .from('training_courses')
+      .insert([{
+        organization_id: req.access.organizationId,
+        clinical_trial_id,
+        title,
+        description: description || null,
+        passing_score: passingScore,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Training course insert error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create training course'
+      });
+    }
+
+    if (Array.isArray(material_ids) && material_ids.length > 0) {
+      const materialsError = await setTrainingCourseMaterials(course, material_ids);
+      if (materialsError) {
+        await supabase.from('training_courses').delete().eq('id', course.id);
+        return res.status(400).json({
+          success: false,
+          message: materialsError
+        });
+      }
+    }
+
+    await recordAudit(req, {
+      entityType: 'training_course',
+      entityId: course.id,
+      action: 'create',
+      after: { ...course, material_ids: material_ids || [] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Training course created successfully',
+      trainingCourse: { ...course, trial_name: trial.name }
+    });
+  } catch (err) {
+    console.error('Training course creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Get a training course with its ordered materials, quiz and the caller's progress.
+// Correct answers are only included for admins and coordinators.
+app.get('/api/training-courses/:id', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { course, canManage, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    const { items, questions } = await getTrainingCourseContent(course.id);
+    const records = await getTrainingRecords(userId, [course.id]);
+
+    res.json({
+      success: true,
+      trainingCourse: {
+        ...formatTrainingCourse(course, items, questions, { includeAnswers: canManage }),
+        progress: courseProgressFor(course.id, items.map(i => i.training_material_id), records)
+      }
+    });
+  } catch (err) {
+    console.error('Training course fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update a training course; material_ids, when given, replaces the ordered materials
+app.put('/api/training-courses/:id', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { title, description, passing_score, is_active, material_ids } = req.body;
+    const { course, canManage, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update training courses'
+      });
+    }
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (is_active !== undefined) updates.is_active = !!is_active;
+    if (passing_score !== undefined) {
+      const passingScore = Number(passing_score);
+      if (!Number.isInteger(passingScore) || passingScore < 0 || passingScore > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Passing score must be a whole percentage between 0 and 100'
+        });
+      }
+      updates.passing_score = passingScore;
+    }
+
+    const { items: beforeItems } = await getTrainingCourseContent(course.id);
+
+    let updated = course;
+    if (Object.keys(updates).length > 0) {
+      const { data, error } = await supabase
+        .from('training_courses')
+        .update(updates)
+        .eq('id', course.id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Training course update error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update training course'
+        });
+      }
+      updated = data;
+    }
+
+    if (Array.isArray(material_ids)) {
+      const materialsError = await setTrainingCourseMaterials(course, material_ids);
+      if (materialsError) {
+        return res.status(400).json({
+          success: false,
+          message: materialsError
+        });
+      }
+    }
+
+    const { clinical_trials: _trial, ...beforeCourse } = course;
+    await recordAudit(req, {
+      entityType: 'training_course',
+      entityId: course.id,
+      action: 'update',
+      before: { ...beforeCourse, material_ids: beforeItems.map(i => i.training_material_id) },
+      after: {
+        ...updated,
+        material_ids: Array.isArray(material_ids) ? [...new Set(material_ids)] : beforeItems.map(i => i.training_material_id)
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Training course updated successfully',
+      trainingCourse: updated
+    });
+  } catch (err) {
+    console.error('Training course update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete a training course
+app.delete('/api/training-courses/:id', authorize('training.delete'), async (req, res) => {
+  try {
+    const { course, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    const { error, count } = await supabase
+      .from('training_courses')
+      .delete({ count: 'exact' })
+      .eq('id', course.id);
+
+    if (error) {
+      console.error('Training course deletion error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete training course'
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Training course not found'
+      });
+    }
+
+    const { clinical_trials: _trial, ...before } = course;
+    await recordAudit(req, {
+      entityType: 'training_course',
+      entityId: course.id,
+      action: 'delete',
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Training course deleted successfully'
+    });
+  } catch (err) {
+    console.error('Training course deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Replace a course's quiz: questions is [{ question, options: [..], correct_option }]
+app.put('/api/training-courses/:id/quiz', authorize(), async (req, res) => {
+  try {
+    const { questions } = req.body;
+    const { course, canManage, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update training courses'
+      });
+    }
+
+    const invalid = !Array.isArray(questions) || questions.some(q =>
+      !q || !q.question ||
+      !Array.isArray(q.options) || q.options.length < 2 || q.options.some(option => !option) ||
+      !Number.isInteger(Number(q.correct_option)) ||
+      Number(q.correct_option) < 0 || Number(q.correct_option) >= q.options.length
+    );
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each question needs text, at least two options and a correct_option index'
+      });
+    }
+
+    const { questions: beforeQuestions } = await getTrainingCourseContent(course.id);
+
+    // One transaction, so a failed insert leaves the old quiz in place
+    const { data, error } = await (supabaseAdmin || supabase)
+      .rpc('replace_training_quiz', {
+        for_course_id: course.id,
+        new_questions: questions.map(q => ({
+          question: q.question,
+          options: q.options,
+          correct_option: Number(q.correct_option)
+        }))
+      });
+
+    if (error) {
+      console.error('Quiz replace error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update quiz'
+      });
+    }
+
+    const saved = (data || []).map(({ id, position, question, options, correct_option }) =>
+      ({ id, position, question, options, correct_option }));
+
+    await recordAudit(req, {
+      entityType: 'training_quiz',
+      entityId: course.id,
+      action: 'update',
+      organizationId: course.organization_id,
+      before: { questions: beforeQuestions.map(({ id, ...q }) => q) },
+      after: { questions: saved.map(({ id, ...q }) => q) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Quiz updated successfully',
+      quiz: saved.sort((a, b) => a.position - b.position)
+    });
+  } catch (err) {
+    console.error('Quiz update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Mark one of the course's materials as completed by the caller
+app.post('/api/training-courses/:id/materials/:materialId/complete', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { materialId } = req.params;
+    const { course, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    const { items } = await getTrainingCourseContent(course.id);
+    if (!items.some(item => item.training_material_id === materialId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material is not part of this training course'
+      });
+    }
+
+    const { data: progress, error } = await supabaseAdmin
+      .from('training_progress')
+      .upsert([{
+        organization_id: course.organization_id,
+        course_id: course.id,
+        training_material_id: materialId,
+        user_id: userId
+      }], { onConflict: 'user_id,course_id,training_material_id', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      console.error('Training progress error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record training progress'
+      });
+    }
+
+    // An empty result means it was already completed
+    if (progress && progress.length > 0) {
+      await recordAudit(req, {
+        entityType: 'training_progress',
+        entityId: progress[0].id,
+        action: 'create',
+        after: progress[0]
+      });
+    }
+
+    const certificate = await issueCertificateIfComplete(req, course, userId);
+    const records = await getTrainingRecords(userId, [course.id]);
+
+    res.json({
+      success: true,
+      message: 'Material marked as completed',
+      progress: courseProgressFor(course.id, items.map(i => i.training_material_id), records),
+      certificateIssued: !!certificate
+    });
+  } catch (err) {
+    console.error('Training progress error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Submit a quiz attempt: answers maps question id -> selected option index
+app.post('/api/training-courses/:id/quiz/attempts', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { answers } = req.body;
+    const { course, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'answers must map question ids to selected option indexes'
+      });
+    }
+
+    const { items, questions } = await getTrainingCourseContent(course.id);
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This training course has no quiz'
+      });
+    }
+
+    const result = scoreQuiz(questions, answers);
+    const passed = result.score >= course.passing_score;
+
+    const { data: attempt, error } = await supabaseAdmin
+      .from('training_quiz_attempts')
+      .insert([{
+        organization_id: course.organization_id,
+        course_id: course.id,
+        user_id: userId,
+        answers: result.results.map(r => ({ question_id: r.questionId, selected_option: r.selectedOption })),
+        score: result.score,
+        passing_score: course.passing_score,
+        passed
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Quiz attempt insert error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record quiz attempt'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'training_quiz_attempt',
+      entityId: attempt.id,
+      action: 'create',
+      after: attempt
+    });
+
+    const certificate = passed ? await issueCertificateIfComplete(req, course, userId) : null;
+    const records = await getTrainingRecords(userId, [course.id]);
+
+    res.json({
+      success: true,
+      attempt: {
+        id: attempt.id,
+        score: result.score,
+        correct: result.correct,
+        total: result.total,
+        passingScore: course.passing_score,
+        passed,
+        results: result.results.map(r => ({ questionId: r.questionId, correct: r.correct }))
+      },
+      progress: courseProgressFor(course.id, items.map(i => i.training_material_id), records),
+      certificateIssued: !!certificate
+    });
+  } catch (err) {
+    console.error('Quiz attempt error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Download a completion certificate as PDF. Callers who can view reports
+// (reports.view) may pass ?userId= to get another user's certificate.
+app.get('/api/training-courses/:id/certificate', authorize(), async (req, res) => {
+  try {
+    const callerId = req.user.userId;
+    const { course, error: accessError } = await loadTrainingCourse(req.params.id, req.access);
+
+    if (accessError) {
+      return res.status(accessError.status).json({ success: false, message: accessError.message });
+    }
+
+    const userId = req.query.userId || callerId;
+    if (userId !== callerId && !req.access.can('reports.view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { data: certificate, error } = await supabase
+      .from('training_certificates')
+      .select(`
+        *,
+        profiles (
+          display_name
+        ),
+        training_quiz_attempts (
+          score
+        )
+      `)
+      .eq('course_id', course.id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Training certificate query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch certificate'
+      });
+    }
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate has been issued for this course yet'
+      });
+    }
+
+    const { data: organization } = await supabase
+      .from('organizations')
+      .select('name')
+      .eq('id', course.organization_id)
+      .maybeSingle();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificate_number}.pdf"`);
+
+    writeCertificatePdf(res, {
+      recipientName: certificate.profiles?.display_name || 'Trial staff member',
+      courseTitle: course.title,
+      trialName: course.clinical_trials?.name || null,
+      organizationName: organization?.name || null,
+      issuedAt: certificate.issued_at,
+      certificateNumber: certificate.certificate_number,
+      score: certificate.training_quiz_attempts?.score ?? null
+    });
+  } catch (err) {
+    console.error('Training certificate error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== UPLOADS =====
+
+const QUARANTINE_PAGE_SIZE = 100;
+
+const sendUploadResult = (res, result, status = 200) => {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+      ...(result.session ? { upload: formatUploadSession(result.session) } : {})
+    });
+  }
+
+  res.status(status).json({
+    success: true,
+    upload: formatUploadSession(result.session)
+  });
+};
+
+// Get the organization's upload policy for every bucket
+app.get('/api/upload-policies', authorize(), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('upload_policies')
+      .select('*')
+      .eq('organization_id', req.access.organizationId);
+
+    if (error) {
+      console.error('Upload policies query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch upload policies'
+      });
+    }
+
+    res.json({
+      success: true,
+      policies: Object.keys(UPLOAD_BUCKETS).map(bucket =>
+        formatUploadPolicy(resolvePolicy(bucket, data.find(row => row.bucket === bucket)))
+      )
+    });
+  } catch (err) {
+    console.error('Upload policies fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Change a bucket's allowed types or size limit; null resets a field to the default
+app.put('/api/upload-policies/:bucket', authorize('uploads.policies'), async (req, res) => {
+  try {
+    const { bucket } = req.params;
+    const policy = parseUploadPolicy(bucket, req.body);
+    if (policy.error) {
+      return res.status(400).json({
+        success: false,
+        message: policy.error
+      });
+    }
+
+    const { data: before } = await supabase
+      .from('upload_policies')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .eq('bucket', bucket)
+      .maybeSingle();
+
+    const { data, error } = await supabase
+      .from('upload_policies')
+      .upsert({
+        organization_id: req.access.organizationId,
+        bucket,
+        ...policy.values,
+        updated_by: req.user.userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Upload policy update error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update upload policy'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'upload_policy',
+      entityId: bucket,
+      action: before ? 'update' : 'create',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
+
+    res.json({
+      success: true,
+      message: 'Upload policy updated successfully',
+      policy: formatUploadPolicy(resolvePolicy(bucket, data))
+    });
+  } catch (err) {
+    console.error('Upload policy update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Start a resumable upload for a large file (e.g. a training video)
+// Body: bucket, fileName, mimeType, totalBytes
+app.post('/api/uploads', authorize('uploads.create'), async (req, res) => {
+  try {
+    const { bucket, fileName, mimeType, totalBytes } = req.body;
+    sendUploadResult(res, await uploadPipeline.createSession({
+      organizationId: req.access.organizationId,
+      userId: req.user.userId,
+      bucket,
+      fileName,
+      mimeType,
+      totalBytes
+    }), 201);
+  } catch (err) {
+    console.error('Upload session create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Upload status; receivedBytes is the offset to resume from
+app.get('/api/uploads/:id', authorize(), async (req, res) => {
+  try {
+    const session = await uploadPipeline.getSession(req.params.id, req.user.userId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    sendUploadResult(res, { session });
+  } catch (err) {
+    console.error('Upload session fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Send the next chunk as the raw request body, with its position in the
+// Upload-Offset header. A wrong offset returns 409 with the offset to resume from
+app.put('/api/uploads/:id/chunks', authorize('uploads.create'), express.raw({ type: () => true, limit: MAX_UPLOAD_CHUNK_BYTES }), async (req, res) => {
+  try {
+    const offset = Number(req.headers['upload-offset']);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    sendUploadResult(res, await uploadPipeline.appendChunk(req.params.id, req.user.userId, offset, chunk));
+  } catch (err) {
+    console.error('Upload chunk error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Finish an upload: the file is checked, scanned and stored. Pass the upload
+// id as upload_id when creating the record (POST /api/training-materials)
+app.post('/api/uploads/:id/complete', authorize('uploads.create'), async (req, res) => {
+  try {
+    sendUploadResult(res, await uploadPipeline.completeSession(req.params.id, req.user.userId));
+  } catch (err) {
+    console.error('Upload complete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Cancel an upload and discard what was received
+app.delete('/api/uploads/:id', authorize(), async (req, res) => {
+  try {
+    const session = await uploadPipeline.abortSession(req.params.id, req.user.userId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    sendUploadResult(res, { session });
+  } catch (err) {
+    console.error('Upload abort error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Uploads that failed the virus scan (?status=quarantined|deleted)
+app.get('/api/upload-quarantine', authorize('uploads.policies'), async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('upload_quarantine')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .order('created_at', { ascending: false })
+      .limit(QUARANTINE_PAGE_SIZE);
+
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Upload quarantine query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch quarantined uploads'
+      });
+    }
+
+    res.json({
+      success: true,
+      uploads: data.map(formatQuarantinedUpload)
+    });
+  } catch (err) {
+    console.error('Upload quarantine fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete a quarantined file; the record is kept
+app.delete('/api/upload-quarantine/:id', authorize('uploads.policies'), async (req, res) => {
+  try {
+    const { data: before } = await supabaseAdmin
+      .from('upload_quarantine')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined upload not found'
+      });
+    }
+
+    if (before.status !== 'deleted') {
+      const { error: removeError } = await supabaseAdmin.storage
+        .from(QUARANTINE_BUCKET)
+        .remove([before.quarantine_path]);
+
+      if (removeError) {
+        console.error('Quarantine remove error:', removeError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to delete the quarantined file'
+        });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('upload_quarantine')
+      .update({
+        status: 'deleted',
+        deleted_by: req.user.userId,
+        deleted_at: before.deleted_at || new Date().toISOString()
+      })
+      .eq('id', before.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Quarantine update error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update the quarantined upload'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'upload_quarantine',
+      entityId: before.id,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
+
+    res.json({
+      success: true,
+      message: 'Quarantined file deleted',
+      upload: formatQuarantinedUpload(data)
+    });
+  } catch (err) {
+    console.error('Quarantine delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== FILE UPLOAD ENDPOINT =====
+
+// Upload a file into the document library (see POST /api/documents)
+app.post('/api/upload', authorize(), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const fields = parseDocumentFields({
+      title: req.body.title || req.file.originalname,
+      description: req.body.description,
+      category: req.body.category
+    });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId: req.body.clinical_trial_id });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    const bucket = req.body.bucket || DOCUMENTS_BUCKET;
+    if (!(await screenUpload(req, res, req.file, { organizationId: viewer.organizationId, bucket }))) return;
+
+    const document = await createDocument(req, viewer, req.file, {
+      bucket,
+      placement: placement.values,
+      fields: fields.values
+    });
+
+    // Short-lived URL for the uploader; later downloads go through /api/downloads
+    const signed = await fileDownloads.signUrl({ bucket, path: document.path, fileName: document.file_name });
+
+    res.json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        filename: document.path,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        bucket,
+        signedUrl: signed?.url || null,
+        fileId: document.id
+      }
+    });
+  } catch (error) {
+    console.error('Unexpected upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred during upload',
+      error: error.message
+    });
+  }
+});
+
+// ===== FILE ACCESS ENDPOINT =====
+
+const DOWNLOAD_LOG_PAGE_SIZE = 100;
+const DOWNLOAD_LOG_MAX_PAGE_SIZE = 500;
+
+const downloadContext = (req) => ({
+  channel: 'web',
+  ipAddress: getClientIp(req),
+  userAgent: req.headers['user-agent'] || null
+});
+
+const sendDownload = (res, result) => {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    download: result.download,
+    signedUrl: result.download.url
+  });
+};
+
+// Download a file by the record that owns it. fileType is one of document,
+// study_protocol, study_protocol_version, training_material, news_attachment.
+// Returns a signed URL valid for a few minutes; every call is logged
+app.get('/api/downloads/:fileType/:fileId', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { fileType, fileId } = req.params;
+    sendDownload(res, await fileDownloads.download(fileType, fileId, viewer, downloadContext(req)));
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// A PDF's preview with its extracted text. fileType is document,
+// study_protocol_version or training_material; access follows the download rules
+app.get('/api/previews/:fileType/:fileId', authorize(), async (req, res) => {
+  try {
+    const { fileType, fileId } = req.params;
+    if (!PREVIEW_FILE_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        success: false,
+        message: `fileType must be one of: ${PREVIEW_FILE_TYPES.join(', ')}`
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const file = await fileDownloads.resolve(fileType, fileId);
+    const preview = file && canDownload(fileType, file, viewer) ? await filePreviews.getPreview(fileType, fileId) : null;
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('File preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Signed URL by bucket and path, for older clients. Only paths recorded on a
+// file the user may access are signed, with the same rules and log as above
+app.get('/api/files/signed-url', authorize(), async (req, res) => {
+  try {
+    const { bucket, path } = req.query;
+
+    if (!bucket || !path) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bucket and path parameters are required'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const found = await fileDownloads.findByLocation(bucket, path);
+    sendDownload(res, await fileDownloads.issue(found?.fileType, found?.file, viewer, downloadContext(req)));
+  } catch (error) {
+    console.error('Unexpected signed URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Who downloaded what
+// Query: fileType, fileId, trialId, userId, from, to, limit, offset
+app.get('/api/file-downloads', authorize('downloads.view'), async (req, res) => {
+  try {
+    const { fileType, fileId, trialId, userId, from, to } = req.query;
+
+    if (fileType && !FILE_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        success: false,
+        message: `fileType must be one of: ${FILE_TYPES.join(', ')}`
+      });
+    }
+
+    const toBound = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    if ((from && isNaN(Date.parse(from))) || (toBound && isNaN(Date.parse(toBound)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid ISO dates'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DOWNLOAD_LOG_PAGE_SIZE, DOWNLOAD_LOG_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let query = supabaseAdmin
+      .from('file_downloads')
+      .select('*', { count: 'exact' })
+      .eq('organization_id', req.access.organizationId);
+
+    if (fileType) query = query.eq('file_type', fileType);
+    if (fileId) query = query.eq('file_id', fileId);
+    if (trialId) query = query.eq('clinical_trial_id', trialId);
+    if (userId) query = query.eq('user_id', userId);
+    if (from) query = query.gte('created_at', from);
+    if (toBound) query = query.lte('created_at', toBound);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Download log query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch the download log'
+      });
+    }
+
+    // user_id has no foreign key (entries outlive users), so names are looked up separately
+    const userIds = [...new Set(data.map(row => row.user_id).filter(Boolean))];
+    const { data: profiles } = userIds.length > 0
+      ? await supabaseAdmin.from('profiles').select('id, display_name, email').in('id', userIds)
+      : { data: [] };
+    const profilesById = new Map((profiles || []).map(profile => [profile.id, profile]));
+
+    res.json({
+      success: true,
+      downloads: data.map(row => formatFileDownload({ ...row, profiles: profilesById.get(row.user_id) })),
+      total: count || 0,
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('Download log error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== STUDY PROTOCOLS =====
+
+// Queue the preview of a new version's PDF (text versions have no file)
+const queueProtocolPreview = (version, clinicalTrialId) => queuePreview({
+  fileType: 'study_protocol_version',
+  fileId: version.id,
+  organizationId: version.organization_id,
+  clinicalTrialId,
+  bucket: PROTOCOL_BUCKET,
+  path: version.storage_path,
+  mimeType: version.mime_type
+});
+
+// Queue a protocol_version email and a push to everyone assigned to the protocol's trial
+const notifyProtocolVersion = async (protocolId, version, createdBy) => {
+  try {
+    const { data: protocol } = await supabase
+      .from('study_protocols')
+      .select('organization_id, clinical_trial_id, title, acknowledgement_required, clinical_trials ( name )')
+      .eq('id', protocolId)
+      .single();
+
+    const { data: assignments } = await supabase
+      .from('user_clinical_assignments')
+      .select('user_id, profiles ( email )')
+      .eq('clinical_trial_id', protocol.clinical_trial_id);
+
+    const recipients = (assignments || []).filter(a => a.profiles?.email && a.user_id !== createdBy);
+    await Promise.all(recipients.map(assignment => notifications.enqueue('protocol_version', {
+      to: assignment.profiles.email,
+      organizationId: protocol.organization_id,
+      userId: assignment.user_id,
+      data: {
+        protocolTitle: protocol.title,
+        trialName: protocol.clinical_trials?.name || null,
+        versionLabel: version.version_label,
+        versionNumber: version.version_number,
+        effectiveDate: version.effective_date,
+        amendmentNote: version.amendment_note,
+        acknowledgementRequired: protocol.acknowledgement_required
+      },
+      createdBy
+    })));
+
+    await queueTrialPush({
+      organizationId: protocol.organization_id,
+      clinicalTrialId: protocol.clinical_trial_id,
+      category: 'protocol',
+      title: `New protocol version: ${protocol.title}`,
+      body: [version.version_label, protocol.clinical_trials?.name].filter(Boolean).join(' – ') || null,
+      data: { protocolId, versionId: version.id },
+      createdBy
+    });
+
+    return recipients.length;
+  } catch (err) {
+    console.error('Failed to queue protocol version notifications:', err);
+    return 0;
+  }
+};
+
+// Get all study protocols
+app.get('/api/study-protocols', authorize(), async (req, res) => {
+  try {
+    console.log('📨 GET /api/study-protocols - Starting request');
+
+    const userId = req.user.userId;
+    const organizationId = req.access.organizationId;
+    console.log('🔍 Getting study protocols for organization:', organizationId, 'role:', req.access.baseRole);
+
+    // Get accessible trial IDs based on user role
+    let accessibleTrialIds = [];
+
+    if (req.access.baseRole === 'admin') {
+      // Admins can see all trials in their organization
+      const { data: allTrials, error: trialsError } = await supabase
+        .from('clinical_trials')
+        .select('id')
+        .eq('organization_id', organizationId);
+
+      if (trialsError) {
+        console.error('Failed to get trials for admin:', trialsError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch accessible trials'
+        });
+      }
+
+      accessibleTrialIds = allTrials.map(trial => trial.id);
+    } else {
+      // Doctors/users can only see trials they're assigned to
+      const { data: assignedTrials, error: assignmentError } = await supabase
+        .from('user_clinical_assignments')
+        .select('clinical_trial_id')
+        .eq('user_id', userId);
+
+      if (assignmentError) {
+        console.error('Failed to get trial assignments:', assignmentError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to fetch trial assignments'
+        });
+      }
+
+      accessibleTrialIds = assignedTrials.map(assignment => assignment.clinical_trial_id);
+    }
+
+    console.log('🎯 Accessible trial IDs:', accessibleTrialIds);
+
+    if (accessibleTrialIds.length === 0) {
+      console.log('📭 No accessible trials found');
+      return res.json({
+        success: true,
+        studyProtocols: []
+      });
+    }
+
+    // Get study protocols filtered by accessible trials
+    const { data, error } = await supabase
+      .from('study_protocols')
+      .select(`
+        id,
+        title,
+        description,
+        type,
+        content,
+        storage_path,
+        version,
+        current_version_id,
+        acknowledgement_required,
+        clinical_trial_id,
+        created_by,
+        created_at,
+        updated_at,
+        clinical_trials (
+          name
+        ),
+        profiles (
+          display_name
+        )
+      `)
+      .in('clinical_trial_id', accessibleTrialIds)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('📨 Supabase query error:', error);
+      console.error('📨 Error details:', {
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        message: error.message
+      });
+
+      // Fall back to mock data if database query fails
+      console.log('📨 Falling back to mock data');
+    } else {
+      console.log('📨 Query successful, found', data ? data.length : 0, 'study protocols');
+      if (data && data.length > 0) {
+        console.log('📨 First protocol:', data[0]);
+      }
+    }
+
+    // Use real data if available, otherwise mock data
+    let studyProtocols;
+    if (!error && data && data.length > 0) {
+      // Each protocol shows the preview of its current version
+      studyProtocols = await attachPreviews('study_protocol_version', data.map(protocol => ({
+        id: protocol.id,
+        title: protocol.title,
+        description: protocol.description,
+        type: protocol.type || 'pdf',
+        content: protocol.type === 'pdf' ? protocol.storage_path : protocol.content,
+        version: protocol.version,
+        current_version_id: protocol.current_version_id,
+        acknowledgement_required: protocol.acknowledgement_required,
+        clinical_trial_id: protocol.clinical_trial_id,
+        trial_name: protocol.clinical_trials?.name || 'Unknown Trial',
+        created_by: protocol.created_by,
+        created_by_name: protocol.profiles?.display_name || 'Unknown',
+        upload_date: protocol.created_at,
+        created_at: protocol.created_at
+      })), protocol => protocol.current_version_id);
+    } else {
+      // Mock data for testing
+      console.log('📨 Using mock data');
+      const mockStudyProtocols = [
+      {
+        id: '1',
+        title: 'Phase III Clinical Trial Protocol v2.1',
+        description: 'Complete protocol for the Phase III clinical trial including inclusion/exclusion criteria',
+        type: 'pdf',
+        content: 'https://example.com/phase3-protocol.pdf',
+        version: '2.1',
+        created_by: 'admin',
+        created_by_name: 'Admin',
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        created_at: new Date().toISOString()
+      },
+      {
+        id: '2',
+        title: 'Patient Recruitment Guidelines',
+        description: 'Guidelines for patient recruitment and enrollment procedures',
+        type: 'text',
+        content: 'Detailed patient recruitment guidelines content...',
+        version: '1.0',
+        created_by: 'admin',
+        created_by_name: 'Admin',
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        created_at: new Date().toISOString()
+      },
+      {
+        id: '3',
+        title: 'Data Collection Standards',
+        description: 'Standards and procedures for data collection and management',
+        type: 'pdf',
+        content: 'https://example.com/data-standards.pdf',
+        version: '3.0',
+        created_by: 'admin',
+        created_by_name: 'Admin',
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        created_at: new Date().toISOString()
+      }
+      ];
+      studyProtocols = mockStudyProtocols;
+    }
+
+    console.log(`📊 Returning ${studyProtocols.length} study protocols to frontend`);
+    res.json({
+      success: true,
+      studyProtocols: studyProtocols
+    });
+  } catch (err) {
+    console.error('Study protocols fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Create study protocol
+app.post('/api/study-protocols', authorize('protocols.manage'), upload.single('file'), async (req, res) => {
+  try {
+    console.log('📨 POST /api/study-protocols - Request received');
+
+    const uploadedFile = req.file || null;
+    if (uploadedFile) {
+      console.log('📨 File uploaded:', uploadedFile.originalname);
+    }
+
+    const { title, description, type, content, version, clinical_trial_id, amendment_note, effective_date } = req.body;
+    const acknowledgementRequired = readAcknowledgementFlag(req.body.acknowledgement_required);
+    const userId = req.user.userId;
+
+    if (!title || !type || !clinical_trial_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, type, and clinical trial selection are required'
+      });
+    }
+
+    if (effective_date && !isValidDay(effective_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective date must be in YYYY-MM-DD format'
+      });
+    }
+
+    // Validate that the clinical trial exists and belongs to user's organization
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      console.error('Invalid clinical trial:', trialError);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    // Check if user has permission to create study protocols for this trial
+    if (req.access.baseRole !== 'admin') {
+      // Non-admin users must be assigned to the trial
+      const { data: assignment, error: assignError } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to create study protocols for this clinical trial'
+        });
+      }
+    }
+
+    if (uploadedFile && !(await screenUpload(req, res, uploadedFile, { organizationId: req.access.organizationId, bucket: PROTOCOL_BUCKET }))) return;
+
+    // Try to insert into Supabase, but fallback to mock response if it fails
+    let transformedStudyProtocol;
+    try {
+      // Override type when file is uploaded
+      const actualType = uploadedFile ? 'pdf' : type;
+
+      // The document itself is stored as version 1, which also fills in
+      // content/storage_path on the protocol row
+      const insertData = {
+        organization_id: req.access.organizationId,
+        clinical_trial_id: clinical_trial_id,
+        title,
+        description,
+        type: actualType,
+        content: null,
+        version: version || '1.0',
+        created_by: userId,
+        storage_path: null,
+        acknowledgement_required: acknowledgementRequired || false
+      };
+
+      const { data, error } = await supabase
+        .from('study_protocols')
+        .insert([insertData])
+        .select('*')
+        .single();
+
+      if (!error && data) {
+        console.log('Successfully inserted study protocol into Supabase:', data.id);
+
+        let initialVersion;
+        try {
+          initialVersion = await addProtocolVersion(data.id, {
+            file: uploadedFile,
+            content,
+            versionLabel: version || '1.0',
+            amendmentNote: amendment_note || 'Initial version',
+            effectiveDate: effective_date,
+            userId
+          });
+          console.log('✅ Study protocol version recorded:', initialVersion.id);
+          await queueProtocolPreview(initialVersion, clinical_trial_id);
+        } catch (versionError) {
+          console.error('Study protocol version error:', versionError);
+          await supabase.from('study_protocols').delete().eq('id', data.id);
+          return res.status(500).json({
+            success: false,
+            message: uploadedFile ? 'Failed to upload file. Please try again.' : 'Failed to record study protocol version'
+          });
+        }
+
+        const protocol = {
+          ...data,
+          type: initialVersion.type,
+          content: initialVersion.content,
+          storage_path: initialVersion.storage_path,
+          version: initialVersion.version_label,
+          current_version_id: initialVersion.id
+        };
+
+        await recordAudit(req, { entityType: 'study_protocol', entityId: data.id, action: 'create', after: protocol });
+        await queueTrialPush({
+          organizationId: req.access.organizationId,
+          clinicalTrialId: clinical_trial_id,
+          category: 'protocol',
+          title: `New protocol: ${data.title}`,
+          body: trial.name,
+          data: { protocolId: data.id, versionId: initialVersion.id },
+          createdBy: userId
+        });
+        // Transform the data to match frontend expectations
+        transformedStudyProtocol = {
+          id: data.id,
+          title: data.title,
+          description: data.description,
+          version: protocol.version,
+          type: protocol.type,
+          content: content,
+          storage_path: protocol.storage_path,
+          current_version_id: protocol.current_version_id,
+          acknowledgement_required: protocol.acknowledgement_required,
+          clinical_trial_id: clinical_trial_id,
+          trial_name: trial.name,
+          created_by: data.created_by,
+          created_by_name: 'Test User', // TODO: Get from profiles table
+          upload_date: data.created_at,
+          is_active: true,
+          created_at: data.created_at
+        };
+      } else {
+        throw new Error(error?.message || 'Supabase insert failed');
+      }
+    } catch (supabaseError) {
+      console.log('Supabase insert failed, using mock response:', supabaseError.message);
+
+      // If file upload failed, return error instead of mock
+      if (uploadedFile) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to upload file. Please try again.'
+        });
+      }
+
+      // Fallback: Return mock created study protocol for testing (text only)
+      transformedStudyProtocol = {
+        id: Date.now().toString(),
+        title,
+        description,
+        version: version || '1.0',
+        type,
+        content,
+        clinical_trial_id: clinical_trial_id,
+        trial_name: trial.name,
+        created_by: userId,
+        created_by_name: 'Test User',
+        upload_date: new Date().toISOString(),
+        is_active: true,
+        created_at: new Date().toISOString()
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Study protocol created successfully',
+      studyProtocol: transformedStudyProtocol
+    });
+  } catch (err) {
+    console.error('Study protocol creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update study protocol
+// Metadata changes update the protocol in place; a new file (or changed text)
+// is recorded as a new version instead of overwriting the current one
+app.put('/api/study-protocols/:id', authorize('protocols.manage'), upload.single('file'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uploadedFile = req.file || null;
+    const { title, description, type, content, version, clinical_trial_id, amendment_note, effective_date } = req.body;
+    const acknowledgementRequired = readAcknowledgementFlag(req.body.acknowledgement_required);
+    const userId = req.user.userId;
+
+    if (!title || !type || !clinical_trial_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, type, and clinical trial selection are required'
+      });
+    }
+
+    if (effective_date && !isValidDay(effective_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective date must be in YYYY-MM-DD format'
+      });
+    }
+
+    // Validate that the clinical trial exists and belongs to user's organization
+    const { data: trial, error: trialError } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
+      .eq('id', clinical_trial_id)
+      .eq('organization_id', req.access.organizationId)
+      .single();
+
+    if (trialError || !trial) {
+      console.error('Invalid clinical trial:', trialError);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinical trial selected'
+      });
+    }
+
+    // Check if user has permission to update study protocols for this trial
+    if (req.access.baseRole !== 'admin') {
+      // Non-admin users must be assigned to the trial
+      const { data: assignment, error: assignError } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update study protocols for this clinical trial'
+        });
+      }
+    }
+
+    const before = await fetchAuditSnapshot('study_protocols', id);
+
+    if (!before || before.organization_id !== req.access.organizationId || before.is_active === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study protocol not found'
+      });
+    }
+
+    // Version label, type and document only change through a new version
+    const textChanged = !uploadedFile && type === 'text' && content !== undefined && content !== before.content;
+    if (version && version !== before.version && !uploadedFile && !textChanged) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new version label needs a new document: upload a file or change the protocol text'
+      });
+    }
+
+    if (uploadedFile && !(await screenUpload(req, res, uploadedFile, { organizationId: req.access.organizationId, bucket: PROTOCOL_BUCKET }))) return;
+
+    const updates = {
+      title,
+      description,
+      clinical_trial_id: clinical_trial_id,
+      updated_at: new Date().toISOString()
+    };
+    if (acknowledgementRequired !== undefined) {
+      updates.acknowledgement_required = acknowledgementRequired;
+    }
+
+    let { data, error } = await supabase
+      .from('study_protocols')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update study protocol'
+      });
+    }
+
+    if (uploadedFile || textChanged) {
+      try {
+        const newVersion = await addProtocolVersion(id, {
+          file: uploadedFile,
+          content,
+          versionLabel: version && version !== before.version ? version : null,
+          amendmentNote: amendment_note,
+          effectiveDate: effective_date,
+          userId
+        });
+        console.log('✅ Study protocol version recorded:', newVersion.id);
+        await queueProtocolPreview(newVersion, data.clinical_trial_id);
+        await notifyProtocolVersion(id, newVersion, userId);
+      } catch (versionError) {
+        console.error('Study protocol version error:', versionError);
+        const invalidDate = versionError.message && versionError.message.startsWith('Effective date');
+        return res.status(invalidDate ? 400 : 500).json({
+          success: false,
+          message: invalidDate ? versionError.message : 'Failed to record new study protocol version'
+        });
+      }
+
+      ({ data, error } = await supabase
+        .from('study_protocols')
+        .select('*')
+        .eq('id', id)
+        .single());
+
+      if (error) {
+        console.error('Supabase error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update study protocol'
+        });
+      }
+    }
+
+    console.log('✅ Study protocol updated successfully:', data.id);
+
+    await recordAudit(req, {
+      entityType: 'study_protocol',
+      entityId: id,
+      action: 'update',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
+
+    // Transform the data to match frontend expectations
+    const transformedStudyProtocol = {
+      id: data.id,
+      title: data.title,
+      description: data.description,
+      type: data.type || 'pdf',
+      content: data.content,
+      storage_path: data.storage_path,
+      version: data.version,
+      current_version_id: data.current_version_id,
+      acknowledgement_required: data.acknowledgement_required,
+      clinical_trial_id: clinical_trial_id,
+      trial_name: trial.name,
+      created_by: data.created_by,
+      created_by_name: 'Test User', // TODO: Get from profiles table
+      upload_date: data.created_at,
+      is_active: true,
+      created_at: data.created_at,
+      updated_at: data.updated_at
+    };
+
+    res.json({
+      success: true,
+      message: 'Study protocol updated successfully',
+      studyProtocol: transformedStudyProtocol
+    });
+  } catch (err) {
+    console.error('Study protocol update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete study protocol. The row is only deactivated so its version history
+// (what each site was working from, and who acknowledged it) is kept.
+app.delete('/api/study-protocols/:id', authorize('protocols.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const before = await fetchAuditSnapshot('study_protocols', id);
+
+    const { data: after, error, count } = await supabase
+      .from('study_protocols')
+      .update({ is_active: false, updated_at: new Date().toISOString() }, { count: 'exact' })
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .eq('is_active', true)
+      .select();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to delete study protocol',
+        error: error.message
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study protocol not found'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'study_protocol',
+      entityId: id,
+      action: 'delete',
+      organizationId: req.access.organizationId,
+      before,
+      after: after[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Study protocol deleted successfully'
+    });
+  } catch (err) {
+    console.error('Study protocol deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Version history of a study protocol, newest first. ?asOf=YYYY-MM-DD also
+// returns the version that was in force on that date.
+app.get('/api/study-protocols/:id/versions', authorize(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { asOf } = req.query;
+    const userId = req.user.userId;
+
+    if (asOf && !isValidDay(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { data: protocol, error: protocolError } = await supabase
+      .from('study_protocols')
+      .select('id, title, clinical_trial_id, current_version_id')
+      .eq('id', id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (protocolError || !protocol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study protocol not found'
+      });
+    }
+
+    if (req.access.baseRole !== 'admin') {
+      const { data: accessibleTrials, error: trialsError } = await supabase
+        .rpc('get_user_accessible_trials', { user_id: userId });
+
+      if (trialsError) {
+        console.error('Accessible trials error:', trialsError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to get accessible trials'
+        });
+      }
+
+      if (!(accessibleTrials || []).some(t => t.id === protocol.clinical_trial_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: You do not have access to this clinical trial'
+        });
+      }
+    }
+
+    let versions;
+    try {
+      versions = await getProtocolVersions(id);
+    } catch (versionsError) {
+      console.error('Study protocol versions query error:', versionsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch study protocol versions'
+      });
+    }
+
+    const formatted = formatProtocolVersions(versions, protocol.current_version_id);
+    const inForce = asOf ? findVersionInForce(versions, asOf) : null;
+
+    res.json({
+      success: true,
+      studyProtocolId: protocol.id,
+      title: protocol.title,
+      bucket: PROTOCOL_BUCKET,
+      currentVersionId: protocol.current_version_id,
+      asOf: asOf || null,
+      versionInForce: inForce ? formatted.find(v => v.id === inForce.id) : null,
+      versions: formatted
+    });
+  } catch (err) {
+    console.error('Study protocol versions fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Upload an amendment: stores the file (or text) as a new immutable version
+// linked to the current one and makes it current
+app.post('/api/study-protocols/:id/versions', authorize('protocols.manage'), upload.single('file'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uploadedFile = req.file || null;
+    const { content, version, amendment_note, effective_date } = req.body;
+    const userId = req.user.userId;
+
+    if (!uploadedFile && !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file or text content is required for a new version'
+      });
+    }
+
+    if (effective_date && !isValidDay(effective_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Effective date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const before = await fetchAuditSnapshot('study_protocols', id);
+
+    if (!before || before.organization_id !== req.access.organizationId || before.is_active === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study protocol not found'
+      });
+    }
+
+    if (req.access.baseRole !== 'admin') {
+      const { data: assignment, error: assignError } = await supabase
+        .from('user_clinical_assignments')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('clinical_trial_id', before.clinical_trial_id)
+        .single();
+
+      if (assignError || !assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update study protocols for this clinical trial'
+        });
+      }
+    }
+
+    if (uploadedFile && !(await screenUpload(req, res, uploadedFile, { organizationId: req.access.organizationId, bucket: PROTOCOL_BUCKET }))) return;
+
+    let newVersion;
+    try {
+      newVersion = await addProtocolVersion(id, {
+        file: uploadedFile,
+        content,
+        versionLabel: version,
+        amendmentNote: amendment_note,
+        effectiveDate: effective_date,
+        userId
+      });
+    } catch (versionError) {
+      console.error('Study protocol version error:', versionError);
+      const invalidDate = versionError.message && versionError.message.startsWith('Effective date');
+      return res.status(invalidDate ? 400 : 500).json({
+        success: false,
+        message: invalidDate ? versionError.message : 'Failed to record new study protocol version'
+      });
+    }
+
+    console.log('✅ Study protocol version recorded:', newVersion.id);
+    await queueProtocolPreview(newVersion, before.clinical_trial_id);
+    const notifiedUsers = await notifyProtocolVersion(id, newVersion, userId);
+
+    await recordAudit(req, {
+      entityType: 'study_protocol',
+      entityId: id,
+      action: 'new_version',
+      organizationId: req.access.organizationId,
+      before,
+      after: await fetchAuditSnapshot('study_protocols', id)
+    });
+
+    const [formatted] = formatProtocolVersions([newVersion], newVersion.id);
+
+    res.json({
+      success: true,
+      message: 'Study protocol version created successfully',
+      version: formatted,
+      notifiedUsers
+    });
+  } catch (err) {
+    console.error('Study protocol version creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== DOCUMENT LIBRARY =====
+
+// The user's organization, role, capabilities, assigned trials and (for
+// site staff) sites, for scopeDocuments. Needs req.access (see authorize)
+const loadDocumentViewer = async (req) => {
+  const { userId, organizationId, baseRole: role, can, hospitalIds } = req.access;
+
+  let trialIds = [];
+  if (role !== 'admin') {
+    const { data: assignments } = await supabaseAdmin
+      .from('user_clinical_assignments')
+      .select('clinical_trial_id')
+      .eq('user_id', userId);
+    trialIds = (assignments || []).map(a => a.clinical_trial_id);
+  }
+
+  return { userId, organizationId, role, can, trialIds, hospitalIds };
+};
+
+// documents.manage covers every document for admins; others manage
+// organization-wide documents and those of trials they are assigned to
+const canManageDocuments = (viewer, clinicalTrialId) =>
+  viewer.can('documents.manage') &&
+  (viewer.role === 'admin' || !clinicalTrialId || viewer.trialIds.includes(clinicalTrialId));
+
+const loadDocumentFolder = async (viewer, folderId) => {
+  const { data } = await supabaseAdmin
+    .from('document_folders')
+    .select('*')
+    .eq('id', folderId)
+    .eq('organization_id', viewer.organizationId)
+    .maybeSingle();
+  return data;
+};
+
+// Check the trial and folder a document (or folder) is placed in. Fields left
+// undefined keep the existing row's values. Returns { values } or { status, error }
+const resolveDocumentPlacement = async (viewer, { clinicalTrialId, folderId }, existing = null) => {
+  const trialId = clinicalTrialId !== undefined ? (clinicalTrialId || null) : (existing?.clinical_trial_id ?? null);
+
+  if (trialId) {
+    const { data: trial } = await supabaseAdmin
+      .from('clinical_trials')
+      .select('id')
+      .eq('id', trialId)
+      .eq('organization_id', viewer.organizationId)
+      .maybeSingle();
+
+    if (!trial) return { status: 404, error: 'Clinical trial not found' };
+  }
+
+  if (!canManageDocuments(viewer, trialId)) {
+    return { status: 403, error: 'You do not have permission to manage documents for this clinical trial' };
+  }
+
+  const nextFolderId = folderId !== undefined ? (folderId || null) : (existing?.folder_id ?? null);
+  if (nextFolderId) {
+    const folder = await loadDocumentFolder(viewer, nextFolderId);
+    if (!folder) return { status: 404, error: 'Folder not found' };
+    if (folder.clinical_trial_id && folder.clinical_trial_id !== trialId) {
+      return { status: 400, error: 'The folder belongs to a different clinical trial' };
+    }
+  }
+
+  return { values: { clinical_trial_id: trialId, folder_id: nextFolderId } };
+};
+
+// Upload a file to storage and add it to the library; throws on failure
+const createDocument = async (req, viewer, file, { bucket = DOCUMENTS_BUCKET, placement, fields }) => {
+  const path = documentPath(viewer.organizationId, placement.clinical_trial_id, file.originalname);
+
+  const { error: uploadError } = await supabaseAdmin.storage
+    .from(bucket)
+    .upload(path, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl: '3600'
+    });
+
+  if (uploadError) throw uploadError;
+
+  const { data: document, error } = await supabaseAdmin
+    .from('files')
+    .insert({
+      organization_id: viewer.organizationId,
+      ...placement,
+      bucket,
+      path,
+      uploaded_by: viewer.userId,
+      file_name: file.originalname,
+      file_size: file.size,
+      mime_type: file.mimetype,
+      title: file.originalname,
+      ...fields
+    })
+    .select(DOCUMENT_COLUMNS)
+    .single();
+
+  if (error) {
+    await supabaseAdmin.storage.from(bucket).remove([path]);
+    throw error;
+  }
+
+  await recordAudit(req, {
+    entityType: 'document',
+    entityId: document.id,
+    action: 'upload',
+    organizationId: viewer.organizationId,
+    after: document
+  });
+
+  await queuePreview({
+    fileType: 'document',
+    fileId: document.id,
+    organizationId: viewer.organizationId,
+    clinicalTrialId: document.clinical_trial_id,
+    bucket,
+    path,
+    mimeType: file.mimetype
+  });
+
+  return document;
+};
+
+// The viewer's documents, filtered by the request's query string
+const listDocuments = (viewer, filters) => filterDocuments(
+  scopeDocuments(
+    supabaseAdmin
+      .from('files')
+      .select(DOCUMENT_COLUMNS)
+      .eq('organization_id', viewer.organizationId),
+    viewer
+  ),
+  filters
+).order('uploaded_at', { ascending: false });
+
+// The viewer's folders (organization-wide and their trials'), optionally
+// narrowed to one trial plus the organization-wide ones
+const listDocumentFolders = async (viewer, trialId) => {
+  const { data, error } = await supabaseAdmin
+    .from('document_folders')
+    .select('*')
+    .eq('organization_id', viewer.organizationId)
+    .order('sort_order')
+    .order('name');
+
+  if (error) return { data: null, error };
+  return { data: data.filter(folder => inTrialScope(folder, viewer, trialId)), error: null };
+};
+
+// A document the viewer may see, or null after sending a 404
+const loadVisibleDocument = async (req, res, viewer) => {
+  const { data: document } = await supabaseAdmin
+    .from('files')
+    .select(DOCUMENT_COLUMNS)
+    .eq('id', req.params.id)
+    .eq('organization_id', viewer.organizationId)
+    .maybeSingle();
+
+  if (!document || !canViewDocument(document, viewer)) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Search and list documents
+// Query: q (full-text), category, tag, folderId ('none' for unfiled), trialId
+app.get('/api/documents', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { q, category, tag, folderId, trialId } = req.query;
+    const { data, error } = await listDocuments(viewer, { q, category, tag, folderId, trialId });
+
+    if (error) {
+      console.error('Documents fetch error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch documents'
+      });
+    }
+
+    res.json({
+      success: true,
+      documents: await attachPreviews('document', data.map(row => formatDocument(row)))
+    });
+  } catch (err) {
+    console.error('Documents fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Categories in use among the documents the user can see, with counts
+app.get('/api/documents/categories', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { data, error } = await scopeDocuments(
+      supabaseAdmin
+        .from('files')
+        .select('category, clinical_trial_id, visible_to_roles')
+        .eq('organization_id', viewer.organizationId),
+      viewer
+    );
+
+    if (error) {
+      console.error('Document categories fetch error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch document categories'
+      });
+    }
+
+    const counts = new Map();
+    data.forEach(row => counts.set(row.category, (counts.get(row.category) || 0) + 1));
+
+    res.json({
+      success: true,
+      categories: [...counts.entries()]
+        .map(([name, documentCount]) => ({ name, documentCount }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (err) {
+    console.error('Document categories fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Folders and documents as a tree, optionally for one trial
+app.get('/api/document-library', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { trialId } = req.query;
+    const [{ data: folders, error: folderError }, { data: documents, error: documentError }] = await Promise.all([
+      listDocumentFolders(viewer, trialId),
+      listDocuments(viewer, { trialId })
+    ]);
+
+    if (folderError || documentError) {
+      console.error('Document library fetch error:', folderError || documentError);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch the document library'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...buildFolderTree(folders, await attachPreviews('document', documents.map(row => formatDocument(row))))
+    });
+  } catch (err) {
+    console.error('Document library fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/documents/:id', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const document = await loadVisibleDocument(req, res, viewer);
+    if (!document) return;
+
+    const [formatted] = await attachPreviews('document', [formatDocument(document)]);
+    res.json({
+      success: true,
+      document: formatted
+    });
+  } catch (err) {
+    console.error('Document fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Upload a document (multipart field "file") with title, description,
+// category, tags, visibleToRoles, clinicalTrialId and folderId
+app.post('/api/documents', authorize(), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const { title, description, category, tags, visibleToRoles, clinicalTrialId, folderId } = req.body;
+
+    const fields = parseDocumentFields({ title, description, category, tags, visibleToRoles });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId, folderId });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    if (!(await screenUpload(req, res, req.file, { organizationId: viewer.organizationId, bucket: DOCUMENTS_BUCKET }))) return;
+
+    const document = await createDocument(req, viewer, req.file, { placement: placement.values, fields: fields.values });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document: formatDocument(document)
+    });
+  } catch (err) {
+    console.error('Document upload error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update a document's metadata, or move it to another folder or trial
+app.put('/api/documents/:id', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const before = await loadVisibleDocument(req, res, viewer);
+    if (!before) return;
+
+    if (!canManageDocuments(viewer, before.clinical_trial_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage documents for this clinical trial'
+      });
+    }
+
+    const { title, description, category, tags, visibleToRoles, clinicalTrialId, folderId } = req.body;
+
+    const fields = parseDocumentFields({ title, description, category, tags, visibleToRoles });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId, folderId }, before);
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    const { data: document, error } = await supabaseAdmin
+      .from('files')
+      .update({
+        ...fields.values,
+        ...placement.values,
+        updated_by: viewer.userId
+      })
+      .eq('id', before.id)
+      .select(DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Document update error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to update document'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'document',
+      entityId: document.id,
+      action: 'update',
+      organizationId: viewer.organizationId,
+      before,
+      after: document
+    });
+
+    res.json({
+      success: true,
+      message: 'Document updated successfully',
+      document: formatDocument(document)
+    });
+  } catch (err) {
+    console.error('Document update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete a document and its stored file (also served as DELETE /api/pdfs/:id)
+const deleteDocument = async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const before = await loadVisibleDocument(req, res, viewer);
+    if (!before) return;
+
+    if (!canManageDocuments(viewer, before.clinical_trial_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage documents for this clinical trial'
+      });
+    }
+
+    const { error, count } = await supabaseAdmin
+      .from('files')
+      .delete({ count: 'exact' })
+      .eq('id', before.id);
+
+    if (error) {
+      console.error('Document deletion error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to delete document'
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Best effort: a leftover object is only wasted space
+    if (before.path) {
+      const { error: storageError } = await supabaseAdmin.storage.from(before.bucket).remove([before.path]);
+      if (storageError) console.error('Failed to remove document file:', storageError.message);
+    }
+
+    await recordAudit(req, {
+      entityType: 'document',
+      entityId: before.id,
+      action: 'delete',
+      organizationId: viewer.organizationId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (err) {
+    console.error('Document deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+};
+
+app.delete('/api/documents/:id', authorize(), deleteDocument);
+
+// Document folders the user can see, optionally for one trial
+app.get('/api/document-folders', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { data, error } = await listDocumentFolders(viewer, req.query.trialId);
+
+    if (error) {
+      console.error('Document folders fetch error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch document folders'
+      });
+    }
+
+    res.json({
+      success: true,
+      folders: data.map(formatDocumentFolder)
+    });
+  } catch (err) {
+    console.error('Document folders fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Create a folder: { name, clinicalTrialId, parentId, sortOrder }
+app.post('/api/document-folders', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { name, clinicalTrialId, parentId, sortOrder } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder name is required'
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId, folderId: parentId });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    const { data: folder, error } = await supabaseAdmin
+      .from('document_folders')
+      .insert({
+        organization_id: viewer.organizationId,
+        clinical_trial_id: placement.values.clinical_trial_id,
+        parent_id: placement.values.folder_id,
+        name: String(name).trim(),
+        sort_order: Number.isInteger(sortOrder) ? sortOrder : 0,
+        created_by: viewer.userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Document folder creation error:', error);
+      return res.status(error.code === '23505' ? 409 : 400).json({
+        success: false,
+        message: error.code === '23505' ? 'A folder with this name already exists here' : 'Failed to create folder'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'document_folder',
+      entityId: folder.id,
+      action: 'create',
+      organizationId: viewer.organizationId,
+      after: folder
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      folder: formatDocumentFolder(folder)
+    });
+  } catch (err) {
+    console.error('Document folder creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Rename, reorder or move a folder within its trial: { name, parentId, sortOrder }
+app.put('/api/document-folders/:id', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const before = await loadDocumentFolder(viewer, req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const { name, parentId, sortOrder } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Folder name cannot be empty'
+        });
+      }
+      updates.name = String(name).trim();
+    }
+
+    if (sortOrder !== undefined) {
+      if (!Number.isInteger(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: 'sortOrder must be an integer'
+        });
+      }
+      updates.sort_order = sortOrder;
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { folderId: parentId }, {
+      clinical_trial_id: before.clinical_trial_id,
+      folder_id: before.parent_id
+    });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    // A folder cannot be moved inside itself or one of its subfolders
+    for (let ancestorId = placement.values.folder_id; ancestorId;) {
+      if (ancestorId === before.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A folder cannot be moved into itself'
+        });
+      }
+      ancestorId = (await loadDocumentFolder(viewer, ancestorId))?.parent_id;
+    }
+    updates.parent_id = placement.values.folder_id;
+
+    const { data: folder, error } = await supabaseAdmin
+      .from('document_folders')
+      .update(updates)
+      .eq('id', before.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Document folder update error:', error);
+      return res.status(error.code === '23505' ? 409 : 400).json({
+        success: false,
+        message: error.code === '23505' ? 'A folder with this name already exists here' : 'Failed to update folder'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'document_folder',
+      entityId: folder.id,
+      action: 'update',
+      organizationId: viewer.organizationId,
+      before,
+      after: folder
+    });
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      folder: formatDocumentFolder(folder)
+    });
+  } catch (err) {
+    console.error('Document folder update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete a folder and its subfolders; their documents become unfiled
+app.delete('/api/document-folders/:id', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const before = await loadDocumentFolder(viewer, req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    if (!canManageDocuments(viewer, before.clinical_trial_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage documents for this clinical trial'
+      });
+    }
+
+    const { error, count } = await supabaseAdmin
+      .from('document_folders')
+      .delete({ count: 'exact' })
+      .eq('id', before.id);
+
+    if (error) {
+      console.error('Document folder deletion error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to delete folder'
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'document_folder',
+      entityId: before.id,
+      action: 'delete',
+      organizationId: viewer.organizationId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+  } catch (err) {
+    console.error('Document folder deletion error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== PDF DOCUMENTS =====
+
+// Get PDF documents from the document library
+app.get('/api/pdfs', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { data, error } = await listDocuments(viewer, {}).eq('mime_type', 'application/pdf');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch PDF documents',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      pdfDocuments: await attachPreviews('document', data.map(row => formatDocument(row)))
+    });
+  } catch (err) {
+    console.error('PDF documents fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Get company documents
+app.get('/api/company/:company/documents', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const { q, category, tag, folderId, trialId } = req.query;
+    const { data, error } = await listDocuments(viewer, { q, category, tag, folderId, trialId });
+
+    if (error) {
+      console.error('Documents fetch error:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch documents',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      documents: await attachPreviews('document', data.map(row => formatDocument(row)))
+    });
+  } catch (err) {
+    console.error('Documents fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Company documents upload endpoint
+app.post('/api/company/:company/documents', authorize(), upload.single('file'), async (req, res) => {
+  try {
+    const { title, description, category, clinical_trial_id } = req.body;
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const fields = parseDocumentFields({ title, description, category });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId: clinical_trial_id });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    if (!(await screenUpload(req, res, req.file, { organizationId: viewer.organizationId, bucket: DOCUMENTS_BUCKET }))) return;
+
+    const document = await createDocument(req, viewer, req.file, { placement: placement.values, fields: fields.values });
+
+    res.json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document: formatDocument(document)
+    });
+  } catch (error) {
+    console.error('Document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Add a PDF document stored elsewhere, by URL
+app.post('/api/pdfs', authorize(), async (req, res) => {
+  try {
+    const { title, description, category, fileUrl, fileName, fileSize, clinical_trial_id } = req.body;
+
+    if (!title || !fileUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and fileUrl are required'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const fields = parseDocumentFields({ title, description, category });
+    if (fields.error) {
+      return res.status(400).json({
+        success: false,
+        message: fields.error
+      });
+    }
+
+    const placement = await resolveDocumentPlacement(viewer, { clinicalTrialId: clinical_trial_id });
+    if (placement.error) {
+      return res.status(placement.status).json({
+        success: false,
+        message: placement.error
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('files')
+      .insert({
+        organization_id: viewer.organizationId,
+        ...placement.values,
+        bucket: DOCUMENTS_BUCKET,
+        external_url: fileUrl,
+        uploaded_by: viewer.userId,
+        file_name: fileName || title,
+        file_size: fileSize || null,
+        mime_type: 'application/pdf',
+        ...fields.values
+      })
+      .select(DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to create PDF document',
+        error: error.message
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'document',
+      entityId: data.id,
+      action: 'create',
+      organizationId: viewer.organizationId,
+      after: data
+    });
+
+    res.json({
+      success: true,
+      message: 'PDF document created successfully',
+      pdfDocument: formatDocument(data)
+    });
+  } catch (err) {
+    console.error('PDF document creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Delete PDF document
+app.delete('/api/pdfs/:id', authorize(), deleteDocument);
+
+// ===== SEARCH =====
+
+// Search titles, bodies and extracted PDF text across news, study protocols
+// and training materials in the user's accessible trials. Callers who can see
+// drafts (news.view_drafts) also match unpublished news; everyone else only
+// matches live items
+app.get('/api/search', authorize(), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const parsed = parseSearchParams(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    const { query, types, trialId, limit, offset } = parsed.values;
+
+    // Get user's accessible trial IDs
+    const { data: accessibleTrials, error: trialsError } = await supabase
+      .rpc('get_user_accessible_trials', { user_id: userId });
+
+    if (trialsError) {
+      console.error('Accessible trials error:', trialsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get accessible trials'
+      });
+    }
+
+    const trialNames = new Map((accessibleTrials || []).map(t => [t.id, t.name]));
+
+    if (trialId && !trialNames.has(trialId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    const trialIds = trialId ? [trialId] : [...trialNames.keys()];
+
+    if (trialIds.length === 0) {
+      return res.json({
+        success: true,
+        query,
+        results: [],
+        facets: formatSearchFacets([]),
+        total: 0
+      });
+    }
+
+    // The search functions trust the trial list, so only the service role may call them
+    const client = supabaseAdmin || supabase;
+    const searchArgs = {
+      search_query: query,
+      trial_ids: trialIds,
+      include_unpublished: req.access.can('news.view_drafts')
+    };
+
+    const [{ data: rows, error: searchError }, { data: facetRows, error: facetsError }] = await Promise.all([
+      client.rpc('search_trial_content', {
+        ...searchArgs,
+        result_types: types,
+        result_limit: limit,
+        result_offset: offset
+      }),
+      client.rpc('search_trial_content_facets', searchArgs)
+    ]);
+
+    if (searchError || facetsError) {
+      console.error('Search error:', searchError || facetsError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to search'
+      });
+    }
+
+    const facets = formatSearchFacets(facetRows);
+
+    res.json({
+      success: true,
+      query,
+      results: (rows || []).map(row => formatSearchResult(row, trialNames)),
+      facets,
+      total: facets
+        .filter(facet => !types || types.includes(facet.type))
+        .reduce((sum, facet) => sum + facet.count, 0),
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== MESSAGING =====
+
+// A thread the viewer may read, or null after sending 404
+const loadVisibleThread = async (res, viewer, threadId) => {
+  const thread = await messaging.loadThread(threadId);
+  if (!thread || !canViewThread(thread, viewer)) {
+    res.status(404).json({
+      success: false,
+      message: 'Thread not found'
+    });
+    return null;
+  }
+  return thread;
+};
+
+// Best effort: a leftover object is only wasted space
+const removeMessageAttachments = async (paths) => {
+  const existing = paths.filter(Boolean);
+  if (existing.length === 0) return;
+  const { error } = await supabaseAdmin.storage.from(MESSAGE_ATTACHMENTS_BUCKET).remove(existing);
+  if (error) console.error('Failed to remove message attachments:', error.message);
+};
+
+// Threads the user takes part in, most recent first, with unread counts.
+// Admins can pass all=true to see every thread in their organization
+app.get('/api/message-threads', authorize(), async (req, res) => {
+  try {
+    const { trialId, kind, all } = req.query;
+
+    const viewer = await loadDocumentViewer(req);
+
+    if (kind && !THREAD_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${THREAD_KINDS.join(', ')}`
+      });
+    }
+
+    if (trialId && viewer.role !== 'admin' && !viewer.trialIds.includes(trialId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    const threads = await messaging.listThreads(viewer, { trialId, kind, all: all === 'true' });
+
+    res.json({
+      success: true,
+      threads,
+      unreadTotal: threads.reduce((sum, thread) => sum + thread.unreadCount, 0)
+    });
+  } catch (err) {
+    console.error('Message threads fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Unread message counts for the app badge: in total, per trial and per thread
+app.get('/api/message-threads/unread', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    res.json({
+      success: true,
+      ...(await messaging.unreadSummary(viewer))
+    });
+  } catch (err) {
+    console.error('Unread messages error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Open a thread: a direct thread between an admin and a site user
+// (participantId), or an admin-created group thread with one of the trial's
+// sites (hospitalId). An existing thread is returned instead of a duplicate
+app.post('/api/message-threads', authorize(), async (req, res) => {
+  try {
+    const { kind = 'direct', clinicalTrialId, participantId, hospitalId, subject } = req.body;
+
+    const viewer = await loadDocumentViewer(req);
+
+    if (!THREAD_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${THREAD_KINDS.join(', ')}`
+      });
+    }
+
+    if (!clinicalTrialId) {
+      return res.status(400).json({
+        success: false,
+        message: 'clinicalTrialId is required'
+      });
+    }
+
+    const { data: trial } = await supabaseAdmin
+      .from('clinical_trials')
+      .select('id, organization_id')
+      .eq('id', clinicalTrialId)
+      .eq('organization_id', viewer.organizationId)
+      .maybeSingle();
+
+    if (!trial || (viewer.role !== 'admin' && !viewer.trialIds.includes(trial.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not have access to this clinical trial'
+      });
+    }
+
+    let result;
+    if (kind === 'direct') {
+      if (!participantId || participantId === viewer.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'participantId must be another user'
+        });
+      }
+
+      const { data: other } = await supabaseAdmin
+        .from('profiles')
+        .select('id, organization_id, role')
+        .eq('id', participantId)
+        .eq('organization_id', viewer.organizationId)
+        .maybeSingle();
+
+      if (!other) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Direct threads connect sponsor admins with site users
+      if ((other.role === 'admin') === (viewer.role === 'admin')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Direct messages are between an admin and a site user'
+        });
+      }
+
+      if (other.role !== 'admin') {
+        const { data: assignment } = await supabaseAdmin
+          .from('user_clinical_assignments')
+          .select('user_id')
+          .eq('user_id', other.id)
+          .eq('clinical_trial_id', trial.id)
+          .maybeSingle();
+
+        if (!assignment) {
+          return res.status(400).json({
+            success: false,
+            message: 'This user is not assigned to the clinical trial'
+          });
+        }
+      }
+
+      result = await messaging.openDirectThread({
+        organizationId: viewer.organizationId,
+        clinicalTrialId: trial.id,
+        userId: viewer.userId,
+        otherUserId: other.id,
+        subject: subject ? String(subject).trim() : null
+      });
+    } else {
+      if (viewer.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can start site conversations'
+        });
+      }
+
+      const { data: site } = hospitalId
+        ? await supabaseAdmin
+          .from('trial_sites')
+          .select('hospital_id')
+          .eq('clinical_trial_id', trial.id)
+          .eq('hospital_id', hospitalId)
+          .maybeSingle()
+        : { data: null };
+
+      if (!site) {
+        return res.status(400).json({
+          success: false,
+          message: 'hospitalId must be a site of the clinical trial'
+        });
+      }
+
+      result = await messaging.openSiteThread({
+        organizationId: viewer.organizationId,
+        clinicalTrialId: trial.id,
+        hospitalId: site.hospital_id,
+        userId: viewer.userId,
+        subject: subject ? String(subject).trim() : null
+      });
+    }
+
+    if (result.created) {
+      await recordAudit(req, {
+        entityType: 'message_thread',
+        entityId: result.thread.id,
+        action: 'create',
+        organizationId: viewer.organizationId,
+        after: {
+          kind: result.thread.kind,
+          clinical_trial_id: result.thread.clinical_trial_id,
+          hospital_id: result.thread.hospital_id,
+          participants: result.thread.message_thread_participants.map(p => p.user_id)
+        }
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      created: result.created,
+      thread: formatThread(result.thread)
+    });
+  } catch (err) {
+    console.error('Message thread create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// One thread with its participants and their read positions
+app.get('/api/message-threads/:id', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const found = await loadVisibleThread(res, viewer, req.params.id);
+    if (!found) return;
+    const thread = await messaging.syncSiteParticipants(found);
+
+    const counts = await messaging.unreadCounts(viewer.userId);
+
+    res.json({
+      success: true,
+      thread: formatThread(thread, counts.get(thread.id) || 0)
+    });
+  } catch (err) {
+    console.error('Message thread fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// A page of messages, newest first, with attachments and read receipts;
+// pass before (the oldest createdAt) for earlier messages
+app.get('/api/message-threads/:id/messages', authorize(), async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = parsePageSize(req.query.limit);
+
+    if (limit === null || (before && Number.isNaN(new Date(before).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be a positive integer and before a timestamp'
+      });
+    }
+
+    const viewer = await loadDocumentViewer(req);
+
+    const thread = await loadVisibleThread(res, viewer, req.params.id);
+    if (!thread) return;
+
+    const messages = await messaging.listMessages(thread, viewer, {
+      before: before ? new Date(before).toISOString() : null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      messages,
+      hasMore: messages.length === limit
+    });
+  } catch (err) {
+    console.error('Messages fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Send a message (multipart: body, plus up to 5 files in "attachments").
+// The other participants get a push in the 'message' category
+app.post('/api/message-threads/:id/messages', authorize(), upload.array('attachments', MAX_MESSAGE_ATTACHMENTS), async (req, res) => {
+  try {
+    const files = req.files || [];
+
+    const viewer = await loadDocumentViewer(req);
+
+    const found = await loadVisibleThread(res, viewer, req.params.id);
+    if (!found) return;
+
+    if (!canPostInThread(found, viewer)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this thread'
+      });
+    }
+
+    if (found.status === 'locked') {
+      return res.status(409).json({
+        success: false,
+        message: 'This thread is locked'
+      });
+    }
+
+    const parsed = parseMessageBody(req.body.body, files.length);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    for (const file of files) {
+      if (!(await screenUpload(req, res, file, { organizationId: found.organization_id, bucket: MESSAGE_ATTACHMENTS_BUCKET }))) return;
+    }
+
+    const thread = await messaging.syncSiteParticipants(found);
+
+    const stored = [];
+    try {
+      for (const file of files) {
+        const path = attachmentPath(thread, file);
+        const { error: uploadError } = await supabaseAdmin.storage
+          .from(MESSAGE_ATTACHMENTS_BUCKET)
+          .upload(path, file.buffer, {
+            contentType: file.mimetype,
+            cacheControl: '3600'
+          });
+        if (uploadError) throw uploadError;
+        stored.push({ path, fileName: file.originalname, mimeType: file.mimetype, size: file.size });
+      }
+    } catch (uploadError) {
+      console.error('Message attachment upload error:', uploadError);
+      await removeMessageAttachments(stored.map(file => file.path));
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload attachments'
+      });
+    }
+
+    let message;
+    try {
+      message = await messaging.postMessage(thread, viewer.userId, parsed.value, stored);
+    } catch (saveError) {
+      console.error('Message save error:', saveError);
+      await removeMessageAttachments(stored.map(file => file.path));
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send message'
+      });
+    }
+
+    const push = messagePush(thread, message);
+    if (push.recipientIds.length > 0) {
+      await queueTrialPush({
+        organizationId: thread.organization_id,
+        clinicalTrialId: thread.clinical_trial_id,
+        category: 'message',
+        ...push,
+        createdBy: viewer.userId
+      });
+    }
+
+    const refreshed = await messaging.loadThread(thread.id);
+
+    res.status(201).json({
+      success: true,
+      message: formatMessage(message, refreshed.message_thread_participants, viewer.can('messages.moderate'))
+    });
+  } catch (err) {
+    console.error('Message send error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Mark everything in a thread as read; this is also the read receipt
+app.post('/api/message-threads/:id/read', authorize(), async (req, res) => {
+  try {
+    const viewer = await loadDocumentViewer(req);
+
+    const thread = await loadVisibleThread(res, viewer, req.params.id);
+    if (!thread) return;
+
+    if (!isParticipant(thread, viewer.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this thread'
+      });
+    }
+
+    const lastReadAt = await messaging.markRead(thread, viewer.userId);
+
+    res.json({
+      success: true,
+      lastReadAt
+    });
+  } catch (err) {
+    console.error('Mark thread read error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Add someone from the trial to a site thread
+app.post('/api/message-threads/:id/participants', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const viewer = await loadDocumentViewer(req);
+
+    const thread = await loadVisibleThread(res, viewer, req.params.id);
+    if (!thread) return;
+
+    if (thread.kind !== 'site') {
+      return res.status(400).json({
+        success: false,
+        message: 'Direct threads are between two people'
+      });
+    }
+
+    const { data: member } = userId
+      ? await supabaseAdmin
+        .from('profiles')
+        .select('id, role')
+        .eq('id', userId)
+        .eq('organization_id', thread.organization_id)
+        .maybeSingle()
+      : { data: null };
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (member.role !== 'admin') {
+      const { data: assignment } = await supabaseAdmin
+        .from('user_clinical_assignments')
+        .select('user_id')
+        .eq('user_id', member.id)
+        .eq('clinical_trial_id', thread.clinical_trial_id)
+        .maybeSingle();
+
+      if (!assignment) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user is not assigned to the clinical trial'
+        });
+      }
+    }
+
+    // Site staff only take part in their own site's conversations
+    if (member.role === 'doctor') {
+      const { data: site } = await supabaseAdmin
+        .from('profile_hospitals')
+        .select('hospital_id')
+        .eq('profile_id', member.id)
+        .eq('hospital_id', thread.hospital_id)
+        .maybeSingle();
+
+      if (!site) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user does not work at the site'
+        });
+      }
+    }
+
+    const added = await messaging.addParticipants(thread, [member.id], req.user.userId);
+
+    if (added > 0) {
+      await recordAudit(req, {
+        entityType: 'message_thread',
+        entityId: thread.id,
+        action: 'add_participant',
+        organizationId: thread.organization_id,
+        after: { user_id: member.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      thread: formatThread(await messaging.loadThread(thread.id))
+    });
+  } catch (err) {
+    console.error('Add thread participant error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Lock a thread so nobody can write in it
+app.post('/api/message-threads/:id/lock', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const { data: thread } = await supabaseAdmin
+      .from('message_threads')
+      .select('id, organization_id, status, locked_at, locked_by')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('message_threads')
+      .update({ status: 'locked', locked_at: new Date().toISOString(), locked_by: req.user.userId })
+      .eq('id', thread.id)
+      .select('status, locked_at, locked_by')
+      .single();
+
+    if (error) {
+      console.error('Thread lock error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to lock thread'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'message_thread',
+      entityId: thread.id,
+      action: 'lock',
+      organizationId: req.access.organizationId,
+      before: { status: thread.status, locked_at: thread.locked_at, locked_by: thread.locked_by },
+      after: data
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread locked',
+      lockedAt: data.locked_at
+    });
+  } catch (err) {
+    console.error('Thread lock error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Unlock a thread
+app.delete('/api/message-threads/:id/lock', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const { data: thread } = await supabaseAdmin
+      .from('message_threads')
+      .select('id, organization_id, status, locked_at, locked_by')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('message_threads')
+      .update({ status: 'open', locked_at: null, locked_by: null })
+      .eq('id', thread.id);
+
+    if (error) {
+      console.error('Thread unlock error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to unlock thread'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'message_thread',
+      entityId: thread.id,
+      action: 'unlock',
+      organizationId: req.access.organizationId,
+      before: { status: thread.status, locked_at: thread.locked_at, locked_by: thread.locked_by },
+      after: { status: 'open', locked_at: null, locked_by: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread unlocked'
+    });
+  } catch (err) {
+    console.error('Thread unlock error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Hide a message from participants. It stays in exports with
+// the moderator and reason
+app.post('/api/messages/:id/hide', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to hide a message'
+      });
+    }
+
+    const { data: message } = await supabaseAdmin
+      .from('messages')
+      .select('id, thread_id, organization_id, hidden_at, hidden_by, hidden_reason')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('messages')
+      .update({ hidden_at: new Date().toISOString(), hidden_by: req.user.userId, hidden_reason: reason })
+      .eq('id', message.id)
+      .select('hidden_at, hidden_by, hidden_reason')
+      .single();
+
+    if (error) {
+      console.error('Message hide error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to hide message'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'message',
+      entityId: message.id,
+      action: 'hide',
+      organizationId: req.access.organizationId,
+      before: { hidden_at: message.hidden_at, hidden_by: message.hidden_by, hidden_reason: message.hidden_reason },
+      after: { thread_id: message.thread_id, ...data }
+    });
+
+    res.json({
+      success: true,
+      message: 'Message hidden',
+      hiddenAt: data.hidden_at
+    });
+  } catch (err) {
+    console.error('Message hide error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Show a hidden message again
+app.delete('/api/messages/:id/hide', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const { data: message } = await supabaseAdmin
+      .from('messages')
+      .select('id, thread_id, organization_id, hidden_at, hidden_by, hidden_reason')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('messages')
+      .update({ hidden_at: null, hidden_by: null, hidden_reason: null })
+      .eq('id', message.id);
+
+    if (error) {
+      console.error('Message unhide error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to restore message'
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'message',
+      entityId: message.id,
+      action: 'unhide',
+      organizationId: req.access.organizationId,
+      before: { hidden_at: message.hidden_at, hidden_by: message.hidden_by, hidden_reason: message.hidden_reason },
+      after: { thread_id: message.thread_id, hidden_at: null, hidden_by: null, hidden_reason: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Message restored'
+    });
+  } catch (err) {
+    console.error('Message unhide error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Export a whole thread for record-keeping, hidden messages
+// included; format=csv for a spreadsheet, JSON otherwise
+app.get('/api/message-threads/:id/export', authorize('messages.moderate'), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    const viewer = await loadDocumentViewer(req);
+
+    const thread = await loadVisibleThread(res, viewer, req.params.id);
+    if (!thread) return;
+
+    const rows = await messaging.exportMessages(thread);
+    const participants = thread.message_thread_participants;
+
+    await recordAudit(req, {
+      entityType: 'message_thread',
+      entityId: thread.id,
+      action: 'export',
+      organizationId: viewer.organizationId,
+      after: { format: format === 'csv' ? 'csv' : 'json', messages: rows.length }
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="message-thread-${thread.id}.csv"`);
+      return res.send(toMessagesCsv(rows, participants));
+    }
+
+    res.json({
+      success: true,
+      exportedAt: new Date().toISOString(),
+      thread: formatThread(thread),
+      messages: rows.map(row => formatMessage(row, participants, true))
+    });
+  } catch (err) {
+    console.error('Message thread export error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== REALTIME =====
+
+// Event streams are opened with EventSource, which can't send headers, so
+// the dashboard first trades its token for a short-lived ticket. The mobile
+// app sends its access token (or Supabase token) as a Bearer header instead
+const REALTIME_TICKET_TYPE = 'realtime_ticket';
+const REALTIME_TICKET_TTL_SECONDS = 60;
+const mobileTokens = createMobileTokens({ jwt, secret: process.env.MOBILE_JWT_SECRET || JWT_SECRET });
+
+// { userId, expiresAt } for the stream's credentials, or null. The stream
+// is closed when the credentials expire so clients reconnect with fresh ones
+const readStreamUser = async (req) => {
+  if (req.query.ticket) {
+    try {
+      const claims = jwt.verify(String(req.query.ticket), JWT_SECRET);
+      if (claims.typ !== REALTIME_TICKET_TYPE) return null;
+      return { userId: claims.sub, expiresAt: claims.until ? claims.until * 1000 : null };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return null;
+
+  // Dashboard session token
+  try {
+    const claims = jwt.verify(token, JWT_SECRET);
+    if (claims.userId && !claims.typ) {
+      return { userId: claims.userId, expiresAt: claims.exp ? claims.exp * 1000 : null };
+    }
+  } catch (err) {
+    // Not a dashboard token; try the mobile ones
+  }
+
+  // Mobile app access token, honoured while its session is live
+  const claims = mobileTokens.readAccessToken(token);
+  if (claims) {
+    const { data: session, error } = await supabaseAdmin
+      .from('mobile_sessions')
+      .select('id, revoked_at, expires_at')
+      .eq('id', claims.sid)
+      .eq('user_id', claims.sub)
+      .maybeSingle();
+    if (error || !session || session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+    return { userId: claims.sub, expiresAt: claims.exp * 1000 };
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+  const exp = jwt.decode(token)?.exp;
+  return { userId: data.user.id, expiresAt: exp ? exp * 1000 : null };
+};
+
+// Ticket for opening an event stream from the dashboard: GET /api/events?ticket=...
+app.post('/api/events/ticket', authorize(), (req, res) => {
+  const ticket = jwt.sign(
+    { sub: req.user.userId, typ: REALTIME_TICKET_TYPE, until: req.user.exp },
+    JWT_SECRET,
+    { expiresIn: REALTIME_TICKET_TTL_SECONDS }
+  );
+
+  res.json({
+    success: true,
+    ticket,
+    expiresIn: REALTIME_TICKET_TTL_SECONDS
+  });
+});
+
+// What a stream may receive: the user's organization, trials, sites and
+// capabilities as they are now, narrowed to trialId when given.
+// Returns { status, message } when the user can't open (or keep) the stream
+const loadStreamSubscriber = async (userId, trialId) => {
+  const access = await permissions.load(userId);
+  if (!access) {
+    return { status: 403, message: 'User profile not found. Please contact an administrator.' };
+  }
+  const viewer = await loadDocumentViewer({ user: { userId }, access });
+
+  if (trialId) {
+    let hasAccess = viewer.trialIds.includes(trialId);
+    if (viewer.role === 'admin') {
+      const { data: trial } = await supabaseAdmin
+        .from('clinical_trials')
+        .select('id')
+        .eq('id', trialId)
+        .eq('organization_id', viewer.organizationId)
+        .maybeSingle();
+      hasAccess = !!trial;
+    }
+
+    if (!hasAccess) {
+      return { status: 403, message: 'Access denied: You do not have access to this clinical trial' };
+    }
+  }
+
+  return {
+    subscriber: {
+      userId: viewer.userId,
+      organizationId: viewer.organizationId,
+      canReviewRegistrations: viewer.can('registrations.review'),
+      canViewDrafts: viewer.can('news.view_drafts'),
+      trialIds: viewer.role === 'admin' ? null : viewer.trialIds,
+      hospitalIds: viewer.hospitalIds,
+      trialId
+    }
+  };
+};
+
+// Server-Sent Events for the caller's organization: hospital, enrollment,
+// news, protocol and (with registrations.review) registration changes in
+// the trials they can access; site staff only hear about enrollments at
+// their own sites. ?trialId= narrows the stream to one trial. Access is
+// checked again every ACCESS_RECHECK_INTERVAL_MS, so role, assignment and
+// site changes reach open streams, and a stream the user may no longer
+// have is closed
+app.get('/api/events', async (req, res) => {
+  try {
+    const streamUser = await readStreamUser(req);
+    if (!streamUser?.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const trialId = req.query.trialId ? String(req.query.trialId) : null;
+    const initial = await loadStreamSubscriber(streamUser.userId, trialId);
+    if (!initial.subscriber) {
+      return res.status(initial.status).json({
+        success: false,
+        message: initial.message
+      });
+    }
+    const { organizationId } = initial.subscriber;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    res.write(formatServerSentEvent({
+      event: 'ready',
+      data: {
+        organizationId,
+        clinicalTrialId: trialId,
+        expiresAt: streamUser.expiresAt ? new Date(streamUser.expiresAt).toISOString() : null
+      }
+    }));
+
+    let unsubscribe = realtime.subscribe(initial.subscriber, res);
+    let closed = false;
+
+    const close = (event) => {
+      if (closed) return;
+      closed = true;
+      res.write(formatServerSentEvent({ event, data: {} }));
+      res.end();
+    };
+
+    const recheckTimer = setInterval(async () => {
+      try {
+        const current = await loadStreamSubscriber(streamUser.userId, trialId);
+        if (closed) return;
+        if (!current.subscriber || current.subscriber.organizationId !== organizationId) {
+          return close('revoked');
+        }
+        unsubscribe();
+        unsubscribe = realtime.subscribe(current.subscriber, res);
+      } catch (err) {
+        // Keep the stream on the access it has until the next check
+        console.error(`Event stream access check failed for ${streamUser.userId}:`, err.message);
+      }
+    }, ACCESS_RECHECK_INTERVAL_MS);
+
+    let expiryTimer = null;
+    if (streamUser.expiresAt) {
+      expiryTimer = setTimeout(() => close('expired'), Math.max(0, streamUser.expiresAt - Date.now()));
+    }
+
+    res.on('close', () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(recheckTimer);
+      if (expiryTimer) clearTimeout(expiryTimer);
+    });
+  } catch (err) {
+    console.error('Event stream error:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// ===== ANALYTICS =====
+
+// Get analytics data
+app.get('/api/analytics', authorize('analytics.view'), async (req, res) => {
+  try {
+    // Mock data for testing
+    const mockAnalytics = [
+      {
+        id: '1',
+        user_id: 'user1',
+        user_name: 'Dr. John Smith',
+        user_email: 'john.smith@hospital1.com',
+        site: 'City General Hospital',
+        total_app_opens: 45,
+        last_app_open: new Date().toISOString(),
+        tab_views: { '0': 15, '1': 8, '2': 12, '3': 5, '4': 3, '5': 2 },
+        most_viewed_tab: '0',
+        created_at: new Date().toISOString()
+      },
+      {
+        id: '2',
+        user_id: 'user2',
+        user_name: 'Dr. Sarah Williams',
+        user_email: 'sarah.williams@hospital2.com',
+        site: 'Metro Medical Center',
+        total_app_opens: 32,
+        last_app_open: new Date().toISOString(),
+        tab_views: { '0': 10, '1': 12, '2': 8, '3': 2 },
+        most_viewed_tab: '1',
+        created_at: new Date().toISOString()
+      },
+      {
+        id: '3',
+        user_id: 'user3',
+        user_name: 'Dr. Robert Brown',
+        user_email: 'robert.brown@hospital3.com',
+        site: 'Regional Health System',
+        total_app_opens: 28,
+        last_app_open: new Date().toISOString(),
+        tab_views: { '0': 8, '2': 15, '3': 5 },
+        most_viewed_tab: '2',
+        created_at: new Date().toISOString()
+      }
+    ];
+
+    res.json({
+      success: true,
+      analytics: mockAnalytics
+    });
+  } catch (err) {
+    console.error('Analytics fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Update user analytics
+app.post('/api/analytics/track', authorize(), async (req, res) => {
+  try {
+    const { tabViewed } = req.body;
+
+    // Get or create user analytics record
+    let { data: existingAnalytics, error: fetchError } = await supabase
+      .from('user_analytics')
+      .select('*')
+      .eq('user_id', req.user.userId)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 = no rows returned
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to fetch user analytics',
+        error: fetchError.message
+      });
+    }
+
+    const now = new Date().toISOString();
+    let analyticsData;
+
+    if (existingAnalytics) {
+      // Update existing analytics
+      const tabViews = existingAnalytics.tab_views || {};
+      tabViews[tabViewed] = (tabViews[tabViewed] || 0) + 1;
+
+      const { data, error } = await supabase
+        .from('user_analytics')
+        .update({
+          total_app_opens: existingAnalytics.total_app_opens + 1,
+          last_app_open: now,
+          tab_views: tabViews,
+          most_viewed_tab: Object.keys(tabViews).reduce((a, b) => tabViews[a] > tabViews[b] ? a : b),
+          updated_at: now
+        })
+        .eq('user_id', req.user.userId)
+        .select()
+        .single();
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to update analytics',
+          error: error.message
+        });
+      }
+      analyticsData = data;
+    } else {
+      // Create new analytics record
+      const tabViews = {};
+      if (tabViewed) tabViews[tabViewed] = 1;
+
+      const { data, error } = await supabase
+        .from('user_analytics')
+        .insert([{
+          user_id: req.user.userId,
+          user_name: req.user.name || req.user.email,
+          user_email: req.user.email,
+          site: 'Unknown', // You might want to get this from user profile
+          total_app_opens: 1,
+          last_app_open: now,
+          tab_views: tabViews,
+          most_viewed_tab: tabViewed || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to create analytics',
+          error: error.message
         });
       }
+      analyticsData = data;
     }
 
-    const { data, error } = await supabase
-      .from('study_protocols')
-      .update({
-        title,
-        version,
-        clinical_trial_id: clinical_trial_id,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update study protocol'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Analytics updated successfully',
+      analytics: analyticsData
+    });
+  } catch (err) {
+    console.error('Analytics tracking error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-    console.log('✅ Study protocol updated successfully:', data.id);
+// ===== SETTINGS =====
 
-    // Transform the data to match frontend expectations
-    const transformedStudyProtocol = {
-      id: data.id,
-      title: data.title,
-      description: data.description,
-      type: data.type || 'pdf',
-      content: data.content,
-      version: data.version,
-      clinical_trial_id: clinical_trial_id,
-      trial_name: trial.name,
-      created_by: data.created_by,
-      created_by_name: 'Test User', // TODO: Get from profiles table
-      upload_date: data.created_at,
-      is_active: true,
-      created_at: data.created_at,
-      updated_at: data.updated_at
+// Get all settings
+app.get('/api/settings', authorize(), async (req, res) => {
+  try {
+    // Mock data for testing
+    const settings = {
+      company_name: {
+        value: 'KachinaHealth',
+        type: 'string',
+        description: 'Company name displayed in dashboard'
+      },
+      company_logo_url: {
+        value: '/logos/logo.png',
+        type: 'string',
+        description: 'URL to company logo'
+      },
+      default_user_role: {
+        value: 'user',
+        type: 'string',
+        description: 'Default role for new users'
+      },
+      enable_analytics: {
+        value: 'true',
+        type: 'boolean',
+        description: 'Enable user analytics tracking'
+      },
+      maintenance_mode: {
+        value: 'false',
+        type: 'boolean',
+        description: 'Enable maintenance mode'
+      }
     };
 
     res.json({
       success: true,
-      message: 'Study protocol updated successfully',
-      studyProtocol: transformedStudyProtocol
+      settings
     });
   } catch (err) {
-    console.error('Study protocol update error:', err);
+    console.error('Settings fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4111,54 +10525,46 @@ app.put('/api/study-protocols/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete study protocol
-app.delete('/api/study-protocols/:id', authenticateToken, async (req, res) => {
+// Update setting
+app.put('/api/settings/:key', authorize('settings.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.userId;
-
-    // Verify user has a profile
-    const { data: userProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', userId)
-      .single();
-
-    if (profileError) {
-      return res.status(400).json({
-        success: false,
-        message: 'User profile not found. Please contact an administrator.'
-      });
-    }
+    const { key } = req.params;
+    const { value } = req.body;
 
-    // Allow admins to delete study protocols
-    if (userProfile.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete study protocols'
-      });
-    }
+    const { data: before } = await supabase
+      .from('app_settings')
+      .select('*')
+      .eq('setting_key', key)
+      .maybeSingle();
 
-    const { error } = await supabase
-      .from('study_protocols')
-      .delete()
-      .eq('id', id)
-      .eq('organization_id', userProfile.organization_id);
+    const { data, error } = await supabase
+      .from('app_settings')
+      .update({
+        setting_value: value,
+        updated_by: req.user.userId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('setting_key', key)
+      .select()
+      .single();
 
     if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to delete study protocol',
+        message: 'Failed to update setting',
         error: error.message
       });
     }
 
+    await recordAudit(req, { entityType: 'setting', entityId: key, action: 'update', before, after: data });
+
     res.json({
       success: true,
-      message: 'Study protocol deleted successfully'
+      message: 'Setting updated successfully',
+      setting: data
     });
   } catch (err) {
-    console.error('Study protocol deletion error:', err);
+    console.error('Setting update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4166,31 +10572,58 @@ app.delete('/api/study-protocols/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== PDF DOCUMENTS =====
+// ===== NOTIFICATIONS =====
+
+const OUTBOX_PAGE_SIZE = 100;
+
+const formatOutboxMessage = (row) => ({
+  id: row.id,
+  template: row.template,
+  recipient: row.recipient,
+  recipientUserId: row.recipient_user_id,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  lastError: row.last_error,
+  sentAt: row.sent_at,
+  createdAt: row.created_at,
+  // Login codes and invitation links are never returned
+  payload: row.sensitive ? null : row.payload
+});
 
-// Get all PDF documents (now from news_updates table)
-app.get('/api/pdfs', authenticateToken, async (req, res) => {
+// Email outbox for the organization; ?status=pending|sending|sent|failed, ?template=
+app.get('/api/notifications/outbox', authorize('notifications.manage'), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('news_updates')
+    const { status, template } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || OUTBOX_PAGE_SIZE, 500);
+
+    let query = supabase
+      .from('notification_outbox')
       .select('*')
-      .eq('content_type', 'file')
-      .order('created_at', { ascending: false });
+      .eq('organization_id', req.access.organizationId);
+
+    if (status) query = query.eq('status', status);
+    if (template) query = query.eq('template', template);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
 
     if (error) {
-      return res.status(400).json({
+      console.error('Notification outbox query error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to fetch PDF documents',
-        error: error.message
+        message: 'Failed to fetch email outbox'
       });
     }
 
     res.json({
       success: true,
-      pdfDocuments: data
+      messages: (data || []).map(formatOutboxMessage)
     });
   } catch (err) {
-    console.error('PDF documents fetch error:', err);
+    console.error('Notification outbox fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4198,51 +10631,73 @@ app.get('/api/pdfs', authenticateToken, async (req, res) => {
   }
 });
 
-// Get company documents
-app.get('/api/company/:company/documents', authenticateToken, async (req, res) => {
+// Put a failed email back in the queue
+app.post('/api/notifications/outbox/:id/retry', authorize('notifications.manage'), async (req, res) => {
   try {
-    console.log('📨 GET /api/company/:company/documents - Request received');
-    const { company } = req.params;
+    const { data: message } = await supabase
+      .from('notification_outbox')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
 
-    // Get user profile to filter by organization
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', req.user.userId)
-      .single();
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
 
-    if (profileError || !userProfile) {
-      console.error('Profile fetch error:', profileError);
-      return res.status(403).json({
+    if (message.status !== 'failed') {
+      return res.status(409).json({
         success: false,
-        message: 'User profile not found'
+        message: 'Only failed emails can be retried'
       });
     }
 
-    // Fetch documents for the user's organization
-    const { data, error } = await supabase
-      .from('news_updates')
-      .select('*')
-      .eq('organization_id', userProfile.organization_id)
-      .eq('content_type', 'file')
-      .order('created_at', { ascending: false });
+    if (message.payload === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email contained a one-time code or link and cannot be resent; ask the user to request a new one'
+      });
+    }
+
+    const { data: requeued, error } = await supabase
+      .from('notification_outbox')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_error: null
+      })
+      .eq('id', message.id)
+      .select()
+      .single();
 
     if (error) {
-      console.error('Documents fetch error:', error);
-      return res.status(400).json({
+      console.error('Notification retry error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to fetch documents',
-        error: error.message
+        message: 'Failed to retry email'
       });
     }
 
-    console.log(`📄 Found ${data.length} documents for organization ${userProfile.organization_id}`);
+    await recordAudit(req, {
+      entityType: 'notification',
+      entityId: message.id,
+      action: 'retry',
+      organizationId: req.access.organizationId,
+      before: formatOutboxMessage(message),
+      after: formatOutboxMessage(requeued)
+    });
+
     res.json({
       success: true,
-      documents: data
+      message: 'Email queued for another attempt',
+      email: formatOutboxMessage(requeued)
     });
   } catch (err) {
-    console.error('Documents fetch error:', err);
+    console.error('Notification retry error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4250,202 +10705,172 @@ app.get('/api/company/:company/documents', authenticateToken, async (req, res) =
   }
 });
 
-// Company documents upload endpoint
-app.post('/api/company/:company/documents', authenticateToken, upload.single('file'), async (req, res) => {
+const formatPushNotification = (row) => ({
+  id: row.id,
+  clinicalTrialId: row.clinical_trial_id,
+  clinicalTrialName: row.clinical_trials?.name || null,
+  category: row.category,
+  title: row.title,
+  body: row.body,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  lastError: row.last_error,
+  recipientCount: row.recipient_count,
+  deviceCount: row.device_count,
+  sentAt: row.sent_at,
+  createdAt: row.created_at
+});
+
+// Mobile push queue for the organization; ?status=, ?category=news|protocol, ?clinicalTrialId=
+app.get('/api/notifications/push', authorize('notifications.manage'), async (req, res) => {
   try {
-    console.log('📨 POST /api/company/:company/documents - Request received');
-    const { company } = req.params;
-    const { title, description, category } = req.body;
+    const { status, category, clinicalTrialId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || OUTBOX_PAGE_SIZE, 500);
 
-    if (!title) {
+    if (category && !PUSH_CATEGORIES.includes(category)) {
       return res.status(400).json({
         success: false,
-        message: 'Title is required'
-      });
-    }
-
-    // Get user profile
-    const { data: userProfile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('organization_id, role')
-      .eq('id', req.user.userId)
-      .single();
-
-    if (profileError || !userProfile) {
-      console.error('Profile fetch error:', profileError);
-      return res.status(403).json({
-        success: false,
-        message: 'User profile not found'
+        message: `Category must be one of: ${PUSH_CATEGORIES.join(', ')}`
       });
     }
 
-    let documentData = {
-      title,
-      description: description || '',
-      category: category || 'General',
-      uploaded_by: req.user.userId,
-      organization_id: userProfile.organization_id,
-      type: 'document'
-    };
-
-    // Handle file upload if file was provided
-    if (req.file) {
-      console.log('📤 File upload detected for document:', req.file.originalname);
-
-      // Generate unique filename with organization prefix
-      const fileExtension = req.file.originalname.split('.').pop();
-      const timestamp = Date.now();
-      const randomId = Math.random().toString(36).substring(2, 15);
-      const filename = `${userProfile.organization_id}/${timestamp}_${randomId}.${fileExtension}`;
-
-      const bucket = 'news-assets'; // Use news-assets bucket for news documents
-
-      console.log(`📤 Uploading to bucket: ${bucket}`);
-
-      // Double-check bucket exists before upload
-      console.log(`🔍 Double-checking bucket ${bucket} before upload`);
-      const checkResult = await supabaseAdmin.storage.listBuckets();
-      console.log(`📡 Upload check API response:`, JSON.stringify(checkResult, null, 2));
+    let query = supabase
+      .from('push_notifications')
+      .select('*, clinical_trials ( name )')
+      .eq('organization_id', req.access.organizationId);
 
-      const checkBuckets = checkResult.data;
-      const uploadBucketExists = checkBuckets?.some(b => b.name === bucket);
-      console.log(`🔍 Upload bucket ${bucket} exists before upload: ${uploadBucketExists}`);
-      console.log(`📋 All buckets during upload check:`, checkBuckets?.map(b => b.name) || []);
+    if (status) query = query.eq('status', status);
+    if (category) query = query.eq('category', category);
+    if (clinicalTrialId) query = query.eq('clinical_trial_id', clinicalTrialId);
 
-      if (!uploadBucketExists) {
-        console.log(`❌ Upload bucket ${bucket} not found before upload`);
-        return res.status(404).json({
-          success: false,
-          message: `Upload bucket '${bucket}' does not exist. Available buckets: ${checkBuckets?.map(b => b.name).join(', ') || 'none'}. Please ensure the bucket was created successfully in Supabase Storage.`
-        });
-      }
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
 
-    // Upload file to Supabase storage
-    const { data: uploadData, error: uploadError } = await supabaseAdmin.storage
-      .from(bucket)
-      .upload(filename, req.file.buffer, {
-        contentType: req.file.mimetype,
-        cacheControl: '3600'
+    if (error) {
+      console.error('Push notifications query error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch push notifications'
       });
+    }
 
-      if (uploadError) {
-        console.error('Upload error:', uploadError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to upload file',
-          error: uploadError.message
-        });
-      }
-
-      // For public buckets, create public URL
-      const publicUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${filename}`;
+    res.json({
+      success: true,
+      pushNotifications: (data || []).map(formatPushNotification)
+    });
+  } catch (err) {
+    console.error('Push notifications fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'An unexpected error occurred'
+    });
+  }
+});
 
-      // Add file information to document data
-      documentData.file_url = publicUrl;
-      documentData.file_path = filename; // Keep the path for reference
-      documentData.file_name = req.file.originalname;
-      documentData.file_size = req.file.size;
-      documentData.mime_type = req.file.mimetype;
-      documentData.bucket = bucket;
-    }
+const formatBranding = (row) => ({
+  senderName: row?.sender_name || null,
+  replyTo: row?.reply_to || null,
+  logoUrl: row?.logo_url || null,
+  primaryColor: row?.primary_color || null,
+  footerText: row?.footer_text || null
+});
 
-    // Insert document into news_updates table
-    const { data: insertedDocument, error: insertError } = await supabaseAdmin
-      .from('news_updates')
-      .insert([{
-        organization_id: userProfile.organization_id,
-        clinical_trial_id: req.body.clinical_trial_id || null, // Optional - can be null
-        title: documentData.title || documentData.file_name,
-        content_type: 'file',
-        body: documentData.description || null,
-        file_url: documentData.file_url,
-        file_name: documentData.file_name,
-        file_size: documentData.file_size,
-        mime_type: documentData.mime_type,
-        storage_bucket: documentData.bucket || 'trial-documents',
-        storage_path: documentData.file_path || filename,
-        created_by: req.user.userId
-      }])
-      .select()
-      .single();
+// Email branding for the organization
+app.get('/api/notifications/branding', authorize(), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_branding')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
 
-    if (insertError) {
-      console.error('Document insert error:', insertError);
+    if (error) {
+      console.error('Notification branding query error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to save document',
-        error: insertError.message
+        message: 'Failed to fetch email branding'
       });
     }
 
-    console.log('✅ Document created successfully:', insertedDocument.id);
-
-    // Add public URL to response if file was uploaded
-    const responseDocument = {
-      ...insertedDocument,
-      public_url: documentData.file_url || null
-    };
-
     res.json({
       success: true,
-      message: 'Document uploaded successfully',
-      document: responseDocument
+      branding: formatBranding(data),
+      templates: NOTIFICATION_TEMPLATES
     });
-
-  } catch (error) {
-    console.error('Document upload error:', error);
+  } catch (err) {
+    console.error('Notification branding fetch error:', err);
     res.status(500).json({
       success: false,
-      message: 'An unexpected error occurred',
-      error: error.message
+      message: 'An unexpected error occurred'
     });
   }
 });
 
-// Create PDF document (now in news_updates table)
-app.post('/api/pdfs', authenticateToken, async (req, res) => {
+// Update email branding; fields left out are unchanged, null clears one
+app.put('/api/notifications/branding', authorize('notifications.manage'), async (req, res) => {
   try {
-    const { title, description, category, fileUrl, fileName, fileSize, clinical_trial_id } = req.body;
+    const fields = {
+      senderName: 'sender_name',
+      replyTo: 'reply_to',
+      logoUrl: 'logo_url',
+      primaryColor: 'primary_color',
+      footerText: 'footer_text'
+    };
 
-    if (!title) {
+    const updates = {};
+    Object.entries(fields).forEach(([key, column]) => {
+      if (req.body[key] !== undefined) updates[column] = req.body[key] === '' ? null : req.body[key];
+    });
+
+    if (updates.primary_color && !/^#[0-9A-Fa-f]{6}$/.test(updates.primary_color)) {
       return res.status(400).json({
         success: false,
-        message: 'Title is required'
+        message: 'primaryColor must be a hex color like #1f4e79'
       });
     }
 
-    const { data, error } = await supabase
-      .from('news_updates')
-      .insert([{
-        title,
-        content_type: 'file',
-        body: description,
-        file_url: fileUrl,
-        file_name: fileName,
-        file_size: fileSize,
-        mime_type: 'application/pdf',
-        organization_id: req.user.organization_id,
-        clinical_trial_id: clinical_trial_id || null, // Optional - can be null
-        created_by: req.user.userId
-      }])
+    const { data: before } = await supabase
+      .from('notification_branding')
+      .select('*')
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
+
+    const { data, error } = await supabase
+      .from('notification_branding')
+      .upsert({
+        organization_id: req.access.organizationId,
+        ...updates,
+        updated_by: req.user.userId
+      })
       .select()
       .single();
 
     if (error) {
-      return res.status(400).json({
+      console.error('Notification branding update error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Failed to create PDF document',
-        error: error.message
+        message: 'Failed to update email branding'
       });
     }
 
+    await recordAudit(req, {
+      entityType: 'notification_branding',
+      entityId: req.access.organizationId,
+      action: before ? 'update' : 'create',
+      organizationId: req.access.organizationId,
+      before,
+      after: data
+    });
+
     res.json({
       success: true,
-      message: 'PDF document created successfully',
-      pdfDocument: data
+      message: 'Email branding updated successfully',
+      branding: formatBranding(data)
     });
   } catch (err) {
-    console.error('PDF document creation error:', err);
+    console.error('Notification branding update error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4453,89 +10878,86 @@ app.post('/api/pdfs', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete PDF document (now from news_updates table)
-app.delete('/api/pdfs/:id', authenticateToken, async (req, res) => {
+// Email a digest of a trial's news since a date to everyone assigned to it.
+// since defaults to seven days ago.
+app.post('/api/clinical-trials/:id/news-digest', authorize('notifications.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from('news_updates')
-      .delete()
+    const since = req.body.since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date'
+      });
+    }
+
+    const { data: trial } = await supabase
+      .from('clinical_trials')
+      .select('id, name')
       .eq('id', id)
-      .eq('content_type', 'file'); // Only allow deleting file-type entries
+      .eq('organization_id', req.access.organizationId)
+      .maybeSingle();
 
-    if (error) {
-      return res.status(400).json({
+    if (!trial) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to delete PDF document',
-        error: error.message
+        message: 'Clinical trial not found'
       });
     }
 
-    res.json({
-      success: true,
-      message: 'PDF document deleted successfully'
-    });
-  } catch (err) {
-    console.error('PDF document deletion error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'An unexpected error occurred'
-    });
-  }
-});
+    const [{ data: news, error: newsError }, { data: assignments, error: assignmentError }] = await Promise.all([
+      onlyLiveNews(supabase
+        .from('news_updates')
+        .select('title, body, body_format, published_at')
+        .eq('clinical_trial_id', id)
+        .gte('published_at', since))
+        .order('published_at', { ascending: false }),
+      supabase
+        .from('user_clinical_assignments')
+        .select('user_id, profiles ( email )')
+        .eq('clinical_trial_id', id)
+    ]);
 
-// ===== ANALYTICS =====
+    if (newsError || assignmentError) {
+      console.error('News digest query error:', newsError || assignmentError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to build news digest'
+      });
+    }
 
-// Get analytics data (temporary unauthenticated access for testing)
-app.get('/api/analytics', async (req, res) => {
-  try {
-    // Mock data for testing
-    const mockAnalytics = [
-      {
-        id: '1',
-        user_id: 'user1',
-        user_name: 'Dr. John Smith',
-        user_email: 'john.smith@hospital1.com',
-        site: 'City General Hospital',
-        total_app_opens: 45,
-        last_app_open: new Date().toISOString(),
-        tab_views: { '0': 15, '1': 8, '2': 12, '3': 5, '4': 3, '5': 2 },
-        most_viewed_tab: '0',
-        created_at: new Date().toISOString()
-      },
-      {
-        id: '2',
-        user_id: 'user2',
-        user_name: 'Dr. Sarah Williams',
-        user_email: 'sarah.williams@hospital2.com',
-        site: 'Metro Medical Center',
-        total_app_opens: 32,
-        last_app_open: new Date().toISOString(),
-        tab_views: { '0': 10, '1': 12, '2': 8, '3': 2 },
-        most_viewed_tab: '1',
-        created_at: new Date().toISOString()
-      },
-      {
-        id: '3',
-        user_id: 'user3',
-        user_name: 'Dr. Robert Brown',
-        user_email: 'robert.brown@hospital3.com',
-        site: 'Regional Health System',
-        total_app_opens: 28,
-        last_app_open: new Date().toISOString(),
-        tab_views: { '0': 8, '2': 15, '3': 5 },
-        most_viewed_tab: '2',
-        created_at: new Date().toISOString()
-      }
-    ];
+    if (!news || news.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No news to send',
+        newsItems: 0,
+        recipients: 0
+      });
+    }
+
+    const items = news.map(item => ({
+      title: item.title,
+      summary: newsSummary(parseNewsBody(item.body, item.body_format))
+    }));
+    const recipients = (assignments || []).filter(a => a.profiles?.email);
+
+    await Promise.all(recipients.map(assignment => notifications.enqueue('news_digest', {
+      to: assignment.profiles.email,
+      organizationId: req.access.organizationId,
+      userId: assignment.user_id,
+      data: { trialName: trial.name, since: since.slice(0, 10), items },
+      createdBy: req.user.userId
+    })));
 
     res.json({
       success: true,
-      analytics: mockAnalytics
+      message: 'News digest queued',
+      newsItems: items.length,
+      recipients: recipients.length
     });
   } catch (err) {
-    console.error('Analytics fetch error:', err);
+    console.error('News digest error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4543,92 +10965,114 @@ app.get('/api/analytics', async (req, res) => {
   }
 });
 
-// Update user analytics
-app.post('/api/analytics/track', authenticateToken, async (req, res) => {
-  try {
-    const { tabViewed } = req.body;
+// ===== AUDIT LOG =====
 
-    // Get or create user analytics record
-    let { data: existingAnalytics, error: fetchError } = await supabase
-      .from('user_analytics')
-      .select('*')
-      .eq('user_id', req.user.userId)
-      .single();
+const AUDIT_LOG_PAGE_SIZE = 100;
+const AUDIT_LOG_MAX_PAGE_SIZE = 500;
+const AUDIT_LOG_MAX_EXPORT_ROWS = 10000;
+const AUDIT_LOG_EXPORT_CHUNK = 1000;
 
-    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 = no rows returned
+// Get audit log entries for the organization
+// Filters: entityType, entityId, userId, action, from, to (ISO dates; a plain
+// YYYY-MM-DD "to" includes that whole day). format=csv downloads every match.
+app.get('/api/audit-log', authorize('audit.view'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { entityType, entityId, userId: actorId, action, from, to, format } = req.query;
+
+    const toBound = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    if ((from && isNaN(Date.parse(from))) || (toBound && isNaN(Date.parse(toBound)))) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to fetch user analytics',
-        error: fetchError.message
+        message: 'from and to must be valid ISO dates'
       });
     }
 
-    const now = new Date().toISOString();
-    let analyticsData;
+    const isCsv = format === 'csv';
 
-    if (existingAnalytics) {
-      // Update existing analytics
-      const tabViews = existingAnalytics.tab_views || {};
-      tabViews[tabViewed] = (tabViews[tabViewed] || 0) + 1;
+    const filteredQuery = (options) => {
+      let query = auditClient()
+        .from('audit_log')
+        .select('*', options)
+        .eq('organization_id', req.access.organizationId);
 
-      const { data, error } = await supabase
-        .from('user_analytics')
-        .update({
-          total_app_opens: existingAnalytics.total_app_opens + 1,
-          last_app_open: now,
-          tab_views: tabViews,
-          most_viewed_tab: Object.keys(tabViews).reduce((a, b) => tabViews[a] > tabViews[b] ? a : b),
-          updated_at: now
-        })
-        .eq('user_id', req.user.userId)
-        .select()
-        .single();
+      if (entityType) query = query.eq('entity_type', entityType);
+      if (entityId) query = query.eq('entity_id', entityId);
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (action) query = query.eq('action', action);
+      if (from) query = query.gte('created_at', from);
+      if (toBound) query = query.lte('created_at', toBound);
 
-      if (error) {
-        return res.status(400).json({
-          success: false,
-          message: 'Failed to update analytics',
-          error: error.message
-        });
+      return query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+    };
+
+    let data = [];
+    let count = 0;
+
+    if (isCsv) {
+      // PostgREST caps every response at max-rows (1000), so the export is
+      // read in chunks of that size
+      while (data.length < AUDIT_LOG_MAX_EXPORT_ROWS) {
+        const { data: chunk, error } = await filteredQuery()
+          .range(data.length, data.length + AUDIT_LOG_EXPORT_CHUNK - 1);
+
+        if (error) {
+          console.error('Audit log query error:', error);
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit log'
+          });
+        }
+
+        data = data.concat(chunk || []);
+        if (!chunk || chunk.length < AUDIT_LOG_EXPORT_CHUNK) break;
       }
-      analyticsData = data;
-    } else {
-      // Create new analytics record
-      const tabViews = {};
-      if (tabViewed) tabViews[tabViewed] = 1;
+      data = data.slice(0, AUDIT_LOG_MAX_EXPORT_ROWS);
+    }
 
-      const { data, error } = await supabase
-        .from('user_analytics')
-        .insert([{
-          user_id: req.user.userId,
-          user_name: req.user.name || req.user.email,
-          user_email: req.user.email,
-          site: 'Unknown', // You might want to get this from user profile
-          total_app_opens: 1,
-          last_app_open: now,
-          tab_views: tabViews,
-          most_viewed_tab: tabViewed || null
-        }])
-        .select()
-        .single();
+    const limit = Math.min(parseInt(req.query.limit, 10) || AUDIT_LOG_PAGE_SIZE, AUDIT_LOG_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!isCsv) {
+      const { data: page, error, count: total } = await filteredQuery({ count: 'exact' })
+        .range(offset, offset + limit - 1);
 
       if (error) {
-        return res.status(400).json({
+        console.error('Audit log query error:', error);
+        return res.status(500).json({
           success: false,
-          message: 'Failed to create analytics',
-          error: error.message
+          message: 'Failed to fetch audit log'
         });
       }
-      analyticsData = data;
+
+      data = page || [];
+      count = total;
+    }
+
+    if (isCsv) {
+      await recordAudit(req, {
+        entityType: 'audit_log',
+        action: 'export',
+        organizationId: req.access.organizationId,
+        after: { filters: { entityType, entityId, userId: actorId, action, from, to }, rows: data.length }
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(toAuditCsv(data));
     }
 
     res.json({
       success: true,
-      message: 'Analytics updated successfully',
-      analytics: analyticsData
+      entries: data || [],
+      total: count || 0,
+      limit,
+      offset
     });
   } catch (err) {
-    console.error('Analytics tracking error:', err);
+    console.error('Audit log fetch error:', err);
     res.status(500).json({
       success: false,
       message: 'An unexpected error occurred'
@@ -4636,100 +11080,25 @@ app.post('/api/analytics/track', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== SETTINGS =====
-
-// Get all settings (temporary unauthenticated access for testing)
-app.get('/api/settings', async (req, res) => {
-  try {
-    // Mock data for testing
-    const settings = {
-      company_name: {
-        value: 'KachinaHealth',
-        type: 'string',
-        description: 'Company name displayed in dashboard'
-      },
-      company_logo_url: {
-        value: '/logos/logo.png',
-        type: 'string',
-        description: 'URL to company logo'
-      },
-      default_user_role: {
-        value: 'user',
-        type: 'string',
-        description: 'Default role for new users'
-      },
-      enable_analytics: {
-        value: 'true',
-        type: 'boolean',
-        description: 'Enable user analytics tracking'
-      },
-      maintenance_mode: {
-        value: 'false',
-        type: 'boolean',
-        description: 'Enable maintenance mode'
-      },
-      max_upload_size: {
-        value: '10',
-        type: 'number',
-        description: 'Maximum file upload size in MB'
-      }
-    };
 
-    res.json({
-      success: true,
-      settings
-    });
-  } catch (err) {
-    console.error('Settings fetch error:', err);
-    res.status(500).json({
+// Error handling middleware
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
       success: false,
-      message: 'An unexpected error occurred'
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Files over ${MAX_DIRECT_UPLOAD_BYTES / (1024 * 1024)} MB can't be sent in one request; large training materials must be sent as a resumable upload (POST /api/uploads)`
+        : error.message
     });
   }
-});
-
-// Update setting
-app.put('/api/settings/:key', authenticateToken, async (req, res) => {
-  try {
-    const { key } = req.params;
-    const { value } = req.body;
 
-    const { data, error } = await supabase
-      .from('app_settings')
-      .update({
-        setting_value: value,
-        updated_by: req.user.userId,
-        updated_at: new Date().toISOString()
-      })
-      .eq('setting_key', key)
-      .select()
-      .single();
-
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to update setting',
-        error: error.message
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Setting updated successfully',
-      setting: data
-    });
-  } catch (err) {
-    console.error('Setting update error:', err);
-    res.status(500).json({
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
       success: false,
-      message: 'An unexpected error occurred'
+      message: 'Request body is too large'
     });
   }
-});
-
 
-// Error handling middleware
-app.use((error, req, res, next) => {
   console.error('Global error handler:', error);
   res.status(500).json({
     success: false,
@@ -4746,6 +11115,12 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
+  notifications.startWorker();
+  pushNotifications.startWorker();
+  newsScheduler.startWorker();
+  uploadPipeline.startWorker();
+  filePreviews.startWorker();
+  realtime.start();
   console.log(`🚀 Client Portal Backend running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 Login endpoint: http://localhost:${PORT}/api/auth/login`);
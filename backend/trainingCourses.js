@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+// Training courses: ordered materials per trial, a multiple-choice quiz with a
+// passing score, and a completion certificate once every material is done and
+// the quiz is passed. A user is "trained" for a trial when they hold a
+// certificate for every active course in it.
+
+// Percentage of questions answered correctly; answers maps question id -> option index
+const scoreQuiz = (questions, answers) => {
+  const results = questions.map(question => {
+    const answer = answers[question.id];
+    const selectedOption = answer === undefined || answer === null || answer === '' ? null : Number(answer);
+    return {
+      questionId: question.id,
+      selectedOption,
+      correct: selectedOption !== null && selectedOption === question.correct_option
+    };
+  });
+  const correct = results.filter(r => r.correct).length;
+
+  return {
+    score: questions.length === 0 ? 100 : Math.round((correct / questions.length) * 100),
+    correct,
+    total: questions.length,
+    results
+  };
+};
+
+/**
+ * One user's standing in a course.
+ * @param {Array} materialIds - training_material_id of every course item
+ * @param {Array} progress - the user's training_progress rows for the course
+ * @param {Array} attempts - the user's training_quiz_attempts rows for the course
+ * @param {object|null} certificate - the user's training_certificates row, if any
+ */
+const summarizeCourseProgress = (materialIds, progress, attempts, certificate) => {
+  const completed = new Set(progress.map(p => p.training_material_id));
+  const completedMaterials = materialIds.filter(id => completed.has(id)).length;
+  const quizPassed = attempts.some(a => a.passed);
+
+  let status = 'not_started';
+  if (certificate) status = 'completed';
+  else if (completedMaterials > 0 || attempts.length > 0) status = 'in_progress';
+
+  return {
+    status,
+    completedMaterialIds: materialIds.filter(id => completed.has(id)),
+    completedMaterials,
+    totalMaterials: materialIds.length,
+    percentComplete: materialIds.length === 0 ? 100 : Math.round((completedMaterials / materialIds.length) * 100),
+    materialsComplete: completedMaterials === materialIds.length,
+    quizAttempts: attempts.length,
+    bestScore: attempts.length ? Math.max(...attempts.map(a => a.score)) : null,
+    quizPassed,
+    certificate: certificate ? {
+      id: certificate.id,
+      certificateNumber: certificate.certificate_number,
+      issuedAt: certificate.issued_at
+    } : null
+  };
+};
+
+const newCertificateNumber = (issuedAt = new Date()) =>
+  `KH-${issuedAt.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+/**
+ * Write a one-page landscape completion certificate to a writable stream
+ * (typically the Express response).
+ */
+const writeCertificatePdf = (stream, { recipientName, courseTitle, trialName, organizationName, issuedAt, certificateNumber, score }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60 });
+  doc.pipe(stream);
+
+  const { width, height } = doc.page;
+  doc.lineWidth(3).rect(30, 30, width - 60, height - 60).stroke('#1f4e79');
+
+  doc.moveDown(2)
+    .font('Helvetica-Bold').fontSize(32).fillColor('#1f4e79')
+    .text('Certificate of Completion', { align: 'center' })
+    .moveDown(1.5)
+    .font('Helvetica').fontSize(14).fillColor('#333333')
+    .text('This certifies that', { align: 'center' })
+    .moveDown(0.5)
+    .font('Helvetica-Bold').fontSize(26).fillColor('#000000')
+    .text(recipientName, { align: 'center' })
+    .moveDown(0.5)
+    .font('Helvetica').fontSize(14).fillColor('#333333')
+    .text('has successfully completed the training course', { align: 'center' })
+    .moveDown(0.5)
+    .font('Helvetica-Bold').fontSize(20)
+    .text(courseTitle, { align: 'center' });
+
+  if (trialName) {
+    doc.moveDown(0.3).font('Helvetica').fontSize(14).text(`for the clinical trial ${trialName}`, { align: 'center' });
+  }
+
+  doc.moveDown(2).font('Helvetica').fontSize(12)
+    .text(`Issued ${new Date(issuedAt).toISOString().slice(0, 10)}${score !== null && score !== undefined ? ` - Quiz score ${score}%` : ''}`, { align: 'center' })
+    .text(`Certificate number ${certificateNumber}`, { align: 'center' });
+
+  if (organizationName) {
+    doc.moveDown(0.3).text(organizationName, { align: 'center' });
+  }
+
+  doc.end();
+};
+
+/**
+ * Per-site training status for a trial, used to decide whether a site can be
+ * activated: a site is ready once it has staff and every one of them is trained.
+ * @param {Array} sites - trial_sites rows with hospitals (hospital_name)
+ * @param {Array} staffLinks - profile_hospitals rows for the trial's hospitals
+ * @param {Array} assignments - user_clinical_assignments rows with profiles (display_name, role)
+ * @param {Array} courses - active training_courses rows for the trial
+ * @param {Array} certificates - training_certificates rows for those courses
+ */
+const buildTrainingReport = (sites, staffLinks, assignments, courses, certificates) => {
+  const certified = new Map(certificates.map(c => [`${c.user_id}|${c.course_id}`, c]));
+
+  const staffStatus = (assignment) => {
+    const courseStatus = {};
+    courses.forEach(course => {
+      const certificate = certified.get(`${assignment.user_id}|${course.id}`);
+      courseStatus[course.id] = certificate
+        ? { certified: true, certificateNumber: certificate.certificate_number, issuedAt: certificate.issued_at }
+        : { certified: false, certificateNumber: null, issuedAt: null };
+    });
+    const completedCourses = Object.values(courseStatus).filter(c => c.certified).length;
+
+    return {
+      userId: assignment.user_id,
+      displayName: assignment.profiles?.display_name || null,
+      role: assignment.profiles?.role || null,
+      completedCourses,
+      requiredCourses: courses.length,
+      trained: completedCourses === courses.length,
+      courses: courseStatus
+    };
+  };
+
+  const assignmentsByUser = new Map(assignments.map(a => [a.user_id, a]));
+  const linkedUsers = new Set();
+
+  const siteReports = sites.map(site => {
+    const staff = staffLinks
+      .filter(link => link.hospital_id === site.hospital_id && assignmentsByUser.has(link.profile_id))
+      .map(link => {
+        linkedUsers.add(link.profile_id);
+        return staffStatus(assignmentsByUser.get(link.profile_id));
+      });
+    const trainedStaff = staff.filter(s => s.trained).length;
+
+    return {
+      hospitalId: site.hospital_id,
+      name: site.hospitals?.hospital_name || null,
+      staffCount: staff.length,
+      trainedStaff,
+      untrainedStaff: staff.length - trainedStaff,
+      readyForActivation: staff.length > 0 && trainedStaff === staff.length,
+      staff
+    };
+  });
+
+  return {
+    courses: courses.map(c => ({ id: c.id, title: c.title, passingScore: c.passing_score })),
+    sites: siteReports,
+    // Assigned to the trial but not linked to any of its sites
+    unassignedStaff: assignments.filter(a => !linkedUsers.has(a.user_id)).map(staffStatus)
+  };
+};
+
+module.exports = {
+  buildTrainingReport,
+  newCertificateNumber,
+  scoreQuiz,
+  summarizeCourseProgress,
+  writeCertificatePdf
+};
@@ -0,0 +1,746 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const nodePath = require('path');
+
+// Upload pipeline. Every file, whether sent in one multipart request or in
+// chunks through an upload session, goes through the same checks before it
+// is stored where anyone can see it:
+//
+//   policy  - allowed MIME types and size limit for the target bucket; the
+//             defaults below, overridden per organization in upload_policies
+//   sniff   - the file's leading bytes must match its declared MIME type
+//   scan    - a scanner looks for malware. Infected files are moved to the
+//             private upload-quarantine bucket and recorded in
+//             upload_quarantine for admins instead of being stored.
+//
+//   scanner - createSignatureScanner (local ClamAV-style stand-in that
+//             detects the EICAR test file and any extra signatures),
+//             createClamdScanner (a clamd daemon over TCP) or
+//             createNoopScanner. createScannerFromEnv picks one from
+//             UPLOAD_SCANNER.
+//
+// Upload sessions (resumable uploads, used for large training videos) keep
+// the received bytes in a file under tmpDir; the client sends each chunk with
+// its offset and can ask for the session to resume after a dropped connection.
+
+const MB = 1024 * 1024;
+const QUARANTINE_BUCKET = 'upload-quarantine';
+// Multipart requests are buffered in memory, so they are capped at the size
+// limit of the buckets without upload sessions; larger files (training
+// videos) must use a resumable upload
+const MAX_DIRECT_UPLOAD_MB = 25;
+const MAX_DIRECT_UPLOAD_BYTES = MAX_DIRECT_UPLOAD_MB * MB;
+const UPLOAD_CHUNK_BYTES = 8 * MB;
+const MAX_UPLOAD_CHUNK_BYTES = 16 * MB;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const SNIFF_BYTES = 4100;
+
+const OFFICE_TYPES = [
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/markdown'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm'];
+
+// Content signatures each supported MIME type may have (see detectSignature)
+const CONTENT_SIGNATURES = {
+  'application/pdf': ['pdf'],
+  'image/jpeg': ['jpeg'],
+  'image/png': ['png'],
+  'image/webp': ['webp'],
+  'image/gif': ['gif'],
+  'application/msword': ['ole'],
+  'application/vnd.ms-excel': ['ole'],
+  'application/vnd.ms-powerpoint': ['ole'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['zip'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['zip'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['zip'],
+  'text/plain': ['text'],
+  'text/csv': ['text'],
+  'text/markdown': ['text'],
+  'video/mp4': ['isobmff'],
+  'video/quicktime': ['isobmff'],
+  'video/webm': ['webm']
+};
+
+// Defaults per bucket. Organizations may narrow the types and change the
+// size limit up to maxSizeMbLimit; chunked: whether upload sessions may target
+// it. Buckets without sessions only take multipart requests, so their limit
+// can't go past MAX_DIRECT_UPLOAD_MB
+const UPLOAD_BUCKETS = {
+  'trial-documents': {
+    mimeTypes: ['application/pdf', ...OFFICE_TYPES, ...TEXT_TYPES, ...IMAGE_TYPES],
+    maxSizeMb: 25,
+    maxSizeMbLimit: MAX_DIRECT_UPLOAD_MB,
+    chunked: false
+  },
+  'enrollment-docs': {
+    mimeTypes: ['application/pdf', ...IMAGE_TYPES],
+    maxSizeMb: 10,
+    maxSizeMbLimit: MAX_DIRECT_UPLOAD_MB,
+    chunked: false
+  },
+  'study-protocols': {
+    mimeTypes: ['application/pdf'], // protocols are stored and served as PDFs
+    maxSizeMb: 25,
+    maxSizeMbLimit: MAX_DIRECT_UPLOAD_MB,
+    chunked: false
+  },
+  'training-materials': {
+    mimeTypes: ['application/pdf', ...VIDEO_TYPES, ...OFFICE_TYPES, ...TEXT_TYPES],
+    maxSizeMb: 500,
+    maxSizeMbLimit: 2048,
+    chunked: true
+  },
+  'news-assets': {
+    mimeTypes: [...IMAGE_TYPES, 'application/pdf', ...OFFICE_TYPES, 'text/plain', 'text/csv'],
+    maxSizeMb: 20,
+    maxSizeMbLimit: MAX_DIRECT_UPLOAD_MB,
+    chunked: false
+  }
+};
+
+const UPLOAD_SESSION_STATUSES = ['uploading', 'complete', 'attached', 'quarantined', 'aborted', 'expired'];
+
+// ===== SNIFFING =====
+
+const startsWith = (head, bytes, offset = 0) => bytes.every((byte, i) => head[offset + i] === byte);
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+/**
+ * What the leading bytes of a file look like: pdf, png, jpeg, gif, webp,
+ * ole (legacy Office), zip (OOXML Office), isobmff (MP4/QuickTime), webm,
+ * text, or null when unrecognized.
+ */
+const detectSignature = (head) => {
+  if (!head || head.length === 0) return null;
+  if (startsWith(head, ascii('%PDF-'))) return 'pdf';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'))) return 'gif';
+  if (startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8)) return 'webp';
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'ole';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return 'zip';
+  if (startsWith(head, ascii('ftyp'), 4)) return 'isobmff';
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) return 'webm';
+
+  // Text: no NUL bytes and valid UTF-8 (ignoring a character cut off at the end)
+  if (head.includes(0)) return null;
+  const sample = head.length === SNIFF_BYTES ? head.subarray(0, head.length - 3) : head;
+  return Buffer.from(sample.toString('utf8'), 'utf8').equals(sample) ? 'text' : null;
+};
+
+/**
+ * Whether a file's content matches its declared MIME type.
+ * @returns {{ ok: true } | { error: string }}
+ */
+const checkContent = (mimeType, head) => {
+  const expected = CONTENT_SIGNATURES[mimeType];
+  if (!expected) return { error: `File type ${mimeType} is not supported` };
+  const detected = detectSignature(head);
+  if (!expected.includes(detected)) {
+    return { error: `The file's content does not match its type (${mimeType})` };
+  }
+  return { ok: true };
+};
+
+// ===== SCANNERS =====
+//
+// A scanner takes a Buffer or a file path and resolves to { clean: true } or
+// { clean: false, signature }. Rejecting means the file could not be scanned;
+// uploads fail closed.
+
+const readChunks = async function* (source) {
+  if (Buffer.isBuffer(source)) {
+    yield source;
+    return;
+  }
+  for await (const chunk of fs.createReadStream(source, { highWaterMark: MB })) yield chunk;
+};
+
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const createSignatureScanner = ({ signatures = [] } = {}) => {
+  const patterns = [{ name: 'Eicar-Test-Signature', pattern: EICAR_SIGNATURE }, ...signatures]
+    .map(({ name, pattern }) => ({ name, bytes: Buffer.from(pattern) }));
+  const overlap = Math.max(...patterns.map(p => p.bytes.length)) - 1;
+
+  return {
+    name: 'signature',
+    async scan(source) {
+      let tail = Buffer.alloc(0);
+      for await (const chunk of readChunks(source)) {
+        const window = Buffer.concat([tail, chunk]);
+        const found = patterns.find(p => window.includes(p.bytes));
+        if (found) return { clean: false, signature: found.name };
+        tail = window.subarray(Math.max(window.length - overlap, 0));
+      }
+      return { clean: true };
+    }
+  };
+};
+
+// Streams the file to clamd with the INSTREAM command
+const createClamdScanner = ({
+  host = process.env.CLAMD_HOST || '127.0.0.1',
+  port = Number(process.env.CLAMD_PORT) || 3310,
+  timeoutMs = 60 * 1000
+} = {}) => ({
+  name: 'clamd',
+  scan(source) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let reply = '';
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error('clamd timed out')));
+      socket.on('data', data => { reply += data.toString(); });
+      socket.on('error', reject);
+      socket.on('end', () => {
+        const result = reply.replace(/\0/g, '').trim();
+        const match = result.match(/^stream: (.+) FOUND$/);
+        if (match) resolve({ clean: false, signature: match[1] });
+        else if (result === 'stream: OK') resolve({ clean: true });
+        else reject(new Error(`Unexpected clamd reply: ${result}`));
+      });
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const chunk of readChunks(source)) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            socket.write(chunk);
+          }
+          socket.end(Buffer.alloc(4));
+        } catch (err) {
+          socket.destroy(err);
+        }
+      });
+    });
+  }
+});
+
+const createNoopScanner = () => ({
+  name: 'none',
+  async scan() {
+    return { clean: true };
+  }
+});
+
+// UPLOAD_SCANNER=clamd|signature|none; signature when unset
+const createScannerFromEnv = () => {
+  switch (process.env.UPLOAD_SCANNER) {
+    case 'clamd': return createClamdScanner();
+    case 'none': return createNoopScanner();
+    default: return createSignatureScanner();
+  }
+};
+
+// ===== POLICIES =====
+
+const bucketDefaults = (bucket) => UPLOAD_BUCKETS[bucket] || null;
+
+// Effective policy for a bucket from its defaults and an upload_policies row
+const resolvePolicy = (bucket, row = null) => {
+  const defaults = bucketDefaults(bucket);
+  if (!defaults) return null;
+  const mimeTypes = row?.allowed_mime_types?.length ? row.allowed_mime_types : defaults.mimeTypes;
+  // A limit saved before maxSizeMbLimit was lowered still can't exceed it
+  const maxSizeMb = Math.min(row?.max_size_mb || defaults.maxSizeMb, defaults.maxSizeMbLimit);
+  return {
+    bucket,
+    mimeTypes,
+    maxSizeMb,
+    maxBytes: maxSizeMb * MB,
+    chunked: defaults.chunked,
+    customized: !!row
+  };
+};
+
+/**
+ * Validate a policy change for PUT /api/upload-policies/:bucket into
+ * upload_policies columns. null (or an empty list) resets a field to the default.
+ * @returns {{ values: object } | { error: string }}
+ */
+const parseUploadPolicy = (bucket, { mimeTypes, maxSizeMb }) => {
+  const defaults = bucketDefaults(bucket);
+  if (!defaults) return { error: `Unknown upload bucket: ${bucket}` };
+  const values = {};
+
+  if (mimeTypes !== undefined) {
+    if (mimeTypes !== null && !Array.isArray(mimeTypes)) return { error: 'mimeTypes must be a list' };
+    const types = [...new Set((mimeTypes || []).map(type => String(type).trim().toLowerCase()))];
+    const unsupported = types.filter(type => !defaults.mimeTypes.includes(type));
+    if (unsupported.length > 0) {
+      return { error: `${bucket} does not support: ${unsupported.join(', ')}` };
+    }
+    values.allowed_mime_types = types.length > 0 ? types : null;
+  }
+
+  if (maxSizeMb !== undefined) {
+    if (maxSizeMb === null) {
+      values.max_size_mb = null;
+    } else {
+      const size = Number(maxSizeMb);
+      if (!Number.isInteger(size) || size < 1 || size > defaults.maxSizeMbLimit) {
+        return { error: `maxSizeMb must be a whole number from 1 to ${defaults.maxSizeMbLimit}` };
+      }
+      values.max_size_mb = size;
+    }
+  }
+
+  return { values };
+};
+
+// Policy check on the declared type and size
+const checkAgainstPolicy = (policy, { mimeType, size }) => {
+  if (!policy.mimeTypes.includes(mimeType)) {
+    return { status: 415, error: `File type ${mimeType} is not allowed in ${policy.bucket}` };
+  }
+  if (size > policy.maxBytes) {
+    return { status: 413, error: `File is larger than the ${policy.maxSizeMb} MB limit for ${policy.bucket}` };
+  }
+  return null;
+};
+
+const formatUploadPolicy = (policy) => ({
+  bucket: policy.bucket,
+  mimeTypes: policy.mimeTypes,
+  maxSizeMb: policy.maxSizeMb,
+  resumable: policy.chunked,
+  customized: policy.customized,
+  supportedMimeTypes: UPLOAD_BUCKETS[policy.bucket].mimeTypes,
+  maxSizeMbLimit: UPLOAD_BUCKETS[policy.bucket].maxSizeMbLimit
+});
+
+const formatUploadSession = (row) => ({
+  id: row.id,
+  bucket: row.bucket,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  totalBytes: Number(row.total_bytes),
+  receivedBytes: Number(row.received_bytes),
+  chunkBytes: UPLOAD_CHUNK_BYTES,
+  status: row.status,
+  path: row.status === 'complete' || row.status === 'attached' ? row.storage_path : null,
+  expiresAt: row.expires_at,
+  completedAt: row.completed_at,
+  createdAt: row.created_at
+});
+
+const formatQuarantinedUpload = (row) => ({
+  id: row.id,
+  bucket: row.bucket,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  fileSize: row.file_size,
+  scanner: row.scanner,
+  signature: row.signature,
+  status: row.status,
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at,
+  deletedAt: row.deleted_at
+});
+
+// Storage path for a file stored from an upload session
+const sessionStoragePath = (session) => {
+  const safeName = session.file_name.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+  return `${session.organization_id}/${Date.now()}_${safeName}`;
+};
+
+// ===== PIPELINE =====
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ * @param {object} options.scanner - see createScannerFromEnv
+ * @param {string} [options.tmpDir] - where upload sessions keep received bytes
+ */
+const createUploadPipeline = ({
+  client,
+  scanner,
+  tmpDir = process.env.UPLOAD_TMP_DIR || nodePath.join(os.tmpdir(), 'kachina-uploads')
+}) => {
+  const sessionFile = (id) => nodePath.join(tmpDir, `${id}.part`);
+
+  const removeSessionFile = async (id) => {
+    await fs.promises.rm(sessionFile(id), { force: true });
+  };
+
+  const readHead = async (source) => {
+    if (Buffer.isBuffer(source)) return source.subarray(0, SNIFF_BYTES);
+    const handle = await fs.promises.open(source, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  };
+
+  // Storage accepts a Buffer, or a stream for files on disk
+  const storageBody = (source) => (Buffer.isBuffer(source) ? source : fs.createReadStream(source));
+  const storageOptions = (source, mimeType) => ({
+    contentType: mimeType,
+    cacheControl: '3600',
+    ...(Buffer.isBuffer(source) ? {} : { duplex: 'half' })
+  });
+
+  const policyFor = async (organizationId, bucket) => {
+    if (!bucketDefaults(bucket)) return null;
+    const { data, error } = await client
+      .from('upload_policies')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('bucket', bucket)
+      .maybeSingle();
+    if (error) throw error;
+    return resolvePolicy(bucket, data);
+  };
+
+  const quarantine = async ({ organizationId, userId, bucket, fileName, mimeType, size, source, result }) => {
+    const path = `${organizationId}/${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+    const { error: uploadError } = await client.storage
+      .from(QUARANTINE_BUCKET)
+      .upload(path, storageBody(source), storageOptions(source, 'application/octet-stream'));
+    if (uploadError) throw uploadError;
+
+    const { error } = await client
+      .from('upload_quarantine')
+      .insert({
+        organization_id: organizationId,
+        bucket,
+        file_name: fileName,
+        mime_type: mimeType,
+        file_size: size,
+        quarantine_path: path,
+        scanner: scanner.name,
+        signature: result.signature || null,
+        uploaded_by: userId
+      });
+    if (error) throw error;
+    console.warn(`🦠 Quarantined upload "${fileName}" for ${bucket}: ${result.signature}`);
+  };
+
+  /**
+   * Sniff and scan a file that already passed the policy check. Infected
+   * files are quarantined. Throws when storage or the database fails.
+   * @returns {null | { status: number, error: string }}
+   */
+  const inspect = async ({ organizationId, userId, bucket, fileName, mimeType, size, source }) => {
+    const content = checkContent(mimeType, await readHead(source));
+    if (content.error) return { status: 415, error: content.error };
+
+    let result;
+    try {
+      result = await scanner.scan(source);
+    } catch (err) {
+      console.error(`Upload scan failed (${scanner.name}):`, err.message);
+      return { status: 503, error: 'The file could not be scanned for viruses. Please try again later.' };
+    }
+
+    if (!result.clean) {
+      await quarantine({ organizationId, userId, bucket, fileName, mimeType, size, source, result });
+      return { status: 422, error: 'The file failed the virus scan and has been quarantined' };
+    }
+    return null;
+  };
+
+  const loadSession = async (id, userId) => {
+    const { data, error } = await client
+      .from('upload_sessions')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  const updateSession = async (id, updates, expectedStatus) => {
+    const { data, error } = await client
+      .from('upload_sessions')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', expectedStatus)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  return {
+    policyFor,
+
+    /**
+     * Check a multipart file (multer's { originalname, mimetype, size, buffer })
+     * before it is stored in bucket.
+     * @returns {null | { status: number, error: string }}
+     */
+    async screen({ organizationId, userId, bucket, file }) {
+      const policy = await policyFor(organizationId, bucket);
+      if (!policy) return { status: 400, error: `Uploads to ${bucket} are not allowed` };
+
+      const rejected = checkAgainstPolicy(policy, { mimeType: file.mimetype, size: file.size });
+      if (rejected) return rejected;
+
+      return inspect({
+        organizationId,
+        userId,
+        bucket,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        source: file.buffer
+      });
+    },
+
+    /**
+     * Start a resumable upload.
+     * @returns {{ status, error } | { session }}
+     */
+    async createSession({ organizationId, userId, bucket, fileName, mimeType, totalBytes }) {
+      const policy = await policyFor(organizationId, bucket);
+      if (!policy || !policy.chunked) return { status: 400, error: `Resumable uploads to ${bucket} are not supported` };
+      if (!fileName || !String(fileName).trim()) return { status: 400, error: 'fileName is required' };
+
+      const size = Number(totalBytes);
+      if (!Number.isInteger(size) || size < 1) return { status: 400, error: 'totalBytes must be a positive whole number' };
+
+      const rejected = checkAgainstPolicy(policy, { mimeType, size });
+      if (rejected) return rejected;
+
+      const { data, error } = await client
+        .from('upload_sessions')
+        .insert({
+          organization_id: organizationId,
+          user_id: userId,
+          bucket,
+          file_name: String(fileName).trim(),
+          mime_type: mimeType,
+          total_bytes: size,
+          expires_at: new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString()
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      await fs.promises.mkdir(tmpDir, { recursive: true });
+      await fs.promises.writeFile(sessionFile(data.id), Buffer.alloc(0));
+      return { session: data };
+    },
+
+    async getSession(id, userId) {
+      const session = await loadSession(id, userId);
+      if (!session || session.status !== 'uploading') return session;
+
+      // Bytes kept on disk may have been lost (e.g. a restart on a new host):
+      // report what is really there so the client resumes from it
+      const stat = await fs.promises.stat(sessionFile(id)).catch(() => null);
+      const onDisk = stat ? stat.size : 0;
+      if (onDisk >= Number(session.received_bytes)) return session;
+
+      if (!stat) {
+        await fs.promises.mkdir(tmpDir, { recursive: true });
+        await fs.promises.writeFile(sessionFile(id), Buffer.alloc(0));
+      }
+      return (await updateSession(id, { received_bytes: onDisk }, 'uploading')) || session;
+    },
+
+    /**
+     * Write one chunk at offset. A chunk may be re-sent; any other offset
+     * than the session's received bytes is a conflict.
+     * @returns {{ status, error, session? } | { session }}
+     */
+    async appendChunk(id, userId, offset, chunk) {
+      const session = await this.getSession(id, userId);
+      if (!session) return { status: 404, error: 'Upload not found' };
+      if (session.status !== 'uploading') return { status: 409, error: `Upload is ${session.status}`, session };
+      if (new Date(session.expires_at) <= new Date()) return { status: 410, error: 'Upload has expired' };
+
+      const received = Number(session.received_bytes);
+      if (!Number.isInteger(offset) || offset !== received) {
+        return { status: 409, error: `Expected offset ${received}`, session };
+      }
+      if (chunk.length === 0 || chunk.length > MAX_UPLOAD_CHUNK_BYTES) {
+        return { status: 400, error: `Chunks must be between 1 byte and ${MAX_UPLOAD_CHUNK_BYTES / MB} MB` };
+      }
+      if (received + chunk.length > Number(session.total_bytes)) {
+        return { status: 400, error: 'Chunk goes past the declared file size' };
+      }
+
+      const handle = await fs.promises.open(sessionFile(id), 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      const { data, error } = await client
+        .from('upload_sessions')
+        .update({ received_bytes: received + chunk.length })
+        .eq('id', id)
+        .eq('status', 'uploading')
+        .eq('received_bytes', received)
+        .select('*')
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return { status: 409, error: 'Another chunk was written at the same time', session: await loadSession(id, userId) };
+      return { session: data };
+    },
+
+    /**
+     * Check, scan and store a fully received upload. The stored path is on
+     * the returned session; it is attached to a record with attachSession.
+     * @returns {{ status, error, session? } | { session }}
+     */
+    async completeSession(id, userId) {
+      const session = await this.getSession(id, userId);
+      if (!session) return { status: 404, error: 'Upload not found' };
+      if (session.status !== 'uploading') return { status: 409, error: `Upload is ${session.status}`, session };
+      if (Number(session.received_bytes) !== Number(session.total_bytes)) {
+        return { status: 409, error: `Only ${session.received_bytes} of ${session.total_bytes} bytes received`, session };
+      }
+
+      const source = sessionFile(id);
+      const file = {
+        organizationId: session.organization_id,
+        userId,
+        bucket: session.bucket,
+        fileName: session.file_name,
+        mimeType: session.mime_type,
+        size: Number(session.total_bytes),
+        source
+      };
+
+      const rejected = await inspect(file);
+      if (rejected) {
+        const status = rejected.status === 422 ? 'quarantined' : rejected.status === 503 ? 'uploading' : 'aborted';
+        if (status !== 'uploading') {
+          await updateSession(id, { status }, 'uploading');
+          await removeSessionFile(id);
+        }
+        return rejected;
+      }
+
+      const path = sessionStoragePath(session);
+      const { error: uploadError } = await client.storage
+        .from(session.bucket)
+        .upload(path, storageBody(source), storageOptions(source, session.mime_type));
+      if (uploadError) throw uploadError;
+
+      const completed = await updateSession(id, {
+        status: 'complete',
+        storage_path: path,
+        completed_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString()
+      }, 'uploading');
+      await removeSessionFile(id);
+
+      if (!completed) {
+        await client.storage.from(session.bucket).remove([path]);
+        return { status: 409, error: 'Upload was changed while it was being stored' };
+      }
+      return { session: completed };
+    },
+
+    /**
+     * Claim a completed upload for a new record; each upload can be used once.
+     * @returns {object|null} the session, or null when there is no such completed upload
+     */
+    async attachSession(id, { userId, bucket }) {
+      const { data, error } = await client
+        .from('upload_sessions')
+        .update({ status: 'attached' })
+        .eq('id', id)
+        .eq('user_id', userId)
+        .eq('bucket', bucket)
+        .eq('status', 'complete')
+        .select('*')
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async abortSession(id, userId) {
+      const session = await loadSession(id, userId);
+      if (!session) return null;
+
+      const aborted = await updateSession(id, { status: 'aborted' }, session.status === 'complete' ? 'complete' : 'uploading');
+      if (!aborted) return session;
+      if (session.storage_path) await client.storage.from(session.bucket).remove([session.storage_path]);
+      await removeSessionFile(id);
+      return aborted;
+    },
+
+    /**
+     * Expire unfinished uploads and completed ones never attached to a
+     * record, removing their bytes.
+     * @returns {{ expired: number }}
+     */
+    async expireSessions(now = new Date()) {
+      const { data, error } = await client
+        .from('upload_sessions')
+        .update({ status: 'expired' })
+        .in('status', ['uploading', 'complete'])
+        .lte('expires_at', now.toISOString())
+        .select('id, bucket, storage_path');
+      if (error) throw error;
+
+      for (const session of data || []) {
+        await removeSessionFile(session.id);
+        if (session.storage_path) {
+          const { error: removeError } = await client.storage.from(session.bucket).remove([session.storage_path]);
+          if (removeError) console.error(`Failed to remove expired upload ${session.id}:`, removeError.message);
+        }
+      }
+      return { expired: (data || []).length };
+    },
+
+    // Expire abandoned uploads every intervalMs; returns a function that stops the worker
+    startWorker(intervalMs = 60 * 60 * 1000) {
+      let running = false;
+      const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+          const { expired } = await this.expireSessions();
+          if (expired > 0) console.log(`🧹 Expired ${expired} abandoned upload(s)`);
+        } catch (err) {
+          console.error('Upload session cleanup error:', err.message);
+        } finally {
+          running = false;
+        }
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  CONTENT_SIGNATURES,
+  MAX_DIRECT_UPLOAD_BYTES,
+  MAX_UPLOAD_CHUNK_BYTES,
+  QUARANTINE_BUCKET,
+  UPLOAD_BUCKETS,
+  UPLOAD_SESSION_STATUSES,
+  checkContent,
+  createClamdScanner,
+  createNoopScanner,
+  createScannerFromEnv,
+  createSignatureScanner,
+  createUploadPipeline,
+  detectSignature,
+  formatQuarantinedUpload,
+  formatUploadPolicy,
+  formatUploadSession,
+  parseUploadPolicy,
+  resolvePolicy
+};
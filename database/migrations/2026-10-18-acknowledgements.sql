@@ -0,0 +1,102 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Document Acknowledgements
+-- =====================================================
+-- This migration lets a study protocol or training material be marked
+-- "acknowledgement required" and records each user's read-and-acknowledge
+-- of a specific version, so sponsors can see per trial who has and
+-- hasn't acknowledged the current documents.
+-- =====================================================
+
+-- =====================================================
+-- ACKNOWLEDGEMENT REQUIRED FLAGS
+-- =====================================================
+
+ALTER TABLE study_protocols
+  ADD COLUMN IF NOT EXISTS acknowledgement_required BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE training_materials
+  ADD COLUMN IF NOT EXISTS acknowledgement_required BOOLEAN NOT NULL DEFAULT false;
+
+-- =====================================================
+-- DOCUMENT ACKNOWLEDGEMENTS TABLE
+-- =====================================================
+
+-- Document acknowledgements table
+-- Purpose: One row per user per document version they acknowledged.
+-- document_id and user_id have no foreign keys so the evidence outlives
+-- deleted documents and users. Protocol acknowledgements reference the
+-- exact study_protocol_versions row; training materials only carry a label.
+CREATE TABLE IF NOT EXISTS document_acknowledgements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID NOT NULL REFERENCES clinical_trials(id),
+    user_id UUID NOT NULL,
+    document_type TEXT NOT NULL CHECK (document_type IN ('study_protocol', 'training_material')),
+    document_id UUID NOT NULL,
+    document_version_id UUID REFERENCES study_protocol_versions(id),
+    document_version TEXT NOT NULL,
+    acknowledged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ip_address TEXT,
+    user_agent TEXT
+);
+
+-- A user acknowledges each version of a document once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_acknowledgements_unique
+  ON document_acknowledgements(user_id, document_type, document_id, COALESCE(document_version_id::TEXT, document_version));
+
+CREATE INDEX IF NOT EXISTS idx_document_acknowledgements_trial
+  ON document_acknowledgements(clinical_trial_id, document_type, document_id);
+
+-- =====================================================
+-- IMMUTABILITY
+-- =====================================================
+
+-- Trigger: Reject changes to recorded acknowledgements
+DROP FUNCTION IF EXISTS prevent_acknowledgement_changes() CASCADE;
+CREATE FUNCTION prevent_acknowledgement_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'document_acknowledgements are immutable; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_acknowledgement_changes
+  BEFORE UPDATE OR DELETE ON document_acknowledgements
+  FOR EACH ROW EXECUTE FUNCTION prevent_acknowledgement_changes();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON document_acknowledgements FROM anon, authenticated;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE document_acknowledgements ENABLE ROW LEVEL SECURITY;
+
+-- Document Acknowledgements: Users see their own, admins see their organization's
+CREATE POLICY "document_acknowledgements_select_policy" ON document_acknowledgements
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    user_id = auth.uid() OR
+    get_user_role() = 'admin'
+  )
+);
+
+-- Document Acknowledgements: Users acknowledge for themselves in trials they're assigned to
+CREATE POLICY "document_acknowledgements_insert_policy" ON document_acknowledgements
+FOR INSERT WITH CHECK (
+  user_id = auth.uid() AND
+  organization_id = get_user_organization_id() AND
+  is_user_assigned_to_trial(clinical_trial_id)
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Document acknowledgements migration completed successfully!';
+    RAISE NOTICE 'Acknowledgements are immutable: UPDATE and DELETE are rejected';
+END
+$$;
@@ -0,0 +1,89 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Audit Log
+-- =====================================================
+-- This migration adds an append-only audit trail recording who changed
+-- what through the API: actor, organization, entity, action, the row
+-- before and after the change, the field-level diff, IP and timestamp.
+-- =====================================================
+
+-- =====================================================
+-- AUDIT LOG TABLE
+-- =====================================================
+
+-- Audit log table
+-- Purpose: Inspection-ready history of every write made through the API
+-- actor_id has no foreign key so entries outlive deleted users
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID REFERENCES organizations(id),
+    actor_id UUID,
+    actor_email TEXT,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    action TEXT NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_org_created_at ON audit_log(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+
+-- =====================================================
+-- APPEND-ONLY ENFORCEMENT
+-- =====================================================
+
+-- Trigger: Reject any change to existing audit entries
+-- Purpose: Applies to every role, including the service role
+DROP FUNCTION IF EXISTS prevent_audit_log_changes() CASCADE;
+CREATE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_audit_log_update
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+CREATE TRIGGER trigger_prevent_audit_log_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON audit_log FROM anon, authenticated;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Audit Log: Only admins can read their organization's audit trail
+CREATE POLICY "audit_log_select_policy" ON audit_log
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Audit Log: Users can only record entries for themselves in their own organization
+CREATE POLICY "audit_log_insert_policy" ON audit_log
+FOR INSERT WITH CHECK (
+  actor_id = auth.uid() AND
+  organization_id = get_user_organization_id()
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Audit log migration completed successfully!';
+    RAISE NOTICE 'audit_log is append-only: UPDATE, DELETE and TRUNCATE are rejected';
+END
+$$;
@@ -0,0 +1,236 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Document Library
+-- =====================================================
+-- This migration turns the files index into the document library.
+-- Uploaded documents used to be stored as news_updates rows with
+-- content_type = 'file', which mixed them into the news feed. They now
+-- live in files, organized into per-trial folders, with a title,
+-- description, category, tags, the roles allowed to see them and a
+-- full-text search vector. Existing file-type news rows are moved over.
+-- =====================================================
+
+-- =====================================================
+-- FOLDERS
+-- =====================================================
+
+-- Document folders table
+-- Purpose: Folders for the document library. A folder belongs to one trial
+-- (or to the whole organization when clinical_trial_id is NULL) and may be
+-- nested under another folder of the same trial
+CREATE TABLE IF NOT EXISTS document_folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES document_folders(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Folder names are unique among their siblings
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_folders_name ON document_folders(
+  organization_id,
+  COALESCE(clinical_trial_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  lower(name)
+);
+CREATE INDEX IF NOT EXISTS idx_document_folders_trial ON document_folders(clinical_trial_id);
+
+-- =====================================================
+-- FILES COLUMNS
+-- =====================================================
+
+-- Legacy documents created through POST /api/pdfs only have a URL, so a
+-- file is either a storage object (bucket + path) or an external_url
+ALTER TABLE files ALTER COLUMN path DROP NOT NULL;
+
+ALTER TABLE files
+  ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES document_folders(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS title TEXT,
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS category TEXT NOT NULL DEFAULT 'General',
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS visible_to_roles TEXT[] NOT NULL DEFAULT '{admin,user,doctor}'
+    CHECK (visible_to_roles <@ ARRAY['admin', 'user', 'doctor']),
+  ADD COLUMN IF NOT EXISTS external_url TEXT,
+  ADD COLUMN IF NOT EXISTS legacy_news_update_id UUID UNIQUE,
+  ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES profiles(id),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE files
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(file_name, '') || ' ' || COALESCE(category, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+  ) STORED;
+
+ALTER TABLE files DROP CONSTRAINT IF EXISTS files_location_check;
+ALTER TABLE files ADD CONSTRAINT files_location_check
+  CHECK (path IS NOT NULL OR external_url IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id);
+CREATE INDEX IF NOT EXISTS idx_files_category ON files(organization_id, category);
+CREATE INDEX IF NOT EXISTS idx_files_tags ON files USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_files_search ON files USING GIN (search_vector);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_document_folders_updated_at
+  BEFORE UPDATE ON document_folders
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_files_updated_at
+  BEFORE UPDATE ON files
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_validate_document_folders_org
+  BEFORE INSERT OR UPDATE ON document_folders
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+CREATE TRIGGER trigger_validate_files_org
+  BEFORE INSERT OR UPDATE ON files
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+-- Trigger: A file's folder (and a folder's parent) must belong to the same
+-- organization and trial, or be an organization-wide folder
+DROP FUNCTION IF EXISTS validate_document_folder() CASCADE;
+CREATE FUNCTION validate_document_folder()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_folder_id UUID;
+  folder RECORD;
+BEGIN
+  IF TG_TABLE_NAME = 'document_folders' THEN
+    target_folder_id := NEW.parent_id;
+  ELSE
+    target_folder_id := NEW.folder_id;
+  END IF;
+
+  IF target_folder_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT organization_id, clinical_trial_id INTO folder
+  FROM document_folders
+  WHERE id = target_folder_id;
+
+  IF folder.organization_id != NEW.organization_id THEN
+    RAISE EXCEPTION 'Folder organization_id (%) does not match organization_id (%)',
+      folder.organization_id, NEW.organization_id;
+  END IF;
+
+  IF folder.clinical_trial_id IS NOT NULL AND folder.clinical_trial_id IS DISTINCT FROM NEW.clinical_trial_id THEN
+    RAISE EXCEPTION 'Folder belongs to clinical trial %', folder.clinical_trial_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_validate_document_folders_parent
+  BEFORE INSERT OR UPDATE OF parent_id, clinical_trial_id ON document_folders
+  FOR EACH ROW EXECUTE FUNCTION validate_document_folder();
+
+CREATE TRIGGER trigger_validate_files_folder
+  BEFORE INSERT OR UPDATE OF folder_id, clinical_trial_id ON files
+  FOR EACH ROW EXECUTE FUNCTION validate_document_folder();
+
+-- =====================================================
+-- MOVE FILE-TYPE NEWS ROWS
+-- =====================================================
+
+INSERT INTO files (
+  organization_id,
+  clinical_trial_id,
+  bucket,
+  path,
+  external_url,
+  uploaded_by,
+  file_name,
+  file_size,
+  mime_type,
+  uploaded_at,
+  title,
+  description,
+  legacy_news_update_id
+)
+SELECT
+  n.organization_id,
+  n.clinical_trial_id,
+  COALESCE(n.storage_bucket, 'trial-documents'),
+  n.storage_path,
+  CASE WHEN n.storage_path IS NULL THEN n.file_url END,
+  n.created_by,
+  COALESCE(n.file_name, n.title),
+  n.file_size,
+  n.mime_type,
+  n.created_at,
+  n.title,
+  n.body,
+  n.id
+FROM news_updates n
+WHERE n.content_type = 'file'
+  AND (n.storage_path IS NOT NULL OR n.file_url IS NOT NULL)
+ON CONFLICT (legacy_news_update_id) DO NOTHING;
+
+DELETE FROM news_updates n
+WHERE n.content_type = 'file'
+  AND EXISTS (SELECT 1 FROM files f WHERE f.legacy_news_update_id = n.id);
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE document_folders ENABLE ROW LEVEL SECURITY;
+
+-- Document Folders: Organization-wide folders are visible to everyone in the
+-- organization, trial folders to admins and the trial's assigned users
+CREATE POLICY "document_folders_select_policy" ON document_folders
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    clinical_trial_id IS NULL OR
+    get_user_role() = 'admin' OR
+    is_user_assigned_to_trial(clinical_trial_id)
+  )
+);
+
+-- Document Folders: Admin/User can manage folders in their organization
+CREATE POLICY "document_folders_manage_policy" ON document_folders
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user')
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user')
+);
+
+-- Files: Admins see every document in their organization; others see the
+-- documents shared with their role, organization-wide or for assigned trials
+DROP POLICY IF EXISTS "files_select_policy" ON files;
+CREATE POLICY "files_select_policy" ON files
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    get_user_role() = 'admin' OR
+    (
+      get_user_role() = ANY (visible_to_roles) AND
+      (clinical_trial_id IS NULL OR is_user_assigned_to_trial(clinical_trial_id))
+    )
+  )
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Document library migration completed successfully!';
+    RAISE NOTICE 'document_folders created; files gains folder, metadata, role visibility and search; file-type news rows moved to files';
+END
+$$;
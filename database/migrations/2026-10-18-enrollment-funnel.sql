@@ -0,0 +1,202 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Enrollment Funnel
+-- =====================================================
+-- This migration links enrollments to the site that enrolled them and
+-- tracks each participant through the enrollment lifecycle:
+--   screened -> consented -> randomized -> completed
+--   (withdrawn is reachable from any non-terminal status)
+-- Hospital leaderboard counts are derived from these records instead of
+-- the hand-maintained counters on the hospitals table. Counts recorded
+-- before this migration have no participants behind them, so they are kept
+-- as a per-hospital baseline and added to the organization-wide counts.
+-- =====================================================
+
+-- =====================================================
+-- ENROLLMENT LIFECYCLE COLUMNS
+-- =====================================================
+
+ALTER TABLE enrollments
+    ADD COLUMN IF NOT EXISTS hospital_id UUID REFERENCES hospitals(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'screened'
+        CHECK (status IN ('screened', 'consented', 'randomized', 'withdrawn', 'completed')),
+    ADD COLUMN IF NOT EXISTS screened_at TIMESTAMPTZ DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS consented_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS randomized_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS withdrawal_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_hospital_id ON enrollments(hospital_id);
+CREATE INDEX IF NOT EXISTS idx_enrollments_status ON enrollments(status);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Trigger: Stamp lifecycle timestamps when the status changes
+-- Purpose: Every status a participant has passed through keeps a timestamp,
+-- so recording someone directly as 'randomized' also marks them consented
+DROP FUNCTION IF EXISTS stamp_enrollment_status_timestamps() CASCADE;
+CREATE FUNCTION stamp_enrollment_status_timestamps()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.screened_at := COALESCE(NEW.screened_at, NOW());
+
+  IF NEW.status IN ('consented', 'randomized', 'completed') THEN
+    NEW.consented_at := COALESCE(NEW.consented_at, NOW());
+  END IF;
+
+  IF NEW.status IN ('randomized', 'completed') THEN
+    NEW.randomized_at := COALESCE(NEW.randomized_at, NOW());
+  END IF;
+
+  IF NEW.status = 'completed' THEN
+    NEW.completed_at := COALESCE(NEW.completed_at, NOW());
+  END IF;
+
+  IF NEW.status = 'withdrawn' THEN
+    NEW.withdrawn_at := COALESCE(NEW.withdrawn_at, NOW());
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_stamp_enrollment_status
+  BEFORE INSERT OR UPDATE OF status ON enrollments
+  FOR EACH ROW EXECUTE FUNCTION stamp_enrollment_status_timestamps();
+
+-- Trigger: Ensure an enrollment's site belongs to the same organization
+DROP FUNCTION IF EXISTS validate_enrollment_hospital() CASCADE;
+CREATE FUNCTION validate_enrollment_hospital()
+RETURNS TRIGGER AS $$
+DECLARE
+  hospital_org_id UUID;
+BEGIN
+  IF NEW.hospital_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT organization_id INTO hospital_org_id
+  FROM hospitals
+  WHERE id = NEW.hospital_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Enrollment hospital_id (%) does not exist', NEW.hospital_id;
+  END IF;
+
+  IF hospital_org_id != NEW.organization_id THEN
+    RAISE EXCEPTION 'Enrollment organization_id (%) does not match hospital organization_id (%)',
+      NEW.organization_id, hospital_org_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_validate_enrollment_hospital
+  BEFORE INSERT OR UPDATE OF hospital_id ON enrollments
+  FOR EACH ROW EXECUTE FUNCTION validate_enrollment_hospital();
+
+-- =====================================================
+-- BASELINE FROM HAND-MAINTAINED COUNTERS
+-- =====================================================
+-- The old counters become baseline_consented_patients and
+-- baseline_randomized_patients: what a hospital had counted before it had
+-- enrollment records. Nothing writes them any more.
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'hospitals' AND column_name = 'consented_patients'
+  ) THEN
+    ALTER TABLE hospitals RENAME COLUMN consented_patients TO baseline_consented_patients;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'hospitals' AND column_name = 'randomized_patients'
+  ) THEN
+    ALTER TABLE hospitals RENAME COLUMN randomized_patients TO baseline_randomized_patients;
+  END IF;
+END
+$$;
+
+ALTER TABLE hospitals
+    ADD COLUMN IF NOT EXISTS baseline_consented_patients INTEGER,
+    ADD COLUMN IF NOT EXISTS baseline_randomized_patients INTEGER,
+    DROP COLUMN IF EXISTS consented_rate;
+
+UPDATE hospitals
+SET baseline_consented_patients = GREATEST(COALESCE(baseline_consented_patients, 0), 0),
+    baseline_randomized_patients = GREATEST(COALESCE(baseline_randomized_patients, 0), 0)
+WHERE baseline_consented_patients IS NULL OR baseline_consented_patients < 0
+   OR baseline_randomized_patients IS NULL OR baseline_randomized_patients < 0;
+
+ALTER TABLE hospitals
+    ALTER COLUMN baseline_consented_patients SET DEFAULT 0,
+    ALTER COLUMN baseline_consented_patients SET NOT NULL,
+    ALTER COLUMN baseline_randomized_patients SET DEFAULT 0,
+    ALTER COLUMN baseline_randomized_patients SET NOT NULL;
+
+-- Databases that ran an earlier copy of this migration turned the counters
+-- into placeholder participants; the baseline replaces them
+DELETE FROM enrollments
+WHERE participant_name LIKE 'Legacy participant %'
+  AND notes = 'Backfilled from the hospital''s enrollment counters';
+
+-- =====================================================
+-- LEADERBOARD VIEW
+-- =====================================================
+
+-- View: Per-hospital enrollment counts computed from enrollment records
+-- Purpose: Single source for every leaderboard endpoint (dashboard, Next.js API, mobile)
+-- The hospital's baseline is added to the screened, consented and randomized
+-- counts (baseline participants were screened and consented); it has no
+-- dates, so it doesn't move last_enrollment_activity_at. Trial-scoped counts
+-- (trial_site_enrollment_stats) only come from enrollment records.
+-- security_invoker keeps the hospitals/enrollments RLS policies in force
+DROP VIEW IF EXISTS hospital_enrollment_stats;
+CREATE VIEW hospital_enrollment_stats
+WITH (security_invoker = true) AS
+SELECT
+  h.id,
+  h.organization_id,
+  h.hospital_name,
+  h.location,
+  h.principal_investigator,
+  h.created_by,
+  h.created_at,
+  h.updated_at,
+  COUNT(e.id) + h.baseline_consented_patients AS screened_patients,
+  COUNT(e.consented_at) + h.baseline_consented_patients AS consented_patients,
+  COUNT(e.randomized_at) + h.baseline_randomized_patients AS randomized_patients,
+  COUNT(e.withdrawn_at) AS withdrawn_patients,
+  COUNT(e.completed_at) AS completed_patients,
+  CASE
+    WHEN COUNT(e.id) + h.baseline_consented_patients = 0 THEN 0.00
+    ELSE ROUND((COUNT(e.consented_at) + h.baseline_consented_patients)::DECIMAL * 100
+      / (COUNT(e.id) + h.baseline_consented_patients), 2)
+  END AS consented_rate,
+  MAX(e.updated_at) AS last_enrollment_activity_at
+FROM hospitals h
+LEFT JOIN enrollments e ON e.hospital_id = h.id
+GROUP BY h.id;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Enrollment funnel migration completed successfully!';
+    RAISE NOTICE 'Enrollments now carry hospital_id, status and lifecycle timestamps';
+    RAISE NOTICE 'Leaderboard counts are available from the hospital_enrollment_stats view';
+    RAISE NOTICE 'Old hospital counters kept as baseline_consented_patients/baseline_randomized_patients';
+END
+$$;
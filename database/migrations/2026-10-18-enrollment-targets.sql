@@ -0,0 +1,66 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Enrollment Targets
+-- =====================================================
+-- This migration adds a target date to each trial site so the
+-- enrollment forecast can compare actual randomizations against a
+-- planned curve and flag sites that are behind schedule.
+-- =====================================================
+
+-- =====================================================
+-- TRIAL SITE TARGET DATE
+-- =====================================================
+
+ALTER TABLE trial_sites
+    ADD COLUMN IF NOT EXISTS target_date DATE;
+
+-- =====================================================
+-- LEADERBOARD VIEW
+-- =====================================================
+
+-- View: Per-trial, per-site enrollment counts
+-- Purpose: Trial-scoped leaderboards; only enrollments in that trial are counted
+-- id is the hospital id so rows are interchangeable with hospital_enrollment_stats
+-- Recreated here to expose the site's target_date
+DROP VIEW IF EXISTS trial_site_enrollment_stats;
+CREATE VIEW trial_site_enrollment_stats
+WITH (security_invoker = true) AS
+SELECT
+  h.id,
+  ts.id AS trial_site_id,
+  ts.clinical_trial_id,
+  ts.enrollment_target,
+  ts.target_date,
+  h.organization_id,
+  h.hospital_name,
+  h.location,
+  h.principal_investigator,
+  h.created_by,
+  h.created_at,
+  h.updated_at,
+  COUNT(e.id) AS screened_patients,
+  COUNT(e.consented_at) AS consented_patients,
+  COUNT(e.randomized_at) AS randomized_patients,
+  COUNT(e.withdrawn_at) AS withdrawn_patients,
+  COUNT(e.completed_at) AS completed_patients,
+  CASE
+    WHEN COUNT(e.id) = 0 THEN 0.00
+    ELSE ROUND(COUNT(e.consented_at)::DECIMAL * 100 / COUNT(e.id), 2)
+  END AS consented_rate,
+  MAX(e.updated_at) AS last_enrollment_activity_at
+FROM trial_sites ts
+JOIN hospitals h ON h.id = ts.hospital_id
+LEFT JOIN enrollments e
+  ON e.hospital_id = ts.hospital_id
+  AND e.clinical_trial_id = ts.clinical_trial_id
+GROUP BY ts.id, h.id;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Enrollment targets migration completed successfully!';
+    RAISE NOTICE 'trial_sites now carries target_date alongside enrollment_target';
+END
+$$;
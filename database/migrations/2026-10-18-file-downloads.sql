@@ -0,0 +1,93 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - File Downloads
+-- =====================================================
+-- This migration adds the download log. Files are no longer handed out
+-- by bucket and path: a download names the record that owns the file
+-- (a library document, a study protocol or one of its versions, a
+-- training material or a news attachment), is authorized against that
+-- record's organization and trial, and gets a short-lived signed URL.
+-- Every download is logged so sponsors can see who opened what.
+-- =====================================================
+
+-- =====================================================
+-- DOWNLOAD LOG
+-- =====================================================
+
+-- File downloads table
+-- Purpose: One row per download URL handed out. Like audit_log, the user,
+-- session, trial and file columns have no foreign keys so entries outlive
+-- the rows they describe
+CREATE TABLE IF NOT EXISTS file_downloads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID,
+    file_type TEXT NOT NULL CHECK (file_type IN (
+      'document', 'study_protocol', 'study_protocol_version', 'training_material', 'news_attachment'
+    )),
+    file_id UUID NOT NULL,
+    file_name TEXT,
+    user_id UUID,
+    mobile_session_id UUID,
+    channel TEXT NOT NULL DEFAULT 'web' CHECK (channel IN ('web', 'mobile')),
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_downloads_file ON file_downloads(file_type, file_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_downloads_organization ON file_downloads(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_downloads_user ON file_downloads(user_id, created_at DESC);
+
+-- =====================================================
+-- PRIVATE BUCKETS
+-- =====================================================
+
+-- Downloads are signed URLs, so these buckets no longer need public access.
+-- news-assets is already private (2026-10-18-rich-news.sql).
+UPDATE storage.buckets
+SET public = false
+WHERE id IN ('trial-documents', 'training-materials', 'study-protocols', 'enrollment-docs');
+
+-- =====================================================
+-- APPEND-ONLY ENFORCEMENT
+-- =====================================================
+
+-- Trigger: Reject any change to logged downloads
+DROP FUNCTION IF EXISTS prevent_file_download_changes() CASCADE;
+CREATE FUNCTION prevent_file_download_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'file_downloads is append-only; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_file_download_changes
+  BEFORE UPDATE OR DELETE ON file_downloads
+  FOR EACH ROW EXECUTE FUNCTION prevent_file_download_changes();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON file_downloads FROM anon, authenticated;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE file_downloads ENABLE ROW LEVEL SECURITY;
+
+-- File Downloads: Admins can read their organization's log; entries are
+-- written by the API with the service role key
+CREATE POLICY "file_downloads_select_policy" ON file_downloads
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'File downloads migration completed successfully!';
+    RAISE NOTICE 'file_downloads created (append-only); document, protocol and training buckets are private';
+END
+$$;
@@ -0,0 +1,156 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - File Previews
+-- =====================================================
+-- This migration adds file_previews: for each uploaded PDF (a library
+-- document, a study protocol version or a training material) the API
+-- renders a first-page thumbnail into the private file-previews bucket
+-- and extracts the page count and full text. The extracted text is
+-- indexed for full-text search. Existing PDFs are queued for processing.
+-- =====================================================
+
+-- =====================================================
+-- FILE PREVIEWS
+-- =====================================================
+
+-- File previews table
+-- Purpose: One row per PDF, keyed by the record that owns it. It is also
+-- the work queue: rows are pending until the API's preview worker has
+-- rendered them, and failures are retried up to max_attempts
+CREATE TABLE IF NOT EXISTS file_previews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    file_type TEXT NOT NULL CHECK (file_type IN ('document', 'study_protocol_version', 'training_material')),
+    file_id UUID NOT NULL,
+    bucket TEXT NOT NULL,
+    path TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'skipped')),
+    page_count INTEGER CHECK (page_count IS NULL OR page_count >= 0),
+    thumbnail_path TEXT,
+    text_content TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(text_content, ''))) STORED,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(file_type, file_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_previews_due ON file_previews(next_attempt_at)
+  WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_file_previews_organization ON file_previews(organization_id);
+CREATE INDEX IF NOT EXISTS idx_file_previews_search ON file_previews USING GIN(search_vector);
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('file-previews', 'file-previews', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Claim up to batch_size due previews for rendering; same locking and
+-- crashed-worker recovery as claim_notification_outbox
+CREATE OR REPLACE FUNCTION claim_file_previews(batch_size INTEGER DEFAULT 5)
+RETURNS SETOF file_previews AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE file_previews f
+    SET status = 'processing',
+        attempts = f.attempts + 1,
+        updated_at = NOW()
+    WHERE f.id IN (
+        SELECT id FROM file_previews
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'processing' AND updated_at < NOW() - INTERVAL '10 minutes')
+        ORDER BY next_attempt_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING f.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the preview worker (service role) may claim previews; it returns the
+-- pending files of every organization
+REVOKE EXECUTE ON FUNCTION claim_file_previews(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_file_previews(INTEGER) TO service_role;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_file_previews_updated_at
+  BEFORE UPDATE ON file_previews
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger: Drop a record's preview when the record is deleted (its
+-- thumbnail object is left in the bucket)
+DROP FUNCTION IF EXISTS delete_file_preview() CASCADE;
+CREATE FUNCTION delete_file_preview()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM file_previews WHERE file_type = TG_ARGV[0] AND file_id = OLD.id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_delete_document_preview
+  AFTER DELETE ON files
+  FOR EACH ROW EXECUTE FUNCTION delete_file_preview('document');
+
+CREATE TRIGGER trigger_delete_protocol_version_preview
+  AFTER DELETE ON study_protocol_versions
+  FOR EACH ROW EXECUTE FUNCTION delete_file_preview('study_protocol_version');
+
+CREATE TRIGGER trigger_delete_training_material_preview
+  AFTER DELETE ON training_materials
+  FOR EACH ROW EXECUTE FUNCTION delete_file_preview('training_material');
+
+-- =====================================================
+-- QUEUE EXISTING PDFS
+-- =====================================================
+
+INSERT INTO file_previews (organization_id, clinical_trial_id, file_type, file_id, bucket, path)
+SELECT organization_id, clinical_trial_id, 'document', id, bucket, path
+FROM files
+WHERE path IS NOT NULL AND mime_type = 'application/pdf'
+ON CONFLICT (file_type, file_id) DO NOTHING;
+
+INSERT INTO file_previews (organization_id, clinical_trial_id, file_type, file_id, bucket, path)
+SELECT v.organization_id, p.clinical_trial_id, 'study_protocol_version', v.id, 'study-protocols', v.storage_path
+FROM study_protocol_versions v
+JOIN study_protocols p ON p.id = v.study_protocol_id
+WHERE v.storage_path IS NOT NULL AND v.type = 'pdf'
+ON CONFLICT (file_type, file_id) DO NOTHING;
+
+INSERT INTO file_previews (organization_id, clinical_trial_id, file_type, file_id, bucket, path)
+SELECT organization_id, clinical_trial_id, 'training_material', id, 'training-materials', storage_path
+FROM training_materials
+WHERE LOWER(storage_path) LIKE '%.pdf'
+ON CONFLICT (file_type, file_id) DO NOTHING;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE file_previews ENABLE ROW LEVEL SECURITY;
+
+-- File Previews: Admins can read their organization's previews; others get
+-- them through the API, which applies each record's visibility rules.
+-- Rows are written by the API with the service role key
+CREATE POLICY "file_previews_select_policy" ON file_previews
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'File previews migration completed successfully!';
+    RAISE NOTICE 'file_previews created and existing PDFs queued; file-previews bucket added';
+END
+$$;
@@ -0,0 +1,153 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Leaderboard Snapshots
+-- =====================================================
+-- This migration persists a daily snapshot of every site's consented
+-- and randomized counts, both organization-wide and per trial, so the
+-- leaderboard can report rank movement, streaks and per-hospital
+-- time series instead of only the current standings.
+-- =====================================================
+
+-- =====================================================
+-- LEADERBOARD SNAPSHOTS TABLE
+-- =====================================================
+
+-- Leaderboard snapshots table
+-- Purpose: One row per hospital per day; clinical_trial_id is NULL for the
+-- organization-wide counts and set for trial-scoped counts
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    hospital_id UUID NOT NULL REFERENCES hospitals(id) ON DELETE CASCADE,
+    snapshot_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    consented_patients INTEGER NOT NULL DEFAULT 0,
+    randomized_patients INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One snapshot per hospital per day for each scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_snapshots_org_day
+  ON leaderboard_snapshots(hospital_id, snapshot_date)
+  WHERE clinical_trial_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_snapshots_trial_day
+  ON leaderboard_snapshots(hospital_id, clinical_trial_id, snapshot_date)
+  WHERE clinical_trial_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_org_date
+  ON leaderboard_snapshots(organization_id, snapshot_date);
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE leaderboard_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Leaderboard Snapshots: Organization-wide rows for everyone in the organization,
+-- trial rows for admins or users assigned to the trial
+-- Rows are only written by capture_leaderboard_snapshot()
+CREATE POLICY "leaderboard_snapshots_select_policy" ON leaderboard_snapshots
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    clinical_trial_id IS NULL OR
+    get_user_role() = 'admin' OR
+    is_user_assigned_to_trial(clinical_trial_id)
+  )
+);
+
+-- =====================================================
+-- SNAPSHOT CAPTURE
+-- =====================================================
+
+-- Function: Capture the day's leaderboard counts
+-- Purpose: Upserts organization-wide and per-trial counts for snapshot_day.
+-- Running it again on the same day refreshes that day's rows, so the last
+-- run of the day wins. for_organization_id limits the capture to one
+-- organization (the APIs' on-demand capture); scheduled runs capture every
+-- organization.
+DROP FUNCTION IF EXISTS capture_leaderboard_snapshot(DATE);
+DROP FUNCTION IF EXISTS capture_leaderboard_snapshot(DATE, UUID);
+CREATE FUNCTION capture_leaderboard_snapshot(
+    snapshot_day DATE DEFAULT CURRENT_DATE,
+    for_organization_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  target_org_id UUID := for_organization_id;
+  org_rows INTEGER;
+  trial_rows INTEGER;
+BEGIN
+  INSERT INTO leaderboard_snapshots (
+    organization_id, clinical_trial_id, hospital_id, snapshot_date,
+    consented_patients, randomized_patients
+  )
+  SELECT s.organization_id, NULL, s.id, snapshot_day,
+    s.consented_patients, s.randomized_patients
+  FROM hospital_enrollment_stats s
+  WHERE target_org_id IS NULL OR s.organization_id = target_org_id
+  ON CONFLICT (hospital_id, snapshot_date) WHERE clinical_trial_id IS NULL
+  DO UPDATE SET
+    consented_patients = EXCLUDED.consented_patients,
+    randomized_patients = EXCLUDED.randomized_patients,
+    created_at = NOW();
+
+  GET DIAGNOSTICS org_rows = ROW_COUNT;
+
+  INSERT INTO leaderboard_snapshots (
+    organization_id, clinical_trial_id, hospital_id, snapshot_date,
+    consented_patients, randomized_patients
+  )
+  SELECT s.organization_id, s.clinical_trial_id, s.id, snapshot_day,
+    s.consented_patients, s.randomized_patients
+  FROM trial_site_enrollment_stats s
+  WHERE target_org_id IS NULL OR s.organization_id = target_org_id
+  ON CONFLICT (hospital_id, clinical_trial_id, snapshot_date) WHERE clinical_trial_id IS NOT NULL
+  DO UPDATE SET
+    consented_patients = EXCLUDED.consented_patients,
+    randomized_patients = EXCLUDED.randomized_patients,
+    created_at = NOW();
+
+  GET DIAGNOSTICS trial_rows = ROW_COUNT;
+
+  RETURN org_rows + trial_rows;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Writes any organization's snapshot for any day, so only the API (service
+-- role) and the scheduled job may call it
+REVOKE EXECUTE ON FUNCTION capture_leaderboard_snapshot(DATE, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION capture_leaderboard_snapshot(DATE, UUID) TO service_role;
+
+-- =====================================================
+-- DAILY SCHEDULE
+-- =====================================================
+-- Uses pg_cron when it is enabled on the project (Database -> Extensions).
+-- Without it, the leaderboard APIs capture the current day on first request.
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule(
+      'capture-leaderboard-snapshot',
+      '55 23 * * *',
+      'SELECT capture_leaderboard_snapshot()'
+    );
+  ELSE
+    RAISE NOTICE 'pg_cron not enabled; leaderboard snapshots will be captured on demand';
+  END IF;
+END
+$$;
+
+-- Seed today's snapshot so rank movement has a starting point
+SELECT capture_leaderboard_snapshot();
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Leaderboard snapshots migration completed successfully!';
+    RAISE NOTICE 'Daily counts are stored in leaderboard_snapshots via capture_leaderboard_snapshot()';
+END
+$$;
@@ -0,0 +1,327 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Messaging
+-- =====================================================
+-- This migration adds secure messaging between sponsor admins and site
+-- staff. Conversations are scoped to a clinical trial: 1:1 threads
+-- between an admin and a site user, and one group thread per site
+-- (hospital) of the trial. Messages can carry attachments (stored in the
+-- private trial-documents bucket), read receipts come from each
+-- participant's read position, and admins can hide messages and lock
+-- threads. Messages are never edited or deleted so threads can be
+-- exported for record-keeping: threads and messages keep their trial,
+-- site and organization from being deleted, and each message keeps its
+-- sender's name. New messages are pushed to the other participants under
+-- the new 'message' push category.
+-- =====================================================
+
+-- =====================================================
+-- THREADS
+-- =====================================================
+
+-- Message threads table
+-- Purpose: One conversation in a trial. A direct thread is between two
+-- people (direct_key holds their sorted ids so each pair has one thread per
+-- trial); a site thread is the group conversation with one of the trial's
+-- sites. Locked threads are read-only
+CREATE TABLE IF NOT EXISTS message_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE RESTRICT,
+    clinical_trial_id UUID NOT NULL REFERENCES clinical_trials(id) ON DELETE RESTRICT,
+    kind TEXT NOT NULL CHECK (kind IN ('direct', 'site')),
+    hospital_id UUID REFERENCES hospitals(id) ON DELETE RESTRICT,
+    direct_key TEXT,
+    subject TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'locked')),
+    locked_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    locked_at TIMESTAMPTZ,
+    last_message_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (
+      (kind = 'direct' AND direct_key IS NOT NULL AND hospital_id IS NULL) OR
+      (kind = 'site' AND hospital_id IS NOT NULL AND direct_key IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_threads_direct
+  ON message_threads(clinical_trial_id, direct_key) WHERE kind = 'direct';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_threads_site
+  ON message_threads(clinical_trial_id, hospital_id) WHERE kind = 'site';
+CREATE INDEX IF NOT EXISTS idx_message_threads_organization
+  ON message_threads(organization_id, last_message_at DESC NULLS LAST);
+
+-- Message thread participants table
+-- Purpose: Who is in a thread and how far they have read. last_read_at is
+-- both the unread marker and the read receipt: a message has been read by
+-- every participant whose last_read_at is at or after it
+CREATE TABLE IF NOT EXISTS message_thread_participants (
+    thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    last_read_at TIMESTAMPTZ,
+    added_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (thread_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_thread_participants_user ON message_thread_participants(user_id);
+
+-- =====================================================
+-- MESSAGES
+-- =====================================================
+
+-- Messages table
+-- Purpose: One message in a thread. The body and sender never change; an
+-- admin can hide a message (hidden_at, with the moderator and a reason),
+-- which removes it for participants but keeps it in exports. sender_name is
+-- the sender's display name when the message was sent (set by
+-- trigger_set_message_sender_name), so it outlives the sender's profile
+CREATE TABLE IF NOT EXISTS messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE RESTRICT,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE RESTRICT,
+    sender_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    sender_name TEXT,
+    body TEXT NOT NULL DEFAULT '',
+    hidden_at TIMESTAMPTZ,
+    hidden_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    hidden_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, created_at DESC);
+
+-- Message attachments table
+-- Purpose: Files sent with a message; downloaded through the API like other
+-- files (file type message_attachment)
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE RESTRICT,
+    thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE RESTRICT,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE RESTRICT,
+    storage_bucket TEXT NOT NULL DEFAULT 'trial-documents',
+    storage_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    file_size BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_path ON message_attachments(storage_path);
+
+-- Databases that ran an earlier copy of this migration deleted threads and
+-- messages along with their organization, trial or site, and only had the
+-- sender's profile for the sender's name
+ALTER TABLE message_threads
+  DROP CONSTRAINT IF EXISTS message_threads_organization_id_fkey,
+  ADD CONSTRAINT message_threads_organization_id_fkey
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS message_threads_clinical_trial_id_fkey,
+  ADD CONSTRAINT message_threads_clinical_trial_id_fkey
+    FOREIGN KEY (clinical_trial_id) REFERENCES clinical_trials(id) ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS message_threads_hospital_id_fkey,
+  ADD CONSTRAINT message_threads_hospital_id_fkey
+    FOREIGN KEY (hospital_id) REFERENCES hospitals(id) ON DELETE RESTRICT;
+
+ALTER TABLE messages
+  DROP CONSTRAINT IF EXISTS messages_thread_id_fkey,
+  ADD CONSTRAINT messages_thread_id_fkey
+    FOREIGN KEY (thread_id) REFERENCES message_threads(id) ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS messages_organization_id_fkey,
+  ADD CONSTRAINT messages_organization_id_fkey
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT;
+
+ALTER TABLE message_attachments
+  DROP CONSTRAINT IF EXISTS message_attachments_message_id_fkey,
+  ADD CONSTRAINT message_attachments_message_id_fkey
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS message_attachments_thread_id_fkey,
+  ADD CONSTRAINT message_attachments_thread_id_fkey
+    FOREIGN KEY (thread_id) REFERENCES message_threads(id) ON DELETE RESTRICT,
+  DROP CONSTRAINT IF EXISTS message_attachments_organization_id_fkey,
+  ADD CONSTRAINT message_attachments_organization_id_fkey
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_name TEXT;
+
+UPDATE messages m
+SET sender_name = p.display_name
+FROM profiles p
+WHERE p.id = m.sender_id AND m.sender_name IS NULL;
+
+-- =====================================================
+-- DOWNLOADS AND PUSHES
+-- =====================================================
+
+ALTER TABLE file_downloads DROP CONSTRAINT IF EXISTS file_downloads_file_type_check;
+ALTER TABLE file_downloads ADD CONSTRAINT file_downloads_file_type_check CHECK (file_type IN (
+  'document', 'study_protocol', 'study_protocol_version', 'training_material', 'news_attachment', 'message_attachment'
+));
+
+ALTER TABLE notification_preferences DROP CONSTRAINT IF EXISTS notification_preferences_category_check;
+ALTER TABLE notification_preferences ADD CONSTRAINT notification_preferences_category_check
+  CHECK (category IN ('news', 'protocol', 'message'));
+
+ALTER TABLE push_notifications DROP CONSTRAINT IF EXISTS push_notifications_category_check;
+ALTER TABLE push_notifications ADD CONSTRAINT push_notifications_category_check
+  CHECK (category IN ('news', 'protocol', 'message'));
+
+-- A message push goes to the thread's other participants rather than to
+-- everyone assigned to the trial
+ALTER TABLE push_notifications ADD COLUMN IF NOT EXISTS recipient_ids UUID[];
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Whether the current user takes part in a thread. SECURITY DEFINER so the
+-- participants policy can use it without recursing into itself
+CREATE OR REPLACE FUNCTION is_message_thread_participant(check_thread_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM message_thread_participants
+        WHERE thread_id = check_thread_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Unread messages per thread for a user: visible messages from others
+-- after the user's read position. Threads without unread messages are left out
+CREATE OR REPLACE FUNCTION get_unread_message_counts(for_user_id UUID)
+RETURNS TABLE (thread_id UUID, clinical_trial_id UUID, unread_count BIGINT) AS $$
+    SELECT p.thread_id, t.clinical_trial_id, COUNT(m.id)
+    FROM message_thread_participants p
+    JOIN message_threads t ON t.id = p.thread_id
+    JOIN messages m ON m.thread_id = p.thread_id
+    WHERE p.user_id = for_user_id
+      AND m.hidden_at IS NULL
+      AND m.sender_id IS DISTINCT FROM for_user_id
+      AND m.created_at > COALESCE(p.last_read_at, '-infinity'::TIMESTAMPTZ)
+    GROUP BY p.thread_id, t.clinical_trial_id;
+$$ LANGUAGE sql STABLE;
+
+-- Takes any user id, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION get_unread_message_counts(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_unread_message_counts(UUID) TO service_role;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_message_threads_updated_at
+  BEFORE UPDATE ON message_threads
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_message_thread_participants_updated_at
+  BEFORE UPDATE ON message_thread_participants
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger: Keep the thread's last_message_at current for the thread list
+DROP FUNCTION IF EXISTS touch_message_thread() CASCADE;
+CREATE FUNCTION touch_message_thread()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE message_threads SET last_message_at = NEW.created_at WHERE id = NEW.thread_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_touch_message_thread
+  AFTER INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION touch_message_thread();
+
+-- Trigger: Record the sender's name with the message
+DROP FUNCTION IF EXISTS set_message_sender_name() CASCADE;
+CREATE FUNCTION set_message_sender_name()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.sender_name IS NULL AND NEW.sender_id IS NOT NULL THEN
+    SELECT display_name INTO NEW.sender_name FROM profiles WHERE id = NEW.sender_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_set_message_sender_name
+  BEFORE INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION set_message_sender_name();
+
+-- Trigger: Messages are a record; only the moderation columns may change
+DROP FUNCTION IF EXISTS protect_message_record() CASCADE;
+CREATE FUNCTION protect_message_record()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.body IS DISTINCT FROM OLD.body OR
+     NEW.thread_id IS DISTINCT FROM OLD.thread_id OR
+     NEW.organization_id IS DISTINCT FROM OLD.organization_id OR
+     NEW.created_at IS DISTINCT FROM OLD.created_at OR
+     NEW.sender_name IS DISTINCT FROM OLD.sender_name OR
+     (NEW.sender_id IS DISTINCT FROM OLD.sender_id AND NEW.sender_id IS NOT NULL) THEN
+    RAISE EXCEPTION 'Messages cannot be edited';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_protect_message_record
+  BEFORE UPDATE ON messages
+  FOR EACH ROW EXECUTE FUNCTION protect_message_record();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE message_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_thread_participants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Messaging: Admins can read every thread in their organization (for
+-- moderation); other users only the threads they take part in. Everything
+-- is written by the API with the service role key
+CREATE POLICY "message_threads_select_policy" ON message_threads
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND (
+    get_user_role() = 'admin' OR
+    is_message_thread_participant(id)
+  )
+);
+
+CREATE POLICY "message_thread_participants_select_policy" ON message_thread_participants
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND (
+    get_user_role() = 'admin' OR
+    is_message_thread_participant(thread_id)
+  )
+);
+
+CREATE POLICY "messages_select_policy" ON messages
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND (
+    get_user_role() = 'admin' OR (
+      hidden_at IS NULL AND
+      is_message_thread_participant(thread_id)
+    )
+  )
+);
+
+CREATE POLICY "message_attachments_select_policy" ON message_attachments
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND (
+    get_user_role() = 'admin' OR
+    is_message_thread_participant(thread_id)
+  )
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Messaging migration completed successfully!';
+    RAISE NOTICE 'message_threads, message_thread_participants, messages and message_attachments created; message push category added';
+END
+$$;
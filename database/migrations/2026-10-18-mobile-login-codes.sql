@@ -0,0 +1,126 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Mobile Login Codes
+-- =====================================================
+-- This migration moves the mobile app's one-time email login codes out
+-- of server memory so they survive restarts and work across serverless
+-- instances. Codes are stored only as keyed hashes with an expiry and
+-- an attempt counter, and every code request is logged so request-code
+-- can be throttled per email address and per IP address.
+-- =====================================================
+
+-- =====================================================
+-- LOGIN CODES
+-- =====================================================
+
+-- Mobile login codes table
+-- Purpose: The outstanding code for an email address. Requesting a new
+-- code replaces the previous one; consumed_at is set once it is used
+CREATE TABLE IF NOT EXISTS mobile_login_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    ip_address TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mobile_login_codes_email ON mobile_login_codes(email, created_at DESC);
+
+-- Mobile login requests table
+-- Purpose: One row per request-code call (kind 'login_code') or mobile
+-- sign-up (kind 'registration'), including for unknown email addresses,
+-- used for per-email and per-IP throttling
+CREATE TABLE IF NOT EXISTS mobile_login_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind TEXT NOT NULL DEFAULT 'login_code' CHECK (kind IN ('login_code', 'registration')),
+    email TEXT NOT NULL,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mobile_login_requests_email ON mobile_login_requests(kind, email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mobile_login_requests_ip ON mobile_login_requests(kind, ip_address, created_at DESC);
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Count a wrong guess against a code and return the new attempt count;
+-- done in one statement so concurrent guesses can't share an attempt
+CREATE OR REPLACE FUNCTION increment_mobile_login_code_attempts(code_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    new_attempts INTEGER;
+BEGIN
+    UPDATE mobile_login_codes
+    SET attempts = attempts + 1
+    WHERE id = code_id
+    RETURNING attempts INTO new_attempts;
+
+    RETURN new_attempts;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION increment_mobile_login_code_attempts(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_mobile_login_code_attempts(UUID) TO service_role;
+
+-- Record a code request or sign-up unless the email address or the IP
+-- address has already made max_per_email / max_per_ip of that kind since
+-- window_start. Returns whether it was recorded. Per-email and per-IP advisory locks (always taken in that order)
+-- serialize concurrent requests, so they can't all count before any inserts.
+CREATE OR REPLACE FUNCTION record_mobile_login_request(
+    request_kind TEXT,
+    request_email TEXT,
+    request_ip TEXT,
+    window_start TIMESTAMPTZ,
+    max_per_email INTEGER,
+    max_per_ip INTEGER
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext(request_kind || ':email:' || request_email));
+    IF request_ip IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtext(request_kind || ':ip:' || request_ip));
+    END IF;
+
+    INSERT INTO mobile_login_requests (kind, email, ip_address)
+    SELECT request_kind, request_email, request_ip
+    WHERE (
+        SELECT COUNT(*) FROM mobile_login_requests
+        WHERE kind = request_kind AND email = request_email AND created_at >= window_start
+    ) < max_per_email
+    AND (
+        request_ip IS NULL OR (
+            SELECT COUNT(*) FROM mobile_login_requests
+            WHERE kind = request_kind AND ip_address = request_ip AND created_at >= window_start
+        ) < max_per_ip
+    );
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION record_mobile_login_request(TEXT, TEXT, TEXT, TIMESTAMPTZ, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_mobile_login_request(TEXT, TEXT, TEXT, TIMESTAMPTZ, INTEGER, INTEGER) TO service_role;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+-- No policies: these tables are only read and written by the API with the
+-- service role key, never by signed-in users
+ALTER TABLE mobile_login_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mobile_login_requests ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Mobile login codes migration completed successfully!';
+    RAISE NOTICE 'mobile_login_codes and mobile_login_requests tables created; record_mobile_login_request() throttles code requests and sign-ups';
+END
+$$;
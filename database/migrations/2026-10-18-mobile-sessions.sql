@@ -0,0 +1,67 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Mobile Sessions
+-- =====================================================
+-- This migration adds server-side sessions for the mobile app. Signing
+-- in with an email code opens a session; the app holds a short-lived
+-- signed access token and a refresh token that is rotated on every use.
+-- Only a SHA-256 hash of the refresh token is stored. Revoking a session
+-- (user logout, or an admin signing out a lost phone) stops both its
+-- refresh token and any access tokens already issued for it.
+-- =====================================================
+
+-- =====================================================
+-- SESSIONS
+-- =====================================================
+
+-- Mobile sessions table
+-- Purpose: One row per signed-in device. previous_refresh_token_hash keeps
+-- the token that was just rotated out so a replayed (stolen) refresh token
+-- can be detected and the session revoked
+CREATE TABLE IF NOT EXISTS mobile_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    previous_refresh_token_hash TEXT,
+    device_name TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_by UUID REFERENCES profiles(id),
+    revoked_reason TEXT CHECK (revoked_reason IN ('logout', 'admin', 'refresh_token_reuse'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_mobile_sessions_user ON mobile_sessions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mobile_sessions_previous_hash ON mobile_sessions(previous_refresh_token_hash);
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE mobile_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Mobile Sessions: Users see their own devices, admins their organization's
+CREATE POLICY "mobile_sessions_select_policy" ON mobile_sessions
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (user_id = auth.uid() OR get_user_role() = 'admin')
+);
+
+-- Sessions are only written by the API with the service role: signing out
+-- goes through it so revocations are audited and push devices disabled, and
+-- a direct update could otherwise un-revoke a session or move its expiry
+DROP POLICY IF EXISTS "mobile_sessions_update_policy" ON mobile_sessions;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Mobile sessions migration completed successfully!';
+    RAISE NOTICE 'mobile_sessions table and select policy created';
+END
+$$;
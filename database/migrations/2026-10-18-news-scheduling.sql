@@ -0,0 +1,77 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - News Scheduling
+-- =====================================================
+-- This migration adds drafts, scheduled publishing and expiry to
+-- news_updates. published_at becomes the time an item goes live (it may
+-- be in the future), expires_at the time it drops off the feed, and
+-- drafts are never shown to sites. announced_at records when the
+-- publish notification was queued, so the backend's scheduler announces
+-- each item exactly once, when it actually goes live.
+-- =====================================================
+
+-- =====================================================
+-- NEWS UPDATES COLUMNS
+-- =====================================================
+
+ALTER TABLE news_updates
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published')),
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS announced_at TIMESTAMPTZ;
+
+-- Drafts may leave the go-live time open until they are published
+ALTER TABLE news_updates ALTER COLUMN published_at DROP NOT NULL;
+
+ALTER TABLE news_updates DROP CONSTRAINT IF EXISTS news_updates_publish_window_check;
+ALTER TABLE news_updates ADD CONSTRAINT news_updates_publish_window_check CHECK (
+  (status = 'draft' OR published_at IS NOT NULL) AND
+  (expires_at IS NULL OR published_at IS NULL OR expires_at > published_at)
+);
+
+-- Everything published before this migration has already been announced
+UPDATE news_updates SET announced_at = COALESCE(published_at, created_at) WHERE announced_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_news_updates_live
+  ON news_updates(clinical_trial_id, published_at DESC) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_news_updates_unannounced
+  ON news_updates(published_at) WHERE status = 'published' AND announced_at IS NULL;
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Whether a news item is visible on the feed right now
+CREATE OR REPLACE FUNCTION is_news_update_live(item_status TEXT, item_published_at TIMESTAMPTZ, item_expires_at TIMESTAMPTZ)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN item_status = 'published'
+       AND item_published_at <= NOW()
+       AND (item_expires_at IS NULL OR item_expires_at > NOW());
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+-- News Updates: Anyone can read live items; drafts, scheduled and expired
+-- items are only visible to the organization's admins and users who write news
+DROP POLICY IF EXISTS "news_updates_select_policy" ON news_updates;
+CREATE POLICY "news_updates_select_policy" ON news_updates
+FOR SELECT USING (
+  is_news_update_live(status, published_at, expires_at) OR
+  (
+    organization_id = get_user_organization_id() AND
+    get_user_role() IN ('admin', 'user')
+  )
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'News scheduling migration completed successfully!';
+    RAISE NOTICE 'news_updates now supports drafts, scheduled publishing and expiry';
+END
+$$;
@@ -0,0 +1,143 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Notifications
+-- =====================================================
+-- This migration adds the transactional email outbox and per-organization
+-- email branding. Every email is written to the outbox first and
+-- delivered from there, so failed deliveries are retried with backoff and
+-- each message's delivery status can be inspected. Messages are rendered
+-- from named templates at delivery time using the organization's branding.
+-- =====================================================
+
+-- =====================================================
+-- BRANDING
+-- =====================================================
+
+-- Notification branding table
+-- Purpose: How an organization's emails look and who they come from
+CREATE TABLE IF NOT EXISTS notification_branding (
+    organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+    sender_name TEXT,
+    reply_to TEXT,
+    logo_url TEXT,
+    primary_color TEXT CHECK (primary_color IS NULL OR primary_color ~ '^#[0-9A-Fa-f]{6}$'),
+    footer_text TEXT,
+    updated_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================
+-- OUTBOX
+-- =====================================================
+
+-- Notification outbox table
+-- Purpose: One row per email. payload holds the template data; for
+-- sensitive templates (login codes, invitation links) it is cleared once the message is
+-- delivered or given up on
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    template TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    recipient_user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    payload JSONB,
+    sensitive BOOLEAN NOT NULL DEFAULT false,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    provider_message_id TEXT,
+    sent_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+  ON notification_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_org
+  ON notification_outbox(organization_id, created_at DESC);
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Claim up to batch_size due messages for delivery. Rows are locked with
+-- SKIP LOCKED so several workers never send the same message twice; a
+-- message left 'sending' for ten minutes (worker crashed) is claimed again
+CREATE OR REPLACE FUNCTION claim_notification_outbox(batch_size INTEGER DEFAULT 20)
+RETURNS SETOF notification_outbox AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE notification_outbox o
+    SET status = 'sending',
+        attempts = o.attempts + 1,
+        updated_at = NOW()
+    WHERE o.id IN (
+        SELECT id FROM notification_outbox
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+        ORDER BY next_attempt_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING o.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the delivery worker (service role) may claim messages; it returns
+-- recipients and payloads, including login codes, of every organization
+REVOKE EXECUTE ON FUNCTION claim_notification_outbox(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_notification_outbox(INTEGER) TO service_role;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_notification_branding_updated_at
+  BEFORE UPDATE ON notification_branding
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_notification_outbox_updated_at
+  BEFORE UPDATE ON notification_outbox
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE notification_branding ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+
+-- Notification Branding: Everyone in the organization can read it, admins manage it
+CREATE POLICY "notification_branding_select_policy" ON notification_branding
+FOR SELECT USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "notification_branding_manage_policy" ON notification_branding
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Notification Outbox: Admins can see their organization's messages;
+-- messages are written and delivered by the API with the service role key
+CREATE POLICY "notification_outbox_select_policy" ON notification_outbox
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Notifications migration completed successfully!';
+    RAISE NOTICE 'notification_outbox and notification_branding tables created';
+END
+$$;
@@ -0,0 +1,165 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Permissions
+-- =====================================================
+-- This migration adds named roles and per-organization role permissions.
+-- Every profile gets a permission_role: sponsor_admin, monitor (CRA),
+-- site_pi, site_coordinator or auditor (read-only). The API decides what a
+-- role may do from a capability list (defaults in shared/permissions.js)
+-- that admins can replace per organization in role_permissions.
+--
+-- profiles.role stays the access level that RLS policies and trial
+-- scoping use (admin, user, doctor); it is now derived from the named
+-- role. Existing admins become sponsor admins, users monitors and doctors
+-- site coordinators.
+--
+-- Only the API (service role) and users with permissions.manage may change
+-- a profile's role; profiles_update_policy lets users edit their own
+-- profile, which would otherwise include making themselves sponsor admins.
+-- =====================================================
+
+-- =====================================================
+-- NAMED ROLES
+-- =====================================================
+
+-- Access level of a named role
+CREATE OR REPLACE FUNCTION permission_base_role(named_role TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE named_role
+    WHEN 'sponsor_admin' THEN 'admin'
+    WHEN 'monitor' THEN 'user'
+    WHEN 'auditor' THEN 'user'
+    WHEN 'site_pi' THEN 'doctor'
+    WHEN 'site_coordinator' THEN 'doctor'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Named role for an access level, for profiles written with role only
+CREATE OR REPLACE FUNCTION default_permission_role(base_role TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE base_role
+    WHEN 'admin' THEN 'sponsor_admin'
+    WHEN 'user' THEN 'monitor'
+    WHEN 'doctor' THEN 'site_coordinator'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS permission_role TEXT;
+
+UPDATE profiles
+SET permission_role = default_permission_role(role)
+WHERE permission_role IS NULL;
+
+ALTER TABLE profiles
+  ALTER COLUMN permission_role SET NOT NULL;
+
+ALTER TABLE profiles
+  DROP CONSTRAINT IF EXISTS profiles_permission_role_check;
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_permission_role_check
+  CHECK (permission_role IN ('sponsor_admin', 'monitor', 'site_pi', 'site_coordinator', 'auditor'));
+
+CREATE INDEX IF NOT EXISTS idx_profiles_permission_role ON profiles(organization_id, permission_role);
+
+-- Trigger: Keep profiles.role in step with the named role. Writers that
+-- only set role (the invite helper, older clients) get the default named
+-- role for that level, unless the current one already has it.
+-- Signed-in users (through PostgREST) may only change a role, or create a
+-- sponsor admin, with permissions.manage; the service role and direct
+-- database connections aren't limited
+DROP FUNCTION IF EXISTS sync_profile_roles() CASCADE;
+CREATE FUNCTION sync_profile_roles()
+RETURNS TRIGGER AS $$
+DECLARE
+  restricted BOOLEAN := COALESCE(auth.role(), '') IN ('authenticated', 'anon')
+    AND NOT user_can_manage_permissions();
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.permission_role IS NULL THEN
+      NEW.permission_role := default_permission_role(NEW.role);
+    END IF;
+  ELSIF NEW.permission_role IS NOT DISTINCT FROM OLD.permission_role
+    AND NEW.role IS DISTINCT FROM OLD.role
+    AND permission_base_role(NEW.permission_role) IS DISTINCT FROM NEW.role THEN
+    NEW.permission_role := default_permission_role(NEW.role);
+  END IF;
+
+  NEW.role := permission_base_role(NEW.permission_role);
+
+  IF restricted AND (
+    (TG_OP = 'INSERT' AND NEW.permission_role = 'sponsor_admin') OR
+    (TG_OP = 'UPDATE' AND (NEW.permission_role IS DISTINCT FROM OLD.permission_role
+      OR NEW.role IS DISTINCT FROM OLD.role))
+  ) THEN
+    RAISE EXCEPTION 'Changing a role requires permissions.manage'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_sync_profile_roles
+  BEFORE INSERT OR UPDATE OF role, permission_role ON profiles
+  FOR EACH ROW EXECUTE FUNCTION sync_profile_roles();
+
+-- =====================================================
+-- ROLE PERMISSIONS
+-- =====================================================
+
+-- Role permissions table
+-- Purpose: An organization's capability list for a named role, replacing
+-- the API's default for that role. Capability names are checked by the API
+CREATE TABLE IF NOT EXISTS role_permissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('sponsor_admin', 'monitor', 'site_pi', 'site_coordinator', 'auditor')),
+    capabilities TEXT[] NOT NULL DEFAULT '{}',
+    updated_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(organization_id, role)
+);
+
+CREATE TRIGGER trigger_update_role_permissions_updated_at
+  BEFORE UPDATE ON role_permissions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Whether the signed-in user has permissions.manage: their organization's
+-- capability list for their named role, else the default (only sponsor
+-- admins have it; see shared/permissions.js)
+CREATE OR REPLACE FUNCTION user_can_manage_permissions()
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE((
+    SELECT CASE
+      WHEN rp.id IS NOT NULL THEN 'permissions.manage' = ANY(rp.capabilities)
+      ELSE p.permission_role = 'sponsor_admin'
+    END
+    FROM profiles p
+    LEFT JOIN role_permissions rp
+      ON rp.organization_id = p.organization_id AND rp.role = p.permission_role
+    WHERE p.id = auth.uid()
+  ), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- Role Permissions: Everyone in the organization can read them; the API
+-- (service role) writes them for admins with permissions.manage
+CREATE POLICY "role_permissions_select_policy" ON role_permissions
+FOR SELECT USING (organization_id = get_user_organization_id());
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Permissions migration completed successfully!';
+    RAISE NOTICE 'profiles.permission_role added and backfilled; role_permissions created';
+END
+$$;
@@ -0,0 +1,225 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Study Protocol Versions
+-- =====================================================
+-- This migration replaces the free-text study_protocols.version with a
+-- real amendment history: every uploaded file becomes an immutable
+-- version linked to the one it amends, with an amendment note and an
+-- effective date, and study_protocols.current_version_id points at the
+-- latest one. Protocols with versions are never deleted, only deactivated
+-- (is_active = false), so their history survives. get_protocol_version_in_force() answers which version a
+-- site was working from on any given date.
+-- =====================================================
+
+-- =====================================================
+-- STUDY PROTOCOL VERSIONS TABLE
+-- =====================================================
+
+-- Study protocol versions table
+-- Purpose: One row per uploaded revision of a protocol. Older files stay in
+-- the study-protocols bucket under their own storage_path.
+CREATE TABLE IF NOT EXISTS study_protocol_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    study_protocol_id UUID NOT NULL REFERENCES study_protocols(id) ON DELETE RESTRICT,
+    version_number INTEGER NOT NULL CHECK (version_number > 0),
+    version_label TEXT,
+    previous_version_id UUID REFERENCES study_protocol_versions(id),
+    type TEXT NOT NULL CHECK (type IN ('text', 'pdf')),
+    content TEXT, -- Text protocols only; PDFs live at storage_path
+    storage_path TEXT,
+    file_name TEXT,
+    file_size BIGINT,
+    mime_type TEXT,
+    amendment_note TEXT,
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(study_protocol_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_study_protocol_versions_protocol_effective
+  ON study_protocol_versions(study_protocol_id, effective_date DESC, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_study_protocol_versions_organization_id
+  ON study_protocol_versions(organization_id);
+
+-- Databases that ran an earlier copy of this migration cascaded protocol
+-- deletes into their versions
+ALTER TABLE study_protocol_versions
+  DROP CONSTRAINT IF EXISTS study_protocol_versions_study_protocol_id_fkey,
+  ADD CONSTRAINT study_protocol_versions_study_protocol_id_fkey
+    FOREIGN KEY (study_protocol_id) REFERENCES study_protocols(id) ON DELETE RESTRICT;
+
+-- Current version pointer on the protocol itself
+ALTER TABLE study_protocols
+  ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES study_protocol_versions(id);
+
+-- =====================================================
+-- IMMUTABILITY
+-- =====================================================
+
+-- Trigger: Reject edits to recorded versions
+-- Purpose: Versions can't be updated or deleted, and the RESTRICT foreign key
+-- keeps their protocol from being deleted underneath them
+DROP FUNCTION IF EXISTS prevent_protocol_version_changes() CASCADE;
+CREATE FUNCTION prevent_protocol_version_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'study_protocol_versions are immutable; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_protocol_version_changes
+  BEFORE UPDATE OR DELETE ON study_protocol_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_protocol_version_changes();
+
+-- =====================================================
+-- VERSION CREATION
+-- =====================================================
+
+-- Function: Record a new version of a study protocol
+-- Purpose: Locks the protocol, links the new version to the current one,
+-- moves the current pointer and mirrors the file onto study_protocols so
+-- existing readers keep seeing the latest document. Effective dates may
+-- not go backwards, so exactly one version is in force on any date.
+DROP FUNCTION IF EXISTS add_study_protocol_version(UUID, TEXT, TEXT, TEXT, BIGINT, TEXT, TEXT, TEXT, DATE, UUID);
+CREATE FUNCTION add_study_protocol_version(
+  protocol_id UUID,
+  new_storage_path TEXT,
+  new_file_name TEXT,
+  new_mime_type TEXT,
+  new_file_size BIGINT,
+  new_content TEXT,
+  new_version_label TEXT,
+  new_amendment_note TEXT,
+  new_effective_date DATE,
+  author_id UUID
+)
+RETURNS study_protocol_versions AS $$
+DECLARE
+  protocol study_protocols%ROWTYPE;
+  previous study_protocol_versions%ROWTYPE;
+  created study_protocol_versions%ROWTYPE;
+BEGIN
+  SELECT * INTO protocol FROM study_protocols WHERE id = protocol_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Study protocol % not found', protocol_id;
+  END IF;
+
+  SELECT * INTO previous FROM study_protocol_versions
+  WHERE study_protocol_id = protocol_id
+  ORDER BY version_number DESC
+  LIMIT 1;
+
+  IF previous.id IS NOT NULL AND COALESCE(new_effective_date, CURRENT_DATE) < previous.effective_date THEN
+    RAISE EXCEPTION 'Effective date % is earlier than version % (effective %)',
+      COALESCE(new_effective_date, CURRENT_DATE), previous.version_number, previous.effective_date;
+  END IF;
+
+  INSERT INTO study_protocol_versions (
+    organization_id, study_protocol_id, version_number,
+    version_label, previous_version_id, type, content, storage_path,
+    file_name, file_size, mime_type, amendment_note, effective_date, created_by
+  ) VALUES (
+    protocol.organization_id, protocol_id,
+    COALESCE(previous.version_number, 0) + 1,
+    COALESCE(new_version_label, (COALESCE(previous.version_number, 0) + 1)::TEXT || '.0'),
+    previous.id,
+    CASE WHEN new_storage_path IS NULL THEN 'text' ELSE 'pdf' END,
+    CASE WHEN new_storage_path IS NULL THEN new_content END,
+    new_storage_path, new_file_name, new_file_size, new_mime_type,
+    new_amendment_note, COALESCE(new_effective_date, CURRENT_DATE), author_id
+  )
+  RETURNING * INTO created;
+
+  UPDATE study_protocols SET
+    current_version_id = created.id,
+    version = created.version_label,
+    type = created.type,
+    content = created.content,
+    storage_path = created.storage_path
+  WHERE id = protocol_id;
+
+  RETURN created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: Version of a protocol in force on a given date
+-- Purpose: The latest version whose effective date is on or before on_date;
+-- NULL when the protocol had no effective version yet
+DROP FUNCTION IF EXISTS get_protocol_version_in_force(UUID, DATE);
+CREATE FUNCTION get_protocol_version_in_force(protocol_id UUID, on_date DATE DEFAULT CURRENT_DATE)
+RETURNS study_protocol_versions AS $$
+  SELECT * FROM study_protocol_versions
+  WHERE study_protocol_id = protocol_id
+    AND effective_date <= on_date
+  ORDER BY effective_date DESC, version_number DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- BACKFILL
+-- =====================================================
+
+-- Every existing protocol becomes version 1, effective from the day it was created
+INSERT INTO study_protocol_versions (
+  organization_id, study_protocol_id, version_number,
+  version_label, type, content, storage_path, file_name, amendment_note,
+  effective_date, created_by, created_at
+)
+SELECT
+  p.organization_id, p.id, 1,
+  COALESCE(p.version, '1.0'), p.type, p.content, p.storage_path,
+  regexp_replace(p.storage_path, '^[0-9]+_', ''),
+  'Initial version',
+  COALESCE(p.upload_date, p.created_at, NOW())::DATE,
+  p.created_by, COALESCE(p.upload_date, p.created_at, NOW())
+FROM study_protocols p
+WHERE NOT EXISTS (
+  SELECT 1 FROM study_protocol_versions v WHERE v.study_protocol_id = p.id
+);
+
+UPDATE study_protocols p
+SET current_version_id = v.id
+FROM study_protocol_versions v
+WHERE v.study_protocol_id = p.id
+  AND v.version_number = 1
+  AND p.current_version_id IS NULL;
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE study_protocol_versions ENABLE ROW LEVEL SECURITY;
+
+-- Study Protocol Versions: Same visibility as the protocol itself
+-- (the protocol's trial can change, so access follows the parent row)
+CREATE POLICY "study_protocol_versions_select_policy" ON study_protocol_versions
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  EXISTS (
+    SELECT 1 FROM study_protocols p
+    WHERE p.id = study_protocol_versions.study_protocol_id
+  )
+);
+
+-- Study Protocol Versions: Admin/User can add versions to protocols they can update
+CREATE POLICY "study_protocol_versions_insert_policy" ON study_protocol_versions
+FOR INSERT WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user') AND
+  EXISTS (
+    SELECT 1 FROM study_protocols p
+    WHERE p.id = study_protocol_versions.study_protocol_id
+  )
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Study protocol versions migration completed successfully!';
+    RAISE NOTICE 'New files are added with add_study_protocol_version(); versions are immutable';
+END
+$$;
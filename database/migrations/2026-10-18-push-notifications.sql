@@ -0,0 +1,200 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Push Notifications
+-- =====================================================
+-- This migration adds push notifications to the mobile app. Devices
+-- register their push token, users choose per trial and per category
+-- (news, protocol) whether they want pushes, and published news and
+-- protocol changes go into a dispatch queue that a worker fans out to
+-- the devices of everyone assigned to the affected trial.
+-- =====================================================
+
+-- =====================================================
+-- DEVICES AND PREFERENCES
+-- =====================================================
+
+-- Push devices table
+-- Purpose: A push token for one of a user's devices. Tokens are disabled
+-- when the device signs out or the provider reports them invalid
+CREATE TABLE IF NOT EXISTS push_devices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    platform TEXT NOT NULL CHECK (platform IN ('ios', 'android', 'web')),
+    mobile_session_id UUID REFERENCES mobile_sessions(id) ON DELETE SET NULL,
+    app_version TEXT,
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    disabled_at TIMESTAMPTZ,
+    disabled_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_devices_user ON push_devices(user_id) WHERE disabled_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_push_devices_session ON push_devices(mobile_session_id);
+
+-- Notification preferences table
+-- Purpose: Whether a user wants pushes for a category. clinical_trial_id
+-- NULL is the user's default for every trial; a trial row overrides it.
+-- Without any row pushes are on
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    category TEXT NOT NULL CHECK (category IN ('news', 'protocol')),
+    push_enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_preferences_unique
+  ON notification_preferences(user_id, COALESCE(clinical_trial_id, '00000000-0000-0000-0000-000000000000'::uuid), category);
+
+-- =====================================================
+-- DISPATCH QUEUE
+-- =====================================================
+
+-- Push notifications table
+-- Purpose: One row per event to announce (a news item, a protocol change),
+-- fanned out by the worker to every eligible device
+CREATE TABLE IF NOT EXISTS push_notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID NOT NULL REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    category TEXT NOT NULL CHECK (category IN ('news', 'protocol')),
+    title TEXT NOT NULL,
+    body TEXT,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    recipient_count INTEGER,
+    device_count INTEGER,
+    sent_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_notifications_due
+  ON push_notifications(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_push_notifications_trial
+  ON push_notifications(clinical_trial_id, created_at DESC);
+
+-- Push deliveries table
+-- Purpose: The outcome for each device a push was sent to
+CREATE TABLE IF NOT EXISTS push_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    push_notification_id UUID NOT NULL REFERENCES push_notifications(id) ON DELETE CASCADE,
+    device_id UUID NOT NULL REFERENCES push_devices(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'invalid_token')),
+    provider_message_id TEXT,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_deliveries_push ON push_deliveries(push_notification_id);
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Claim up to batch_size due pushes for fan-out; same locking and
+-- crashed-worker recovery as claim_notification_outbox
+CREATE OR REPLACE FUNCTION claim_push_notifications(batch_size INTEGER DEFAULT 20)
+RETURNS SETOF push_notifications AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE push_notifications p
+    SET status = 'sending',
+        attempts = p.attempts + 1,
+        updated_at = NOW()
+    WHERE p.id IN (
+        SELECT id FROM push_notifications
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+        ORDER BY next_attempt_at
+        LIMIT batch_size
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING p.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION claim_push_notifications(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_push_notifications(INTEGER) TO service_role;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_push_devices_updated_at
+  BEFORE UPDATE ON push_devices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_notification_preferences_updated_at
+  BEFORE UPDATE ON notification_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_push_notifications_updated_at
+  BEFORE UPDATE ON push_notifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_validate_push_notifications_org
+  BEFORE INSERT OR UPDATE ON push_notifications
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE push_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Push Devices and Preferences: Users manage their own
+CREATE POLICY "push_devices_select_policy" ON push_devices
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (user_id = auth.uid() OR get_user_role() = 'admin')
+);
+
+CREATE POLICY "push_devices_manage_policy" ON push_devices
+FOR ALL USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid() AND organization_id = get_user_organization_id());
+
+CREATE POLICY "notification_preferences_select_policy" ON notification_preferences
+FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "notification_preferences_manage_policy" ON notification_preferences
+FOR ALL USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid() AND organization_id = get_user_organization_id());
+
+-- Push Notifications and Deliveries: Admins can see their organization's;
+-- the queue is written and processed by the API with the service role key
+CREATE POLICY "push_notifications_select_policy" ON push_notifications
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+CREATE POLICY "push_deliveries_select_policy" ON push_deliveries
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM push_notifications p WHERE p.id = push_deliveries.push_notification_id)
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Push notifications migration completed successfully!';
+    RAISE NOTICE 'push_devices, notification_preferences, push_notifications and push_deliveries created';
+END
+$$;
@@ -0,0 +1,62 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Realtime
+-- =====================================================
+-- This migration publishes changes to hospitals, enrollments,
+-- news_updates, study_protocols and registration_requests through
+-- Supabase Realtime. The API listens to them with the service role and
+-- relays them to dashboard and mobile clients over /api/events, filtered
+-- by organization, trial and role, so leaderboards, news feeds and the
+-- registration queue update without a reload.
+-- =====================================================
+
+-- =====================================================
+-- REPLICA IDENTITY
+-- =====================================================
+
+-- Realtime only sends the primary key of deleted (and previous) rows by
+-- default; the API needs organization_id and clinical_trial_id to route
+-- deletes, and the previous news status to tell sites about news that
+-- stops being live
+ALTER TABLE hospitals REPLICA IDENTITY FULL;
+ALTER TABLE enrollments REPLICA IDENTITY FULL;
+ALTER TABLE news_updates REPLICA IDENTITY FULL;
+ALTER TABLE study_protocols REPLICA IDENTITY FULL;
+ALTER TABLE registration_requests REPLICA IDENTITY FULL;
+
+-- =====================================================
+-- PUBLICATION
+-- =====================================================
+
+-- supabase_realtime exists on Supabase projects; elsewhere this is skipped
+DO $$
+DECLARE
+    realtime_table TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        RAISE NOTICE 'Publication supabase_realtime not found; skipping realtime tables';
+        RETURN;
+    END IF;
+
+    FOREACH realtime_table IN ARRAY ARRAY['hospitals', 'enrollments', 'news_updates', 'study_protocols', 'registration_requests'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+              AND schemaname = 'public'
+              AND tablename = realtime_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', realtime_table);
+        END IF;
+    END LOOP;
+END
+$$;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Realtime migration completed successfully!';
+    RAISE NOTICE 'hospitals, enrollments, news_updates, study_protocols and registration_requests published to supabase_realtime';
+END
+$$;
@@ -0,0 +1,103 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Registration Requests
+-- =====================================================
+-- This migration persists self-service registrations from the mobile
+-- app as an approval queue. Each request records the site, role and
+-- clinical trial the applicant asked for; an admin approves it (which
+-- creates the auth user, profile and trial assignment) or rejects it
+-- with a reason. Profiles gain the email and status columns the mobile
+-- login flow looks users up by.
+-- =====================================================
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved'
+  CHECK (status IN ('pending', 'approved', 'disabled'));
+
+UPDATE profiles p
+SET email = lower(u.email)
+FROM auth.users u
+WHERE u.id = p.id AND p.email IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_email ON profiles(email);
+
+-- =====================================================
+-- REGISTRATION REQUESTS
+-- =====================================================
+
+-- Registration requests table
+-- Purpose: A mobile app sign-up waiting for (or decided by) an admin.
+-- hospital_id is set when the applicant picked a known site, site_name
+-- holds what they typed; requested_role is free text from the app
+CREATE TABLE IF NOT EXISTS registration_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    email TEXT NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    site_name TEXT,
+    hospital_id UUID REFERENCES hospitals(id) ON DELETE SET NULL,
+    requested_role TEXT NOT NULL,
+    clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by UUID REFERENCES profiles(id),
+    reviewed_at TIMESTAMPTZ,
+    profile_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (status <> 'rejected' OR rejection_reason IS NOT NULL)
+);
+
+-- One open request per email address per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_registration_requests_pending_email
+  ON registration_requests(organization_id, lower(email)) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_registration_requests_org_status
+  ON registration_requests(organization_id, status, created_at DESC);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_registration_requests_updated_at
+  BEFORE UPDATE ON registration_requests
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_validate_registration_requests_org
+  BEFORE INSERT OR UPDATE ON registration_requests
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE registration_requests ENABLE ROW LEVEL SECURITY;
+
+-- Registration Requests: Only admins review their organization's queue;
+-- applicants submit through the API with the service role key
+CREATE POLICY "registration_requests_select_policy" ON registration_requests
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+CREATE POLICY "registration_requests_update_policy" ON registration_requests
+FOR UPDATE USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Registration requests migration completed successfully!';
+    RAISE NOTICE 'registration_requests table created, profiles.email and profiles.status added';
+END
+$$;
@@ -0,0 +1,131 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Rich News
+-- =====================================================
+-- This migration turns news updates into rich posts: a Markdown body,
+-- a hero image, any number of attachments, an organization-defined
+-- category plus free tags, and pinning to the top of a trial's feed.
+-- Images and attachments live in the news-assets storage bucket under
+-- <organization_id>/news/<news_update_id>/.
+-- =====================================================
+
+-- =====================================================
+-- CATEGORIES
+-- =====================================================
+
+-- News categories table
+-- Purpose: The organization's list of news categories (e.g. Enrollment,
+-- Safety, Site Operations)
+CREATE TABLE IF NOT EXISTS news_categories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    color TEXT CHECK (color IS NULL OR color ~ '^#[0-9A-Fa-f]{6}$'),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_news_categories_name
+  ON news_categories(organization_id, lower(name));
+
+-- =====================================================
+-- NEWS UPDATES COLUMNS
+-- =====================================================
+
+ALTER TABLE news_updates
+  ADD COLUMN IF NOT EXISTS body_format TEXT NOT NULL DEFAULT 'plain' CHECK (body_format IN ('plain', 'markdown')),
+  ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES news_categories(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS hero_image_path TEXT,
+  ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES profiles(id);
+
+CREATE INDEX IF NOT EXISTS idx_news_updates_pinned
+  ON news_updates(clinical_trial_id, pinned_at DESC) WHERE pinned_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_news_updates_tags ON news_updates USING GIN (tags);
+
+-- =====================================================
+-- ATTACHMENTS
+-- =====================================================
+
+-- News attachments table
+-- Purpose: Files attached to a news post, in display order
+CREATE TABLE IF NOT EXISTS news_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    news_update_id UUID NOT NULL REFERENCES news_updates(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    storage_bucket TEXT NOT NULL DEFAULT 'news-assets',
+    storage_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    file_size BIGINT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_news_attachments_news ON news_attachments(news_update_id, position);
+
+-- news-assets is private: hero images are served as signed URLs and
+-- attachments through the logged download endpoints. A bucket created
+-- public before this migration is made private.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('news-assets', 'news-assets', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_news_categories_updated_at
+  BEFORE UPDATE ON news_categories
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE news_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE news_attachments ENABLE ROW LEVEL SECURITY;
+
+-- News Categories: Everyone in the organization can read them, admins manage them
+CREATE POLICY "news_categories_select_policy" ON news_categories
+FOR SELECT USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "news_categories_manage_policy" ON news_categories
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- News Attachments: Visible whenever the news item is (news_updates RLS applies)
+CREATE POLICY "news_attachments_select_policy" ON news_attachments
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM news_updates n WHERE n.id = news_attachments.news_update_id)
+);
+
+-- News Attachments: Admin/User can manage attachments in their organization
+CREATE POLICY "news_attachments_manage_policy" ON news_attachments
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user')
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user')
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rich news migration completed successfully!';
+    RAISE NOTICE 'news_categories and news_attachments created; news_updates gains body_format, category, tags, hero image and pinning';
+    RAISE NOTICE 'Private news-assets storage bucket created';
+END
+$$;
@@ -0,0 +1,190 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Search
+-- =====================================================
+-- This migration adds weighted full-text search vectors to news_updates,
+-- study_protocols and training_materials, and the functions behind the
+-- API's /api/search: ranked matches across the three, including the
+-- text extracted from their PDFs (file_previews), with highlighted
+-- snippets and per-type counts. The API passes the caller's accessible
+-- trials; the functions never widen them.
+-- =====================================================
+
+-- =====================================================
+-- SEARCH VECTORS
+-- =====================================================
+
+ALTER TABLE news_updates
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(body, '')), 'B')
+  ) STORED;
+
+-- PDF protocols keep their storage path in content, so only text protocols
+-- contribute it; PDF text comes from file_previews
+ALTER TABLE study_protocols
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+    setweight(to_tsvector('english', CASE WHEN type = 'text' THEN COALESCE(content, '') ELSE '' END), 'C')
+  ) STORED;
+
+ALTER TABLE training_materials
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_news_updates_search ON news_updates USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_study_protocols_search ON study_protocols USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_training_materials_search ON training_materials USING GIN (search_vector);
+
+-- =====================================================
+-- FUNCTIONS
+-- =====================================================
+
+-- Every record in trial_ids matching search_query (web search syntax:
+-- quoted phrases, OR, -word). Extracted PDF text ranks below the record's
+-- own fields; document_match is set when only the PDF text matched.
+-- Sites (include_unpublished = false) only match live news
+CREATE OR REPLACE FUNCTION search_trial_content_matches(
+    search_query TEXT,
+    trial_ids UUID[],
+    include_unpublished BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+    result_type TEXT,
+    id UUID,
+    clinical_trial_id UUID,
+    title TEXT,
+    body TEXT,
+    document_text TEXT,
+    document_match BOOLEAN,
+    rank REAL,
+    updated_at TIMESTAMPTZ
+) AS $$
+    WITH q AS (
+        SELECT websearch_to_tsquery('english', search_query) AS query
+    )
+    SELECT 'news', n.id, n.clinical_trial_id, n.title, n.body, NULL::TEXT, false,
+           ts_rank(n.search_vector, q.query), n.updated_at
+    FROM news_updates n, q
+    WHERE n.clinical_trial_id = ANY(trial_ids)
+      AND n.search_vector @@ q.query
+      AND (include_unpublished OR (
+        n.status = 'published' AND
+        n.published_at <= NOW() AND
+        (n.expires_at IS NULL OR n.expires_at > NOW())
+      ))
+
+    UNION ALL
+
+    SELECT 'study_protocol', p.id, p.clinical_trial_id, p.title,
+           CASE WHEN p.type = 'text' THEN p.content ELSE p.description END,
+           fp.text_content,
+           NOT (p.search_vector @@ q.query),
+           ts_rank(p.search_vector || setweight(COALESCE(fp.search_vector, ''::TSVECTOR), 'D'), q.query),
+           p.updated_at
+    FROM study_protocols p
+    CROSS JOIN q
+    LEFT JOIN file_previews fp
+      ON fp.file_type = 'study_protocol_version'
+     AND fp.file_id = p.current_version_id
+     AND fp.status = 'ready'
+    WHERE p.clinical_trial_id = ANY(trial_ids)
+      AND COALESCE(p.is_active, true)
+      AND (p.search_vector @@ q.query OR fp.search_vector @@ q.query)
+
+    UNION ALL
+
+    SELECT 'training_material', t.id, t.clinical_trial_id, t.title, t.description,
+           fp.text_content,
+           NOT (t.search_vector @@ q.query),
+           ts_rank(t.search_vector || setweight(COALESCE(fp.search_vector, ''::TSVECTOR), 'D'), q.query),
+           t.updated_at
+    FROM training_materials t
+    CROSS JOIN q
+    LEFT JOIN file_previews fp
+      ON fp.file_type = 'training_material'
+     AND fp.file_id = t.id
+     AND fp.status = 'ready'
+    WHERE t.clinical_trial_id = ANY(trial_ids)
+      AND (t.search_vector @@ q.query OR fp.search_vector @@ q.query);
+$$ LANGUAGE sql STABLE;
+
+-- One page of matches, best first, with the title and a snippet
+-- highlighted. Matched terms are wrapped in U+E000 ... U+E001 so the API
+-- can escape the text before turning the markers into <mark> tags. The
+-- snippet comes from the PDF text when only the PDF matched
+CREATE OR REPLACE FUNCTION search_trial_content(
+    search_query TEXT,
+    trial_ids UUID[],
+    include_unpublished BOOLEAN DEFAULT false,
+    result_types TEXT[] DEFAULT NULL,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    result_type TEXT,
+    id UUID,
+    clinical_trial_id UUID,
+    title TEXT,
+    title_highlight TEXT,
+    snippet TEXT,
+    document_match BOOLEAN,
+    rank REAL,
+    updated_at TIMESTAMPTZ
+) AS $$
+    WITH q AS (
+        SELECT websearch_to_tsquery('english', search_query) AS query,
+               'StartSel=' || chr(57344) || ', StopSel=' || chr(57345) AS markers
+    ),
+    page AS (
+        SELECT m.*
+        FROM search_trial_content_matches(search_query, trial_ids, include_unpublished) m
+        WHERE result_types IS NULL OR m.result_type = ANY(result_types)
+        ORDER BY m.rank DESC, m.updated_at DESC, m.id
+        LIMIT result_limit OFFSET result_offset
+    )
+    SELECT page.result_type, page.id, page.clinical_trial_id, page.title,
+           ts_headline('english', page.title, q.query, q.markers || ', HighlightAll=true'),
+           ts_headline(
+             'english',
+             LEFT(CASE WHEN page.document_match THEN page.document_text ELSE COALESCE(page.body, '') END, 200000),
+             q.query,
+             q.markers || ', MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" … "'
+           ),
+           page.document_match, page.rank, page.updated_at
+    FROM page, q
+    ORDER BY page.rank DESC, page.updated_at DESC, page.id;
+$$ LANGUAGE sql STABLE;
+
+-- Number of matches per result type, for the search facets
+CREATE OR REPLACE FUNCTION search_trial_content_facets(
+    search_query TEXT,
+    trial_ids UUID[],
+    include_unpublished BOOLEAN DEFAULT false
+)
+RETURNS TABLE (result_type TEXT, match_count BIGINT) AS $$
+    SELECT m.result_type, COUNT(*)
+    FROM search_trial_content_matches(search_query, trial_ids, include_unpublished) m
+    GROUP BY m.result_type;
+$$ LANGUAGE sql STABLE;
+
+-- The trial list is trusted, so only the API (service role) may call these
+REVOKE EXECUTE ON FUNCTION search_trial_content_matches(TEXT, UUID[], BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_trial_content(TEXT, UUID[], BOOLEAN, TEXT[], INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_trial_content_facets(TEXT, UUID[], BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_trial_content_matches(TEXT, UUID[], BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION search_trial_content(TEXT, UUID[], BOOLEAN, TEXT[], INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION search_trial_content_facets(TEXT, UUID[], BOOLEAN) TO service_role;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Search migration completed successfully!';
+    RAISE NOTICE 'search_vector added to news_updates, study_protocols and training_materials; search_trial_content functions created';
+END
+$$;
@@ -0,0 +1,91 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Site Scoping
+-- =====================================================
+-- This migration scopes site staff (role doctor: site PIs and
+-- coordinators) to the hospitals they work at (profile_hospitals).
+-- They only see enrollments at their own sites, and leaving a site takes
+-- them out of its group message threads. Admins and users (sponsor roles)
+-- keep seeing every site of the trials they can access.
+-- =====================================================
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Whether the current user works at a hospital. SECURITY DEFINER like the
+-- other RLS helpers
+CREATE OR REPLACE FUNCTION works_at_hospital(check_hospital_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM profile_hospitals
+        WHERE profile_id = auth.uid() AND hospital_id = check_hospital_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- SITE THREADS
+-- =====================================================
+
+-- Trigger: Site staff who leave a hospital leave its site threads too; the
+-- API adds them back if they return
+DROP FUNCTION IF EXISTS leave_site_threads() CASCADE;
+CREATE FUNCTION leave_site_threads()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM message_thread_participants p
+  USING message_threads t, profiles pr
+  WHERE p.thread_id = t.id
+    AND t.kind = 'site'
+    AND t.hospital_id = OLD.hospital_id
+    AND p.user_id = OLD.profile_id
+    AND pr.id = OLD.profile_id
+    AND pr.role = 'doctor';
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_leave_site_threads
+  AFTER DELETE ON profile_hospitals
+  FOR EACH ROW EXECUTE FUNCTION leave_site_threads();
+
+-- Site staff already gone from a site before this migration
+DELETE FROM message_thread_participants p
+USING message_threads t, profiles pr
+WHERE p.thread_id = t.id
+  AND t.kind = 'site'
+  AND pr.id = p.user_id
+  AND pr.role = 'doctor'
+  AND NOT EXISTS (
+    SELECT 1 FROM profile_hospitals ph
+    WHERE ph.profile_id = p.user_id AND ph.hospital_id = t.hospital_id
+  );
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+-- Enrollments: Admins see the whole organization, users their assigned
+-- trials, doctors their assigned trials at the hospitals they work at
+DROP POLICY IF EXISTS "enrollments_select_policy" ON enrollments;
+CREATE POLICY "enrollments_select_policy" ON enrollments
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    get_user_role() = 'admin' OR
+    (
+      is_user_assigned_to_trial(clinical_trial_id) AND
+      (get_user_role() <> 'doctor' OR works_at_hospital(hospital_id))
+    )
+  )
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Site scoping migration completed successfully!';
+    RAISE NOTICE 'Site staff now only see enrollments and site threads of their own hospitals';
+END
+$$;
@@ -0,0 +1,274 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Training Courses
+-- =====================================================
+-- This migration groups training materials into ordered courses per
+-- clinical trial with a multiple-choice quiz and passing score, tracks
+-- each user's progress and quiz attempts, issues completion
+-- certificates, and links profiles to the hospitals they work at so
+-- training can be reported per site.
+-- =====================================================
+
+-- =====================================================
+-- SITE STAFF
+-- =====================================================
+
+-- Profile hospitals table
+-- Purpose: Which hospitals (sites) a user works at; a user may cover several
+CREATE TABLE IF NOT EXISTS profile_hospitals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    profile_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    hospital_id UUID NOT NULL REFERENCES hospitals(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(profile_id, hospital_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_hospitals_hospital_id ON profile_hospitals(hospital_id);
+
+-- =====================================================
+-- COURSES
+-- =====================================================
+
+-- Training courses table
+-- Purpose: An ordered set of training materials for one clinical trial;
+-- passing_score is the quiz percentage needed to complete the course
+CREATE TABLE IF NOT EXISTS training_courses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID NOT NULL REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    passing_score INTEGER NOT NULL DEFAULT 80 CHECK (passing_score BETWEEN 0 AND 100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_courses_trial ON training_courses(clinical_trial_id);
+
+-- Training course items table
+-- Purpose: The materials in a course, in the order they should be taken
+CREATE TABLE IF NOT EXISTS training_course_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    course_id UUID NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+    training_material_id UUID NOT NULL REFERENCES training_materials(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    UNIQUE(course_id, training_material_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_course_items_course ON training_course_items(course_id, position);
+
+-- Training quiz questions table
+-- Purpose: Multiple-choice questions for a course's quiz; options is a JSON
+-- array of answer strings and correct_option the index of the right one
+CREATE TABLE IF NOT EXISTS training_quiz_questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    course_id UUID NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    question TEXT NOT NULL,
+    options JSONB NOT NULL CHECK (jsonb_typeof(options) = 'array' AND jsonb_array_length(options) >= 2),
+    correct_option INTEGER NOT NULL CHECK (correct_option >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_quiz_questions_course ON training_quiz_questions(course_id, position);
+
+-- =====================================================
+-- PROGRESS, ATTEMPTS AND CERTIFICATES
+-- =====================================================
+
+-- Training progress table
+-- Purpose: One row per material a user has completed within a course
+CREATE TABLE IF NOT EXISTS training_progress (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    course_id UUID NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+    training_material_id UUID NOT NULL REFERENCES training_materials(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(user_id, course_id, training_material_id)
+);
+
+-- Training quiz attempts table
+-- Purpose: Every quiz submission with the answers given and the score (percent)
+CREATE TABLE IF NOT EXISTS training_quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    course_id UUID NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    answers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+    passing_score INTEGER NOT NULL,
+    passed BOOLEAN NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_quiz_attempts_user_course
+  ON training_quiz_attempts(user_id, course_id, created_at DESC);
+
+-- Training certificates table
+-- Purpose: Issued once a user has completed every material and passed the quiz
+CREATE TABLE IF NOT EXISTS training_certificates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    course_id UUID NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    certificate_number TEXT NOT NULL UNIQUE,
+    quiz_attempt_id UUID REFERENCES training_quiz_attempts(id),
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(course_id, user_id)
+);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_training_courses_updated_at
+  BEFORE UPDATE ON training_courses
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_validate_training_courses_org
+  BEFORE INSERT OR UPDATE ON training_courses
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE profile_hospitals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_courses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_course_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_quiz_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_quiz_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_certificates ENABLE ROW LEVEL SECURITY;
+
+-- Profile Hospitals: Everyone in the organization can see site staff, admins manage it
+CREATE POLICY "profile_hospitals_select_policy" ON profile_hospitals
+FOR SELECT USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "profile_hospitals_manage_policy" ON profile_hospitals
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Training Courses: Visible to admins and users assigned to the trial
+CREATE POLICY "training_courses_select_policy" ON training_courses
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (
+    get_user_role() = 'admin' OR
+    is_user_assigned_to_trial(clinical_trial_id)
+  )
+);
+
+-- Training Courses: Admin/User can manage courses in assigned trials
+CREATE POLICY "training_courses_manage_policy" ON training_courses
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user') AND
+  (get_user_role() = 'admin' OR is_user_assigned_to_trial(clinical_trial_id))
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() IN ('admin', 'user') AND
+  (get_user_role() = 'admin' OR is_user_assigned_to_trial(clinical_trial_id))
+);
+
+-- Course Items and Quiz Questions: Follow the course they belong to
+CREATE POLICY "training_course_items_select_policy" ON training_course_items
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_course_items.course_id)
+);
+
+CREATE POLICY "training_course_items_manage_policy" ON training_course_items
+FOR ALL USING (
+  get_user_role() IN ('admin', 'user') AND
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_course_items.course_id)
+) WITH CHECK (
+  get_user_role() IN ('admin', 'user') AND
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_course_items.course_id)
+);
+
+CREATE POLICY "training_quiz_questions_select_policy" ON training_quiz_questions
+FOR SELECT USING (
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_quiz_questions.course_id)
+);
+
+CREATE POLICY "training_quiz_questions_manage_policy" ON training_quiz_questions
+FOR ALL USING (
+  get_user_role() IN ('admin', 'user') AND
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_quiz_questions.course_id)
+) WITH CHECK (
+  get_user_role() IN ('admin', 'user') AND
+  EXISTS (SELECT 1 FROM training_courses c WHERE c.id = training_quiz_questions.course_id)
+);
+
+-- Progress, Attempts and Certificates: Users see their own, admins their organization's.
+-- There are no write policies: quizzes are scored and certificates issued by
+-- the API with the service role, so users can't record them directly
+DROP POLICY IF EXISTS "training_progress_insert_policy" ON training_progress;
+DROP POLICY IF EXISTS "training_quiz_attempts_insert_policy" ON training_quiz_attempts;
+DROP POLICY IF EXISTS "training_certificates_insert_policy" ON training_certificates;
+
+CREATE POLICY "training_progress_select_policy" ON training_progress
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (user_id = auth.uid() OR get_user_role() = 'admin')
+);
+
+CREATE POLICY "training_quiz_attempts_select_policy" ON training_quiz_attempts
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (user_id = auth.uid() OR get_user_role() = 'admin')
+);
+
+CREATE POLICY "training_certificates_select_policy" ON training_certificates
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (user_id = auth.uid() OR get_user_role() = 'admin')
+);
+
+-- =====================================================
+-- QUIZ FUNCTIONS
+-- =====================================================
+
+-- Function: Replace a course's quiz in one transaction, so a failed insert
+-- keeps the old questions. new_questions is a JSON array of
+-- { question, options, correct_option } in quiz order; returns the new rows
+CREATE OR REPLACE FUNCTION replace_training_quiz(for_course_id UUID, new_questions JSONB)
+RETURNS SETOF training_quiz_questions AS $$
+BEGIN
+  DELETE FROM training_quiz_questions WHERE course_id = for_course_id;
+
+  RETURN QUERY
+  INSERT INTO training_quiz_questions (course_id, position, question, options, correct_option)
+  SELECT
+    for_course_id,
+    q.ordinality::INTEGER,
+    q.value->>'question',
+    q.value->'options',
+    (q.value->>'correct_option')::INTEGER
+  FROM jsonb_array_elements(new_questions) WITH ORDINALITY AS q(value, ordinality)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Courses are checked by the API before it replaces a quiz
+REVOKE EXECUTE ON FUNCTION replace_training_quiz(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_training_quiz(UUID, JSONB) TO service_role;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Training courses migration completed successfully!';
+    RAISE NOTICE 'Courses, quizzes, progress, attempts, certificates and profile_hospitals created';
+END
+$$;
@@ -0,0 +1,80 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Trial Assignments
+-- =====================================================
+-- This migration lets a user work on several trials with a role per
+-- trial. user_clinical_assignments already allows one row per user and
+-- trial; each row now has an optional trial_role (a named role at the
+-- same access level as the profile's, e.g. site PI on one trial and site
+-- coordinator on another) and records who made the assignment. Mobile
+-- sessions remember the trial picked in the app's trial switcher, which
+-- scopes the app's feeds.
+-- =====================================================
+
+-- =====================================================
+-- ASSIGNMENT COLUMNS
+-- =====================================================
+
+ALTER TABLE user_clinical_assignments
+  ADD COLUMN IF NOT EXISTS trial_role TEXT CHECK (trial_role IN ('monitor', 'site_pi', 'site_coordinator', 'auditor')),
+  ADD COLUMN IF NOT EXISTS assigned_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- Trigger: A role change can leave trial roles at the wrong access level;
+-- those fall back to the profile's role
+DROP FUNCTION IF EXISTS clear_mismatched_trial_roles() CASCADE;
+CREATE FUNCTION clear_mismatched_trial_roles()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE user_clinical_assignments
+  SET trial_role = NULL
+  WHERE user_id = NEW.id
+    AND trial_role IS NOT NULL
+    AND permission_base_role(trial_role) IS DISTINCT FROM NEW.role;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_clear_mismatched_trial_roles
+  AFTER UPDATE OF role ON profiles
+  FOR EACH ROW
+  WHEN (NEW.role IS DISTINCT FROM OLD.role)
+  EXECUTE FUNCTION clear_mismatched_trial_roles();
+
+-- =====================================================
+-- ACTIVE TRIAL
+-- =====================================================
+
+-- The trial a signed-in device has switched to; NULL means all of the
+-- user's trials
+ALTER TABLE mobile_sessions
+  ADD COLUMN IF NOT EXISTS active_clinical_trial_id UUID REFERENCES clinical_trials(id) ON DELETE SET NULL;
+
+-- Trigger: Devices switched to a trial the user is taken off go back to all
+-- trials. SECURITY DEFINER so it runs for whoever removes the assignment;
+-- their own access to mobile_sessions would otherwise leave other users'
+-- devices unchanged
+DROP FUNCTION IF EXISTS clear_unassigned_active_trial() CASCADE;
+CREATE FUNCTION clear_unassigned_active_trial()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE mobile_sessions
+  SET active_clinical_trial_id = NULL
+  WHERE user_id = OLD.user_id
+    AND active_clinical_trial_id = OLD.clinical_trial_id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_clear_unassigned_active_trial
+  AFTER DELETE ON user_clinical_assignments
+  FOR EACH ROW EXECUTE FUNCTION clear_unassigned_active_trial();
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Trial assignments migration completed successfully!';
+    RAISE NOTICE 'user_clinical_assignments has trial_role; mobile_sessions has active_clinical_trial_id';
+END
+$$;
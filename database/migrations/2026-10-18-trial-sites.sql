@@ -0,0 +1,169 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Trial Sites
+-- =====================================================
+-- This migration lets a hospital (site) take part in one or more
+-- clinical trials, each with its own enrollment target, so that
+-- leaderboards can be scoped to a single trial instead of blending
+-- every trial in the organization together.
+-- =====================================================
+
+-- =====================================================
+-- TRIAL SITES TABLE
+-- =====================================================
+
+-- Trial sites table
+-- Purpose: Links hospitals to the clinical trials they recruit for
+-- Scoped to organization and specific clinical trial
+CREATE TABLE IF NOT EXISTS trial_sites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id),
+    clinical_trial_id UUID NOT NULL REFERENCES clinical_trials(id) ON DELETE CASCADE,
+    hospital_id UUID NOT NULL REFERENCES hospitals(id) ON DELETE CASCADE,
+    enrollment_target INTEGER CHECK (enrollment_target IS NULL OR enrollment_target >= 0),
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- A hospital is attached to a given trial at most once
+    UNIQUE(clinical_trial_id, hospital_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trial_sites_organization_id ON trial_sites(organization_id);
+CREATE INDEX IF NOT EXISTS idx_trial_sites_clinical_trial_id ON trial_sites(clinical_trial_id);
+CREATE INDEX IF NOT EXISTS idx_trial_sites_hospital_id ON trial_sites(hospital_id);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_trial_sites_updated_at
+  BEFORE UPDATE ON trial_sites
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trial must belong to the same organization as the site record
+CREATE TRIGGER trigger_validate_trial_sites_org
+  BEFORE INSERT OR UPDATE ON trial_sites
+  FOR EACH ROW EXECUTE FUNCTION validate_content_organization();
+
+-- Trigger: Ensure a trial site's hospital belongs to the same organization
+DROP FUNCTION IF EXISTS validate_trial_site_hospital() CASCADE;
+CREATE FUNCTION validate_trial_site_hospital()
+RETURNS TRIGGER AS $$
+DECLARE
+  hospital_org_id UUID;
+BEGIN
+  SELECT organization_id INTO hospital_org_id
+  FROM hospitals
+  WHERE id = NEW.hospital_id;
+
+  IF hospital_org_id != NEW.organization_id THEN
+    RAISE EXCEPTION 'Trial site organization_id (%) does not match hospital organization_id (%)',
+      NEW.organization_id, hospital_org_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_validate_trial_sites_hospital
+  BEFORE INSERT OR UPDATE OF hospital_id ON trial_sites
+  FOR EACH ROW EXECUTE FUNCTION validate_trial_site_hospital();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE trial_sites ENABLE ROW LEVEL SECURITY;
+
+-- Trial Sites: Admins see every site in their organization, others only sites of assigned trials
+CREATE POLICY "trial_sites_select_policy" ON trial_sites
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  (get_user_role() = 'admin' OR is_user_assigned_to_trial(clinical_trial_id))
+);
+
+-- Trial Sites: Only admins can attach hospitals to trials
+CREATE POLICY "trial_sites_insert_policy" ON trial_sites
+FOR INSERT WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Trial Sites: Only admins can change enrollment targets
+CREATE POLICY "trial_sites_update_policy" ON trial_sites
+FOR UPDATE USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Trial Sites: Only admins can detach hospitals from trials
+CREATE POLICY "trial_sites_delete_policy" ON trial_sites
+FOR DELETE USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- BACKFILL
+-- =====================================================
+-- Attach every hospital to the trials it has already enrolled participants for
+
+INSERT INTO trial_sites (organization_id, clinical_trial_id, hospital_id)
+SELECT DISTINCT e.organization_id, e.clinical_trial_id, e.hospital_id
+FROM enrollments e
+WHERE e.hospital_id IS NOT NULL
+ON CONFLICT (clinical_trial_id, hospital_id) DO NOTHING;
+
+-- =====================================================
+-- LEADERBOARD VIEW
+-- =====================================================
+
+-- View: Per-trial, per-site enrollment counts
+-- Purpose: Trial-scoped leaderboards; only enrollments in that trial are counted
+-- id is the hospital id so rows are interchangeable with hospital_enrollment_stats
+DROP VIEW IF EXISTS trial_site_enrollment_stats;
+CREATE VIEW trial_site_enrollment_stats
+WITH (security_invoker = true) AS
+SELECT
+  h.id,
+  ts.id AS trial_site_id,
+  ts.clinical_trial_id,
+  ts.enrollment_target,
+  h.organization_id,
+  h.hospital_name,
+  h.location,
+  h.principal_investigator,
+  h.created_by,
+  h.created_at,
+  h.updated_at,
+  COUNT(e.id) AS screened_patients,
+  COUNT(e.consented_at) AS consented_patients,
+  COUNT(e.randomized_at) AS randomized_patients,
+  COUNT(e.withdrawn_at) AS withdrawn_patients,
+  COUNT(e.completed_at) AS completed_patients,
+  CASE
+    WHEN COUNT(e.id) = 0 THEN 0.00
+    ELSE ROUND(COUNT(e.consented_at)::DECIMAL * 100 / COUNT(e.id), 2)
+  END AS consented_rate,
+  MAX(e.updated_at) AS last_enrollment_activity_at
+FROM trial_sites ts
+JOIN hospitals h ON h.id = ts.hospital_id
+LEFT JOIN enrollments e
+  ON e.hospital_id = ts.hospital_id
+  AND e.clinical_trial_id = ts.clinical_trial_id
+GROUP BY ts.id, h.id;
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Trial sites migration completed successfully!';
+    RAISE NOTICE 'Hospitals can now be attached to trials via trial_sites';
+    RAISE NOTICE 'Trial-scoped counts are available from the trial_site_enrollment_stats view';
+END
+$$;
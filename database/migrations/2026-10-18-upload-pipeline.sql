@@ -0,0 +1,148 @@
+-- =====================================================
+-- KachinaHealth Clinical Trials Platform - Upload Pipeline
+-- =====================================================
+-- This migration adds per-organization upload policies (allowed MIME
+-- types and size limit for each storage bucket), resumable upload
+-- sessions for large files such as training videos, and the quarantine
+-- for uploads that fail the virus scan. Uploads are checked, sniffed and
+-- scanned by the API before they are stored in their bucket.
+-- =====================================================
+
+-- =====================================================
+-- UPLOAD POLICIES
+-- =====================================================
+
+-- Upload policies table
+-- Purpose: An organization's overrides of the API's defaults for one
+-- bucket. NULL keeps the default; allowed types can only narrow the types
+-- the API supports for that bucket
+CREATE TABLE IF NOT EXISTS upload_policies (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    bucket TEXT NOT NULL CHECK (bucket IN (
+      'trial-documents', 'enrollment-docs', 'study-protocols', 'training-materials', 'news-assets'
+    )),
+    allowed_mime_types TEXT[],
+    max_size_mb INTEGER CHECK (max_size_mb IS NULL OR max_size_mb > 0),
+    updated_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (organization_id, bucket)
+);
+
+-- =====================================================
+-- UPLOAD SESSIONS
+-- =====================================================
+
+-- Upload sessions table
+-- Purpose: One resumable upload. The API keeps the received bytes until the
+-- upload is completed, then scans and stores the file at storage_path.
+-- A completed upload is attached to one record (e.g. a training material)
+-- and unfinished or unattached uploads expire
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    bucket TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    total_bytes BIGINT NOT NULL CHECK (total_bytes > 0),
+    received_bytes BIGINT NOT NULL DEFAULT 0 CHECK (received_bytes >= 0 AND received_bytes <= total_bytes),
+    status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN (
+      'uploading', 'complete', 'attached', 'quarantined', 'aborted', 'expired'
+    )),
+    storage_path TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expiry ON upload_sessions(expires_at)
+  WHERE status IN ('uploading', 'complete');
+
+-- =====================================================
+-- QUARANTINE
+-- =====================================================
+
+-- Upload quarantine table
+-- Purpose: Uploads the scanner flagged. The file is kept in the private
+-- upload-quarantine bucket for review and never reaches its target bucket
+CREATE TABLE IF NOT EXISTS upload_quarantine (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    bucket TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    file_size BIGINT,
+    quarantine_path TEXT NOT NULL,
+    scanner TEXT NOT NULL,
+    signature TEXT,
+    status TEXT NOT NULL DEFAULT 'quarantined' CHECK (status IN ('quarantined', 'deleted')),
+    uploaded_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    deleted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_quarantine_organization ON upload_quarantine(organization_id, created_at DESC);
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('upload-quarantine', 'upload-quarantine', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER trigger_update_upload_policies_updated_at
+  BEFORE UPDATE ON upload_policies
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_upload_sessions_updated_at
+  BEFORE UPDATE ON upload_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- RLS POLICIES
+-- =====================================================
+
+ALTER TABLE upload_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_quarantine ENABLE ROW LEVEL SECURITY;
+
+-- Upload Policies: Everyone in the organization can read them, admins manage them
+CREATE POLICY "upload_policies_select_policy" ON upload_policies
+FOR SELECT USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "upload_policies_manage_policy" ON upload_policies
+FOR ALL USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+) WITH CHECK (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- Upload Sessions: Users can see their own uploads; sessions are written
+-- by the API with the service role key
+CREATE POLICY "upload_sessions_select_policy" ON upload_sessions
+FOR SELECT USING (user_id = auth.uid());
+
+-- Upload Quarantine: Admins can review their organization's quarantine
+CREATE POLICY "upload_quarantine_select_policy" ON upload_quarantine
+FOR SELECT USING (
+  organization_id = get_user_organization_id() AND
+  get_user_role() = 'admin'
+);
+
+-- =====================================================
+-- MIGRATION COMPLETE
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Upload pipeline migration completed successfully!';
+    RAISE NOTICE 'upload_policies, upload_sessions and upload_quarantine created; upload-quarantine bucket added';
+END
+$$;
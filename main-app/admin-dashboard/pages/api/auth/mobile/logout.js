@@ -0,0 +1,49 @@
+import { getUserFromToken } from '../../lib/supabase'
+import { findMobileSessionByRefreshToken, revokeMobileSession } from '../../lib/mobileSessions'
+
+// Sign this device out: accepts the access token (Authorization header) or the
+// refresh token, so an app whose access token has expired can still log out
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const { refreshToken } = req.body || {}
+
+    let sessionId = null
+    let userId = null
+
+    if (token) {
+      const user = await getUserFromToken(token)
+      if (user?.mobile_session_id) {
+        sessionId = user.mobile_session_id
+        userId = user.id
+      }
+    }
+
+    if (!sessionId && refreshToken) {
+      const session = await findMobileSessionByRefreshToken(refreshToken)
+      if (session && !session.revoked_at) {
+        sessionId = session.id
+        userId = session.user_id
+      }
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    await revokeMobileSession(sessionId, { reason: 'logout', revokedBy: userId })
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    })
+
+  } catch (error) {
+    console.error('Mobile logout error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
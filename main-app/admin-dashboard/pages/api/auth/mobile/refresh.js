@@ -0,0 +1,30 @@
+import { refreshMobileSession } from '../../lib/mobileSessions'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { refreshToken } = req.body || {}
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' })
+  }
+
+  try {
+    const { tokens, error } = await refreshMobileSession(refreshToken)
+
+    if (error) {
+      return res.status(401).json({ error })
+    }
+
+    res.json({
+      success: true,
+      ...tokens
+    })
+
+  } catch (error) {
+    console.error('Refresh token error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,48 +1,101 @@
-import { supabase } from '../../lib/supabase'
+import { supabaseAdmin } from '../../lib/supabase'
+import { checkRegistrationAllowed, normalizeEmail } from '../../lib/loginCodes'
+import { getClientIp } from '../../lib/clientIp'
 
+// Self-service sign-up from the mobile app. Creates a pending registration
+// request for an admin to approve or reject; no account exists until approval.
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
-  const { firstName, lastName, email, site, role } = req.body
+  const { firstName, lastName, email, site, hospitalId, role, trialId, companyId } = req.body
 
-  if (!firstName || !lastName || !email || !site || !role) {
+  if (!firstName || !lastName || !email || (!site && !hospitalId) || !role) {
     return res.status(400).json({ error: 'All fields are required' })
   }
 
+  const organizationId = companyId || process.env.DEFAULT_ORGANIZATION_ID
+  if (!organizationId) {
+    return res.status(400).json({ error: 'Company is required' })
+  }
+
   try {
+    const normalizedEmail = normalizeEmail(email)
+    const ipAddress = getClientIp(req)
+
+    // Unauthenticated, so throttled per email and per IP before any lookups
+    const throttle = await checkRegistrationAllowed(normalizedEmail, ipAddress)
+    if (!throttle.allowed) {
+      res.setHeader('Retry-After', String(throttle.retryAfter))
+      return res.status(429).json({
+        error: 'Too many registration attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      })
+    }
+
     // Check if email already exists
-    const { data: existingUser } = await supabase
+    const { data: existingUser } = await supabaseAdmin
       .from('profiles')
       .select('id')
-      .eq('email', email)
-      .single()
+      .eq('email', normalizedEmail)
+      .maybeSingle()
 
     if (existingUser) {
       return res.status(400).json({ error: 'Email already registered' })
     }
 
-    // For now, we'll use a default organization (you might want to change this logic)
-    const defaultOrgId = process.env.DEFAULT_ORGANIZATION_ID || 'your-default-org-id'
+    // The requested site and trial must belong to the company
+    let hospital = null
+    if (hospitalId) {
+      const { data } = await supabaseAdmin
+        .from('hospitals')
+        .select('id, hospital_name')
+        .eq('id', hospitalId)
+        .eq('organization_id', organizationId)
+        .maybeSingle()
 
-    // Create new user profile
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
+      if (!data) {
+        return res.status(400).json({ error: 'Unknown site' })
+      }
+      hospital = data
+    }
+
+    if (trialId) {
+      const { data: trial } = await supabaseAdmin
+        .from('clinical_trials')
+        .select('id')
+        .eq('id', trialId)
+        .eq('organization_id', organizationId)
+        .maybeSingle()
+
+      if (!trial) {
+        return res.status(400).json({ error: 'Unknown clinical trial' })
+      }
+    }
+
+    const { error: requestError } = await supabaseAdmin
+      .from('registration_requests')
       .insert({
-        email,
-        display_name: `${firstName} ${lastName}`,
-        role,
-        organization_id: defaultOrgId,
-        status: 'pending',
-        created_at: new Date().toISOString()
+        organization_id: organizationId,
+        email: normalizedEmail,
+        first_name: firstName,
+        last_name: lastName,
+        site_name: site || hospital.hospital_name,
+        hospital_id: hospital?.id || null,
+        requested_role: role,
+        clinical_trial_id: trialId || null,
+        ip_address: ipAddress
       })
-      .select()
-      .single()
 
-    if (profileError) {
-      console.error('Profile creation error:', profileError)
-      return res.status(500).json({ error: 'Failed to create user profile' })
+    // Unique violation: a request for this email is already waiting
+    if (requestError && requestError.code === '23505') {
+      return res.status(400).json({ error: 'Registration already pending approval' })
+    }
+
+    if (requestError) {
+      console.error('Registration request error:', requestError)
+      return res.status(500).json({ error: 'Failed to submit registration' })
     }
 
     res.json({
@@ -1,7 +1,7 @@
-import { supabase } from '../../lib/supabase'
-
-// Simple in-memory storage for demo - in production use Redis or similar
-const loginCodes = new Map()
+import { supabase, supabaseAdmin } from '../../lib/supabase'
+import { CODE_TTL_MS, checkCodeRequestAllowed, issueLoginCode, normalizeEmail } from '../../lib/loginCodes'
+import { queueNotification } from '../../lib/notifications'
+import { getClientIp } from '../../lib/clientIp'
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -15,14 +15,38 @@ export default async function handler(req, res) {
   }
 
   try {
+    // Throttle per email and per IP before revealing anything about the address
+    const ipAddress = getClientIp(req)
+    const throttle = await checkCodeRequestAllowed(email, ipAddress)
+
+    if (!throttle.allowed) {
+      res.setHeader('Retry-After', String(throttle.retryAfter))
+      return res.status(429).json({
+        error: 'Too many code requests. Please try again later.',
+        retryAfter: throttle.retryAfter
+      })
+    }
+
     // Find user by email
     const { data: user, error: userError } = await supabase
       .from('profiles')
       .select('*')
-      .eq('email', email.toLowerCase())
+      .eq('email', normalizeEmail(email))
       .single()
 
     if (userError || !user) {
+      // Registered from the app but not yet approved
+      const { data: pending } = await supabaseAdmin
+        .from('registration_requests')
+        .select('id')
+        .eq('email', normalizeEmail(email))
+        .eq('status', 'pending')
+        .limit(1)
+        .maybeSingle()
+
+      if (pending) {
+        return res.status(403).json({ error: 'Account pending approval' })
+      }
       return res.status(404).json({ error: 'User not found' })
     }
 
@@ -30,24 +54,21 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: 'Account pending approval' })
     }
 
-    // Generate 6-digit code
-    const code = Math.floor(100000 + Math.random() * 900000).toString()
+    // Generate and store a 6-digit code (5 minutes expiry)
+    const code = await issueLoginCode(email, ipAddress)
 
-    // Store code temporarily (5 minutes expiry)
-    loginCodes.set(email, {
-      code,
-      expires: Date.now() + 5 * 60 * 1000, // 5 minutes
-      attempts: 0
+    await queueNotification('login_code', {
+      to: user.email,
+      organizationId: user.organization_id,
+      userId: user.id,
+      data: { code, expiresInMinutes: CODE_TTL_MS / 60000 }
     })
 
-    // In production, send email with code
-    console.log(`Login code for ${email}: ${code}`)
-
     res.json({
       success: true,
       message: 'Login code sent',
-      // Remove this in production - only for demo
-      debug_code: code
+      // The code is emailed; echo it only outside production for local testing
+      ...(process.env.NODE_ENV !== 'production' ? { debug_code: code } : {})
     })
 
   } catch (error) {
@@ -55,6 +76,3 @@ export default async function handler(req, res) {
     res.status(500).json({ error: 'Internal server error' })
   }
 }
-
-// Export for use in verify-code endpoint
-export { loginCodes }
@@ -1,56 +1,42 @@
 import { supabase } from '../../lib/supabase'
-import { loginCodes } from './request-code'
+import { normalizeEmail, verifyLoginCode } from '../../lib/loginCodes'
+import { createMobileSession } from '../../lib/mobileSessions'
+import { getClientIp } from '../../lib/clientIp'
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
-  const { email, code } = req.body
+  const { email, code, deviceName } = req.body
 
   if (!email || !code) {
     return res.status(400).json({ error: 'Email and code are required' })
   }
 
   try {
-    if (!loginCodes.has(email)) {
-      return res.status(400).json({ error: 'No code requested or code expired' })
-    }
-
-    const codeData = loginCodes.get(email)
-
-    // Check expiration
-    if (Date.now() > codeData.expires) {
-      loginCodes.delete(email)
-      return res.status(400).json({ error: 'Code expired' })
-    }
-
-    // Check code
-    if (codeData.code !== code) {
-      codeData.attempts++
-      if (codeData.attempts >= 3) {
-        loginCodes.delete(email)
-        return res.status(400).json({ error: 'Too many attempts. Please request a new code.' })
-      }
-      return res.status(400).json({ error: 'Invalid code' })
+    const result = await verifyLoginCode(email, code)
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error })
     }
 
     // Get user data
     const { data: user, error: userError } = await supabase
       .from('profiles')
       .select('*')
-      .eq('email', email.toLowerCase())
+      .eq('email', normalizeEmail(email))
       .single()
 
     if (userError || !user) {
       return res.status(404).json({ error: 'User not found' })
     }
 
-    // Clean up used code
-    loginCodes.delete(email)
-
-    // Create a session token (in production, use proper JWT)
-    const sessionToken = `mobile-session-${user.id}-${Date.now()}`
+    // Open a server-side session for this device
+    const tokens = await createMobileSession(user, {
+      deviceName: deviceName || null,
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: getClientIp(req)
+    })
 
     res.json({
       success: true,
@@ -60,7 +46,9 @@ export default async function handler(req, res) {
         display_name: user.display_name,
         organization_id: user.organization_id
       },
-      token: sessionToken
+      ...tokens,
+      // Older app builds read the access token from `token`
+      token: tokens.accessToken
     })
 
   } catch (error) {
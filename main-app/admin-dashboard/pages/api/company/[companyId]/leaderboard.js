@@ -1,11 +1,12 @@
-import { supabase, getUserFromToken, getUserOrganizationId, getUserRole } from '../../lib/supabase'
+import { getUserFromToken, getUserOrganizationId } from '../../lib/supabase'
+import { getLeaderboardHospitals, summarizeHospitals } from '../../lib/leaderboard'
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
-  const { companyId } = req.query
+  const { companyId, trialId } = req.query
 
   try {
     // Get user from token (if provided)
@@ -22,50 +23,25 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: 'Access denied' })
     }
 
-    // Get enrollments for this organization
-    const { data: enrollments, error } = await supabase
-      .from('enrollments')
-      .select(`
-        *,
-        clinical_trials (
-          name,
-          is_active
-        )
-      `)
-      .eq('organization_id', companyId)
-
-    if (error) {
-      console.error('Error fetching enrollments:', error)
+    // Get per-hospital counts computed from enrollment records, limited to
+    // the sites of the trials the user can access
+    let hospitals
+    try {
+      hospitals = await getLeaderboardHospitals({ userId: user.id, organizationId: companyId, trialId })
+    } catch (error) {
+      console.error('Error fetching hospital stats:', error)
       return res.status(500).json({ error: 'Failed to fetch leaderboard data' })
     }
 
-    // Group enrollments by hospital/site for leaderboard
-    const hospitalStats = {}
-    enrollments.forEach(enrollment => {
-      const site = enrollment.site || 'Unknown'
-      if (!hospitalStats[site]) {
-        hospitalStats[site] = {
-          name: site,
-          consentedPatients: 0,
-          randomizedPatients: 0,
-          consentRate: 0
-        }
-      }
-      hospitalStats[site].consentedPatients++
-      // In production, you'd have a field to track randomization
-    })
-
-    const hospitals = Object.values(hospitalStats)
-    const totalConsented = hospitals.reduce((sum, h) => sum + h.consentedPatients, 0)
+    if (!hospitals) {
+      return res.status(403).json({ error: 'Access denied to this clinical trial' })
+    }
 
     res.json({
       success: true,
+      trialId: trialId || null,
       hospitals,
-      summary: {
-        totalConsented,
-        totalRandomized: 0, // Calculate based on your data model
-        totalHospitals: hospitals.length
-      }
+      summary: summarizeHospitals(hospitals)
     })
 
   } catch (error) {
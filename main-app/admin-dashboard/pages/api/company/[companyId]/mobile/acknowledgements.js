@@ -0,0 +1,120 @@
+import { supabase, getUserFromToken, getUserOrganizationId, isUserAssignedToTrial } from '../../../lib/supabase'
+import {
+  DOCUMENT_TYPES,
+  getRequiredDocument,
+  getRequiredDocuments,
+  getUserAcknowledgements,
+  recordAcknowledgement,
+  withAcknowledgementStatus
+} from '../../../lib/acknowledgements'
+import { getFeedTrialId } from '../../../lib/trialSwitcher'
+import { getClientIp } from '../../../lib/clientIp'
+
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method === 'GET') {
+      // Documents to acknowledge in the trials the user is assigned to
+      // (or just ?trialId= / the app's active trial)
+      const trialId = await getFeedTrialId(req, user)
+      const { data: assignments, error: assignmentError } = await supabase
+        .from('user_clinical_assignments')
+        .select('clinical_trial_id')
+        .eq('user_id', user.id)
+
+      if (assignmentError) {
+        console.error('Error fetching trial assignments:', assignmentError)
+        return res.status(500).json({ error: 'Failed to fetch acknowledgements' })
+      }
+
+      let trialIds = (assignments || []).map(a => a.clinical_trial_id)
+      if (trialId) {
+        if (!trialIds.includes(trialId)) {
+          return res.status(403).json({ error: 'Access denied to this clinical trial' })
+        }
+        trialIds = [trialId]
+      }
+
+      let documents
+      try {
+        const [required, acknowledgements] = await Promise.all([
+          getRequiredDocuments(trialIds),
+          getUserAcknowledgements(user.id)
+        ])
+        documents = withAcknowledgementStatus(required, acknowledgements)
+      } catch (error) {
+        console.error('Error fetching acknowledgements:', error)
+        return res.status(500).json({ error: 'Failed to fetch acknowledgements' })
+      }
+
+      res.json({
+        success: true,
+        documents,
+        outstanding: documents.filter(d => d.status !== 'acknowledged').length
+      })
+
+    } else if (req.method === 'POST') {
+      // Acknowledge the current version of a document
+      const { documentType, documentId } = req.body || {}
+
+      if (!DOCUMENT_TYPES.includes(documentType) || !documentId) {
+        return res.status(400).json({ error: 'documentType (study_protocol or training_material) and documentId are required' })
+      }
+
+      let document
+      try {
+        document = await getRequiredDocument(documentType, documentId, companyId)
+      } catch (error) {
+        console.error('Error fetching document:', error)
+        return res.status(500).json({ error: 'Failed to record acknowledgement' })
+      }
+
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found or does not require acknowledgement' })
+      }
+
+      if (!(await isUserAssignedToTrial(user.id, document.trialId))) {
+        return res.status(403).json({ error: 'Access denied to this clinical trial' })
+      }
+
+      let acknowledgement
+      try {
+        acknowledgement = await recordAcknowledgement(document, user.id, {
+          ipAddress: getClientIp(req),
+          userAgent: req.headers['user-agent'] || null
+        })
+      } catch (error) {
+        console.error('Error recording acknowledgement:', error)
+        return res.status(500).json({ error: 'Failed to record acknowledgement' })
+      }
+
+      res.json({
+        success: true,
+        message: 'Acknowledgement recorded',
+        acknowledgement
+      })
+
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Acknowledgements API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,52 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../../lib/supabase'
+import { downloadFile } from '../../../../../lib/fileDownloads'
+import { getClientIp } from '../../../../../lib/clientIp'
+
+export default async function handler(req, res) {
+  const { companyId, fileType, fileId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    // A signed URL valid for a few minutes; the download is logged
+    let result
+    try {
+      result = await downloadFile(user, companyId, fileType, fileId, {
+        ipAddress: getClientIp(req),
+        userAgent: req.headers['user-agent'] || null
+      })
+    } catch (error) {
+      console.error('Error issuing download:', error)
+      return res.status(500).json({ error: 'Failed to download file' })
+    }
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.json({
+      success: true,
+      download: result.download
+    })
+
+  } catch (error) {
+    console.error('Download API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
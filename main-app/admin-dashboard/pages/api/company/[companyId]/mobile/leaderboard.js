@@ -0,0 +1,93 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../lib/supabase'
+import { getLeaderboardScope, getScopedHospitalStats, summarizeHospitals } from '../../../lib/leaderboard'
+import { getFeedTrialId } from '../../../lib/trialSwitcher'
+import {
+  STREAK_LOOKBACK_DAYS,
+  addDays,
+  addRankMovement,
+  ensureTodaysSnapshot,
+  getSnapshotSeries,
+  toDay
+} from '../../../lib/leaderboardHistory'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    // ?trialId=, else the trial picked in the app's trial switcher
+    const trialId = await getFeedTrialId(req, user)
+
+    let scope
+    try {
+      scope = await getLeaderboardScope({ userId: user.id, trialId })
+    } catch (error) {
+      console.error('Error resolving leaderboard trials:', error)
+      return res.status(500).json({ error: 'Failed to fetch leaderboard data' })
+    }
+
+    if (!scope) {
+      return res.status(403).json({ error: 'Access denied to this clinical trial' })
+    }
+
+    // Sort hospitals by consented patients for competitive ranking
+    let hospitals
+    try {
+      hospitals = await getScopedHospitalStats(companyId, scope, 'consented_patients')
+    } catch (error) {
+      console.error('Error fetching hospital stats:', error)
+      return res.status(500).json({ error: 'Failed to fetch leaderboard data' })
+    }
+
+    // Rank movement and streaks come from daily snapshots; the leaderboard
+    // itself still works if they can't be loaded
+    const today = toDay(new Date())
+    let series = {}
+    try {
+      await ensureTodaysSnapshot(companyId)
+      series = await getSnapshotSeries(companyId, scope, addDays(today, -STREAK_LOOKBACK_DAYS))
+    } catch (error) {
+      console.error('Error loading leaderboard snapshots:', error)
+    }
+    hospitals = addRankMovement(hospitals, series, today)
+
+    const { totalConsented, totalRandomized } = summarizeHospitals(hospitals)
+
+    // Most recent enrollment change across all sites, so the app can show real freshness
+    const lastUpdated = hospitals
+      .map(h => h.last_enrollment_activity_at)
+      .filter(Boolean)
+      .sort()
+      .pop() || new Date().toISOString()
+
+    res.json({
+      success: true,
+      trialId: trialId || null,
+      hospitals,
+      totalConsented,
+      totalRandomized,
+      lastUpdated
+    })
+
+  } catch (error) {
+    console.error('Mobile leaderboard error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
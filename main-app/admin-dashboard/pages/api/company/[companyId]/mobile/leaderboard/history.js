@@ -0,0 +1,70 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../lib/supabase'
+import { getLeaderboardScope, getScopedHospitalStats } from '../../../../lib/leaderboard'
+import { addDays, buildRankSeries, getSnapshotSeries, toDay } from '../../../../lib/leaderboardHistory'
+import { getFeedTrialId } from '../../../../lib/trialSwitcher'
+
+const DEFAULT_HISTORY_DAYS = 30
+const MAX_HISTORY_DAYS = 180
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { companyId, hospitalId } = req.query
+  const days = Math.min(parseInt(req.query.days, 10) || DEFAULT_HISTORY_DAYS, MAX_HISTORY_DAYS)
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const trialId = await getFeedTrialId(req, user)
+
+    const scope = await getLeaderboardScope({ userId: user.id, trialId })
+    if (!scope) {
+      return res.status(403).json({ error: 'Access denied to this clinical trial' })
+    }
+
+    // Site staff only get the history of their own sites
+    if (hospitalId && scope.hospitalIds && !scope.hospitalIds.includes(hospitalId)) {
+      return res.status(403).json({ error: 'Access denied to this site' })
+    }
+
+    const since = addDays(toDay(new Date()), -days)
+    let hospitals
+    try {
+      const [stats, series] = await Promise.all([
+        getScopedHospitalStats(companyId, scope, 'consented_patients'),
+        getSnapshotSeries(companyId, scope, since)
+      ])
+      hospitals = buildRankSeries(stats, series)
+    } catch (error) {
+      console.error('Error fetching leaderboard history:', error)
+      return res.status(500).json({ error: 'Failed to fetch leaderboard history' })
+    }
+
+    res.json({
+      success: true,
+      trialId: trialId || null,
+      since,
+      hospitals: hospitals.filter(h =>
+        (!hospitalId || h.id === hospitalId) && (!scope.hospitalIds || scope.hospitalIds.includes(h.id))
+      )
+    })
+
+  } catch (error) {
+    console.error('Leaderboard history error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,84 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../../lib/supabase'
+import { getMessages, getThread, sendMessage } from '../../../../../lib/messaging'
+import { loadViewer } from '../../../../../lib/permissions'
+
+// One thread: GET a page of messages, newest first (query: before, limit),
+// POST { body } to send a text message
+export default async function handler(req, res) {
+  const { companyId, threadId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    let viewer
+    let thread
+    try {
+      viewer = await loadViewer(user.id)
+      thread = await getThread(viewer, threadId)
+    } catch (error) {
+      console.error('Error fetching thread:', error)
+      return res.status(500).json({ error: 'Failed to fetch thread' })
+    }
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' })
+    }
+
+    if (req.method === 'GET') {
+      const { before, limit } = req.query
+      if (before && Number.isNaN(new Date(before).getTime())) {
+        return res.status(400).json({ error: 'before must be a timestamp' })
+      }
+
+      let page
+      try {
+        page = await getMessages(thread, viewer, { before: before ? new Date(before).toISOString() : null, limit })
+      } catch (error) {
+        console.error('Error fetching messages:', error)
+        return res.status(500).json({ error: 'Failed to fetch messages' })
+      }
+
+      res.json({
+        success: true,
+        ...page
+      })
+
+    } else if (req.method === 'POST') {
+      let result
+      try {
+        result = await sendMessage(thread, viewer, req.body?.body)
+      } catch (error) {
+        console.error('Error sending message:', error)
+        return res.status(500).json({ error: 'Failed to send message' })
+      }
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error })
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.message
+      })
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Thread API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,49 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../../lib/supabase'
+import { getThread, markThreadRead } from '../../../../../lib/messaging'
+import { loadViewer } from '../../../../../lib/permissions'
+
+// Mark a thread as read up to its latest message; this is also the read receipt
+export default async function handler(req, res) {
+  const { companyId, threadId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    let lastReadAt
+    try {
+      const thread = await getThread(await loadViewer(user.id), threadId)
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' })
+      }
+      lastReadAt = await markThreadRead(thread, user.id)
+    } catch (error) {
+      console.error('Error marking thread read:', error)
+      return res.status(500).json({ error: 'Failed to mark thread read' })
+    }
+
+    res.json({
+      success: true,
+      lastReadAt
+    })
+
+  } catch (error) {
+    console.error('Thread read API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
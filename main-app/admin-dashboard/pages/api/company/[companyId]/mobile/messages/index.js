@@ -0,0 +1,92 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../lib/supabase'
+import { getThreads, openDirectThread } from '../../../../lib/messaging'
+import { loadViewer } from '../../../../lib/permissions'
+import { getFeedTrialId } from '../../../../lib/trialSwitcher'
+
+// Messaging tab: GET the user's threads with unread counts (query: trialId,
+// default the app's active trial),
+// POST to start (or reopen) a direct thread with an admin
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    let viewer
+    try {
+      viewer = await loadViewer(user.id)
+    } catch (error) {
+      console.error('Error loading user:', error)
+      return res.status(500).json({ error: 'Failed to load messages' })
+    }
+
+    if (req.method === 'GET') {
+      const trialId = await getFeedTrialId(req, user)
+      if (trialId && !viewer.trialIds.includes(trialId)) {
+        return res.status(403).json({ error: 'Access denied to this clinical trial' })
+      }
+
+      let threads
+      try {
+        threads = await getThreads(viewer, { trialId })
+      } catch (error) {
+        console.error('Error fetching threads:', error)
+        return res.status(500).json({ error: 'Failed to fetch messages' })
+      }
+
+      res.json({
+        success: true,
+        threads,
+        unreadTotal: threads.reduce((sum, thread) => sum + thread.unreadCount, 0)
+      })
+
+    } else if (req.method === 'POST') {
+      const { clinicalTrialId, adminId, subject } = req.body || {}
+
+      if (!clinicalTrialId || !adminId) {
+        return res.status(400).json({ error: 'clinicalTrialId and adminId are required' })
+      }
+
+      let result
+      try {
+        result = await openDirectThread(viewer, {
+          clinicalTrialId,
+          adminId,
+          subject: subject ? String(subject).trim() : null
+        })
+      } catch (error) {
+        console.error('Error opening thread:', error)
+        return res.status(500).json({ error: 'Failed to start conversation' })
+      }
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error })
+      }
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        created: result.created,
+        thread: result.thread
+      })
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Messages API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,45 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../../lib/supabase'
+import { getUnreadCounts } from '../../../../lib/messaging'
+import { loadViewer } from '../../../../lib/permissions'
+
+// Unread message counts for the app badge: in total, per trial and per thread
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    let unread
+    try {
+      unread = await getUnreadCounts(await loadViewer(user.id))
+    } catch (error) {
+      console.error('Error counting unread messages:', error)
+      return res.status(500).json({ error: 'Failed to count unread messages' })
+    }
+
+    res.json({
+      success: true,
+      ...unread
+    })
+
+  } catch (error) {
+    console.error('Unread messages API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
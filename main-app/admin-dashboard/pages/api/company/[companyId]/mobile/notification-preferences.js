@@ -0,0 +1,77 @@
+import { getUserFromToken, getUserOrganizationId, isUserAssignedToTrial } from '../../../lib/supabase'
+import { PUSH_CATEGORIES, getNotificationPreferences, saveNotificationPreferences } from '../../../lib/pushDevices'
+
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method === 'GET') {
+      let preferences
+      try {
+        preferences = await getNotificationPreferences(user.id)
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error)
+        return res.status(500).json({ error: 'Failed to fetch notification preferences' })
+      }
+
+      res.json({
+        success: true,
+        categories: PUSH_CATEGORIES,
+        preferences
+      })
+
+    } else if (req.method === 'PUT') {
+      // { preferences: [{ clinicalTrialId (null for all trials), category, pushEnabled }] }
+      const changes = req.body?.preferences
+
+      if (!Array.isArray(changes) || changes.length === 0) {
+        return res.status(400).json({ error: 'preferences must be a non-empty array' })
+      }
+
+      for (const change of changes) {
+        if (!PUSH_CATEGORIES.includes(change.category) || typeof change.pushEnabled !== 'boolean') {
+          return res.status(400).json({ error: `Each preference needs a category (${PUSH_CATEGORIES.join(', ')}) and a boolean pushEnabled` })
+        }
+        if (change.clinicalTrialId && !(await isUserAssignedToTrial(user.id, change.clinicalTrialId))) {
+          return res.status(403).json({ error: 'Access denied to this clinical trial' })
+        }
+      }
+
+      let preferences
+      try {
+        await saveNotificationPreferences({ ...user, organization_id: companyId }, changes)
+        preferences = await getNotificationPreferences(user.id)
+      } catch (error) {
+        console.error('Error saving notification preferences:', error)
+        return res.status(500).json({ error: 'Failed to save notification preferences' })
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification preferences saved',
+        preferences
+      })
+
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Notification preferences API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,83 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../lib/supabase'
+import { PUSH_PLATFORMS, registerPushDevice, unregisterPushDevice } from '../../../lib/pushDevices'
+
+// Push token registration for the mobile app: POST after sign-in and whenever
+// the platform hands out a new token, DELETE to stop pushes to this device
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const { pushToken, platform, appVersion } = req.body || {}
+
+    if (!pushToken || typeof pushToken !== 'string') {
+      return res.status(400).json({ error: 'pushToken is required' })
+    }
+
+    if (req.method === 'POST') {
+      if (!PUSH_PLATFORMS.includes(platform)) {
+        return res.status(400).json({ error: `platform must be one of: ${PUSH_PLATFORMS.join(', ')}` })
+      }
+
+      let device
+      try {
+        device = await registerPushDevice(
+          { ...user, organization_id: companyId },
+          { token: pushToken, platform, appVersion }
+        )
+      } catch (error) {
+        console.error('Error registering push device:', error)
+        return res.status(500).json({ error: 'Failed to register device' })
+      }
+
+      res.json({
+        success: true,
+        message: 'Device registered for push notifications',
+        device: {
+          id: device.id,
+          platform: device.platform,
+          appVersion: device.app_version,
+          lastSeenAt: device.last_seen_at
+        }
+      })
+
+    } else if (req.method === 'DELETE') {
+      let removed
+      try {
+        removed = await unregisterPushDevice(user.id, pushToken)
+      } catch (error) {
+        console.error('Error unregistering push device:', error)
+        return res.status(500).json({ error: 'Failed to unregister device' })
+      }
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Device not found' })
+      }
+
+      res.json({
+        success: true,
+        message: 'Device unregistered from push notifications'
+      })
+
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Push devices API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
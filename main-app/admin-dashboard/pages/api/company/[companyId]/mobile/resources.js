@@ -0,0 +1,54 @@
+import { getUserFromToken, getUserOrganizationId, getUserRole } from '../../../lib/supabase'
+import { getDocumentLibrary } from '../../../lib/documentLibrary'
+import { getFeedTrialId } from '../../../lib/trialSwitcher'
+
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    // Resources tab: the document library the user can see, as folders
+    // Query: trialId (default: the app's active trial), q (search), category, tag
+    const role = await getUserRole(user.id)
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const { q, category, tag } = req.query
+    const trialId = await getFeedTrialId(req, user)
+
+    let library
+    try {
+      library = await getDocumentLibrary({ userId: user.id, organizationId: companyId, role }, { trialId, q, category, tag })
+    } catch (error) {
+      console.error('Error fetching resources:', error)
+      return res.status(500).json({ error: 'Failed to fetch resources' })
+    }
+
+    res.json({
+      success: true,
+      ...library
+    })
+
+  } catch (error) {
+    console.error('Resources API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,68 @@
+import { getUserFromToken, getUserOrganizationId } from '../../../lib/supabase'
+import { getSwitchableTrials, setActiveTrial } from '../../../lib/trialSwitcher'
+
+// Trial switcher: GET the trials the user is on (with their role on each) and
+// the device's active trial, PUT { trialId } to switch (null for all trials)
+export default async function handler(req, res) {
+  const { companyId } = req.query
+
+  try {
+    // Get user from token
+    const token = req.headers.authorization?.replace('Bearer ', '')
+    const user = token ? await getUserFromToken(token) : null
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Check if user belongs to the requested organization
+    const userOrgId = await getUserOrganizationId(user.id)
+    if (userOrgId !== companyId) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (req.method === 'GET') {
+      let trials
+      try {
+        trials = await getSwitchableTrials(user.id)
+      } catch (error) {
+        console.error('Error fetching trials:', error)
+        return res.status(500).json({ error: 'Failed to fetch trials' })
+      }
+
+      res.json({
+        success: true,
+        trials,
+        // A trial the user was taken off no longer counts as active
+        activeTrialId: trials.some(trial => trial.id === user.active_trial_id) ? user.active_trial_id : null
+      })
+
+    } else if (req.method === 'PUT') {
+      const { trialId } = req.body || {}
+
+      let result
+      try {
+        result = await setActiveTrial(user, trialId || null)
+      } catch (error) {
+        console.error('Error switching trial:', error)
+        return res.status(500).json({ error: 'Failed to switch trial' })
+      }
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error })
+      }
+
+      res.json({
+        success: true,
+        activeTrialId: result.activeTrialId
+      })
+
+    } else {
+      res.status(405).json({ error: 'Method not allowed' })
+    }
+
+  } catch (error) {
+    console.error('Trials API error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,4 +1,10 @@
-import { supabase, getUserFromToken, getUserOrganizationId, getUserRole, isUserAssignedToTrial } from '../../lib/supabase'
+import { RICH_NEWS_COLUMNS, readNewsRichFields, sortNewsFeed } from 'kachina-health-shared/newsContent'
+import { newsState, onlyLiveNews, parseNewsSchedule } from 'kachina-health-shared/newsSchedule'
+import { permissionDeniedMessage } from 'kachina-health-shared/permissions'
+import { supabase, getUserFromToken, getUserOrganizationId } from '../../lib/supabase'
+import { formatMobileNewsContent } from '../../lib/newsContent'
+import { loadViewer } from '../../lib/permissions'
+import { getFeedTrialId } from '../../lib/trialSwitcher'
 
 export default async function handler(req, res) {
   const { companyId } = req.query
@@ -18,45 +24,99 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: 'Access denied' })
     }
 
-    const userRole = await getUserRole(user.id)
+    let viewer
+    try {
+      viewer = await loadViewer(user.id)
+    } catch (error) {
+      console.error('Error loading user:', error)
+      return res.status(500).json({ error: 'Failed to load news' })
+    }
 
     if (req.method === 'GET') {
       // Get news items
+      // Documents uploaded as content_type 'file' are not news posts
       let query = supabase
         .from('news_updates')
-        .select('*')
+        .select(`*, ${RICH_NEWS_COLUMNS}`)
         .eq('organization_id', companyId)
-        .order('created_at', { ascending: false })
+        .neq('content_type', 'file')
+
+      // If not admin, only show news that is live now (no drafts, scheduled or expired items)
+      if (viewer.role !== 'admin') {
+        query = onlyLiveNews(query)
+      }
 
-      // If not admin, only show published news or news from assigned trials
-      if (userRole !== 'admin') {
-        query = query.eq('published', true)
+      // ?trialId= or the app's active trial narrows the feed to that trial's
+      // news plus organization-wide items; without one, non-admins see their
+      // assigned trials' news plus organization-wide items
+      const trialId = await getFeedTrialId(req, user)
+      if (trialId) {
+        const { data: trial } = await supabase
+          .from('clinical_trials')
+          .select('id')
+          .eq('id', trialId)
+          .eq('organization_id', companyId)
+          .maybeSingle()
+
+        if (!trial || (viewer.role !== 'admin' && !viewer.trialIds.includes(trial.id))) {
+          return res.status(403).json({ error: 'Access denied to this clinical trial' })
+        }
+        query = query.or(`clinical_trial_id.eq.${trial.id},clinical_trial_id.is.null`)
+      } else if (viewer.role !== 'admin') {
+        query = query.or(viewer.trialIds.length > 0
+          ? `clinical_trial_id.in.(${viewer.trialIds.join(',')}),clinical_trial_id.is.null`
+          : 'clinical_trial_id.is.null')
       }
 
       const { data: news, error } = await query
+        .order('published_at', { ascending: false, nullsFirst: true })
 
       if (error) {
         console.error('Error fetching news:', error)
         return res.status(500).json({ error: 'Failed to fetch news' })
       }
 
+      const feed = sortNewsFeed(news || [])
+      const content = await formatMobileNewsContent(feed, companyId)
+
       res.json({
         success: true,
-        news: news || []
+        news: feed.map((item, i) => ({ ...item, state: newsState(item), ...content[i] }))
       })
 
     } else if (req.method === 'POST') {
       // Create news item
-      if (userRole !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can create news' })
+      if (!viewer.can('news.manage')) {
+        return res.status(403).json({ error: permissionDeniedMessage('news.manage') })
       }
 
-      const { title, body, clinical_trial_id, published } = req.body
+      const { title, body, clinical_trial_id, published, status, publishAt, expiresAt, bodyFormat, categoryId, tags } = req.body
 
       if (!title || !body) {
         return res.status(400).json({ error: 'Title and body are required' })
       }
 
+      // As in the API server, only admins post organization-wide or to
+      // trials they aren't assigned to
+      if (viewer.role !== 'admin' && !viewer.trialIds.includes(clinical_trial_id)) {
+        return res.status(403).json({ error: 'You do not have permission to post news for this clinical trial' })
+      }
+
+      // `published: false` from older clients means a draft
+      const schedule = parseNewsSchedule({
+        status: status ?? (published === undefined ? undefined : (published ? 'published' : 'draft')),
+        publishAt,
+        expiresAt
+      })
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error })
+      }
+
+      const rich = await readNewsRichFields(supabase, { bodyFormat, categoryId, tags }, companyId)
+      if (rich.error) {
+        return res.status(400).json({ error: rich.error })
+      }
+
       const { data: newsItem, error } = await supabase
         .from('news_updates')
         .insert({
@@ -64,10 +124,11 @@ export default async function handler(req, res) {
           clinical_trial_id,
           title,
           body,
-          published: published || false,
+          ...schedule.values,
+          ...rich.values,
           created_by: user.id
         })
-        .select()
+        .select(`*, ${RICH_NEWS_COLUMNS}`)
         .single()
 
       if (error) {
@@ -75,10 +136,12 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: 'Failed to create news item' })
       }
 
+      const [content] = await formatMobileNewsContent([newsItem], companyId)
+
       res.json({
         success: true,
         message: 'News item created successfully',
-        news: newsItem
+        news: { ...newsItem, state: newsState(newsItem), ...content }
       })
 
     } else {
@@ -1,4 +1,9 @@
-import { supabase, getUserFromToken, getUserOrganizationId, getUserRole } from '../../../lib/supabase'
+import { RICH_NEWS_COLUMNS, readNewsRichFields } from 'kachina-health-shared/newsContent'
+import { newsState, parseNewsSchedule } from 'kachina-health-shared/newsSchedule'
+import { permissionDeniedMessage } from 'kachina-health-shared/permissions'
+import { supabase, getUserFromToken, getUserOrganizationId } from '../../../lib/supabase'
+import { formatMobileNewsContent } from '../../../lib/newsContent'
+import { loadViewer } from '../../../lib/permissions'
 
 export default async function handler(req, res) {
   const { companyId, newsId } = req.query
@@ -18,27 +23,74 @@ export default async function handler(req, res) {
       return res.status(403).json({ error: 'Access denied' })
     }
 
-    const userRole = await getUserRole(user.id)
+    const capability = { PUT: 'news.manage', DELETE: 'news.delete' }[req.method]
+    if (!capability) {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    let viewer
+    try {
+      viewer = await loadViewer(user.id)
+    } catch (error) {
+      console.error('Error loading user:', error)
+      return res.status(500).json({ error: 'Failed to load news item' })
+    }
+
+    if (!viewer.can(capability)) {
+      return res.status(403).json({ error: permissionDeniedMessage(capability) })
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('news_updates')
+      .select('clinical_trial_id, status, published_at, expires_at')
+      .eq('id', newsId)
+      .eq('organization_id', companyId)
+      .maybeSingle()
+
+    if (existingError) {
+      console.error('Error fetching news:', existingError)
+      return res.status(500).json({ error: 'Failed to load news item' })
+    }
+
+    if (!existing) {
+      return res.status(404).json({ error: 'News item not found' })
+    }
 
     if (req.method === 'PUT') {
-      // Update news item
-      if (userRole !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can update news' })
+      // Update news item. As in the API server, only admins edit
+      // organization-wide news or news for trials they aren't assigned to
+      if (viewer.role !== 'admin' && !viewer.trialIds.includes(existing.clinical_trial_id)) {
+        return res.status(403).json({ error: 'You do not have permission to update news for this clinical trial' })
       }
 
-      const { title, body, published } = req.body
+      const { title, body, published, status, publishAt, expiresAt, bodyFormat, categoryId, tags } = req.body
+
+      const schedule = parseNewsSchedule({
+        status: status ?? (published === undefined ? undefined : (published ? 'published' : 'draft')),
+        publishAt,
+        expiresAt
+      }, existing)
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error })
+      }
+
+      const rich = await readNewsRichFields(supabase, { bodyFormat, categoryId, tags }, companyId)
+      if (rich.error) {
+        return res.status(400).json({ error: rich.error })
+      }
 
       const { data: newsItem, error } = await supabase
         .from('news_updates')
         .update({
           title,
           body,
-          published,
+          ...schedule.values,
+          ...rich.values,
           updated_at: new Date().toISOString()
         })
         .eq('id', newsId)
         .eq('organization_id', companyId)
-        .select()
+        .select(`*, ${RICH_NEWS_COLUMNS}`)
         .single()
 
       if (error) {
@@ -46,18 +98,16 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: 'Failed to update news item' })
       }
 
+      const [content] = await formatMobileNewsContent([newsItem], companyId)
+
       res.json({
         success: true,
         message: 'News item updated successfully',
-        news: newsItem
+        news: { ...newsItem, state: newsState(newsItem), ...content }
       })
 
-    } else if (req.method === 'DELETE') {
+    } else {
       // Delete news item
-      if (userRole !== 'admin') {
-        return res.status(403).json({ error: 'Only admins can delete news' })
-      }
-
       const { error } = await supabase
         .from('news_updates')
         .delete()
@@ -73,9 +123,6 @@ export default async function handler(req, res) {
         success: true,
         message: 'News item deleted successfully'
       })
-
-    } else {
-      return res.status(405).json({ error: 'Method not allowed' })
     }
 
   } catch (error) {
@@ -1,4 +1,5 @@
 import { supabase, getUserFromToken, getUserOrganizationId } from './lib/supabase'
+import { formatHospitalStats, getLeaderboardHospitals, summarizeHospitals } from './lib/leaderboard'
 
 export default async function handler(req, res) {
   // CORS headers
@@ -26,54 +27,31 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'GET') {
-      // Get all hospitals for user's organization
-      const { data: hospitals, error } = await supabase
-        .from('hospitals')
-        .select('*')
-        .eq('organization_id', userOrgId)
-        .order('randomized_patients', { ascending: false })
-
-      if (error) {
+      // Get hospitals visible to the user with counts derived from enrollments,
+      // optionally scoped to a single trial
+      const { trialId } = req.query
+      let hospitals
+      try {
+        hospitals = await getLeaderboardHospitals({ userId: user.id, organizationId: userOrgId, trialId })
+      } catch (error) {
         console.error('Error fetching hospitals:', error)
         return res.status(500).json({ error: 'Failed to fetch hospitals' })
       }
 
-      // Transform data to match frontend expectations
-      const transformedHospitals = hospitals.map(hospital => ({
-        id: hospital.id,
-        name: hospital.hospital_name || hospital.name,
-        location: hospital.location,
-        principal_investigator: hospital.principal_investigator,
-        consented_patients: hospital.consented_patients || 0,
-        randomized_patients: hospital.randomized_patients || 0,
-        consent_rate: hospital.consented_rate || 0,
-        created_at: hospital.created_at
-      }))
-
-      // Calculate summary stats
-      const totalConsented = transformedHospitals.reduce((sum, h) => sum + h.consented_patients, 0)
-      const totalRandomized = transformedHospitals.reduce((sum, h) => sum + h.randomized_patients, 0)
+      if (!hospitals) {
+        return res.status(403).json({ error: 'Access denied to this clinical trial' })
+      }
 
       res.json({
         success: true,
-        hospitals: transformedHospitals,
-        summary: {
-          totalConsented,
-          totalRandomized,
-          totalHospitals: transformedHospitals.length
-        }
+        trialId: trialId || null,
+        hospitals,
+        summary: summarizeHospitals(hospitals)
       })
 
     } else if (req.method === 'POST') {
       // Create new hospital
-      const {
-        name,
-        location,
-        principalInvestigator,
-        consentedPatients,
-        randomizedPatients,
-        consentRate
-      } = req.body
+      const { name, location, principalInvestigator } = req.body
 
       if (!name || !location || !principalInvestigator) {
         return res.status(400).json({
@@ -86,9 +64,6 @@ export default async function handler(req, res) {
         hospital_name: name,
         location: location,
         principal_investigator: principalInvestigator,
-        consented_patients: consentedPatients || 0,
-        randomized_patients: randomizedPatients || 0,
-        consented_rate: consentRate || 0,
         created_by: user.id
       }
 
@@ -103,17 +78,10 @@ export default async function handler(req, res) {
         return res.status(500).json({ error: 'Failed to create hospital' })
       }
 
+      // A new hospital has no enrollments yet, so every count starts at zero
       res.json({
         success: true,
-        hospital: {
-          id: data.id,
-          name: data.hospital_name,
-          location: data.location,
-          principal_investigator: data.principal_investigator,
-          consented_patients: data.consented_patients,
-          randomized_patients: data.randomized_patients,
-          consent_rate: data.consented_rate
-        }
+        hospital: formatHospitalStats(data)
       })
 
     } else {
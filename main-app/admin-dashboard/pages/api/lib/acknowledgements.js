@@ -0,0 +1,125 @@
+import {
+  DOCUMENT_BUCKETS,
+  DOCUMENT_TABLES,
+  DOCUMENT_TYPES,
+  acknowledgementStatus,
+  fetchRequiredDocumentRows
+} from 'kachina-health-shared/acknowledgements'
+import { supabase } from './supabase'
+
+// Read-and-acknowledge records for study protocols and training materials
+// marked acknowledgement_required. Protocol acknowledgements pin the exact
+// study_protocol_versions row that was current; training materials only have
+// a version label. Acknowledgements are immutable once written.
+
+export { DOCUMENT_TYPES }
+
+const toDocument = (documentType, row) => ({
+  documentType,
+  documentId: row.id,
+  trialId: row.clinical_trial_id,
+  organizationId: row.organization_id,
+  title: row.title,
+  version: row.version || '1.0',
+  versionId: documentType === 'study_protocol' ? row.current_version_id : null,
+  bucket: row.storage_path ? DOCUMENT_BUCKETS[documentType] : null,
+  storagePath: row.storage_path || null
+})
+
+// Documents requiring acknowledgement in the given trials, or throws on query error
+export const getRequiredDocuments = async (trialIds) => {
+  const { protocols, trainingMaterials } = await fetchRequiredDocumentRows(supabase, trialIds)
+
+  return [
+    ...protocols.map(row => toDocument('study_protocol', row)),
+    ...trainingMaterials.map(row => toDocument('training_material', row))
+  ]
+}
+
+// A single document requiring acknowledgement, or null if there is none
+export const getRequiredDocument = async (documentType, documentId, organizationId) => {
+  const columns = documentType === 'study_protocol'
+    ? 'id, organization_id, clinical_trial_id, title, version, storage_path, current_version_id'
+    : 'id, organization_id, clinical_trial_id, title, version, storage_path'
+
+  const { data, error } = await supabase
+    .from(DOCUMENT_TABLES[documentType])
+    .select(columns)
+    .eq('id', documentId)
+    .eq('organization_id', organizationId)
+    .eq('acknowledgement_required', true)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? toDocument(documentType, data) : null
+}
+
+export const getUserAcknowledgements = async (userId) => {
+  const { data, error } = await supabase
+    .from('document_acknowledgements')
+    .select('*')
+    .eq('user_id', userId)
+    .order('acknowledged_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+// Each document with the user's status: 'acknowledged' (current version),
+// 'outdated' (an earlier version) or 'pending'
+export const withAcknowledgementStatus = (documents, acknowledgements) => documents.map(document => {
+  const acks = acknowledgements.filter(ack =>
+    ack.document_type === document.documentType && ack.document_id === document.documentId)
+  const { status, acknowledgement } = acknowledgementStatus(document, acks)
+
+  return {
+    ...document,
+    status,
+    acknowledgedVersion: acknowledgement?.document_version || null,
+    acknowledgedAt: acknowledgement?.acknowledged_at || null
+  }
+})
+
+/**
+ * Record that a user has read the current version of a document. Acknowledging
+ * the same version twice returns the original record.
+ */
+export const recordAcknowledgement = async (document, userId, { ipAddress = null, userAgent = null } = {}) => {
+  const { data, error } = await supabase
+    .from('document_acknowledgements')
+    .insert({
+      organization_id: document.organizationId,
+      clinical_trial_id: document.trialId,
+      user_id: userId,
+      document_type: document.documentType,
+      document_id: document.documentId,
+      document_version_id: document.versionId,
+      document_version: document.version,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    })
+    .select()
+    .single()
+
+  // Unique violation: this version was already acknowledged
+  if (error && error.code === '23505') {
+    let query = supabase
+      .from('document_acknowledgements')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('document_type', document.documentType)
+      .eq('document_id', document.documentId)
+
+    query = document.versionId
+      ? query.eq('document_version_id', document.versionId)
+      : query.eq('document_version', document.version)
+
+    const { data: existing, error: existingError } = await query.limit(1).single()
+    if (existingError) throw existingError
+    return existing
+  }
+
+  if (error) throw error
+  return data
+}
@@ -0,0 +1,25 @@
+// The address a request came from, for throttling and audit records.
+// X-Forwarded-For is only read when TRUST_PROXY says how many proxies in front
+// of the app append to it (e.g. 1 behind a single load balancer, or "true" to
+// trust every hop); anything before those entries was written by the client.
+
+const parseTrustedHops = (value) => {
+  if (value === 'true') return Infinity
+  const hops = parseInt(value, 10)
+  return Number.isInteger(hops) && hops > 0 ? hops : 0
+}
+
+const TRUSTED_PROXY_HOPS = parseTrustedHops(process.env.TRUST_PROXY)
+
+export const getClientIp = (req) => {
+  const socketAddress = req.socket?.remoteAddress || null
+  if (TRUSTED_PROXY_HOPS === 0) return socketAddress
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+
+  // Each trusted proxy appended the address it was connected from
+  return forwarded[forwarded.length - TRUSTED_PROXY_HOPS] || forwarded[0] || socketAddress
+}
@@ -0,0 +1,64 @@
+import {
+  DOCUMENT_COLUMNS,
+  buildFolderTree,
+  filterDocuments,
+  formatDocument,
+  inTrialScope,
+  scopeDocuments
+} from 'kachina-health-shared/documentLibrary'
+import { supabaseAdmin } from './supabase'
+import { mobileDownloadUrl } from './fileDownloads'
+
+// The document library for the mobile app's resources tab, with the shared
+// visibility rules. Each document links to the mobile download endpoint, which
+// signs and logs the download.
+
+/**
+ * Folders and documents a user can see, as a tree:
+ * { folders: [{ ...folder, folders, documents }], unfiled: [document] }.
+ * trialId narrows to one trial (plus organization-wide items); q, category
+ * and tag filter the documents. Throws on query errors.
+ */
+export const getDocumentLibrary = async ({ userId, organizationId, role }, { trialId, q, category, tag } = {}) => {
+  let trialIds = []
+  if (role !== 'admin') {
+    const { data: assignments, error } = await supabaseAdmin
+      .from('user_clinical_assignments')
+      .select('clinical_trial_id')
+      .eq('user_id', userId)
+    if (error) throw error
+    trialIds = (assignments || []).map(a => a.clinical_trial_id)
+  }
+
+  const viewer = { role, trialIds }
+  const documentQuery = filterDocuments(
+    scopeDocuments(
+      supabaseAdmin
+        .from('files')
+        .select(DOCUMENT_COLUMNS)
+        .eq('organization_id', organizationId),
+      viewer
+    ),
+    { q, category, tag }
+  ).order('uploaded_at', { ascending: false })
+
+  const [{ data: folderRows, error: folderError }, { data: documentRows, error: documentError }] = await Promise.all([
+    supabaseAdmin
+      .from('document_folders')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('sort_order')
+      .order('name'),
+    documentQuery
+  ])
+  if (folderError) throw folderError
+  if (documentError) throw documentError
+
+  const downloadUrl = mobileDownloadUrl(organizationId)
+  return buildFolderTree(
+    folderRows.filter(row => inTrialScope(row, viewer, trialId)),
+    documentRows
+      .filter(row => inTrialScope(row, viewer, trialId))
+      .map(row => formatDocument(row, downloadUrl))
+  )
+}
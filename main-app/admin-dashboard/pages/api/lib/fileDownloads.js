@@ -0,0 +1,31 @@
+import { createFileDownloads } from 'kachina-health-shared/fileDownloads'
+import { supabaseAdmin } from './supabase'
+import { loadViewer } from './permissions'
+
+// Mobile downloads through the shared fileDownloads module: a download names
+// the record that owns the file, is authorized against its organization and
+// trial with the caller's capabilities, gets a signed URL valid for a few
+// minutes, and is logged in file_downloads before the URL is returned.
+
+const fileDownloads = createFileDownloads({ client: supabaseAdmin })
+
+// The logged mobile download route for a file in organizationId, as a
+// (fileType, id) => URL function for the shared formatters
+export const mobileDownloadUrl = (organizationId) => (fileType, id) =>
+  `/api/company/${organizationId}/mobile/downloads/${fileType}/${id}`
+
+/**
+ * Authorize, sign and log one download; throws on storage or database errors.
+ * @param {object} user - from getUserFromToken (id, mobile_session_id)
+ * @returns {{ status, error } | { download: { fileType, fileId, fileName, url, expiresAt } }}
+ */
+export const downloadFile = async (user, organizationId, fileType, fileId, { ipAddress = null, userAgent = null } = {}) => {
+  const viewer = await loadViewer(user.id)
+  if (viewer.organizationId !== organizationId) return { status: 404, error: 'File not found' }
+
+  return fileDownloads.download(fileType, fileId, { ...viewer, mobileSessionId: user.mobile_session_id || null }, {
+    channel: user.mobile_session_id ? 'mobile' : 'web',
+    ipAddress,
+    userAgent
+  })
+}
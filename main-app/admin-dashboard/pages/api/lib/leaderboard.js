@@ -0,0 +1,74 @@
+import { formatHospitalStats, mergeTrialSiteStats, summarizeHospitals } from 'kachina-health-shared/leaderboardStats'
+import { supabase, supabaseAdmin, getUserHospitalIds, getUserRole } from './supabase'
+
+// Leaderboard rows are built by the shared leaderboardStats module, the same
+// way as in the backend. The stats views are read with the service role
+// (their RLS needs a Supabase session), so callers check the organization
+// and the leaderboard scope first.
+export { formatHospitalStats, summarizeHospitals }
+
+// Returns formatted hospital stats for an organization, or throws on query error
+export const getHospitalStats = async (organizationId, orderBy = 'randomized_patients') => {
+  const { data, error } = await supabaseAdmin
+    .from('hospital_enrollment_stats')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order(orderBy, { ascending: false })
+
+  if (error) throw error
+  return (data || []).map(formatHospitalStats)
+}
+
+// Returns merged stats for the sites of the given trials, or throws on query error
+export const getTrialSiteStats = async (trialIds, orderBy = 'randomized_patients') => {
+  if (trialIds.length === 0) return []
+
+  const { data, error } = await supabaseAdmin
+    .from('trial_site_enrollment_stats')
+    .select('*')
+    .in('clinical_trial_id', trialIds)
+
+  if (error) throw error
+  return mergeTrialSiteStats((data || []).map(formatHospitalStats))
+    .sort((a, b) => b[orderBy] - a[orderBy])
+}
+
+export const getAccessibleTrialIds = async (userId) => {
+  const { data, error } = await supabase
+    .rpc('get_user_accessible_trials', { user_id: userId })
+
+  if (error) throw error
+  return (data || []).map(t => t.id)
+}
+
+// Which trials a leaderboard covers for this user. Admins get the whole
+// organization ({ trialIds: null }) unless a trialId is given; everyone else
+// only sees the sites of the trials they are assigned to. hospitalIds are the
+// sites whose details site staff (doctors) may see; null for everyone else.
+// Returns null if trialId isn't accessible.
+export const getLeaderboardScope = async ({ userId, trialId }) => {
+  const trialIds = await getAccessibleTrialIds(userId)
+
+  if (trialId && !trialIds.includes(trialId)) return null
+
+  const role = await getUserRole(userId)
+  const hospitalIds = role === 'doctor' ? await getUserHospitalIds(userId) : null
+
+  if (!trialId && role === 'admin') {
+    return { trialIds: null, hospitalIds }
+  }
+
+  return { trialIds: trialId ? [trialId] : trialIds, hospitalIds }
+}
+
+export const getScopedHospitalStats = (organizationId, scope, orderBy = 'randomized_patients') => (
+  scope.trialIds
+    ? getTrialSiteStats(scope.trialIds, orderBy)
+    : getHospitalStats(organizationId, orderBy)
+)
+
+// Leaderboard rows the user may see, or null if trialId isn't accessible
+export const getLeaderboardHospitals = async ({ userId, organizationId, trialId, orderBy = 'randomized_patients' }) => {
+  const scope = await getLeaderboardScope({ userId, trialId })
+  return scope && getScopedHospitalStats(organizationId, scope, orderBy)
+}
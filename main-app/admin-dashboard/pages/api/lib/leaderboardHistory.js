@@ -0,0 +1,153 @@
+import { supabaseAdmin } from './supabase'
+
+// Daily leaderboard snapshots are written by capture_leaderboard_snapshot()
+// (scheduled with pg_cron where available). Ranks are not stored; they are
+// computed from the snapshot counts of whichever hospitals are in scope.
+// Snapshots are read with the service role: the mobile API has no Supabase
+// session for RLS to go on, so callers check the organization and the
+// leaderboard scope first.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const STREAK_LOOKBACK_DAYS = 84
+
+export const toDay = (date) => date.toISOString().split('T')[0]
+export const addDays = (day, days) => toDay(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS))
+
+// Take today's snapshot on the first leaderboard request of the day, so
+// history has no gaps on days the scheduled capture didn't run. Capturing
+// is limited to the service role
+export const ensureTodaysSnapshot = async (organizationId) => {
+  const { count, error } = await supabaseAdmin
+    .from('leaderboard_snapshots')
+    .select('id', { count: 'exact', head: true })
+    .eq('organization_id', organizationId)
+    .eq('snapshot_date', toDay(new Date()))
+
+  if (error) throw error
+  if (count > 0) return
+
+  const { error: captureError } = await supabaseAdmin.rpc('capture_leaderboard_snapshot', {
+    for_organization_id: organizationId
+  })
+  if (captureError) throw captureError
+}
+
+// Daily { date, consented, randomized } points per hospital id, oldest first.
+// Trial-scoped snapshots are summed across the scope's trials.
+export const getSnapshotSeries = async (organizationId, scope, sinceDay) => {
+  let query = supabaseAdmin
+    .from('leaderboard_snapshots')
+    .select('hospital_id, snapshot_date, consented_patients, randomized_patients')
+    .eq('organization_id', organizationId)
+    .gte('snapshot_date', sinceDay)
+
+  query = scope.trialIds
+    ? query.in('clinical_trial_id', scope.trialIds)
+    : query.is('clinical_trial_id', null)
+
+  const { data, error } = await query.order('snapshot_date', { ascending: true })
+  if (error) throw error
+
+  const series = {}
+  ;(data || []).forEach(row => {
+    const points = series[row.hospital_id] || (series[row.hospital_id] = [])
+    const last = points[points.length - 1]
+
+    if (last && last.date === row.snapshot_date) {
+      last.consented += row.consented_patients
+      last.randomized += row.randomized_patients
+    } else {
+      points.push({
+        date: row.snapshot_date,
+        consented: row.consented_patients,
+        randomized: row.randomized_patients
+      })
+    }
+  })
+
+  return series
+}
+
+// Ranks hospitals by consented patients on each snapshot day: { [day]: { [hospitalId]: rank } }
+const rankByDay = (hospitalIds, series) => {
+  const byDay = {}
+  hospitalIds.forEach(id => {
+    (series[id] || []).forEach(point => {
+      (byDay[point.date] = byDay[point.date] || []).push({ id, consented: point.consented })
+    })
+  })
+
+  const ranks = {}
+  Object.keys(byDay).forEach(day => {
+    ranks[day] = {}
+    byDay[day]
+      .sort((a, b) => b.consented - a.consented)
+      .forEach((entry, index) => { ranks[day][entry.id] = index + 1 })
+  })
+  return ranks
+}
+
+// Consecutive weeks, ending today, in which the site consented at least one new patient
+const consentStreakWeeks = (currentConsented, points, today) => {
+  const byDate = new Map(points.map(p => [p.date, p.consented]))
+  let streak = 0
+  let day = today
+  let count = currentConsented
+
+  for (;;) {
+    const previousDay = addDays(day, -7)
+    if (!byDate.has(previousDay) || byDate.get(previousDay) >= count) return streak
+    streak += 1
+    day = previousDay
+    count = byDate.get(previousDay)
+  }
+}
+
+/**
+ * Adds rank, rank movement since a week ago and the weekly consent streak to
+ * hospitals already sorted by consented_patients. previousRank comes from the
+ * latest snapshot at least a week old; hospitals without one are 'new'.
+ */
+export const addRankMovement = (hospitals, series, today = toDay(new Date())) => {
+  const weekAgo = addDays(today, -7)
+  const baselineDay = hospitals
+    .flatMap(h => (series[h.id] || []).map(p => p.date))
+    .filter(day => day <= weekAgo)
+    .sort()
+    .pop()
+  const previousRanks = baselineDay ? rankByDay(hospitals.map(h => h.id), series)[baselineDay] : {}
+
+  return hospitals.map((hospital, index) => {
+    const rank = index + 1
+    const previousRank = previousRanks[hospital.id] || null
+    const rankChange = previousRank === null ? null : previousRank - rank
+
+    let movement = 'same'
+    if (previousRank === null) movement = 'new'
+    else if (rankChange > 0) movement = 'up'
+    else if (rankChange < 0) movement = 'down'
+
+    return {
+      ...hospital,
+      rank,
+      previousRank,
+      rankChange,
+      movement,
+      consentStreakWeeks: consentStreakWeeks(hospital.consented_patients, series[hospital.id] || [], today)
+    }
+  })
+}
+
+// Per-hospital time series with the rank held on each snapshot day
+export const buildRankSeries = (hospitals, series) => {
+  const ranks = rankByDay(hospitals.map(h => h.id), series)
+
+  return hospitals.map(hospital => ({
+    id: hospital.id,
+    name: hospital.name,
+    series: (series[hospital.id] || []).map(point => ({
+      ...point,
+      rank: ranks[point.date][hospital.id]
+    }))
+  }))
+}
@@ -0,0 +1,27 @@
+import { createDatabaseLoginCodeStore as createStore, createMemoryLoginCodeStore } from 'kachina-health-shared/loginCodes'
+import { supabaseAdmin } from './supabase'
+
+// Where mobile login codes and code requests are kept. The database store is
+// the default; the memory store is an in-process stand-in for tests and local
+// runs (LOGIN_CODE_STORE=memory). Both come from the shared loginCodes module,
+// which documents the store interface.
+
+export { createMemoryLoginCodeStore }
+
+export const createDatabaseLoginCodeStore = (client = supabaseAdmin) => createStore(client)
+
+let store = null
+
+export const getLoginCodeStore = () => {
+  if (!store) {
+    store = process.env.LOGIN_CODE_STORE === 'memory'
+      ? createMemoryLoginCodeStore()
+      : createDatabaseLoginCodeStore()
+  }
+  return store
+}
+
+// Swap the store, e.g. for a memory store in tests; pass null to reset
+export const setLoginCodeStore = (nextStore) => {
+  store = nextStore
+}
@@ -0,0 +1,19 @@
+import { CODE_TTL_MS, MAX_ATTEMPTS, createLoginCodes, normalizeEmail } from 'kachina-health-shared/loginCodes'
+import { getLoginCodeStore } from './loginCodeStore'
+
+// One-time email login codes for the mobile app through the shared loginCodes
+// module: six-digit codes kept only as a keyed HMAC, three guesses each, and
+// code requests and registrations throttled per email and per IP address.
+// Each function takes an optional store; the default is getLoginCodeStore().
+
+export { CODE_TTL_MS, MAX_ATTEMPTS, normalizeEmail }
+
+export const {
+  checkCodeRequestAllowed,
+  checkRegistrationAllowed,
+  issueLoginCode,
+  verifyLoginCode
+} = createLoginCodes({
+  secret: process.env.LOGIN_CODE_SECRET || process.env.JWT_SECRET,
+  getStore: getLoginCodeStore
+})
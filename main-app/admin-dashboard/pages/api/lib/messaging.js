@@ -0,0 +1,128 @@
+import {
+  canPostInThread,
+  canViewThread,
+  createMessaging,
+  formatMessage,
+  formatThread,
+  isParticipant,
+  messagePush,
+  parseMessageBody,
+  parsePageSize
+} from 'kachina-health-shared/messaging'
+import { supabaseAdmin } from './supabase'
+import { mobileDownloadUrl } from './fileDownloads'
+
+// Messaging for the mobile app's messaging tab through the shared messaging
+// module: trial-scoped threads between sponsor admins and site staff, read
+// positions in message_thread_participants (also the read receipts), hidden
+// messages left out for non-moderators. Attachments link to the mobile
+// download endpoint; sending attachments goes through the backend.
+// viewer is from loadViewer (./permissions).
+
+const messaging = createMessaging({ client: supabaseAdmin })
+
+/**
+ * Unread messages in the user's threads, for the app badge.
+ * @returns {Promise<{ total, trials: [{ clinicalTrialId, unread }], threads: [{ threadId, unread }] }>}
+ */
+export const getUnreadCounts = (viewer) => messaging.unreadSummary(viewer)
+
+// Threads the user takes part in, most recent first, with unread counts
+export const getThreads = (viewer, { trialId } = {}) => messaging.listThreads(viewer, { trialId })
+
+/**
+ * The direct thread between the user and one of the organization's admins in
+ * a trial, created on first use.
+ * @returns {{ status, error } | { thread, created }}
+ */
+export const openDirectThread = async (viewer, { clinicalTrialId, adminId, subject = null }) => {
+  if (viewer.role === 'admin') return { status: 400, error: 'Admins start conversations from the dashboard' }
+  if (!viewer.trialIds.includes(clinicalTrialId)) return { status: 403, error: 'Access denied to this clinical trial' }
+
+  const { data: admin, error: adminError } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('id', adminId)
+    .eq('organization_id', viewer.organizationId)
+    .eq('role', 'admin')
+    .maybeSingle()
+  if (adminError) throw adminError
+  if (!admin) return { status: 404, error: 'Admin not found' }
+
+  const { thread, created } = await messaging.openDirectThread({
+    organizationId: viewer.organizationId,
+    clinicalTrialId,
+    userId: viewer.userId,
+    otherUserId: admin.id,
+    subject
+  })
+  return { thread: formatThread(thread), created }
+}
+
+// A thread the user takes part in (and whose trial they can still see), or null
+export const getThread = async (viewer, threadId) => {
+  const thread = await messaging.loadThread(threadId)
+  if (!thread || !canViewThread(thread, viewer) || !isParticipant(thread, viewer.userId)) return null
+  return thread
+}
+
+/**
+ * A page of messages, newest first; before is the oldest createdAt already
+ * shown.
+ */
+export const getMessages = async (thread, viewer, { before = null, limit } = {}) => {
+  const size = parsePageSize(limit) || parsePageSize()
+  const messages = await messaging.listMessages(thread, viewer, {
+    before,
+    limit: size,
+    downloadUrl: mobileDownloadUrl(viewer.organizationId)
+  })
+  return { messages, hasMore: messages.length === size }
+}
+
+// Move the user's read position to the thread's latest message
+export const markThreadRead = (thread, userId) => messaging.markRead(thread, userId)
+
+/**
+ * Send a text message and queue a push (category message) for the other
+ * participants; the backend's push worker delivers it.
+ * @returns {{ status, error } | { message }}
+ */
+export const sendMessage = async (found, viewer, body) => {
+  if (!canPostInThread(found, viewer)) return { status: 403, error: 'You are not a participant in this thread' }
+  if (found.status === 'locked') return { status: 409, error: 'This thread is locked' }
+
+  const parsed = parseMessageBody(body)
+  if (parsed.error) return { status: 400, error: parsed.error }
+
+  const thread = await messaging.syncSiteParticipants(found)
+  const message = await messaging.postMessage(thread, viewer.userId, parsed.value)
+
+  // A failed push doesn't fail the send
+  const push = messagePush(thread, message)
+  if (push.recipientIds.length > 0) {
+    const { error: pushError } = await supabaseAdmin
+      .from('push_notifications')
+      .insert({
+        organization_id: thread.organization_id,
+        clinical_trial_id: thread.clinical_trial_id,
+        category: 'message',
+        title: push.title,
+        body: push.body,
+        data: push.data,
+        created_by: viewer.userId,
+        recipient_ids: push.recipientIds
+      })
+    if (pushError) console.error(`Failed to queue message push for thread ${thread.id}:`, pushError.message)
+  }
+
+  const refreshed = await messaging.loadThread(thread.id)
+  return {
+    message: formatMessage(
+      message,
+      refreshed.message_thread_participants,
+      viewer.can('messages.moderate'),
+      mobileDownloadUrl(viewer.organizationId)
+    )
+  }
+}
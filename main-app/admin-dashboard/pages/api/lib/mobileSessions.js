@@ -0,0 +1,132 @@
+import { supabaseAdmin } from './supabase'
+import { disableSessionPushDevices } from './pushDevices'
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  hashRefreshToken,
+  newRefreshToken,
+  signMobileAccessToken
+} from './mobileTokens'
+
+// Server-side sessions for the mobile app, one mobile_sessions row per signed-in
+// device. Refresh tokens are single use: each refresh issues a new one and
+// remembers the hash of the old one, so presenting an already-rotated token
+// means it was copied and the whole session is revoked.
+
+const issueTokens = (session, refreshToken) => ({
+  accessToken: signMobileAccessToken({
+    userId: session.user_id,
+    organizationId: session.organization_id,
+    sessionId: session.id
+  }),
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  refreshExpiresAt: session.expires_at,
+  sessionId: session.id
+})
+
+/**
+ * Open a session for a user who has just verified their login code.
+ * @param {object} user - profiles row (id, organization_id)
+ */
+export const createMobileSession = async (user, { deviceName = null, userAgent = null, ipAddress = null } = {}) => {
+  const refreshToken = newRefreshToken()
+
+  const { data: session, error } = await supabaseAdmin
+    .from('mobile_sessions')
+    .insert({
+      organization_id: user.organization_id,
+      user_id: user.id,
+      refresh_token_hash: hashRefreshToken(refreshToken),
+      device_name: deviceName,
+      user_agent: userAgent,
+      ip_address: ipAddress,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString()
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return issueTokens(session, refreshToken)
+}
+
+export const revokeMobileSession = async (sessionId, { reason, revokedBy = null }) => {
+  const { error } = await supabaseAdmin
+    .from('mobile_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason, revoked_by: revokedBy })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+
+  if (error) throw error
+  await disableSessionPushDevices(sessionId)
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Returns { tokens } on success or { error } naming why the token was refused.
+ */
+export const refreshMobileSession = async (refreshToken) => {
+  const tokenHash = hashRefreshToken(refreshToken)
+
+  const { data: session, error } = await supabaseAdmin
+    .from('mobile_sessions')
+    .select('*')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!session) {
+    // A token that was already rotated out is being replayed
+    const { data: reused, error: reusedError } = await supabaseAdmin
+      .from('mobile_sessions')
+      .select('id')
+      .eq('previous_refresh_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle()
+
+    if (reusedError) throw reusedError
+    if (reused) {
+      await revokeMobileSession(reused.id, { reason: 'refresh_token_reuse' })
+      console.warn(`Refresh token reuse detected, revoked mobile session ${reused.id}`)
+    }
+    return { error: 'Invalid refresh token' }
+  }
+
+  if (session.revoked_at) return { error: 'Session has been revoked' }
+  if (new Date(session.expires_at) <= new Date()) return { error: 'Session expired' }
+
+  const nextRefreshToken = newRefreshToken()
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { data: rotated, error: rotateError } = await supabaseAdmin
+    .from('mobile_sessions')
+    .update({
+      refresh_token_hash: hashRefreshToken(nextRefreshToken),
+      previous_refresh_token_hash: tokenHash,
+      last_used_at: new Date().toISOString()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .is('revoked_at', null)
+    .select()
+    .maybeSingle()
+
+  if (rotateError) throw rotateError
+  if (!rotated) return { error: 'Invalid refresh token' }
+
+  return { tokens: issueTokens(rotated, nextRefreshToken) }
+}
+
+// The session a refresh token belongs to, or null
+export const findMobileSessionByRefreshToken = async (refreshToken) => {
+  const { data, error } = await supabaseAdmin
+    .from('mobile_sessions')
+    .select('id, user_id, revoked_at')
+    .eq('refresh_token_hash', hashRefreshToken(refreshToken))
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
@@ -0,0 +1,25 @@
+import jwt from 'jsonwebtoken'
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  createMobileTokens,
+  hashRefreshToken,
+  newRefreshToken
+} from 'kachina-health-shared/mobileTokens'
+
+// Tokens for mobile app sessions through the shared mobileTokens module: a
+// short-lived HS256 access token naming the user and the mobile_sessions row
+// it belongs to, and an opaque refresh token of which only the hash is stored.
+
+const mobileTokens = createMobileTokens({
+  jwt,
+  secret: process.env.MOBILE_JWT_SECRET || process.env.JWT_SECRET
+})
+
+export { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS, hashRefreshToken, newRefreshToken }
+
+export const signMobileAccessToken = mobileTokens.signAccessToken
+
+// Claims of a valid, unexpired mobile access token, or null for anything else
+// (including Supabase tokens, which are signed with a different secret)
+export const readMobileAccessToken = mobileTokens.readAccessToken
@@ -0,0 +1,17 @@
+import { formatNewsContent, signNewsImages } from 'kachina-health-shared/newsContent'
+import { supabaseAdmin } from './supabase'
+import { mobileDownloadUrl } from './fileDownloads'
+
+// News rows for the mobile app, formatted by the shared newsContent module:
+// hero images get signed URLs (news-assets is private) and attachments point
+// at the organization's logged mobile download route.
+
+/**
+ * The rich fields of each news_updates row selected with RICH_NEWS_COLUMNS,
+ * in the same order. Throws when the images can't be signed.
+ */
+export const formatMobileNewsContent = async (items, organizationId) => {
+  const imageUrls = await signNewsImages(supabaseAdmin, items)
+  const downloadUrl = mobileDownloadUrl(organizationId)
+  return items.map(item => formatNewsContent(item, { imageUrls, downloadUrl }))
+}
@@ -0,0 +1,28 @@
+import { isSensitiveTemplate } from 'kachina-health-shared/notificationTemplates'
+import { supabaseAdmin } from './supabase'
+
+// Emails from the Next.js API routes are written to the notification_outbox
+// table and delivered by the backend's outbox worker, which owns the organization
+// branding, SMTP driver and retries (shared/notifications.js).
+
+/**
+ * Queue an email for delivery; returns the outbox row id.
+ * @param {string} template - a template name from shared/notificationTemplates.js
+ */
+export const queueNotification = async (template, { to, organizationId = null, userId = null, data = {} }) => {
+  const { data: row, error } = await supabaseAdmin
+    .from('notification_outbox')
+    .insert({
+      organization_id: organizationId,
+      template,
+      recipient: to,
+      recipient_user_id: userId,
+      payload: data,
+      sensitive: isSensitiveTemplate(template)
+    })
+    .select('id')
+    .single()
+
+  if (error) throw error
+  return row.id
+}
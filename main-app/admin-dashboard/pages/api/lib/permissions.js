@@ -0,0 +1,28 @@
+import { createPermissionPolicy } from 'kachina-health-shared/permissions'
+import { supabaseAdmin } from './supabase'
+
+// Role permissions for the mobile API, read the same way as the API server
+// reads them (the shared permissions module)
+const permissions = createPermissionPolicy({ client: supabaseAdmin })
+
+/**
+ * The user as the shared modules check access: { userId, organizationId,
+ * role (access level: admin, user or doctor), can(capability), trialIds }.
+ * Throws on query errors or when the user has no profile.
+ */
+export const loadViewer = async (userId) => {
+  const [access, { data: assignments, error }] = await Promise.all([
+    permissions.load(userId),
+    supabaseAdmin.from('user_clinical_assignments').select('clinical_trial_id').eq('user_id', userId)
+  ])
+  if (error) throw error
+  if (!access) throw new Error(`No profile for user ${userId}`)
+
+  return {
+    userId,
+    organizationId: access.organizationId,
+    role: access.baseRole,
+    can: access.can,
+    trialIds: (assignments || []).map(a => a.clinical_trial_id)
+  }
+}
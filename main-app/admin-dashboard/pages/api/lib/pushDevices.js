@@ -0,0 +1,140 @@
+import { PUSH_CATEGORIES, PUSH_PLATFORMS } from 'kachina-health-shared/pushNotifications'
+import { supabaseAdmin } from './supabase'
+
+// Push tokens and push preferences for the mobile app. Pushes themselves are
+// queued and fanned out by the backend (the shared pushNotifications module);
+// these helpers only maintain the push_devices and notification_preferences
+// rows that the fan-out reads.
+
+export { PUSH_CATEGORIES, PUSH_PLATFORMS }
+
+/**
+ * Register (or re-register) a device's push token for a user. A token is
+ * unique per device, so one that was registered before - by this user or
+ * someone who used the device earlier - is moved to this user and re-enabled.
+ */
+export const registerPushDevice = async (user, { token, platform, appVersion = null }) => {
+  const { data, error } = await supabaseAdmin
+    .from('push_devices')
+    .upsert({
+      organization_id: user.organization_id,
+      user_id: user.id,
+      token,
+      platform,
+      mobile_session_id: user.mobile_session_id || null,
+      app_version: appVersion,
+      last_seen_at: new Date().toISOString(),
+      disabled_at: null,
+      disabled_reason: null
+    }, { onConflict: 'token' })
+    .select('id, platform, app_version, last_seen_at')
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Stop pushes to a token; returns false if the user has no such device
+export const unregisterPushDevice = async (userId, token) => {
+  const { data, error } = await supabaseAdmin
+    .from('push_devices')
+    .update({ disabled_at: new Date().toISOString(), disabled_reason: 'unregistered' })
+    .eq('user_id', userId)
+    .eq('token', token)
+    .select('id')
+
+  if (error) throw error
+  return (data || []).length > 0
+}
+
+// Called when a mobile session is signed out
+export const disableSessionPushDevices = async (sessionId) => {
+  const { error } = await supabaseAdmin
+    .from('push_devices')
+    .update({ disabled_at: new Date().toISOString(), disabled_reason: 'signed_out' })
+    .eq('mobile_session_id', sessionId)
+    .is('disabled_at', null)
+
+  if (error) throw error
+}
+
+// Same rule as the backend fan-out: trial setting, else the user's default, else on
+const isPushEnabled = (preferences, trialId, category) => {
+  const own = preferences.filter(p => p.category === category)
+  const preference = own.find(p => p.clinical_trial_id === trialId) ||
+    own.find(p => p.clinical_trial_id === null)
+  return preference ? preference.push_enabled : true
+}
+
+/**
+ * The user's push settings: their defaults and the effective setting for each
+ * category in each trial they are assigned to.
+ */
+export const getNotificationPreferences = async (userId) => {
+  const [{ data: preferences, error: preferencesError }, { data: assignments, error: assignmentsError }] = await Promise.all([
+    supabaseAdmin
+      .from('notification_preferences')
+      .select('clinical_trial_id, category, push_enabled')
+      .eq('user_id', userId),
+    supabaseAdmin
+      .from('user_clinical_assignments')
+      .select('clinical_trial_id, clinical_trials ( name )')
+      .eq('user_id', userId)
+  ])
+
+  if (preferencesError) throw preferencesError
+  if (assignmentsError) throw assignmentsError
+
+  const rows = preferences || []
+  const settingsFor = (trialId) => Object.fromEntries(
+    PUSH_CATEGORIES.map(category => [category, isPushEnabled(rows, trialId, category)])
+  )
+
+  return {
+    defaults: settingsFor(null),
+    trials: (assignments || []).map(a => ({
+      clinicalTrialId: a.clinical_trial_id,
+      clinicalTrialName: a.clinical_trials?.name || null,
+      push: settingsFor(a.clinical_trial_id)
+    }))
+  }
+}
+
+/**
+ * Save push settings. clinicalTrialId null changes the user's default for
+ * every trial that has no setting of its own.
+ * @param {object[]} changes - [{ clinicalTrialId, category, pushEnabled }]
+ */
+export const saveNotificationPreferences = async (user, changes) => {
+  for (const change of changes) {
+    let query = supabaseAdmin
+      .from('notification_preferences')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('category', change.category)
+
+    query = change.clinicalTrialId
+      ? query.eq('clinical_trial_id', change.clinicalTrialId)
+      : query.is('clinical_trial_id', null)
+
+    const { data: existing, error: findError } = await query.maybeSingle()
+    if (findError) throw findError
+
+    const { error } = existing
+      ? await supabaseAdmin
+        .from('notification_preferences')
+        .update({ push_enabled: change.pushEnabled })
+        .eq('id', existing.id)
+      : await supabaseAdmin
+        .from('notification_preferences')
+        .insert({
+          organization_id: user.organization_id,
+          user_id: user.id,
+          clinical_trial_id: change.clinicalTrialId || null,
+          category: change.category,
+          push_enabled: change.pushEnabled
+        })
+
+    if (error) throw error
+  }
+}
@@ -1,15 +1,43 @@
 import { createClient } from '@supabase/supabase-js'
+import { readMobileAccessToken } from './mobileTokens'
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 
+// Service role client for server-only tables (mobile sessions, login codes);
+// falls back to the anon client when the key isn't configured
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+export const supabaseAdmin = supabaseServiceKey
+  ? createClient(supabaseUrl, supabaseServiceKey, { auth: { autoRefreshToken: false, persistSession: false } })
+  : supabase
+
 // Helper functions for user authentication
 export const getUserFromToken = async (token) => {
   if (!token) return null
 
   try {
+    // Mobile app access tokens are only honoured while their session is live
+    const mobileClaims = readMobileAccessToken(token)
+    if (mobileClaims) {
+      const { data: session, error } = await supabaseAdmin
+        .from('mobile_sessions')
+        .select('id, revoked_at, expires_at, active_clinical_trial_id')
+        .eq('id', mobileClaims.sid)
+        .eq('user_id', mobileClaims.sub)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) return null
+      return {
+        id: mobileClaims.sub,
+        organization_id: mobileClaims.org,
+        mobile_session_id: session.id,
+        active_trial_id: session.active_clinical_trial_id
+      }
+    }
+
     const { data: { user }, error } = await supabase.auth.getUser(token)
     if (error) throw error
     return user
@@ -67,3 +95,14 @@ export const isUserAssignedToTrial = async (userId, trialId) => {
     return false
   }
 }
+
+// Hospitals a user works at (profile_hospitals)
+export const getUserHospitalIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('profile_hospitals')
+    .select('hospital_id')
+    .eq('profile_id', userId)
+
+  if (error) throw error
+  return (data || []).map(link => link.hospital_id)
+}
@@ -0,0 +1,72 @@
+import { supabaseAdmin } from './supabase'
+
+// The mobile app's trial switcher. Users on several trials pick one as active
+// per signed-in device (mobile_sessions.active_clinical_trial_id); the feeds
+// (news, resources, acknowledgements, leaderboard, messages) are scoped to it
+// unless the request names a trialId. No active trial means all of the user's
+// trials. Taking a user off a trial clears it on their devices, and feeds
+// ignore an active trial the user is no longer assigned to.
+
+/**
+ * The trial a feed request is scoped to: ?trialId=, else the device's active
+ * trial while the user is still assigned to it, else undefined for all
+ * trials. Throws on query errors.
+ * @param {object} user - from getUserFromToken
+ */
+export const getFeedTrialId = async (req, user) => {
+  if (req.query.trialId) return req.query.trialId
+  if (!user.active_trial_id) return undefined
+
+  const { data, error } = await supabaseAdmin
+    .from('user_clinical_assignments')
+    .select('clinical_trial_id')
+    .eq('user_id', user.id)
+    .eq('clinical_trial_id', user.active_trial_id)
+    .maybeSingle()
+  if (error) throw error
+
+  return data ? user.active_trial_id : undefined
+}
+
+/**
+ * Trials the user is assigned to and can switch to, with their role on each
+ * (trialRole null: their own role). Throws on query errors.
+ */
+export const getSwitchableTrials = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_clinical_assignments')
+    .select('clinical_trial_id, trial_role, clinical_trials ( name, is_active )')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+  if (error) throw error
+
+  return (data || []).map(assignment => ({
+    id: assignment.clinical_trial_id,
+    name: assignment.clinical_trials?.name || null,
+    isActive: assignment.clinical_trials?.is_active ?? null,
+    trialRole: assignment.trial_role || null
+  }))
+}
+
+/**
+ * Switch a device to a trial, or back to all trials with null.
+ * @returns {{ status, error } | { activeTrialId }}
+ */
+export const setActiveTrial = async (user, trialId) => {
+  if (!user.mobile_session_id) return { status: 400, error: 'The active trial is kept per mobile app session' }
+
+  if (trialId) {
+    const trials = await getSwitchableTrials(user.id)
+    if (!trials.some(trial => trial.id === trialId)) {
+      return { status: 403, error: 'Access denied to this clinical trial' }
+    }
+  }
+
+  const { error } = await supabaseAdmin
+    .from('mobile_sessions')
+    .update({ active_clinical_trial_id: trialId || null })
+    .eq('id', user.mobile_session_id)
+  if (error) throw error
+
+  return { activeTrialId: trialId || null }
+}
@@ -2,6 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+    createMemoryOutbox,
+    createNotificationService,
+    createSmtpDriver
+} = require('kachina-health-shared/notifications');
+const { PUSH_CATEGORIES, PUSH_PLATFORMS, createPushProviderFromEnv } = require('kachina-health-shared/pushNotifications');
+const { newsState, parseNewsSchedule } = require('kachina-health-shared/newsSchedule');
+const { NEWS_BODY_FORMATS, formatNewsContent, normalizeTags, sortNewsFeed } = require('kachina-health-shared/newsContent');
+const {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    createMobileTokens,
+    hashRefreshToken,
+    newRefreshToken
+} = require('kachina-health-shared/mobileTokens');
+const { CODE_TTL_MS, createLoginCodes, createMemoryLoginCodeStore } = require('kachina-health-shared/loginCodes');
 
 const app = express();
 const PORT = 3000;
@@ -30,20 +47,125 @@ let emailCodes = new Map(); // Store temporary codes
 // Add this alongside existing companies data structure
 let mobileAuthCodes = new Map(); // Store temporary codes for mobile users
 
-// Email configuration (you'll need to provide real credentials)
-let emailTransporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: 'your-email@gmail.com',
-        pass: 'your-app-specific-password' // Use an app-specific password from Google Account
-    }
+// Mobile login codes, hashed and throttled the same way as in the admin
+// dashboard API, kept in memory
+const loginCodeStore = createMemoryLoginCodeStore();
+const loginCodes = createLoginCodes({
+    secret: process.env.LOGIN_CODE_SECRET || crypto.randomBytes(32).toString('hex'),
+    getStore: () => loginCodeStore
 });
 
-// Create a test account for Ethereal Email
-async function createTestEmailAccount() {
+// Mobile sessions: id -> { userId, companyId, refreshTokenHash, previousRefreshTokenHash, ... }
+let mobileSessions = new Map();
+
+// Access tokens are the same JWTs the admin dashboard API issues
+const mobileTokens = createMobileTokens({
+    jwt,
+    secret: process.env.MOBILE_JWT_SECRET || crypto.randomBytes(32).toString('hex')
+});
+
+// The live session an access token belongs to, or null
+function readMobileAccessToken(token) {
+    const claims = mobileTokens.readAccessToken(token);
+    if (!claims) return null;
+
+    const session = mobileSessions.get(claims.sid);
+    return session && session.userId === claims.sub && !session.revokedAt && session.expiresAt > Date.now() ? session : null;
+}
+
+function issueMobileTokens(session) {
+    const refreshToken = newRefreshToken();
+    session.previousRefreshTokenHash = session.refreshTokenHash || null;
+    session.refreshTokenHash = hashRefreshToken(refreshToken);
+    session.lastUsedAt = new Date().toISOString();
+
+    return {
+        accessToken: mobileTokens.signAccessToken({
+            userId: session.userId,
+            organizationId: session.companyId,
+            sessionId: session.id
+        }),
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        refreshExpiresAt: new Date(session.expiresAt).toISOString(),
+        sessionId: session.id
+    };
+}
+
+function openMobileSession(user, companyId, req) {
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        companyId,
+        deviceName: req.body.deviceName || null,
+        userAgent: req.headers['user-agent'] || null,
+        createdAt: new Date().toISOString(),
+        expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+        revokedAt: null,
+        revokedReason: null
+    };
+    mobileSessions.set(session.id, session);
+    return issueMobileTokens(session);
+}
+
+function revokeMobileSession(session, reason) {
+    if (!session.revokedAt) {
+        session.revokedAt = new Date().toISOString();
+        session.revokedReason = reason;
+    }
+    pushDevices.forEach(device => {
+        if (device.sessionId === session.id) device.disabledAt = device.disabledAt || new Date().toISOString();
+    });
+}
+
+// Push devices: token -> { userId, companyId, platform, sessionId, disabledAt }.
+// The demo has no trials, so preferences are per user and category only
+// (userId -> { news, protocol }); pushes go to every enabled device in the company.
+let pushDevices = new Map();
+let pushPreferences = new Map();
+const pushProvider = createPushProviderFromEnv();
+
+async function sendCompanyPush(companyId, category, title, body, data = {}) {
+    const devices = [...pushDevices.entries()]
+        .filter(([, d]) => d.companyId === companyId && !d.disabledAt)
+        .filter(([, d]) => pushPreferences.get(d.userId)?.[category] !== false);
+    if (devices.length === 0) return;
+
+    try {
+        const results = await pushProvider.send(devices.map(([token]) => ({ token, title, body, data: { ...data, category } })));
+        results.forEach((result, index) => {
+            if (result.status === 'invalid_token') devices[index][1].disabledAt = new Date().toISOString();
+        });
+        console.log(`📲 ${category} push sent to ${devices.length} device(s) for ${companyId}`);
+    } catch (error) {
+        console.error('Failed to send push:', error);
+    }
+}
+
+// Email goes through the shared notification module with an in-memory outbox.
+// SMTP_HOST (e.g. a local capture server) is used when set, otherwise an
+// Ethereal test account whose messages can be previewed in the browser.
+const emailOutbox = createMemoryOutbox();
+let notifications = null;
+
+async function createEmailDriver() {
+    if (process.env.SMTP_HOST) {
+        return createSmtpDriver(nodemailer, {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+            secure: false
+        });
+    }
+
     const testAccount = await nodemailer.createTestAccount();
-    
-    const transporter = nodemailer.createTransport({
+
+    console.log('📧 Test Email Account Created:');
+    console.log('Username:', testAccount.user);
+    console.log('Password:', testAccount.pass);
+    console.log('Preview URL: https://ethereal.email');
+
+    return createSmtpDriver(nodemailer, {
         host: 'smtp.ethereal.email',
         port: 587,
         secure: false,
@@ -52,42 +174,47 @@ async function createTestEmailAccount() {
             pass: testAccount.pass
         }
     });
-
-    console.log('📧 Test Email Account Created:');
-    console.log('Username:', testAccount.user);
-    console.log('Password:', testAccount.pass);
-    console.log('Preview URL: https://ethereal.email');
-
-    return transporter;
 }
 
-// Initialize email transporter
-createTestEmailAccount().then(transporter => {
-    emailTransporter = transporter;  // Now this assignment will work
+// Initialize email
+createEmailDriver().then(driver => {
+    notifications = createNotificationService({
+        outbox: emailOutbox,
+        driver,
+        getBranding: async (companyId) => companies[companyId] ? {
+            senderName: companies[companyId].name,
+            logoUrl: companies[companyId].logoUrl,
+            primaryColor: /^#[0-9A-Fa-f]{6}$/.test(companies[companyId].primaryColor || '') ? companies[companyId].primaryColor : null
+        } : null
+    });
+    notifications.startWorker();
     console.log('✅ Email system ready');
 });
 
+// Send a templated email now; resolves to { status, previewUrl } and throws if it wasn't sent
+async function sendEmail(template, message) {
+    if (!notifications) {
+        throw new Error('Email system is not ready yet');
+    }
+
+    const result = await notifications.send(template, message);
+    if (result.status !== 'sent') {
+        throw new Error(result.error || 'Email delivery failed');
+    }
+
+    console.log(`📨 ${template} email sent! Preview URL:`, result.previewUrl);
+    return result;
+}
+
 // Update the sendApprovalEmail function
-async function sendApprovalEmail(user) {
+async function sendApprovalEmail(user, companyId) {
     try {
-        const info = await emailTransporter.sendMail({
-            from: '"KachinaHealth" <stride@kachinahealth.com>',
+        const { previewUrl } = await sendEmail('registration_approved', {
             to: user.email,
-            subject: 'Your STRIDE Trial App Access is Approved',
-            html: `
-                <h2>Welcome to the STRIDE Trial App</h2>
-                <p>Dear ${user.firstName} ${user.lastName},</p>
-                <p>Your registration has been approved. You can now log in to the STRIDE Trial mobile app using your email address:</p>
-                <p><strong>${user.email}</strong></p>
-                <p>When you open the app, click "Sign In" and enter this email address. You'll receive a one-time code to complete your login.</p>
-                <br>
-                <p>Best regards,</p>
-                <p>The STRIDE Trial Team</p>
-            `
+            organizationId: companyId,
+            data: { firstName: user.firstName, lastName: user.lastName, email: user.email }
         });
-
-        console.log('📨 Approval email sent! Preview URL:', nodemailer.getTestMessageUrl(info));
-        return nodemailer.getTestMessageUrl(info);
+        return previewUrl;
     } catch (error) {
         console.error('Failed to send approval email:', error);
         throw error;
@@ -269,7 +396,7 @@ app.post('/api/auth/register', (req, res) => {
 
 // Add this new endpoint for mobile registration
 app.post('/api/auth/mobile/register', async (req, res) => {
-    const { firstName, lastName, email, site, role } = req.body;
+    const { firstName, lastName, email, site, role, trialId, companyId } = req.body;
     
     // Validate required fields
     if (!firstName || !lastName || !email || !site || !role) {
@@ -291,6 +418,7 @@ app.post('/api/auth/mobile/register', async (req, res) => {
         email,
         site,
         role,
+        trialId: trialId || null,
         status: 'pending',
         createdAt: new Date().toISOString(),
         analytics: {
@@ -305,8 +433,8 @@ app.post('/api/auth/mobile/register', async (req, res) => {
         }
     };
 
-    // For demo, add to default company
-    const defaultCompanyId = 'main';
+    // Add to the requested company, or the default company for the demo
+    const defaultCompanyId = companyId && companies[companyId] ? companyId : 'main';
     if (!companies[defaultCompanyId]) {
         companies[defaultCompanyId] = {
             credentials: { username: 'admin', password: 'admin' },
@@ -343,6 +471,12 @@ app.post('/api/auth/mobile/request-code', async (req, res) => {
         return res.status(400).json({ error: 'Email is required' });
     }
 
+    const throttle = await loginCodes.checkCodeRequestAllowed(email, req.ip);
+    if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({ error: 'Too many code requests. Please try again later.' });
+    }
+
     // Find user by email across all companies
     let userCompany = null;
     let foundUser = null;
@@ -365,35 +499,20 @@ app.post('/api/auth/mobile/request-code', async (req, res) => {
     }
 
     try {
-        // Generate 6-digit code
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
-        
-        // Store code temporarily
-        if (!global.loginCodes) global.loginCodes = new Map();
-        global.loginCodes.set(email, {
-            code,
-            expires: Date.now() + 5 * 60 * 1000, // 5 minutes
-            attempts: 0
-        });
+        // Generate a code, storing only its hash and replacing any earlier one
+        const code = await loginCodes.issueLoginCode(email, req.ip);
 
         // Send email with code
-        const info = await emailTransporter.sendMail({
-            from: '"KachinaHealth" <stride@kachinahealth.com>',
+        const { previewUrl } = await sendEmail('login_code', {
             to: email,
-            subject: 'Your STRIDE Trial App Login Code',
-            html: `
-                <h2>STRIDE Trial App Login Code</h2>
-                <p>Your login code is: <strong>${code}</strong></p>
-                <p>This code will expire in 5 minutes.</p>
-            `
+            organizationId: userCompany,
+            data: { code, expiresInMinutes: CODE_TTL_MS / 60000 }
         });
-
-        console.log('Login code email preview:', nodemailer.getTestMessageUrl(info));
         
         res.json({ 
             success: true, 
             message: 'Login code sent',
-            emailPreview: nodemailer.getTestMessageUrl(info)
+            emailPreview: previewUrl
         });
     } catch (error) {
         console.error('Error sending login code:', error);
@@ -402,7 +521,7 @@ app.post('/api/auth/mobile/request-code', async (req, res) => {
 });
 
 // Add this endpoint for verifying the login code
-app.post('/api/auth/mobile/verify-code', (req, res) => {
+app.post('/api/auth/mobile/verify-code', async (req, res) => {
     console.log('Verifying code:', req.body); // Debug log
     const { email, code } = req.body;
     
@@ -410,26 +529,9 @@ app.post('/api/auth/mobile/verify-code', (req, res) => {
         return res.status(400).json({ error: 'Email and code are required' });
     }
 
-    if (!global.loginCodes || !global.loginCodes.has(email)) {
-        return res.status(400).json({ error: 'No code requested or code expired' });
-    }
-
-    const codeData = global.loginCodes.get(email);
-    
-    // Check expiration
-    if (Date.now() > codeData.expires) {
-        global.loginCodes.delete(email);
-        return res.status(400).json({ error: 'Code expired' });
-    }
-
-    // Check code
-    if (codeData.code !== code) {
-        codeData.attempts++;
-        if (codeData.attempts >= 3) {
-            global.loginCodes.delete(email);
-            return res.status(400).json({ error: 'Too many attempts. Please request a new code.' });
-        }
-        return res.status(400).json({ error: 'Invalid code' });
+    const result = await loginCodes.verifyLoginCode(email, code);
+    if (!result.valid) {
+        return res.status(400).json({ error: result.error });
     }
 
     // Find user data
@@ -445,10 +547,8 @@ app.post('/api/auth/mobile/verify-code', (req, res) => {
         }
     }
 
-    // Clean up used code
-    global.loginCodes.delete(email);
-
-    // Return success with user data
+    // Return success with user data and a new session for this device
+    const tokens = openMobileSession(userData, userCompany, req);
     res.json({
         success: true,
         user: {
@@ -457,10 +557,66 @@ app.post('/api/auth/mobile/verify-code', (req, res) => {
             firstName: userData.firstName,
             lastName: userData.lastName,
             companyId: userCompany
+        },
+        ...tokens,
+        token: tokens.accessToken
+    });
+});
+
+// Exchange a refresh token for new tokens; replaying a rotated token revokes the session
+app.post('/api/auth/mobile/refresh', (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokenHash = hashRefreshToken(refreshToken);
+    const sessions = [...mobileSessions.values()];
+    const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+
+    if (!session) {
+        const reused = sessions.find(s => s.previousRefreshTokenHash === tokenHash);
+        if (reused) {
+            revokeMobileSession(reused, 'refresh_token_reuse');
+            console.warn(`Refresh token reuse detected, revoked mobile session ${reused.id}`);
         }
+        return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (session.revokedAt) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    if (session.expiresAt <= Date.now()) {
+        return res.status(401).json({ error: 'Session expired' });
+    }
+
+    res.json({
+        success: true,
+        ...issueMobileTokens(session)
     });
 });
 
+// Sign this device out, using the access token or the refresh token
+app.post('/api/auth/mobile/logout', (req, res) => {
+    const accessToken = req.headers.authorization?.replace('Bearer ', '');
+    const { refreshToken } = req.body;
+
+    let session = readMobileAccessToken(accessToken);
+    if (!session && refreshToken) {
+        const tokenHash = hashRefreshToken(refreshToken);
+        session = [...mobileSessions.values()].find(s => s.refreshTokenHash === tokenHash && !s.revokedAt);
+    }
+
+    if (!session) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    revokeMobileSession(session, 'logout');
+    res.json({ success: true, message: 'Logged out' });
+});
+
 // User login endpoint (from mobile app)
 app.post('/api/auth/login', (req, res) => {
   const { companyId, email, password } = req.body;
@@ -481,10 +637,12 @@ app.post('/api/auth/login', (req, res) => {
   
   console.log(`🔑 User login for ${companyId}:`, { email });
   
+  const tokens = openMobileSession(user, companyId, req);
   res.json({
     success: true,
     message: 'Login successful',
-    token: 'demo-jwt-token',
+    ...tokens,
+    token: tokens.accessToken,
     user: {
       id: user.id,
       email: user.email,
@@ -516,7 +674,7 @@ app.post('/api/company/:companyId/users/:userId/approve', async (req, res) => {
         user.approvedAt = new Date().toISOString();
         
         // Send approval email and get preview URL
-        const previewUrl = await sendApprovalEmail(user);
+        const previewUrl = await sendApprovalEmail(user, companyId);
         
         // Save changes
         console.log('Saving data (currently to memory)');
@@ -532,6 +690,148 @@ app.post('/api/company/:companyId/users/:userId/approve', async (req, res) => {
     }
 });
 
+// List a user's mobile sessions (from admin dashboard)
+app.get('/api/company/:companyId/users/:userId/mobile-sessions', (req, res) => {
+  const { companyId, userId } = req.params;
+
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  const sessions = [...mobileSessions.values()]
+    .filter(s => s.companyId === companyId && s.userId === userId)
+    .map(({ refreshTokenHash, previousRefreshTokenHash, ...session }) => ({
+      ...session,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      active: !session.revokedAt && session.expiresAt > Date.now()
+    }));
+
+  res.json({ success: true, sessions });
+});
+
+// Sign out a user's mobile session, e.g. a lost phone (from admin dashboard)
+app.delete('/api/company/:companyId/users/:userId/mobile-sessions/:sessionId', (req, res) => {
+  const { companyId, userId, sessionId } = req.params;
+
+  const session = mobileSessions.get(sessionId);
+  if (!session || session.companyId !== companyId || session.userId !== userId) {
+    return res.status(404).json({ error: 'Mobile session not found' });
+  }
+
+  revokeMobileSession(session, 'admin');
+  console.log(`📵 Mobile session ${sessionId} revoked for user ${userId}`);
+
+  res.json({ success: true, message: 'Mobile session signed out' });
+});
+
+// Registration approval queue (from admin dashboard); ?status=pending|approved|rejected
+app.get('/api/company/:companyId/registrations', (req, res) => {
+  const { companyId } = req.params;
+  const status = req.query.status || 'pending';
+
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  const requests = companies[companyId].users
+    .filter(u => u.status === status)
+    .map(({ password, analytics, ...user }) => user);
+
+  res.json({ success: true, requests });
+});
+
+// Reject a pending registration with a reason (from admin dashboard)
+app.post('/api/company/:companyId/users/:userId/reject', async (req, res) => {
+  const { companyId, userId } = req.params;
+  const reason = (req.body.reason || '').trim();
+
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  const user = companies[companyId].users.find(u => u.id === userId);
+  if (!user || user.status !== 'pending') {
+    return res.status(404).json({ error: 'Pending registration not found' });
+  }
+
+  user.status = 'rejected';
+  user.rejectionReason = reason;
+  user.rejectedAt = new Date().toISOString();
+
+  try {
+    const { previewUrl } = await sendEmail('registration_rejected', {
+      to: user.email,
+      organizationId: companyId,
+      data: { firstName: user.firstName, lastName: user.lastName, reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'User rejected and notified',
+      emailPreviewUrl: previewUrl
+    });
+  } catch (error) {
+    console.error('Failed to send rejection email:', error);
+    res.json({ success: true, message: 'User rejected, notification failed' });
+  }
+});
+
+// News items carry status ('draft' or 'published'), publishAt and expiresAt
+// with the same rules as the database (backend/newsSchedule.js); the mobile
+// feed only shows live items and a timer announces scheduled ones
+const demoNewsState = (item) => newsState({ status: item.status, published_at: item.publishAt, expires_at: item.expiresAt });
+
+function applyNewsSchedule(item, { status, published, publishAt, expiresAt }) {
+  const schedule = parseNewsSchedule({
+    status: status ?? (published === undefined ? undefined : (published ? 'published' : 'draft')),
+    publishAt,
+    expiresAt
+  }, item.status ? { status: item.status, published_at: item.publishAt, expires_at: item.expiresAt } : null);
+  if (schedule.error) return schedule.error;
+
+  item.status = schedule.values.status;
+  item.publishAt = schedule.values.published_at;
+  item.expiresAt = schedule.values.expires_at;
+  item.state = demoNewsState(item);
+  return null;
+}
+
+// Body format, tags and pinning; the mobile feed gets blocks and safe HTML
+// from the shared newsContent module
+function applyNewsContent(item, { bodyFormat, tags, pinned }) {
+  if (bodyFormat !== undefined) {
+    if (!NEWS_BODY_FORMATS.includes(bodyFormat)) {
+      return `bodyFormat must be one of: ${NEWS_BODY_FORMATS.join(', ')}`;
+    }
+    item.bodyFormat = bodyFormat;
+  }
+  if (tags !== undefined) {
+    const normalized = normalizeTags(tags);
+    if (normalized.error) return normalized.error;
+    item.tags = normalized.tags;
+  }
+  if (pinned !== undefined) {
+    item.pinnedAt = pinned ? (item.pinnedAt || new Date().toISOString()) : null;
+  }
+  return null;
+}
+
+function announceNewsIfLive(companyId, item) {
+  if (item.announcedAt || demoNewsState(item) !== 'live') return;
+  item.announcedAt = new Date().toISOString();
+  sendCompanyPush(companyId, 'news', companies[companyId].name || 'News update', item.title, { newsId: item.id });
+}
+
+setInterval(() => {
+  Object.entries(companies).forEach(([companyId, company]) => {
+    (company.news || []).forEach(item => announceNewsIfLive(companyId, item));
+  });
+}, 60 * 1000).unref();
+
 // Add news item (from admin dashboard)
 app.post('/api/company/:companyId/news', (req, res) => {
   const { companyId } = req.params;
@@ -545,16 +845,21 @@ app.post('/api/company/:companyId/news', (req, res) => {
     id: Date.now().toString(),
     title,
     content,
-    date: new Date().toISOString().split('T')[0],
-    published: false
+    date: new Date().toISOString().split('T')[0]
   };
+
+  const scheduleError = applyNewsSchedule(newsItem, req.body) || applyNewsContent(newsItem, req.body);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
   
   companies[companyId].news.push(newsItem);
   
   // Save data to file
   console.log('Saving data (currently to memory)');
   
-  console.log(`📰 News added for ${companyId}:`, { title });
+  console.log(`📰 News added for ${companyId}:`, { title, state: newsItem.state });
+  announceNewsIfLive(companyId, newsItem);
   
   res.json({
     success: true,
@@ -578,12 +883,20 @@ app.put('/api/company/:companyId/news/:newsId', (req, res) => {
     return res.status(404).json({ error: 'News item not found' });
   }
   
-  companies[companyId].news[newsIndex] = {
+  const updated = {
     ...companies[companyId].news[newsIndex],
     title,
     content,
     updatedDate: new Date().toISOString().split('T')[0]
   };
+
+  const scheduleError = applyNewsSchedule(updated, req.body) || applyNewsContent(updated, req.body);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  companies[companyId].news[newsIndex] = updated;
+  announceNewsIfLive(companyId, updated);
   
   // Save data to file
   console.log('Saving data (currently to memory)');
@@ -632,11 +945,16 @@ app.get('/api/company/:companyId/news', (req, res) => {
     return res.status(404).json({ error: 'Company not found' });
   }
   
-  const publishedNews = companies[companyId].news.filter(n => n.published);
+  const publishedNews = companies[companyId].news
+    .filter(n => demoNewsState(n) === 'live')
+    .map(n => ({ ...n, published_at: n.publishAt, pinned_at: n.pinnedAt }));
   
   res.json({
     success: true,
-    news: publishedNews
+    news: sortNewsFeed(publishedNews).map(({ published_at, pinned_at, ...n }) => ({
+      ...n,
+      ...formatNewsContent({ body: n.content, body_format: n.bodyFormat, tags: n.tags, pinned_at })
+    }))
   });
 });
 
@@ -657,27 +975,146 @@ app.get('/api/company/:companyId/mobile/pdfs', (req, res) => {
 // Mobile app endpoint for enrollment leaderboard
 app.get('/api/company/:companyId/mobile/leaderboard', (req, res) => {
   const { companyId } = req.params;
+  const { trialId } = req.query;
   
   if (!companies[companyId]) {
     return res.status(404).json({ error: 'Company not found' });
   }
   
-  const hospitals = companies[companyId].hospitals || [];
+  const hospitals = computeHospitalStats(companies[companyId], trialId);
   const totalConsented = hospitals.reduce((sum, h) => sum + h.consentedPatients, 0);
   const totalRandomized = hospitals.reduce((sum, h) => sum + h.randomizedPatients, 0);
   
   // Sort hospitals by consented patients for competitive ranking
   const sortedHospitals = hospitals.sort((a, b) => b.consentedPatients - a.consentedPatients);
   
+  // Today's snapshot is refreshed on every request; movement compares against a week ago
+  const snapshots = recordLeaderboardSnapshot(companies[companyId], trialId, sortedHospitals);
+  const rankedHospitals = addRankMovement(sortedHospitals, snapshots);
+  
+  // Most recent enrollment change across all sites
+  const lastUpdated = (companies[companyId].enrollments || [])
+    .filter(e => !trialId || e.trialId === trialId)
+    .map(e => e.updatedAt)
+    .sort()
+    .pop() || new Date().toISOString();
+  
   res.json({
     success: true,
-    hospitals: sortedHospitals,
+    trialId: trialId || null,
+    hospitals: rankedHospitals,
     totalConsented,
     totalRandomized,
-    lastUpdated: new Date().toISOString()
+    lastUpdated
+  });
+});
+
+// Per-hospital daily consented/randomized counts and rank for charting
+app.get('/api/company/:companyId/mobile/leaderboard/history', (req, res) => {
+  const { companyId } = req.params;
+  const { trialId, hospitalId } = req.query;
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 180);
+  
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+  
+  const since = addDays(toDay(new Date()), -days);
+  const snapshots = ((companies[companyId].leaderboardSnapshots || {})[trialId || 'all'] || [])
+    .filter(snapshot => snapshot.date >= since);
+  
+  const hospitals = computeHospitalStats(companies[companyId], trialId)
+    .filter(h => !hospitalId || h.id === hospitalId)
+    .map(hospital => ({
+      id: hospital.id,
+      name: hospital.name,
+      series: snapshots
+        .filter(snapshot => snapshot.counts[hospital.id])
+        .map(snapshot => ({ date: snapshot.date, ...snapshot.counts[hospital.id] }))
+    }));
+  
+  res.json({
+    success: true,
+    trialId: trialId || null,
+    since,
+    hospitals
   });
 });
 
+// Register or unregister this device's push token (mobile access token required)
+app.post('/api/company/:companyId/mobile/push-devices', (req, res) => {
+    const session = readMobileAccessToken(req.headers.authorization?.replace('Bearer ', ''));
+    if (!session || session.companyId !== req.params.companyId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { pushToken, platform } = req.body;
+    if (!pushToken || !PUSH_PLATFORMS.includes(platform)) {
+        return res.status(400).json({ error: `pushToken and platform (${PUSH_PLATFORMS.join(', ')}) are required` });
+    }
+
+    pushDevices.set(pushToken, {
+        userId: session.userId,
+        companyId: session.companyId,
+        platform,
+        sessionId: session.id,
+        disabledAt: null
+    });
+    res.json({ success: true, message: 'Device registered for push notifications' });
+});
+
+app.delete('/api/company/:companyId/mobile/push-devices', (req, res) => {
+    const session = readMobileAccessToken(req.headers.authorization?.replace('Bearer ', ''));
+    if (!session || session.companyId !== req.params.companyId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const device = pushDevices.get(req.body.pushToken);
+    if (!device || device.userId !== session.userId) {
+        return res.status(404).json({ error: 'Device not found' });
+    }
+
+    device.disabledAt = new Date().toISOString();
+    res.json({ success: true, message: 'Device unregistered from push notifications' });
+});
+
+// Push preferences per category; everything is on until turned off
+app.get('/api/company/:companyId/mobile/notification-preferences', (req, res) => {
+    const session = readMobileAccessToken(req.headers.authorization?.replace('Bearer ', ''));
+    if (!session || session.companyId !== req.params.companyId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const saved = pushPreferences.get(session.userId) || {};
+    res.json({
+        success: true,
+        categories: PUSH_CATEGORIES,
+        preferences: { defaults: Object.fromEntries(PUSH_CATEGORIES.map(c => [c, saved[c] !== false])), trials: [] }
+    });
+});
+
+app.put('/api/company/:companyId/mobile/notification-preferences', (req, res) => {
+    const session = readMobileAccessToken(req.headers.authorization?.replace('Bearer ', ''));
+    if (!session || session.companyId !== req.params.companyId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const changes = req.body.preferences;
+    if (!Array.isArray(changes) || changes.some(c => !PUSH_CATEGORIES.includes(c.category) || typeof c.pushEnabled !== 'boolean')) {
+        return res.status(400).json({ error: `Each preference needs a category (${PUSH_CATEGORIES.join(', ')}) and a boolean pushEnabled` });
+    }
+
+    const saved = pushPreferences.get(session.userId) || {};
+    changes.forEach(c => { saved[c.category] = c.pushEnabled; });
+    pushPreferences.set(session.userId, saved);
+
+    res.json({
+        success: true,
+        message: 'Notification preferences saved',
+        preferences: { defaults: Object.fromEntries(PUSH_CATEGORIES.map(c => [c, saved[c] !== false])), trials: [] }
+    });
+});
+
 // Update company settings
 app.put('/api/company/:companyId/settings', (req, res) => {
   const { companyId } = req.params;
@@ -838,6 +1275,7 @@ app.post('/api/company/:companyId/study-protocols', (req, res) => {
   console.log('Saving data (currently to memory)');
   
   console.log(`📋 Study protocol added for ${companyId}:`, { title, type });
+  sendCompanyPush(companyId, 'protocol', `New protocol: ${title}`, `Version ${studyProtocol.version}`, { protocolId: studyProtocol.id });
   
   res.json({
     success: true,
@@ -871,19 +1309,144 @@ app.delete('/api/company/:companyId/study-protocols/:protocolId', (req, res) =>
 });
 
 // Enrollment Leaderboard Management
+
+// Enrollment lifecycle: screened -> consented -> randomized -> completed.
+// Withdrawal is allowed from any status that hasn't already ended.
+const ENROLLMENT_STATUS_TRANSITIONS = {
+  screened: ['consented', 'withdrawn'],
+  consented: ['randomized', 'withdrawn'],
+  randomized: ['completed', 'withdrawn'],
+  withdrawn: [],
+  completed: []
+};
+
+// Which lifecycle timestamps a status implies (earlier funnel stages included)
+const ENROLLMENT_STATUS_STAMPS = {
+  screened: ['screenedAt'],
+  consented: ['screenedAt', 'consentedAt'],
+  randomized: ['screenedAt', 'consentedAt', 'randomizedAt'],
+  completed: ['screenedAt', 'consentedAt', 'randomizedAt', 'completedAt'],
+  withdrawn: ['screenedAt', 'withdrawnAt']
+};
+
+function stampEnrollmentStatus(enrollment, status) {
+  const now = new Date().toISOString();
+  enrollment.status = status;
+  ENROLLMENT_STATUS_STAMPS[status].forEach(field => {
+    if (!enrollment[field]) enrollment[field] = now;
+  });
+  enrollment.updatedAt = now;
+}
+
+// Hospital counts are derived from enrollment records rather than stored on the hospital.
+// With a trialId, only sites attached to that trial (hospital.trials) and its enrollments count.
+function computeHospitalStats(company, trialId) {
+  let enrollments = company.enrollments || [];
+  let hospitals = company.hospitals || [];
+  
+  if (trialId) {
+    enrollments = enrollments.filter(e => e.trialId === trialId);
+    hospitals = hospitals.filter(h => (h.trials || []).some(t => t.trialId === trialId));
+  }
+  
+  return hospitals.map(hospital => {
+    const siteEnrollments = enrollments.filter(e => e.hospitalId === hospital.id);
+    const consentedPatients = siteEnrollments.filter(e => e.consentedAt).length;
+    const trialSite = trialId && hospital.trials.find(t => t.trialId === trialId);
+    
+    return {
+      ...hospital,
+      enrollmentTarget: trialSite ? trialSite.enrollmentTarget : null,
+      screenedPatients: siteEnrollments.length,
+      consentedPatients,
+      randomizedPatients: siteEnrollments.filter(e => e.randomizedAt).length,
+      withdrawnPatients: siteEnrollments.filter(e => e.withdrawnAt).length,
+      completedPatients: siteEnrollments.filter(e => e.completedAt).length,
+      consentRate: siteEnrollments.length === 0
+        ? 0
+        : Math.round((consentedPatients / siteEnrollments.length) * 10000) / 100
+    };
+  });
+}
+
+// Daily leaderboard snapshots, kept per scope ('all' or a trialId), oldest first:
+// [{ date, counts: { [hospitalId]: { consented, randomized, rank } } }]
+const toDay = (date) => date.toISOString().split('T')[0];
+const addDays = (day, days) => toDay(new Date(Date.parse(`${day}T00:00:00Z`) + days * 24 * 60 * 60 * 1000));
+
+function recordLeaderboardSnapshot(company, trialId, sortedHospitals) {
+  const key = trialId || 'all';
+  const today = toDay(new Date());
+  
+  if (!company.leaderboardSnapshots) company.leaderboardSnapshots = {};
+  if (!company.leaderboardSnapshots[key]) company.leaderboardSnapshots[key] = [];
+  
+  const snapshots = company.leaderboardSnapshots[key];
+  const counts = {};
+  sortedHospitals.forEach((hospital, index) => {
+    counts[hospital.id] = {
+      consented: hospital.consentedPatients,
+      randomized: hospital.randomizedPatients,
+      rank: index + 1
+    };
+  });
+  
+  if (snapshots.length > 0 && snapshots[snapshots.length - 1].date === today) {
+    snapshots[snapshots.length - 1].counts = counts;
+  } else {
+    snapshots.push({ date: today, counts });
+  }
+  
+  return snapshots;
+}
+
+// Rank change since the latest snapshot at least a week old, plus the number of
+// consecutive weeks (ending today) in which the site consented a new patient
+function addRankMovement(sortedHospitals, snapshots) {
+  const weekAgo = addDays(toDay(new Date()), -7);
+  const baseline = snapshots.filter(snapshot => snapshot.date <= weekAgo).pop();
+  const byDate = new Map(snapshots.map(snapshot => [snapshot.date, snapshot.counts]));
+  
+  return sortedHospitals.map((hospital, index) => {
+    const rank = index + 1;
+    const previousRank = baseline && baseline.counts[hospital.id] ? baseline.counts[hospital.id].rank : null;
+    const rankChange = previousRank === null ? null : previousRank - rank;
+    
+    let streak = 0;
+    let day = toDay(new Date());
+    let count = hospital.consentedPatients;
+    for (;;) {
+      const previous = (byDate.get(addDays(day, -7)) || {})[hospital.id];
+      if (!previous || previous.consented >= count) break;
+      streak += 1;
+      day = addDays(day, -7);
+      count = previous.consented;
+    }
+    
+    let movement = 'same';
+    if (previousRank === null) movement = 'new';
+    else if (rankChange > 0) movement = 'up';
+    else if (rankChange < 0) movement = 'down';
+    
+    return { ...hospital, rank, previousRank, rankChange, movement, consentStreakWeeks: streak };
+  });
+}
+
 app.get('/api/company/:companyId/leaderboard', (req, res) => {
   const { companyId } = req.params;
+  const { trialId } = req.query;
   
   if (!companies[companyId]) {
     return res.status(404).json({ error: 'Company not found' });
   }
   
-  const hospitals = companies[companyId].hospitals || [];
+  const hospitals = computeHospitalStats(companies[companyId], trialId);
   const totalConsented = hospitals.reduce((sum, h) => sum + h.consentedPatients, 0);
   const totalRandomized = hospitals.reduce((sum, h) => sum + h.randomizedPatients, 0);
   
   res.json({
     success: true,
+    trialId: trialId || null,
     hospitals,
     summary: {
       totalConsented,
@@ -896,6 +1459,7 @@ app.get('/api/company/:companyId/leaderboard', (req, res) => {
 // Get all hospitals for a company
 app.get('/api/company/:companyId/hospitals', (req, res) => {
   const { companyId } = req.params;
+  const { trialId } = req.query;
   
   if (!companies[companyId]) {
     return res.status(404).json({ error: 'Company not found' });
@@ -903,13 +1467,13 @@ app.get('/api/company/:companyId/hospitals', (req, res) => {
   
   res.json({
     success: true,
-    hospitals: companies[companyId].hospitals || []
+    hospitals: computeHospitalStats(companies[companyId], trialId)
   });
 });
 
 app.post('/api/company/:companyId/hospitals', (req, res) => {
   const { companyId } = req.params;
-  const { name, location, principalInvestigator, consentedPatients, randomizedPatients, consentRate } = req.body;
+  const { name, location, principalInvestigator, trials } = req.body;
   
   if (!companies[companyId]) {
     return res.status(404).json({ error: 'Company not found' });
@@ -924,9 +1488,8 @@ app.post('/api/company/:companyId/hospitals', (req, res) => {
     name,
     location,
     principalInvestigator: principalInvestigator || '',
-    consentedPatients: parseInt(consentedPatients) || 0,
-    randomizedPatients: parseInt(randomizedPatients) || 0,
-    consentRate: parseFloat(consentRate) || 0
+    // Trials this site recruits for: [{ trialId, enrollmentTarget }]
+    trials: trials || []
   };
   
   companies[companyId].hospitals.push(hospital);
@@ -945,7 +1508,7 @@ app.post('/api/company/:companyId/hospitals', (req, res) => {
 
 app.put('/api/company/:companyId/hospitals/:hospitalId', (req, res) => {
   const { companyId, hospitalId } = req.params;
-  const { name, location, principalInvestigator, consentedPatients, randomizedPatients, consentRate } = req.body;
+  const { name, location, principalInvestigator, trials } = req.body;
   
   if (!companies[companyId]) {
     return res.status(404).json({ error: 'Company not found' });
@@ -962,9 +1525,7 @@ app.put('/api/company/:companyId/hospitals/:hospitalId', (req, res) => {
     name,
     location,
     principalInvestigator: principalInvestigator || '',
-    consentedPatients: parseInt(consentedPatients) || 0,
-    randomizedPatients: parseInt(randomizedPatients) || 0,
-    consentRate: parseFloat(consentRate) || 0
+    trials: trials || companies[companyId].hospitals[hospitalIndex].trials || []
   };
   
   // Save data to file
@@ -1005,6 +1566,111 @@ app.delete('/api/company/:companyId/hospitals/:hospitalId', (req, res) => {
   });
 });
 
+// Enrollment Management
+app.get('/api/company/:companyId/enrollments', (req, res) => {
+  const { companyId } = req.params;
+  const { hospitalId, trialId, status } = req.query;
+  
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+  
+  let enrollments = companies[companyId].enrollments || [];
+  if (hospitalId) enrollments = enrollments.filter(e => e.hospitalId === hospitalId);
+  if (trialId) enrollments = enrollments.filter(e => e.trialId === trialId);
+  if (status) enrollments = enrollments.filter(e => e.status === status);
+  
+  res.json({
+    success: true,
+    enrollments
+  });
+});
+
+app.post('/api/company/:companyId/enrollments', (req, res) => {
+  const { companyId } = req.params;
+  const { hospitalId, trialId, participantName, enrollmentDate, status } = req.body;
+  
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+  
+  if (!hospitalId || !participantName) {
+    return res.status(400).json({ error: 'Hospital and participant name are required' });
+  }
+  
+  if (status && !ENROLLMENT_STATUS_STAMPS[status]) {
+    return res.status(400).json({ error: 'Invalid enrollment status' });
+  }
+  
+  const hospital = (companies[companyId].hospitals || []).find(h => h.id === hospitalId);
+  if (!hospital) {
+    return res.status(400).json({ error: 'Hospital not found' });
+  }
+  
+  if (trialId && !(hospital.trials || []).some(t => t.trialId === trialId)) {
+    return res.status(400).json({ error: 'Hospital is not a site for this trial' });
+  }
+  
+  const enrollment = {
+    id: Date.now().toString(),
+    hospitalId,
+    trialId: trialId || null,
+    participantName,
+    enrollmentDate: enrollmentDate || new Date().toISOString().split('T')[0]
+  };
+  stampEnrollmentStatus(enrollment, status || 'screened');
+  
+  if (!companies[companyId].enrollments) {
+    companies[companyId].enrollments = [];
+  }
+  
+  companies[companyId].enrollments.push(enrollment);
+  
+  // Save data to file
+  console.log('Saving data (currently to memory)');
+  
+  console.log(`🧾 Enrollment added for ${companyId}:`, { hospitalId, status: enrollment.status });
+  
+  res.json({
+    success: true,
+    message: 'Enrollment added successfully',
+    enrollment
+  });
+});
+
+app.put('/api/company/:companyId/enrollments/:enrollmentId/status', (req, res) => {
+  const { companyId, enrollmentId } = req.params;
+  const { status, withdrawalReason } = req.body;
+  
+  if (!companies[companyId]) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+  
+  const enrollment = (companies[companyId].enrollments || []).find(e => e.id === enrollmentId);
+  
+  if (!enrollment) {
+    return res.status(404).json({ error: 'Enrollment not found' });
+  }
+  
+  if (!(ENROLLMENT_STATUS_TRANSITIONS[enrollment.status] || []).includes(status)) {
+    return res.status(400).json({ error: `Cannot move enrollment from ${enrollment.status} to ${status}` });
+  }
+  
+  stampEnrollmentStatus(enrollment, status);
+  if (status === 'withdrawn') {
+    enrollment.withdrawalReason = withdrawalReason || null;
+  }
+  
+  // Save data to file
+  console.log('Saving data (currently to memory)');
+  
+  res.json({
+    success: true,
+    message: 'Enrollment status updated successfully',
+    enrollment
+  });
+});
+
 // Start server
 app.listen(PORT, (err) => {
   if (err) {
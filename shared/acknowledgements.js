@@ -0,0 +1,167 @@
+// Read-and-acknowledge compliance, shared by the API server (compliance
+// matrix) and the admin dashboard API (mobile acknowledgements).
+//
+// Documents are study protocols and training materials marked
+// acknowledgement_required. A user is compliant with a document once they have
+// acknowledged its current version: for protocols that is the row
+// study_protocols.current_version_id points at, for training materials the
+// version label. Acknowledging an older version counts as 'outdated'.
+
+const DOCUMENT_TYPES = ['study_protocol', 'training_material'];
+
+const DOCUMENT_TABLES = {
+  study_protocol: 'study_protocols',
+  training_material: 'training_materials'
+};
+
+const DOCUMENT_BUCKETS = {
+  study_protocol: 'study-protocols',
+  training_material: 'training-materials'
+};
+
+const REQUIRED_DOCUMENT_COLUMNS = 'id, organization_id, clinical_trial_id, title, version, storage_path, created_at';
+
+const documentKey = (type, id) => `${type}:${id}`;
+
+// acknowledgement_required arrives as a boolean (JSON) or a string (FormData);
+// undefined means the request didn't set it
+const readAcknowledgementFlag = (value) => {
+  if (Array.isArray(value)) value = value[0];
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true' || value === 'on' || value === '1';
+};
+
+// document is { versionId, version }: versionId for protocols, the label otherwise
+const isCurrentAcknowledgement = (document, ack) => (document.versionId
+  ? ack.document_version_id === document.versionId
+  : ack.document_version === document.version);
+
+/**
+ * A user's standing on one document from their acknowledgements of it.
+ * @returns {{ status: 'acknowledged'|'outdated'|'pending', acknowledgement: object|null }}
+ *   the current-version acknowledgement, else the most recent one
+ */
+const acknowledgementStatus = (document, acks) => {
+  const current = acks.find(ack => isCurrentAcknowledgement(document, ack));
+  if (current) return { status: 'acknowledged', acknowledgement: current };
+
+  const latest = [...acks].sort((a, b) => b.acknowledged_at.localeCompare(a.acknowledged_at))[0];
+  return latest
+    ? { status: 'outdated', acknowledgement: latest }
+    : { status: 'pending', acknowledgement: null };
+};
+
+/**
+ * Active documents requiring acknowledgement in the given trials, oldest first.
+ * Throws on query error.
+ * @returns {Promise<{ protocols: Array, trainingMaterials: Array }>}
+ */
+const fetchRequiredDocumentRows = async (client, trialIds) => {
+  if (trialIds.length === 0) return { protocols: [], trainingMaterials: [] };
+
+  const [protocols, materials] = await Promise.all([
+    client
+      .from('study_protocols')
+      .select(`${REQUIRED_DOCUMENT_COLUMNS}, current_version_id`)
+      .in('clinical_trial_id', trialIds)
+      .eq('acknowledgement_required', true)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true }),
+    client
+      .from('training_materials')
+      .select(REQUIRED_DOCUMENT_COLUMNS)
+      .in('clinical_trial_id', trialIds)
+      .eq('acknowledgement_required', true)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (protocols.error) throw protocols.error;
+  if (materials.error) throw materials.error;
+
+  return { protocols: protocols.data || [], trainingMaterials: materials.data || [] };
+};
+
+const toComplianceDocuments = (protocols, trainingMaterials) => [
+  ...protocols.map(p => ({
+    key: documentKey('study_protocol', p.id),
+    type: 'study_protocol',
+    id: p.id,
+    title: p.title,
+    version: p.version,
+    versionId: p.current_version_id
+  })),
+  ...trainingMaterials.map(m => ({
+    key: documentKey('training_material', m.id),
+    type: 'training_material',
+    id: m.id,
+    title: m.title,
+    version: m.version || '1.0',
+    versionId: null
+  }))
+];
+
+/**
+ * Build the who-has-acknowledged-what matrix for one trial.
+ * @param {Array} documents - from toComplianceDocuments
+ * @param {Array} assignments - user_clinical_assignments rows with profiles (display_name, role)
+ * @param {Array} acknowledgements - document_acknowledgements rows for the trial
+ */
+const buildComplianceMatrix = (documents, assignments, acknowledgements) => {
+  const acksByUserDocument = new Map();
+  acknowledgements.forEach(ack => {
+    const key = `${ack.user_id}|${documentKey(ack.document_type, ack.document_id)}`;
+    if (!acksByUserDocument.has(key)) acksByUserDocument.set(key, []);
+    acksByUserDocument.get(key).push(ack);
+  });
+
+  const users = assignments.map(assignment => {
+    const cells = {};
+    let acknowledged = 0;
+
+    documents.forEach(document => {
+      const acks = acksByUserDocument.get(`${assignment.user_id}|${document.key}`) || [];
+      const { status, acknowledgement } = acknowledgementStatus(document, acks);
+
+      if (status === 'acknowledged') acknowledged += 1;
+      cells[document.key] = {
+        status,
+        version: acknowledgement ? acknowledgement.document_version : null,
+        acknowledgedAt: acknowledgement ? acknowledgement.acknowledged_at : null
+      };
+    });
+
+    return {
+      userId: assignment.user_id,
+      displayName: assignment.profiles?.display_name || null,
+      role: assignment.profiles?.role || null,
+      acknowledged,
+      outstanding: documents.length - acknowledged,
+      complete: acknowledged === documents.length,
+      documents: cells
+    };
+  });
+
+  return {
+    documents,
+    users,
+    summary: {
+      users: users.length,
+      documents: documents.length,
+      compliantUsers: users.filter(u => u.complete).length,
+      outstandingAcknowledgements: users.reduce((sum, u) => sum + u.outstanding, 0)
+    }
+  };
+};
+
+module.exports = {
+  DOCUMENT_BUCKETS,
+  DOCUMENT_TABLES,
+  DOCUMENT_TYPES,
+  acknowledgementStatus,
+  buildComplianceMatrix,
+  fetchRequiredDocumentRows,
+  isCurrentAcknowledgement,
+  readAcknowledgementFlag,
+  toComplianceDocuments
+};
@@ -0,0 +1,15 @@
+// CSV cells for exports (the audit log, message threads)
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  csvValue
+};
@@ -0,0 +1,191 @@
+const { apiDownloadUrl, normalizeTags } = require('./newsContent');
+
+// The document library, shared by the API server and the admin dashboard API
+// (the mobile app's resources tab).
+//
+// Uploaded documents live in the files table (not in news_updates), organized
+// into per-trial document_folders. Each document has a category, tags and the
+// roles allowed to see it; admins see everything in their organization, other
+// users see documents shared with their role that are organization-wide or
+// belong to a trial they are assigned to.
+
+const DOCUMENTS_BUCKET = 'trial-documents';
+const DOCUMENT_ROLES = ['admin', 'user', 'doctor'];
+const DEFAULT_CATEGORY = 'General';
+
+// Columns to select from files for formatDocument
+const DOCUMENT_COLUMNS = `
+  *,
+  clinical_trials ( name ),
+  document_folders ( id, name )
+`;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','));
+
+/**
+ * Validate document metadata from a request into files columns. Fields left
+ * undefined are left out, so an update keeps their current values.
+ * Multipart uploads may send tags and visibleToRoles as comma-separated text.
+ * @returns {{ values: object } | { error: string }}
+ */
+const parseDocumentFields = ({ title, description, category, tags, visibleToRoles }) => {
+  const values = {};
+
+  if (title !== undefined) {
+    if (!title || !String(title).trim()) return { error: 'Title cannot be empty' };
+    values.title = String(title).trim();
+  }
+
+  if (description !== undefined) {
+    values.description = description ? String(description).trim() : null;
+  }
+
+  if (category !== undefined) {
+    const name = String(category || '').trim() || DEFAULT_CATEGORY;
+    if (name.length > 60) return { error: 'Category must be at most 60 characters' };
+    values.category = name;
+  }
+
+  if (tags !== undefined) {
+    const normalized = normalizeTags(tags);
+    if (normalized.error) return { error: normalized.error };
+    values.tags = normalized.tags;
+  }
+
+  if (visibleToRoles !== undefined) {
+    const roles = [...new Set(toList(visibleToRoles || []).map(role => String(role).trim()).filter(Boolean))];
+    if (roles.some(role => !DOCUMENT_ROLES.includes(role))) {
+      return { error: `visibleToRoles must only contain: ${DOCUMENT_ROLES.join(', ')}` };
+    }
+    // Admins always see every document
+    values.visible_to_roles = roles.includes('admin') ? roles : ['admin', ...roles];
+  }
+
+  return { values };
+};
+
+/**
+ * Restrict a files query to the documents a user may see.
+ * @param {object} viewer - { role, trialIds } where trialIds are the user's assigned trials
+ */
+const scopeDocuments = (query, { role, trialIds }) => {
+  if (role === 'admin') return query;
+  const scoped = query.contains('visible_to_roles', [role]);
+  return trialIds.length > 0
+    ? scoped.or(`clinical_trial_id.is.null,clinical_trial_id.in.(${trialIds.join(',')})`)
+    : scoped.is('clinical_trial_id', null);
+};
+
+/**
+ * Apply library filters from a request's query string to a files query.
+ * folderId 'none' lists documents that are not in a folder.
+ */
+const filterDocuments = (query, { q, category, tag, folderId, trialId }) => {
+  let filtered = query;
+  if (trialId) filtered = filtered.eq('clinical_trial_id', trialId);
+  if (folderId === 'none') filtered = filtered.is('folder_id', null);
+  else if (folderId) filtered = filtered.eq('folder_id', folderId);
+  if (category) filtered = filtered.eq('category', category);
+  if (tag) filtered = filtered.contains('tags', [String(tag).trim().toLowerCase()]);
+  if (q && String(q).trim()) {
+    filtered = filtered.textSearch('search_vector', String(q).trim(), { type: 'websearch', config: 'english' });
+  }
+  return filtered;
+};
+
+/**
+ * Whether an organization-wide or trial folder/document row belongs in a
+ * listing: organization-wide rows always do, trial rows when trialId is unset
+ * or matches and the viewer can see that trial.
+ */
+const inTrialScope = (row, { role, trialIds }, trialId) => !row.clinical_trial_id || (
+  (!trialId || row.clinical_trial_id === trialId) &&
+  (role === 'admin' || trialIds.includes(row.clinical_trial_id))
+);
+
+const canViewDocument = (row, { role, trialIds }) => {
+  if (role === 'admin') return true;
+  if (!(row.visible_to_roles || DOCUMENT_ROLES).includes(role)) return false;
+  return !row.clinical_trial_id || trialIds.includes(row.clinical_trial_id);
+};
+
+// Storage path for a new document: <organization>/documents/<trial or general>/<unique name>
+const documentPath = (organizationId, clinicalTrialId, fileName) => {
+  const extension = fileName.includes('.') ? `.${fileName.split('.').pop().toLowerCase()}` : '';
+  const randomId = Math.random().toString(36).substring(2, 15);
+  return `${organizationId}/documents/${clinicalTrialId || 'general'}/${Date.now()}_${randomId}${extension}`;
+};
+
+/**
+ * @param {function} [downloadUrl] - (fileType, id) => download URL; the API
+ *   server's logged download endpoint by default
+ */
+const formatDocument = (row, downloadUrl = apiDownloadUrl) => ({
+  id: row.id,
+  title: row.title || row.file_name,
+  description: row.description,
+  category: row.category || DEFAULT_CATEGORY,
+  tags: row.tags || [],
+  fileName: row.file_name,
+  fileSize: row.file_size,
+  mimeType: row.mime_type,
+  bucket: row.path ? row.bucket : null,
+  path: row.path,
+  externalUrl: row.external_url || null,
+  downloadUrl: downloadUrl('document', row.id),
+  clinicalTrialId: row.clinical_trial_id,
+  clinicalTrialName: row.clinical_trials?.name || null,
+  folderId: row.folder_id,
+  folderName: row.document_folders?.name || null,
+  visibleToRoles: row.visible_to_roles || DOCUMENT_ROLES,
+  uploadedBy: row.uploaded_by,
+  uploadedAt: row.uploaded_at,
+  updatedAt: row.updated_at || row.uploaded_at
+});
+
+const formatDocumentFolder = (row) => ({
+  id: row.id,
+  name: row.name,
+  clinicalTrialId: row.clinical_trial_id,
+  parentId: row.parent_id,
+  sortOrder: row.sort_order
+});
+
+/**
+ * Nest folders under their parents and put each formatted document in its
+ * folder. Documents whose folder is missing (or not visible) are unfiled.
+ * @returns {{ folders: object[], unfiled: object[] }}
+ */
+const buildFolderTree = (folderRows, documents = []) => {
+  const nodes = new Map(folderRows.map(row => [row.id, { ...formatDocumentFolder(row), folders: [], documents: [] }]));
+  const folders = [];
+  const unfiled = [];
+
+  const byOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+  [...nodes.values()].sort(byOrder).forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.folders : folders).push(node);
+  });
+
+  documents.forEach(document => {
+    const folder = document.folderId && nodes.get(document.folderId);
+    (folder ? folder.documents : unfiled).push(document);
+  });
+
+  return { folders, unfiled };
+};
+
+module.exports = {
+  DOCUMENTS_BUCKET,
+  DOCUMENT_COLUMNS,
+  DOCUMENT_ROLES,
+  buildFolderTree,
+  canViewDocument,
+  documentPath,
+  filterDocuments,
+  formatDocument,
+  formatDocumentFolder,
+  inTrialScope,
+  parseDocumentFields,
+  scopeDocuments
+};
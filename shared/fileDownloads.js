@@ -0,0 +1,263 @@
+const { DOCUMENT_BUCKETS } = require('./acknowledgements');
+const { DOCUMENTS_BUCKET, canViewDocument } = require('./documentLibrary');
+const { NEWS_ASSETS_BUCKET } = require('./newsContent');
+const { newsState } = require('./newsSchedule');
+
+// Downloads by record, not by storage path, shared by the API server and the
+// admin dashboard API (mobile downloads). A download names the record that
+// owns a file; the record gives the organization and trial to authorize
+// against and the storage object to sign. Every URL handed out is short-lived
+// and logged in file_downloads.
+
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+const PROTOCOL_BUCKET = DOCUMENT_BUCKETS.study_protocol;
+const TRAINING_BUCKET = DOCUMENT_BUCKETS.training_material;
+
+// How to find each kind of downloadable file. toFile returns
+// { organizationId, clinicalTrialId, bucket, path, externalUrl, fileName }
+const DOWNLOAD_SOURCES = {
+  document: {
+    table: 'files',
+    columns: 'id, organization_id, clinical_trial_id, bucket, path, external_url, file_name, visible_to_roles',
+    buckets: null,
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.clinical_trial_id,
+      bucket: row.bucket || DOCUMENTS_BUCKET,
+      path: row.path,
+      externalUrl: row.external_url,
+      fileName: row.file_name,
+      row
+    })
+  },
+  study_protocol: {
+    table: 'study_protocols',
+    columns: 'id, organization_id, clinical_trial_id, title, storage_path',
+    buckets: [PROTOCOL_BUCKET],
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.clinical_trial_id,
+      bucket: PROTOCOL_BUCKET,
+      path: row.storage_path,
+      fileName: row.title
+    })
+  },
+  study_protocol_version: {
+    table: 'study_protocol_versions',
+    columns: 'id, organization_id, storage_path, file_name, version_label, study_protocols ( clinical_trial_id, title )',
+    buckets: [PROTOCOL_BUCKET],
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.study_protocols?.clinical_trial_id || null,
+      bucket: PROTOCOL_BUCKET,
+      path: row.storage_path,
+      fileName: row.file_name || [row.study_protocols?.title, row.version_label].filter(Boolean).join(' ')
+    })
+  },
+  training_material: {
+    table: 'training_materials',
+    columns: 'id, organization_id, clinical_trial_id, title, storage_bucket, storage_path, file_name',
+    buckets: [TRAINING_BUCKET],
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.clinical_trial_id,
+      bucket: row.storage_bucket || TRAINING_BUCKET,
+      path: row.storage_path,
+      fileName: row.file_name || row.title
+    })
+  },
+  news_attachment: {
+    table: 'news_attachments',
+    columns: 'id, organization_id, storage_bucket, storage_path, file_name, news_updates ( clinical_trial_id, status, published_at, expires_at )',
+    buckets: [NEWS_ASSETS_BUCKET],
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.news_updates?.clinical_trial_id || null,
+      bucket: row.storage_bucket || NEWS_ASSETS_BUCKET,
+      path: row.storage_path,
+      fileName: row.file_name,
+      row
+    })
+  },
+  message_attachment: {
+    table: 'message_attachments',
+    columns: 'id, organization_id, storage_bucket, storage_path, file_name, messages ( hidden_at ), message_threads ( clinical_trial_id, message_thread_participants ( user_id ) )',
+    buckets: [DOCUMENTS_BUCKET],
+    toFile: (row) => ({
+      organizationId: row.organization_id,
+      clinicalTrialId: row.message_threads?.clinical_trial_id || null,
+      bucket: row.storage_bucket || DOCUMENTS_BUCKET,
+      path: row.storage_path,
+      fileName: row.file_name,
+      row
+    })
+  }
+};
+
+const FILE_TYPES = Object.keys(DOWNLOAD_SOURCES);
+
+// Columns holding the storage path for findByLocation
+const PATH_COLUMNS = {
+  document: 'path',
+  study_protocol: 'storage_path',
+  study_protocol_version: 'storage_path',
+  training_material: 'storage_path',
+  news_attachment: 'storage_path',
+  message_attachment: 'storage_path'
+};
+
+/**
+ * Whether a viewer may download a file: same organization, and unless they
+ * are an admin, assigned to the file's trial. Library documents also check
+ * their role visibility; news attachments need the news item to be live
+ * unless the viewer can see drafts (news.view_drafts), and message
+ * attachments are only available to the thread's participants while the
+ * message isn't hidden.
+ * @param {object} viewer - { userId, organizationId, role, can, trialIds }
+ */
+const canDownload = (fileType, file, viewer) => {
+  if (file.organizationId !== viewer.organizationId) return false;
+  if (viewer.role === 'admin') return true;
+  if (fileType === 'document') return canViewDocument(file.row, viewer);
+  if (file.clinicalTrialId && !viewer.trialIds.includes(file.clinicalTrialId)) return false;
+  if (fileType === 'news_attachment' && !viewer.can('news.view_drafts')) {
+    return newsState(file.row.news_updates || {}) === 'live';
+  }
+  if (fileType === 'message_attachment') {
+    return !file.row.messages?.hidden_at &&
+      (file.row.message_threads?.message_thread_participants || []).some(p => p.user_id === viewer.userId);
+  }
+  return true;
+};
+
+const formatFileDownload = (row) => ({
+  id: row.id,
+  fileType: row.file_type,
+  fileId: row.file_id,
+  fileName: row.file_name,
+  clinicalTrialId: row.clinical_trial_id,
+  userId: row.user_id,
+  userName: row.profiles?.display_name || null,
+  userEmail: row.profiles?.email || null,
+  channel: row.channel,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  downloadedAt: row.created_at
+});
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ * @param {number} [options.ttlSeconds] - lifetime of signed URLs
+ */
+const createFileDownloads = ({ client, ttlSeconds = DOWNLOAD_URL_TTL_SECONDS }) => {
+  const resolve = async (fileType, fileId) => {
+    const source = DOWNLOAD_SOURCES[fileType];
+    if (!source) return null;
+
+    const { data, error } = await client
+      .from(source.table)
+      .select(source.columns)
+      .eq('id', fileId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? { id: data.id, ...source.toFile(data) } : null;
+  };
+
+  // The record owning a storage object, for callers that only know bucket and path
+  const findByLocation = async (bucket, path) => {
+    for (const fileType of FILE_TYPES) {
+      const source = DOWNLOAD_SOURCES[fileType];
+      if (source.buckets && !source.buckets.includes(bucket)) continue;
+
+      let query = client.from(source.table).select(source.columns).eq(PATH_COLUMNS[fileType], path);
+      if (fileType === 'document') query = query.eq('bucket', bucket);
+
+      const { data, error } = await query.limit(1);
+      if (error) throw error;
+      if (data && data.length > 0) return { fileType, file: { id: data[0].id, ...source.toFile(data[0]) } };
+    }
+    return null;
+  };
+
+  const signUrl = async (file) => {
+    if (!file.path) {
+      return file.externalUrl ? { url: file.externalUrl, expiresAt: null } : null;
+    }
+
+    const { data, error } = await client.storage
+      .from(file.bucket)
+      .createSignedUrl(file.path, ttlSeconds, file.fileName ? { download: file.fileName } : undefined);
+
+    if (error) throw error;
+    return { url: data.signedUrl, expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+  };
+
+  // Throws when the entry can't be written, so no URL goes out unlogged
+  const logDownload = async (fileType, file, viewer, { channel = 'web', ipAddress = null, userAgent = null } = {}) => {
+    const { error } = await client
+      .from('file_downloads')
+      .insert({
+        organization_id: file.organizationId,
+        clinical_trial_id: file.clinicalTrialId,
+        file_type: fileType,
+        file_id: file.id,
+        file_name: file.fileName,
+        user_id: viewer.userId,
+        mobile_session_id: viewer.mobileSessionId || null,
+        channel,
+        ip_address: ipAddress,
+        user_agent: userAgent
+      });
+
+    if (error) throw error;
+  };
+
+  /**
+   * Authorize, sign and log one download.
+   * @returns {{ status: number, error: string } | { download: object }}
+   */
+  const issue = async (fileType, file, viewer, context) => {
+    if (!file || !canDownload(fileType, file, viewer)) {
+      return { status: 404, error: 'File not found' };
+    }
+
+    const signed = await signUrl(file);
+    if (!signed) return { status: 404, error: 'This item has no file to download' };
+
+    await logDownload(fileType, file, viewer, context);
+    return {
+      download: {
+        fileType,
+        fileId: file.id,
+        fileName: file.fileName,
+        url: signed.url,
+        expiresAt: signed.expiresAt
+      }
+    };
+  };
+
+  return {
+    findByLocation,
+    issue,
+    logDownload,
+    resolve,
+    signUrl,
+
+    async download(fileType, fileId, viewer, context) {
+      if (!FILE_TYPES.includes(fileType)) {
+        return { status: 400, error: `fileType must be one of: ${FILE_TYPES.join(', ')}` };
+      }
+      return issue(fileType, await resolve(fileType, fileId), viewer, context);
+    }
+  };
+};
+
+module.exports = {
+  DOWNLOAD_URL_TTL_SECONDS,
+  FILE_TYPES,
+  canDownload,
+  createFileDownloads,
+  formatFileDownload
+};
@@ -0,0 +1,70 @@
+// Leaderboard rows. Counts are computed from enrollment records by the
+// hospital_enrollment_stats view, plus each hospital's baseline from before
+// enrollment records (its old counters); hospitals no longer store counts.
+// Trial-scoped rows come from trial_site_enrollment_stats and also carry
+// the site's enrollment target for that trial.
+
+const formatHospitalStats = (hospital) => ({
+  id: hospital.id,
+  name: hospital.hospital_name,
+  location: hospital.location,
+  principal_investigator: hospital.principal_investigator,
+  screened_patients: hospital.screened_patients || 0,
+  consented_patients: hospital.consented_patients || 0,
+  randomized_patients: hospital.randomized_patients || 0,
+  withdrawn_patients: hospital.withdrawn_patients || 0,
+  completed_patients: hospital.completed_patients || 0,
+  consent_rate: Number(hospital.consented_rate) || 0,
+  enrollment_target: hospital.enrollment_target ?? null,
+  target_date: hospital.target_date || null,
+  last_enrollment_activity_at: hospital.last_enrollment_activity_at || null,
+  created_at: hospital.created_at
+});
+
+// A hospital attached to several trials has one trial_site row per trial;
+// fold them into a single leaderboard entry.
+const mergeTrialSiteStats = (hospitals) => {
+  const merged = new Map();
+
+  hospitals.forEach(hospital => {
+    const existing = merged.get(hospital.id);
+    if (!existing) {
+      merged.set(hospital.id, { ...hospital });
+      return;
+    }
+
+    existing.screened_patients += hospital.screened_patients;
+    existing.consented_patients += hospital.consented_patients;
+    existing.randomized_patients += hospital.randomized_patients;
+    existing.withdrawn_patients += hospital.withdrawn_patients;
+    existing.completed_patients += hospital.completed_patients;
+    if (hospital.enrollment_target !== null) {
+      existing.enrollment_target = (existing.enrollment_target || 0) + hospital.enrollment_target;
+    }
+    if (hospital.last_enrollment_activity_at > (existing.last_enrollment_activity_at || '')) {
+      existing.last_enrollment_activity_at = hospital.last_enrollment_activity_at;
+    }
+    if (hospital.target_date > (existing.target_date || '')) {
+      existing.target_date = hospital.target_date;
+    }
+  });
+
+  return Array.from(merged.values()).map(hospital => ({
+    ...hospital,
+    consent_rate: hospital.screened_patients === 0
+      ? 0
+      : Math.round(hospital.consented_patients * 10000 / hospital.screened_patients) / 100
+  }));
+};
+
+const summarizeHospitals = (hospitals) => ({
+  totalConsented: hospitals.reduce((sum, h) => sum + h.consented_patients, 0),
+  totalRandomized: hospitals.reduce((sum, h) => sum + h.randomized_patients, 0),
+  totalHospitals: hospitals.length
+});
+
+module.exports = {
+  formatHospitalStats,
+  mergeTrialSiteStats,
+  summarizeHospitals
+};
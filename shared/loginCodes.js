@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+
+// One-time email login codes for the mobile app, shared by the admin
+// dashboard API and the demo server. Codes are six digits, valid for five
+// minutes and three guesses, and stored only as an HMAC keyed with a server
+// secret and the email address, so a leaked table can't be brute-forced
+// offline. Code requests and registrations are throttled per email address
+// and per IP address.
+//
+// Codes and requests are kept in a store: createDatabaseLoginCodeStore
+// (mobile_login_codes and mobile_login_requests) or createMemoryLoginCodeStore
+// (in-process, for tests and the demo server). Both implement:
+//
+//   replaceCode({ email, codeHash, expiresAt, ipAddress }) -> void
+//   getActiveCode(email) -> { id, codeHash, attempts, expiresAt } | null
+//   incrementAttempts(id) -> new attempt count
+//   consumeCode(id) -> true if this call consumed it, false if already used
+//   recordRequestIfAllowed({ kind, email, ipAddress, since, maxPerEmail, maxPerIp })
+//     -> true and the request is recorded if both the email address and the
+//        IP address made fewer requests of that kind ('login_code' or
+//        'registration') than their limit since `since`
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+const THROTTLE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_REQUESTS_PER_EMAIL = 5;
+const MAX_REQUESTS_PER_IP = 20;
+
+const REGISTRATION_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REGISTRATIONS_PER_EMAIL = 3;
+const MAX_REGISTRATIONS_PER_IP = 10;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * @param {object} client - Supabase client with the service role key
+ */
+const createDatabaseLoginCodeStore = (client) => ({
+  async replaceCode({ email, codeHash, expiresAt, ipAddress }) {
+    // A new code makes any earlier one for the address unusable
+    const { error: deleteError } = await client
+      .from('mobile_login_codes')
+      .delete()
+      .eq('email', email);
+
+    if (deleteError) throw deleteError;
+
+    const { error } = await client
+      .from('mobile_login_codes')
+      .insert({
+        email,
+        code_hash: codeHash,
+        expires_at: expiresAt.toISOString(),
+        ip_address: ipAddress
+      });
+
+    if (error) throw error;
+  },
+
+  async getActiveCode(email) {
+    const { data, error } = await client
+      .from('mobile_login_codes')
+      .select('id, code_hash, attempts, expires_at')
+      .eq('email', email)
+      .is('consumed_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data
+      ? { id: data.id, codeHash: data.code_hash, attempts: data.attempts, expiresAt: new Date(data.expires_at) }
+      : null;
+  },
+
+  async incrementAttempts(id) {
+    const { data, error } = await client.rpc('increment_mobile_login_code_attempts', { code_id: id });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async consumeCode(id) {
+    const { data, error } = await client
+      .from('mobile_login_codes')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('consumed_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  async recordRequestIfAllowed({ kind, email, ipAddress, since, maxPerEmail, maxPerIp }) {
+    const { data, error } = await client.rpc('record_mobile_login_request', {
+      request_kind: kind,
+      request_email: email,
+      request_ip: ipAddress,
+      window_start: since.toISOString(),
+      max_per_email: maxPerEmail,
+      max_per_ip: maxPerIp
+    });
+
+    if (error) throw error;
+    return data === true;
+  }
+});
+
+const createMemoryLoginCodeStore = () => {
+  const codes = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  return {
+    async replaceCode({ email, codeHash, expiresAt, ipAddress }) {
+      codes.set(email, { id: String(nextId++), codeHash, attempts: 0, expiresAt, ipAddress, consumedAt: null });
+    },
+
+    async getActiveCode(email) {
+      const code = codes.get(email);
+      return code && !code.consumedAt
+        ? { id: code.id, codeHash: code.codeHash, attempts: code.attempts, expiresAt: code.expiresAt }
+        : null;
+    },
+
+    async incrementAttempts(id) {
+      const code = [...codes.values()].find(c => c.id === id);
+      if (!code) return null;
+      code.attempts += 1;
+      return code.attempts;
+    },
+
+    async consumeCode(id) {
+      const code = [...codes.values()].find(c => c.id === id);
+      if (!code || code.consumedAt) return false;
+      code.consumedAt = new Date();
+      return true;
+    },
+
+    async recordRequestIfAllowed({ kind, email, ipAddress, since, maxPerEmail, maxPerIp }) {
+      const recent = requests.filter(r => r.kind === kind && r.createdAt >= since);
+      const byEmail = recent.filter(r => r.email === email).length;
+      const byIp = ipAddress ? recent.filter(r => r.ipAddress === ipAddress).length : 0;
+      if (byEmail >= maxPerEmail || byIp >= maxPerIp) return false;
+
+      requests.push({ kind, email, ipAddress, createdAt: new Date() });
+      return true;
+    }
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.secret - LOGIN_CODE_SECRET (or JWT_SECRET)
+ * @param {function} options.getStore - returns the store to use when a call
+ *   doesn't pass one
+ */
+const createLoginCodes = ({ secret, getStore }) => {
+  // Without a secret the HMAC would be keyed with nothing, so a leaked table
+  // could be brute-forced after all
+  if (!secret) {
+    throw new Error('LOGIN_CODE_SECRET or JWT_SECRET must be set to issue mobile login codes');
+  }
+
+  const hashCode = (email, code) =>
+    crypto.createHmac('sha256', secret).update(`${email}:${code}`).digest('hex');
+
+  const checkAllowed = async (store, { kind, email, ipAddress, windowMs, maxPerEmail, maxPerIp }) => {
+    const allowed = await store.recordRequestIfAllowed({
+      kind,
+      email: normalizeEmail(email),
+      ipAddress,
+      since: new Date(Date.now() - windowMs),
+      maxPerEmail,
+      maxPerIp
+    });
+
+    return allowed
+      ? { allowed: true }
+      : { allowed: false, retryAfter: Math.ceil(windowMs / 1000) };
+  };
+
+  return {
+    /**
+     * Count a code request against the per-email and per-IP limits. Call
+     * before looking the user up so unknown addresses are throttled too. The
+     * check and the record happen together in the store, so concurrent
+     * requests can't all slip in under the limit.
+     * @returns {Promise<{ allowed: true } | { allowed: false, retryAfter: number }>} retryAfter in seconds
+     */
+    checkCodeRequestAllowed: (email, ipAddress, store = getStore()) => checkAllowed(store, {
+      kind: 'login_code',
+      email,
+      ipAddress,
+      windowMs: THROTTLE_WINDOW_MS,
+      maxPerEmail: MAX_REQUESTS_PER_EMAIL,
+      maxPerIp: MAX_REQUESTS_PER_IP
+    }),
+
+    // Count a mobile sign-up against its own per-email and per-IP limits, the
+    // same way as checkCodeRequestAllowed
+    checkRegistrationAllowed: (email, ipAddress, store = getStore()) => checkAllowed(store, {
+      kind: 'registration',
+      email,
+      ipAddress,
+      windowMs: REGISTRATION_WINDOW_MS,
+      maxPerEmail: MAX_REGISTRATIONS_PER_EMAIL,
+      maxPerIp: MAX_REGISTRATIONS_PER_IP
+    }),
+
+    // Generate and store a new code for the address, replacing any earlier one
+    async issueLoginCode(email, ipAddress, store = getStore()) {
+      const normalized = normalizeEmail(email);
+      const code = crypto.randomInt(100000, 1000000).toString();
+
+      await store.replaceCode({
+        email: normalized,
+        codeHash: hashCode(normalized, code),
+        expiresAt: new Date(Date.now() + CODE_TTL_MS),
+        ipAddress
+      });
+
+      return code;
+    },
+
+    /**
+     * Check a code and consume it if it matches.
+     * @returns {Promise<{ valid: true } | { valid: false, error: string }>} error is the message to show
+     */
+    async verifyLoginCode(email, code, store = getStore()) {
+      const normalized = normalizeEmail(email);
+      const stored = await store.getActiveCode(normalized);
+
+      if (!stored) {
+        return { valid: false, error: 'No code requested or code expired' };
+      }
+
+      if (stored.expiresAt <= new Date()) {
+        await store.consumeCode(stored.id);
+        return { valid: false, error: 'Code expired' };
+      }
+
+      if (stored.attempts >= MAX_ATTEMPTS) {
+        return { valid: false, error: 'Too many attempts. Please request a new code.' };
+      }
+
+      if (!sameHash(stored.codeHash, hashCode(normalized, String(code).trim()))) {
+        const attempts = await store.incrementAttempts(stored.id);
+        if (attempts >= MAX_ATTEMPTS) {
+          await store.consumeCode(stored.id);
+          return { valid: false, error: 'Too many attempts. Please request a new code.' };
+        }
+        return { valid: false, error: 'Invalid code' };
+      }
+
+      // Two simultaneous correct submissions: only one gets a session
+      if (!(await store.consumeCode(stored.id))) {
+        return { valid: false, error: 'No code requested or code expired' };
+      }
+
+      return { valid: true };
+    }
+  };
+};
+
+module.exports = {
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  THROTTLE_WINDOW_MS,
+  createDatabaseLoginCodeStore,
+  createLoginCodes,
+  createMemoryLoginCodeStore,
+  normalizeEmail
+};
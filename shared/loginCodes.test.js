@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_ATTEMPTS, createLoginCodes, createMemoryLoginCodeStore } = require('./loginCodes');
+
+const setup = () => {
+  const store = createMemoryLoginCodeStore();
+  return { store, codes: createLoginCodes({ secret: 'test-secret', getStore: () => store }) };
+};
+
+test('a code verifies once and a replay is refused', async () => {
+  const { codes } = setup();
+  const code = await codes.issueLoginCode('Ana@Example.com ', '10.0.0.1');
+
+  assert.match(code, /^\d{6}$/);
+  assert.deepEqual(await codes.verifyLoginCode('ana@example.com', code), { valid: true });
+  assert.deepEqual(await codes.verifyLoginCode('ana@example.com', code), {
+    valid: false,
+    error: 'No code requested or code expired'
+  });
+});
+
+test('only the hash of a code is stored', async () => {
+  const { store, codes } = setup();
+  const code = await codes.issueLoginCode('ana@example.com', null);
+  const stored = await store.getActiveCode('ana@example.com');
+
+  assert.notEqual(stored.codeHash, code);
+  assert.ok(!stored.codeHash.includes(code));
+});
+
+test('a new code replaces the previous one', async () => {
+  const { codes } = setup();
+  const first = await codes.issueLoginCode('ana@example.com', null);
+  const second = await codes.issueLoginCode('ana@example.com', null);
+
+  if (first !== second) {
+    assert.equal((await codes.verifyLoginCode('ana@example.com', first)).error, 'Invalid code');
+  }
+  assert.deepEqual(await codes.verifyLoginCode('ana@example.com', second), { valid: true });
+});
+
+test('wrong guesses use up the code', async () => {
+  const { codes } = setup();
+  const code = await codes.issueLoginCode('ana@example.com', null);
+  const wrong = code === '123456' ? '654321' : '123456';
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    assert.equal((await codes.verifyLoginCode('ana@example.com', wrong)).error, 'Invalid code');
+  }
+  assert.equal(
+    (await codes.verifyLoginCode('ana@example.com', wrong)).error,
+    'Too many attempts. Please request a new code.'
+  );
+  assert.equal((await codes.verifyLoginCode('ana@example.com', code)).valid, false);
+});
+
+test('an expired code is refused', async () => {
+  const { store, codes } = setup();
+  const code = await codes.issueLoginCode('ana@example.com', null);
+  // The memory store hands out the Date it keeps, so this expires the code
+  (await store.getActiveCode('ana@example.com')).expiresAt.setTime(Date.now() - 1);
+
+  assert.deepEqual(await codes.verifyLoginCode('ana@example.com', code), { valid: false, error: 'Code expired' });
+});
+
+test('code requests are throttled per email address', async () => {
+  const { codes } = setup();
+  const results = [];
+  for (let i = 0; i < 6; i++) {
+    results.push(await codes.checkCodeRequestAllowed('ana@example.com', `10.0.0.${i}`));
+  }
+
+  assert.deepEqual(results.slice(0, 5).map(r => r.allowed), [true, true, true, true, true]);
+  assert.equal(results[5].allowed, false);
+  assert.ok(results[5].retryAfter > 0);
+  assert.equal((await codes.checkCodeRequestAllowed('ben@example.com', '10.0.0.9')).allowed, true);
+});
+
+test('a login code secret is required', () => {
+  assert.throws(() => createLoginCodes({ secret: '', getStore: createMemoryLoginCodeStore }), /LOGIN_CODE_SECRET/);
+});
@@ -0,0 +1,543 @@
+const { csvValue } = require('./csv');
+const { DOCUMENTS_BUCKET } = require('./documentLibrary');
+const { apiDownloadUrl } = require('./newsContent');
+
+// Secure messaging, shared by the API server and the admin dashboard API (the
+// mobile app's messaging tab).
+//
+// Messaging between sponsor admins and site staff is always within one
+// clinical trial. A direct thread pairs an admin with a site user; a site
+// thread is the group conversation with everyone at one of the trial's sites
+// (profile_hospitals staff assigned to the trial), kept in step as staff
+// join and leave the site. Admins can read every thread in their
+// organization, hide messages and lock threads; nothing is ever edited or
+// deleted, so exports are a complete record.
+//
+// Read receipts and unread counts come from each participant's last_read_at.
+// Each message keeps its sender's name as it was when it was sent, so the
+// record survives the sender's profile. Attachments are stored in the private
+// trial-documents bucket and downloaded as file type message_attachment.
+
+const THREAD_KINDS = ['direct', 'site'];
+const THREAD_STATUSES = ['open', 'locked'];
+const MESSAGE_ATTACHMENTS_BUCKET = DOCUMENTS_BUCKET;
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_MESSAGE_ATTACHMENTS = 5;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Columns to select from message_threads for formatThread
+const THREAD_COLUMNS = `
+  *,
+  clinical_trials ( name ),
+  hospitals ( hospital_name ),
+  message_thread_participants ( user_id, last_read_at, created_at, profiles!message_thread_participants_user_id_fkey ( display_name, role ) )
+`;
+
+// Columns to select from messages for formatMessage
+const MESSAGE_COLUMNS = `
+  *,
+  profiles!messages_sender_id_fkey ( display_name ),
+  message_attachments ( id, file_name, mime_type, file_size )
+`;
+
+const MESSAGES_CSV_COLUMNS = [
+  'message_id', 'sent_at', 'sender_id', 'sender_name', 'body', 'attachments',
+  'read_by', 'hidden_at', 'hidden_by', 'hidden_reason'
+];
+
+// One key per pair of people, whoever started the thread
+const directKey = (userId, otherUserId) => [userId, otherUserId].sort().join(':');
+
+const isParticipant = (thread, userId) =>
+  (thread.message_thread_participants || []).some(p => p.user_id === userId);
+
+/**
+ * Whether a viewer may read a thread: same organization, and an admin or a
+ * participant. Participants who lost access to the trial lose the thread too.
+ * @param {object} viewer - { userId, organizationId, role, can, trialIds }
+ */
+const canViewThread = (thread, viewer) => {
+  if (thread.organization_id !== viewer.organizationId) return false;
+  if (viewer.role === 'admin') return true;
+  return isParticipant(thread, viewer.userId) && viewer.trialIds.includes(thread.clinical_trial_id);
+};
+
+// Participants may write; admins may also join any site thread of their
+// organization by writing in it. Direct threads stay between their two people
+const canPostInThread = (thread, viewer) =>
+  canViewThread(thread, viewer) &&
+  (isParticipant(thread, viewer.userId) || (viewer.role === 'admin' && thread.kind === 'site'));
+
+/**
+ * Validate a message body; a message needs text, attachments or both.
+ * @returns {{ value: string } | { error: string }}
+ */
+const parseMessageBody = (body, attachmentCount = 0) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text && attachmentCount === 0) return { error: 'Message text or an attachment is required' };
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  if (attachmentCount > MAX_MESSAGE_ATTACHMENTS) {
+    return { error: `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments` };
+  }
+  return { value: text };
+};
+
+const parsePageSize = (limit) => {
+  if (limit === undefined) return DEFAULT_PAGE_SIZE;
+  const size = Number(limit);
+  return Number.isInteger(size) && size >= 1 ? Math.min(size, MAX_PAGE_SIZE) : null;
+};
+
+const formatParticipant = (row) => ({
+  userId: row.user_id,
+  name: row.profiles?.display_name || null,
+  role: row.profiles?.role || null,
+  lastReadAt: row.last_read_at,
+  joinedAt: row.created_at
+});
+
+const formatThread = (row, unreadCount = 0) => ({
+  id: row.id,
+  kind: row.kind,
+  clinicalTrialId: row.clinical_trial_id,
+  trialName: row.clinical_trials?.name || null,
+  hospitalId: row.hospital_id,
+  hospitalName: row.hospitals?.hospital_name || null,
+  subject: row.subject,
+  status: row.status,
+  lockedAt: row.locked_at,
+  lastMessageAt: row.last_message_at,
+  createdAt: row.created_at,
+  participants: (row.message_thread_participants || []).map(formatParticipant),
+  unreadCount
+});
+
+// The name a message was sent under; older rows fall back to the profile
+const senderName = (row) => row.sender_name || row.profiles?.display_name || null;
+
+// Participants other than the sender who have read up to the message
+const readReceipts = (message, participants) => participants
+  .filter(p => p.user_id !== message.sender_id && p.last_read_at &&
+    new Date(p.last_read_at) >= new Date(message.created_at))
+  .map(p => ({ userId: p.user_id, name: p.profiles?.display_name || null, readAt: p.last_read_at }));
+
+/**
+ * @param {object} row - selected with MESSAGE_COLUMNS
+ * @param {object[]} participants - the thread's message_thread_participants
+ * @param {boolean} moderator - admins see hidden messages and why they were hidden
+ * @param {function} [downloadUrl] - (fileType, id) => attachment download URL
+ */
+const formatMessage = (row, participants = [], moderator = false, downloadUrl = apiDownloadUrl) => {
+  const hidden = !!row.hidden_at;
+  const visible = !hidden || moderator;
+  return {
+    id: row.id,
+    threadId: row.thread_id,
+    senderId: row.sender_id,
+    senderName: senderName(row),
+    body: visible ? row.body : null,
+    attachments: visible
+      ? (row.message_attachments || []).map(attachment => ({
+        id: attachment.id,
+        fileName: attachment.file_name,
+        mimeType: attachment.mime_type,
+        fileSize: attachment.file_size,
+        downloadUrl: downloadUrl('message_attachment', attachment.id)
+      }))
+      : [],
+    hidden,
+    ...(moderator && hidden ? { hiddenAt: row.hidden_at, hiddenBy: row.hidden_by, hiddenReason: row.hidden_reason } : {}),
+    readBy: readReceipts(row, participants),
+    createdAt: row.created_at
+  };
+};
+
+// The whole thread, hidden messages included, oldest first
+const toMessagesCsv = (messages, participants) => [
+  MESSAGES_CSV_COLUMNS.join(','),
+  ...messages.map(row => [
+    row.id,
+    row.created_at,
+    row.sender_id,
+    senderName(row),
+    row.body,
+    (row.message_attachments || []).map(a => a.file_name).join('; '),
+    readReceipts(row, participants).map(r => `${r.name || r.userId} (${r.readAt})`).join('; '),
+    row.hidden_at,
+    row.hidden_by,
+    row.hidden_reason
+  ].map(csvValue).join(','))
+].join('\r\n');
+
+/**
+ * Unread counts for the app badge from get_unread_message_counts rows,
+ * leaving out trials the viewer is no longer assigned to.
+ * @returns {{ total: number, trials: object[], threads: object[] }}
+ */
+const summarizeUnread = (rows, viewer) => {
+  const visible = rows.filter(row => viewer.role === 'admin' || viewer.trialIds.includes(row.clinical_trial_id));
+  const byTrial = {};
+  for (const row of visible) {
+    byTrial[row.clinical_trial_id] = (byTrial[row.clinical_trial_id] || 0) + Number(row.unread_count);
+  }
+
+  return {
+    total: visible.reduce((sum, row) => sum + Number(row.unread_count), 0),
+    trials: Object.entries(byTrial).map(([clinicalTrialId, unread]) => ({ clinicalTrialId, unread })),
+    threads: visible.map(row => ({ threadId: row.thread_id, unread: Number(row.unread_count) }))
+  };
+};
+
+// The push for a new message, to the thread's other participants. Message
+// text stays out of pushes; the app fetches it after sign-in
+const messagePush = (thread, message) => ({
+  recipientIds: (thread.message_thread_participants || [])
+    .map(p => p.user_id)
+    .filter(userId => userId !== message.sender_id),
+  title: `New message from ${senderName(message) || 'your study team'}`,
+  body: thread.hospitals?.hospital_name || thread.clinical_trials?.name || null,
+  data: { threadId: thread.id, messageId: message.id }
+});
+
+const attachmentPath = (thread, file) => {
+  const extension = file.originalname.includes('.') ? `.${file.originalname.split('.').pop().toLowerCase()}` : '';
+  const randomId = Math.random().toString(36).substring(2, 15);
+  return `${thread.organization_id}/messages/${thread.id}/${Date.now()}_${randomId}${extension}`;
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ */
+const createMessaging = ({ client }) => {
+  const loadThread = async (threadId) => {
+    const { data, error } = await client
+      .from('message_threads')
+      .select(THREAD_COLUMNS)
+      .eq('id', threadId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  // Site staff at hospitalId who are assigned to the trial
+  const siteMembers = async (clinicalTrialId, hospitalId) => {
+    const { data: staff, error: staffError } = await client
+      .from('profile_hospitals')
+      .select('profile_id')
+      .eq('hospital_id', hospitalId);
+    if (staffError) throw staffError;
+
+    const staffIds = (staff || []).map(s => s.profile_id);
+    if (staffIds.length === 0) return [];
+
+    const { data: assignments, error: assignmentsError } = await client
+      .from('user_clinical_assignments')
+      .select('user_id')
+      .eq('clinical_trial_id', clinicalTrialId)
+      .in('user_id', staffIds);
+    if (assignmentsError) throw assignmentsError;
+    return [...new Set((assignments || []).map(a => a.user_id))];
+  };
+
+  const addParticipants = async (thread, userIds, addedBy = null) => {
+    const missing = [...new Set(userIds)].filter(userId => !isParticipant(thread, userId));
+    if (missing.length === 0) return 0;
+
+    const { error } = await client
+      .from('message_thread_participants')
+      .upsert(missing.map(userId => ({
+        thread_id: thread.id,
+        user_id: userId,
+        organization_id: thread.organization_id,
+        added_by: addedBy
+      })), { onConflict: 'thread_id,user_id', ignoreDuplicates: true });
+    if (error) throw error;
+    return missing.length;
+  };
+
+  // Staff who joined the site (or the trial) since the thread was last used
+  const syncSiteParticipants = async (thread) => {
+    if (thread.kind !== 'site') return thread;
+    const added = await addParticipants(thread, await siteMembers(thread.clinical_trial_id, thread.hospital_id));
+    return added > 0 ? loadThread(thread.id) : thread;
+  };
+
+  const createThread = async (values, participantIds) => {
+    const { data: created, error } = await client
+      .from('message_threads')
+      .insert(values)
+      .select('id')
+      .single();
+
+    // Lost a race with another request creating the same thread
+    if (error && error.code === '23505') return { thread: null, duplicate: true };
+    if (error) throw error;
+
+    await addParticipants({ id: created.id, organization_id: values.organization_id }, participantIds, values.created_by);
+    return { thread: await loadThread(created.id), created: true };
+  };
+
+  // Site staff join their site's group threads in the trials they are
+  // assigned to, including threads started before they joined the site
+  const joinSiteThreads = async (viewer) => {
+    if (viewer.role === 'admin' || viewer.trialIds.length === 0) return;
+
+    const { data: sites, error: sitesError } = await client
+      .from('profile_hospitals')
+      .select('hospital_id')
+      .eq('profile_id', viewer.userId);
+    if (sitesError) throw sitesError;
+    if (!sites || sites.length === 0) return;
+
+    const { data: threads, error: threadsError } = await client
+      .from('message_threads')
+      .select('id, organization_id')
+      .eq('kind', 'site')
+      .in('hospital_id', sites.map(s => s.hospital_id))
+      .in('clinical_trial_id', viewer.trialIds);
+    if (threadsError) throw threadsError;
+
+    for (const thread of threads || []) {
+      await addParticipants(thread, [viewer.userId]);
+    }
+  };
+
+  const unreadRows = async (userId) => {
+    const { data, error } = await client.rpc('get_unread_message_counts', { for_user_id: userId });
+    if (error) throw error;
+    return data || [];
+  };
+
+  const unreadCounts = async (userId) =>
+    new Map((await unreadRows(userId)).map(row => [row.thread_id, Number(row.unread_count)]));
+
+  return {
+    loadThread,
+    siteMembers,
+    addParticipants,
+    syncSiteParticipants,
+    joinSiteThreads,
+    unreadCounts,
+
+    // Unread messages in the viewer's threads: in total, per trial and per thread
+    async unreadSummary(viewer) {
+      await joinSiteThreads(viewer);
+      return summarizeUnread(await unreadRows(viewer.userId), viewer);
+    },
+
+    /**
+     * Threads a viewer takes part in (or, for moderators with all = true,
+     * every thread in their organization), most recent first, with unread counts.
+     */
+    async listThreads(viewer, { trialId = null, kind = null, all = false } = {}) {
+      await joinSiteThreads(viewer);
+      let query = client
+        .from('message_threads')
+        .select(THREAD_COLUMNS)
+        .eq('organization_id', viewer.organizationId)
+        .order('last_message_at', { ascending: false, nullsFirst: false })
+        .order('created_at', { ascending: false });
+
+      if (!(all && viewer.can('messages.moderate'))) {
+        const { data: own, error: ownError } = await client
+          .from('message_thread_participants')
+          .select('thread_id')
+          .eq('user_id', viewer.userId);
+        if (ownError) throw ownError;
+        if (!own || own.length === 0) return [];
+        query = query.in('id', own.map(p => p.thread_id));
+      }
+      if (viewer.role !== 'admin') query = query.in('clinical_trial_id', viewer.trialIds);
+      if (trialId) query = query.eq('clinical_trial_id', trialId);
+      if (kind) query = query.eq('kind', kind);
+
+      const [{ data, error }, counts] = await Promise.all([query, unreadCounts(viewer.userId)]);
+      if (error) throw error;
+      return (data || []).map(row => formatThread(row, counts.get(row.id) || 0));
+    },
+
+    // The direct thread between two people in a trial, created on first use
+    async openDirectThread({ organizationId, clinicalTrialId, userId, otherUserId, subject = null }) {
+      const key = directKey(userId, otherUserId);
+      const find = async () => {
+        const { data, error } = await client
+          .from('message_threads')
+          .select('id')
+          .eq('clinical_trial_id', clinicalTrialId)
+          .eq('kind', 'direct')
+          .eq('direct_key', key)
+          .maybeSingle();
+        if (error) throw error;
+        return data ? loadThread(data.id) : null;
+      };
+
+      const existing = await find();
+      if (existing) return { thread: existing, created: false };
+
+      const result = await createThread({
+        organization_id: organizationId,
+        clinical_trial_id: clinicalTrialId,
+        kind: 'direct',
+        direct_key: key,
+        subject,
+        created_by: userId
+      }, [userId, otherUserId]);
+      return result.duplicate ? { thread: await find(), created: false } : result;
+    },
+
+    // The group thread for one of the trial's sites, created on first use
+    async openSiteThread({ organizationId, clinicalTrialId, hospitalId, userId, subject = null }) {
+      const find = async () => {
+        const { data, error } = await client
+          .from('message_threads')
+          .select('id')
+          .eq('clinical_trial_id', clinicalTrialId)
+          .eq('kind', 'site')
+          .eq('hospital_id', hospitalId)
+          .maybeSingle();
+        if (error) throw error;
+        return data ? syncSiteParticipants(await loadThread(data.id)) : null;
+      };
+
+      const existing = await find();
+      if (existing) return { thread: existing, created: false };
+
+      const result = await createThread({
+        organization_id: organizationId,
+        clinical_trial_id: clinicalTrialId,
+        kind: 'site',
+        hospital_id: hospitalId,
+        subject,
+        created_by: userId
+      }, [userId, ...(await siteMembers(clinicalTrialId, hospitalId))]);
+      return result.duplicate ? { thread: await find(), created: false } : result;
+    },
+
+    /**
+     * A page of messages, newest first; pass the oldest createdAt as before
+     * for the previous page. Hidden messages are only shown to moderators.
+     */
+    async listMessages(thread, viewer, { before = null, limit = DEFAULT_PAGE_SIZE, downloadUrl } = {}) {
+      const moderator = viewer.can('messages.moderate');
+      let query = client
+        .from('messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('thread_id', thread.id)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (before) query = query.lt('created_at', before);
+      if (!moderator) query = query.is('hidden_at', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(row => formatMessage(row, thread.message_thread_participants || [], moderator, downloadUrl));
+    },
+
+    /**
+     * Store a message and its already-uploaded attachments; the sender joins
+     * the thread if needed and has read everything up to their message.
+     * @param {object[]} attachments - [{ path, fileName, mimeType, size }]
+     */
+    async postMessage(thread, senderId, body, attachments = []) {
+      await addParticipants(thread, [senderId]);
+
+      const { data: message, error } = await client
+        .from('messages')
+        .insert({
+          thread_id: thread.id,
+          organization_id: thread.organization_id,
+          sender_id: senderId,
+          body
+        })
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      if (attachments.length > 0) {
+        const { error: attachmentsError } = await client
+          .from('message_attachments')
+          .insert(attachments.map(file => ({
+            message_id: message.id,
+            thread_id: thread.id,
+            organization_id: thread.organization_id,
+            storage_bucket: MESSAGE_ATTACHMENTS_BUCKET,
+            storage_path: file.path,
+            file_name: file.fileName,
+            mime_type: file.mimeType,
+            file_size: file.size
+          })));
+        if (attachmentsError) throw attachmentsError;
+      }
+
+      await this.markRead(thread, senderId, message.created_at);
+
+      const { data: stored, error: reloadError } = await client
+        .from('messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('id', message.id)
+        .single();
+      if (reloadError) throw reloadError;
+      return stored;
+    },
+
+    // Move a participant's read position forward to upTo (default: the latest message)
+    async markRead(thread, userId, upTo = null) {
+      let readAt = upTo;
+      if (!readAt) {
+        const { data: latest, error: latestError } = await client
+          .from('messages')
+          .select('created_at')
+          .eq('thread_id', thread.id)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (latestError) throw latestError;
+        if (!latest) return null;
+        readAt = latest.created_at;
+      }
+
+      const { error } = await client
+        .from('message_thread_participants')
+        .update({ last_read_at: readAt })
+        .eq('thread_id', thread.id)
+        .eq('user_id', userId)
+        .or(`last_read_at.is.null,last_read_at.lt.${readAt}`);
+      if (error) throw error;
+      return readAt;
+    },
+
+    // Every message, hidden ones included, oldest first, for exports
+    async exportMessages(thread) {
+      const { data, error } = await client
+        .from('messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('thread_id', thread.id)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data || [];
+    }
+  };
+};
+
+module.exports = {
+  MAX_MESSAGE_ATTACHMENTS,
+  MESSAGE_ATTACHMENTS_BUCKET,
+  THREAD_KINDS,
+  THREAD_STATUSES,
+  attachmentPath,
+  canPostInThread,
+  canViewThread,
+  createMessaging,
+  formatMessage,
+  formatThread,
+  isParticipant,
+  messagePush,
+  parseMessageBody,
+  parsePageSize,
+  summarizeUnread,
+  toMessagesCsv
+};
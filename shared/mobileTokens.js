@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Tokens for mobile app sessions, shared by the admin dashboard API (which
+// issues them), the API server (which accepts them on /api/events) and the
+// demo server. The access token is a short-lived HS256 JWT naming the user,
+// their organization and the session it belongs to; the refresh token is an
+// opaque random string of which only the SHA-256 hash is stored.
+//
+// JWTs are signed and verified with the caller's jsonwebtoken, so this
+// module has no dependencies of its own.
+
+const ACCESS_TOKEN_TYPE = 'mobile_access';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @param {object} options
+ * @param {object} options.jwt - the caller's jsonwebtoken
+ * @param {string} options.secret - MOBILE_JWT_SECRET (or JWT_SECRET); without
+ *   it no token is issued or accepted
+ */
+const createMobileTokens = ({ jwt, secret }) => {
+  const signAccessToken = ({ userId, organizationId, sessionId }) => {
+    if (!secret) {
+      throw new Error('MOBILE_JWT_SECRET or JWT_SECRET must be set to issue mobile tokens');
+    }
+
+    return jwt.sign(
+      { sub: userId, org: organizationId, sid: sessionId, typ: ACCESS_TOKEN_TYPE },
+      secret,
+      { algorithm: 'HS256', expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  };
+
+  // Claims of a valid, unexpired mobile access token, or null for anything
+  // else (including dashboard and Supabase tokens, which have other secrets
+  // or types). Whether its session is still live is up to the caller
+  const readAccessToken = (token) => {
+    if (!secret || !token) return null;
+
+    try {
+      const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+      return claims.typ === ACCESS_TOKEN_TYPE && claims.sid ? claims : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  return { signAccessToken, readAccessToken };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  createMobileTokens,
+  hashRefreshToken,
+  newRefreshToken
+};
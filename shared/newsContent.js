@@ -0,0 +1,322 @@
+const { escapeHtml } = require('./notificationTemplates');
+
+// Rich news, shared by the API server and the admin dashboard API.
+//
+// Rich news bodies. A body is stored as written (plain text or Markdown) and
+// turned into structured blocks when it is read; clients can lay the blocks out
+// natively or use the HTML rendered from them. Only a small Markdown subset is
+// understood and no raw HTML is passed through, so the output is safe to display.
+//
+// Blocks: { type: 'heading', level: 1-3, spans }, { type: 'paragraph', spans },
+//         { type: 'list', ordered, items: [spans] }, { type: 'quote', spans },
+//         { type: 'image', url, alt }, { type: 'code', text }, { type: 'divider' }
+// Spans:  { text, bold?, italic?, code?, href? }
+
+const NEWS_BODY_FORMATS = ['plain', 'markdown'];
+const NEWS_ASSETS_BUCKET = 'news-assets';
+const NEWS_IMAGE_URL_TTL_SECONDS = 60 * 60;
+const MAX_TAGS = 10;
+
+// Columns to select from news_updates for formatNewsContent
+const RICH_NEWS_COLUMNS = `
+  body_format,
+  tags,
+  hero_image_path,
+  pinned_at,
+  news_categories ( id, name, color ),
+  news_attachments ( id, file_name, mime_type, file_size, storage_bucket, storage_path, position )
+`;
+
+// Links and images may only point at web pages or email addresses
+const safeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/g;
+
+const parseInline = (text) => {
+  const spans = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) spans.push({ text: text.slice(last, match.index) });
+    const token = match[0];
+
+    if (match[1]) {
+      spans.push({ text: token.slice(1, -1), code: true });
+    } else if (match[2]) {
+      spans.push({ text: token.slice(2, -2), bold: true });
+    } else if (match[3]) {
+      spans.push({ text: token.slice(1, -1), italic: true });
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      const href = safeUrl(url);
+      spans.push(href ? { text: label, href } : { text: label });
+    }
+    last = match.index + token.length;
+  }
+
+  if (last < text.length) spans.push({ text: text.slice(last) });
+  return spans;
+};
+
+const parseMarkdown = (source) => {
+  const blocks = [];
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', spans: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    let match;
+
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      for (i += 1; i < lines.length && !lines[i].trim().startsWith('```'); i += 1) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (trimmed === '') {
+      flushParagraph();
+    } else if ((match = trimmed.match(/^(#{1,3})\s+(.*)$/))) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: match[1].length, spans: parseInline(match[2]) });
+    } else if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({ type: 'divider' });
+    } else if ((match = trimmed.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/))) {
+      flushParagraph();
+      const url = safeUrl(match[2]);
+      if (url) blocks.push({ type: 'image', url, alt: match[1] });
+    } else if ((match = trimmed.match(/^>\s?(.*)$/))) {
+      flushParagraph();
+      const quote = [match[1]];
+      while (i + 1 < lines.length && /^\s*>/.test(lines[i + 1])) {
+        i += 1;
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+      }
+      blocks.push({ type: 'quote', spans: parseInline(quote.join(' ')) });
+    } else if ((match = trimmed.match(/^([-*]|\d+[.)])\s+(.*)$/))) {
+      flushParagraph();
+      const ordered = /\d/.test(match[1]);
+      const itemPattern = ordered ? /^\s*\d+[.)]\s+(.*)$/ : /^\s*[-*]\s+(.*)$/;
+      const items = [parseInline(match[2])];
+      while (i + 1 < lines.length && itemPattern.test(lines[i + 1])) {
+        i += 1;
+        items.push(parseInline(lines[i].match(itemPattern)[1]));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else {
+      paragraph.push(trimmed);
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+// Plain text: blank lines separate paragraphs, single line breaks are kept
+const parsePlain = (source) => source
+  .replace(/\r\n?/g, '\n')
+  .split(/\n\s*\n/)
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => ({ type: 'paragraph', spans: [{ text: part }] }));
+
+/**
+ * Turn a stored news body into blocks.
+ * @param {string} body
+ * @param {string} format - 'plain' or 'markdown'
+ */
+const parseNewsBody = (body, format = 'plain') => {
+  if (!body) return [];
+  return format === 'markdown' ? parseMarkdown(body) : parsePlain(body);
+};
+
+const spansToHtml = (spans) => spans.map(span => {
+  let html = escapeHtml(span.text).replace(/\n/g, '<br>');
+  if (span.code) html = `<code>${html}</code>`;
+  if (span.bold) html = `<strong>${html}</strong>`;
+  if (span.italic) html = `<em>${html}</em>`;
+  if (span.href) html = `<a href="${escapeHtml(span.href)}" rel="noopener noreferrer">${html}</a>`;
+  return html;
+}).join('');
+
+const blockToHtml = (block) => {
+  switch (block.type) {
+    case 'heading': return `<h${block.level + 1}>${spansToHtml(block.spans)}</h${block.level + 1}>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      return `<${tag}>${block.items.map(item => `<li>${spansToHtml(item)}</li>`).join('')}</${tag}>`;
+    }
+    case 'quote': return `<blockquote>${spansToHtml(block.spans)}</blockquote>`;
+    case 'image': return `<img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}">`;
+    case 'code': return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case 'divider': return '<hr>';
+    default: return `<p>${spansToHtml(block.spans)}</p>`;
+  }
+};
+
+const renderNewsHtml = (blocks) => blocks.map(blockToHtml).join('\n');
+
+// Text only, for push messages, digests and previews
+const newsSummary = (blocks, maxLength = 200) => {
+  const text = blocks
+    .map(block => {
+      if (block.type === 'list') return block.items.map(item => item.map(s => s.text).join('')).join('; ');
+      if (block.type === 'code') return block.text;
+      return (block.spans || []).map(s => s.text).join('');
+    })
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Tags from a request: trimmed, lower-cased, de-duplicated.
+ * @returns {{ tags: string[] } | { error: string }}
+ */
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return { tags: [] };
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  if (list.some(tag => typeof tag !== 'string')) return { error: 'Tags must be strings' };
+
+  const normalized = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags are allowed` };
+  if (normalized.some(tag => tag.length > 40)) return { error: 'Tags must be at most 40 characters' };
+  return { tags: normalized };
+};
+
+/**
+ * Rich fields from a news request (body format, category, tags) as
+ * news_updates columns. Fields that are undefined are left out, so an update
+ * keeps their current values.
+ * @returns {Promise<{ values: object } | { error: string }>}
+ */
+const readNewsRichFields = async (client, { bodyFormat, categoryId, tags }, organizationId) => {
+  const values = {};
+
+  if (bodyFormat !== undefined) {
+    if (!NEWS_BODY_FORMATS.includes(bodyFormat)) {
+      return { error: `Body format must be one of: ${NEWS_BODY_FORMATS.join(', ')}` };
+    }
+    values.body_format = bodyFormat;
+  }
+
+  if (categoryId !== undefined) {
+    if (categoryId) {
+      const { data: category } = await client
+        .from('news_categories')
+        .select('id')
+        .eq('id', categoryId)
+        .eq('organization_id', organizationId)
+        .maybeSingle();
+
+      if (!category) return { error: 'News category not found' };
+    }
+    values.category_id = categoryId || null;
+  }
+
+  if (tags !== undefined) {
+    const normalized = normalizeTags(tags);
+    if (normalized.error) return { error: normalized.error };
+    values.tags = normalized.tags;
+  }
+
+  return { values };
+};
+
+/**
+ * Signed URLs for the hero images of news rows. news-assets is a private
+ * bucket, so images are only reachable through URLs signed for whoever was
+ * allowed to read the feed. Throws on storage error.
+ * @param {object} client - Supabase client with the service role key
+ * @returns {Promise<Map<string, string>>} hero_image_path -> signed URL
+ */
+const signNewsImages = async (client, items, expiresIn = NEWS_IMAGE_URL_TTL_SECONDS) => {
+  const paths = [...new Set(items.map(item => item.hero_image_path).filter(Boolean))];
+  if (paths.length === 0) return new Map();
+
+  const { data, error } = await client.storage
+    .from(NEWS_ASSETS_BUCKET)
+    .createSignedUrls(paths, expiresIn);
+
+  if (error) throw error;
+  return new Map((data || []).filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]));
+};
+
+// Where the API server hands out logged downloads; the default download URL
+// of the shared formatters
+const apiDownloadUrl = (fileType, id) => `/api/downloads/${fileType}/${id}`;
+
+// Attachments are downloaded through the logged download endpoint
+const formatNewsAttachment = (row, downloadUrl = apiDownloadUrl) => ({
+  id: row.id,
+  fileName: row.file_name,
+  mimeType: row.mime_type,
+  fileSize: row.file_size,
+  downloadUrl: downloadUrl('news_attachment', row.id)
+});
+
+/**
+ * The rich fields of a news_updates row selected with RICH_NEWS_COLUMNS.
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.imageUrls] - from signNewsImages
+ * @param {function} [options.downloadUrl] - (fileType, id) => attachment download URL
+ */
+const formatNewsContent = (item, { imageUrls = new Map(), downloadUrl = apiDownloadUrl } = {}) => {
+  const blocks = parseNewsBody(item.body, item.body_format);
+  return {
+    bodyFormat: item.body_format || 'plain',
+    blocks,
+    html: renderNewsHtml(blocks),
+    summary: newsSummary(blocks),
+    category: item.news_categories
+      ? { id: item.news_categories.id, name: item.news_categories.name, color: item.news_categories.color }
+      : null,
+    tags: item.tags || [],
+    heroImageUrl: (item.hero_image_path && imageUrls.get(item.hero_image_path)) || null,
+    attachments: [...(item.news_attachments || [])]
+      .sort((a, b) => a.position - b.position)
+      .map(row => formatNewsAttachment(row, downloadUrl)),
+    pinned: Boolean(item.pinned_at),
+    pinnedAt: item.pinned_at || null
+  };
+};
+
+// Pinned items first (most recently pinned on top), then newest first
+const sortNewsFeed = (items) => [...items].sort((a, b) => {
+  if (Boolean(a.pinned_at) !== Boolean(b.pinned_at)) return a.pinned_at ? -1 : 1;
+  if (a.pinned_at && b.pinned_at) return new Date(b.pinned_at) - new Date(a.pinned_at);
+  return new Date(b.published_at || b.created_at) - new Date(a.published_at || a.created_at);
+});
+
+module.exports = {
+  NEWS_ASSETS_BUCKET,
+  NEWS_BODY_FORMATS,
+  NEWS_IMAGE_URL_TTL_SECONDS,
+  RICH_NEWS_COLUMNS,
+  apiDownloadUrl,
+  formatNewsAttachment,
+  formatNewsContent,
+  newsSummary,
+  normalizeTags,
+  parseNewsBody,
+  readNewsRichFields,
+  renderNewsHtml,
+  signNewsImages,
+  sortNewsFeed
+};
@@ -0,0 +1,157 @@
+// Drafts, scheduled publishing and expiry for news_updates. An item is a
+// draft until its status is 'published'; after that it is scheduled until
+// published_at, live until expires_at, and expired afterwards. Only live items
+// are shown to sites.
+//
+// The publish notification (a push to the trial's users) is sent once, when an
+// item goes live: straight away for items published now, or by the scheduler
+// worker for items scheduled ahead. announced_at marks an item as done.
+
+const NEWS_STATUSES = ['draft', 'published'];
+
+const newsState = (item, now = new Date()) => {
+  if (item.status === 'draft') return 'draft';
+  if (!item.published_at || new Date(item.published_at) > now) return 'scheduled';
+  if (item.expires_at && new Date(item.expires_at) <= now) return 'expired';
+  return 'live';
+};
+
+// Restrict a news_updates query to items that are live now
+const onlyLiveNews = (query, now = new Date()) => {
+  const at = now.toISOString();
+  return query
+    .eq('status', 'published')
+    .lte('published_at', at)
+    .or(`expires_at.is.null,expires_at.gt.${at}`);
+};
+
+const parseTime = (value) => {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date.toISOString() };
+};
+
+/**
+ * Validate publishing fields from a request into news_updates columns.
+ * Fields left undefined keep the existing item's values (or the defaults
+ * for a new item: published now, no expiry).
+ * @param {object} input - { status, publishAt, expiresAt }
+ * @param {object} [existing] - the news_updates row being updated
+ * @returns {{ values: object } | { error: string }}
+ */
+const parseNewsSchedule = ({ status, publishAt, expiresAt }, existing = null) => {
+  const values = {};
+
+  const nextStatus = status === undefined ? (existing?.status || 'published') : status;
+  if (!NEWS_STATUSES.includes(nextStatus)) {
+    return { error: `Status must be one of: ${NEWS_STATUSES.join(', ')}` };
+  }
+  values.status = nextStatus;
+
+  let publishedAt = existing ? existing.published_at : null;
+  if (publishAt !== undefined) {
+    const parsed = parseTime(publishAt);
+    if (parsed.error) return { error: 'publishAt must be a valid date' };
+    publishedAt = parsed.value;
+  }
+  // Publishing without a time means now
+  if (nextStatus === 'published' && !publishedAt) {
+    publishedAt = new Date().toISOString();
+  }
+  values.published_at = publishedAt;
+
+  let expiry = existing ? existing.expires_at : null;
+  if (expiresAt !== undefined) {
+    const parsed = parseTime(expiresAt);
+    if (parsed.error) return { error: 'expiresAt must be a valid date' };
+    expiry = parsed.value;
+  }
+  if (expiry && publishedAt && new Date(expiry) <= new Date(publishedAt)) {
+    return { error: 'expiresAt must be after the publish time' };
+  }
+  values.expires_at = expiry;
+
+  return { values };
+};
+
+const formatNewsSchedule = (item, now = new Date()) => ({
+  status: item.status,
+  state: newsState(item, now),
+  publishAt: item.published_at,
+  expiresAt: item.expires_at || null
+});
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ * @param {Function} options.announce - async (item) => void; item includes clinical_trials ( name )
+ */
+const createNewsScheduler = ({ client, announce }) => ({
+  // Announce an item if it is live and hasn't been announced; claiming
+  // announced_at first means two callers never announce the same item
+  async announceIfLive(item) {
+    if (newsState(item) !== 'live' || item.announced_at) return false;
+
+    const { data: claimed, error } = await client
+      .from('news_updates')
+      .update({ announced_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .is('announced_at', null)
+      .select('id, organization_id, clinical_trial_id, title, created_by, clinical_trials ( name )')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!claimed) return false;
+
+    await announce(claimed);
+    return true;
+  },
+
+  // Announce scheduled items whose publish time has passed
+  async publishDue({ limit = 50 } = {}) {
+    const { data: due, error } = await onlyLiveNews(
+      client
+        .from('news_updates')
+        .select('id, status, published_at, expires_at, announced_at')
+        .is('announced_at', null)
+    )
+      .order('published_at')
+      .limit(limit);
+
+    if (error) throw error;
+
+    let announced = 0;
+    for (const item of due || []) {
+      if (await this.announceIfLive(item)) announced += 1;
+    }
+    return { announced };
+  },
+
+  // Check for due items every intervalMs; returns a function that stops the worker
+  startWorker(intervalMs = 60 * 1000) {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        const { announced } = await this.publishDue();
+        if (announced > 0) console.log(`📰 Announced ${announced} scheduled news item(s)`);
+      } catch (err) {
+        console.error('News scheduler error:', err.message);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+});
+
+module.exports = {
+  NEWS_STATUSES,
+  createNewsScheduler,
+  formatNewsSchedule,
+  newsState,
+  onlyLiveNews,
+  parseNewsSchedule
+};
@@ -0,0 +1,182 @@
+// Named email templates. Each template turns its data into a subject and a list
+// of content blocks; blocks are rendered to both HTML (inside the organization's
+// branded layout) and plain text, and every value is escaped on the way into HTML.
+//
+// Block types: { p }, { code }, { button, url }, { list: [{ title, text }] }, { note }
+
+const DEFAULT_BRANDING = {
+  senderName: 'KachinaHealth',
+  replyTo: null,
+  logoUrl: null,
+  primaryColor: '#1f4e79',
+  footerText: null
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "an admin", "a Site PI"
+const withArticle = (noun) => `${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`;
+
+const fullName = (data) => [data.firstName, data.lastName].filter(Boolean).join(' ') || data.displayName || 'there';
+
+const TEMPLATES = {
+  registration_approved: {
+    render: (data, brand) => ({
+      subject: `Your ${brand.senderName} app access is approved`,
+      blocks: [
+        { p: `Dear ${fullName(data)},` },
+        { p: `Your registration has been approved. You can now sign in to the mobile app with ${data.email}.` },
+        { p: 'Open the app, choose "Sign In" and enter your email address; you\'ll receive a one-time code to complete your login.' }
+      ]
+    })
+  },
+
+  registration_rejected: {
+    render: (data, brand) => ({
+      subject: `Your ${brand.senderName} app registration`,
+      blocks: [
+        { p: `Dear ${fullName(data)},` },
+        { p: 'Your registration for the mobile app was not approved.' },
+        { p: `Reason: ${data.reason}` },
+        { note: 'If you think this is a mistake, please contact your study coordinator.' }
+      ]
+    })
+  },
+
+  // Sensitive: the outbox clears the payload once the message is delivered
+  login_code: {
+    sensitive: true,
+    render: (data, brand) => ({
+      subject: `Your ${brand.senderName} login code`,
+      blocks: [
+        { p: 'Your login code is:' },
+        { code: data.code },
+        { note: `This code expires in ${data.expiresInMinutes || 5} minutes. If you didn't try to sign in, you can ignore this email.` }
+      ]
+    })
+  },
+
+  // Sensitive: the action link signs the user in
+  invitation: {
+    sensitive: true,
+    render: (data, brand) => ({
+      subject: `You're invited to ${data.organizationName || brand.senderName}`,
+      blocks: [
+        { p: `Hello ${data.displayName || data.email},` },
+        { p: `${data.inviterName || 'An administrator'} has invited you to join ${data.organizationName || brand.senderName} as ${withArticle(data.role || 'user')}.` },
+        { button: 'Accept invitation', url: data.actionUrl },
+        { note: 'This invitation link can only be used once.' }
+      ]
+    })
+  },
+
+  protocol_version: {
+    render: (data) => ({
+      subject: `New protocol version: ${data.protocolTitle} ${data.versionLabel || ''}`.trim(),
+      blocks: [
+        { p: `A new version of ${data.protocolTitle}${data.trialName ? ` (${data.trialName})` : ''} has been published.` },
+        { list: [
+          { title: 'Version', text: data.versionLabel || String(data.versionNumber || '') },
+          { title: 'Effective', text: data.effectiveDate || 'Immediately' },
+          ...(data.amendmentNote ? [{ title: 'Changes', text: data.amendmentNote }] : [])
+        ] },
+        ...(data.acknowledgementRequired
+          ? [{ p: 'Please read the new version and acknowledge it in the app.' }]
+          : [])
+      ]
+    })
+  },
+
+  news_digest: {
+    render: (data) => ({
+      subject: `${data.trialName ? `${data.trialName}: ` : ''}${data.items.length} news update${data.items.length === 1 ? '' : 's'}`,
+      blocks: [
+        { p: `Here's what's new${data.trialName ? ` in ${data.trialName}` : ''} since ${data.since}.` },
+        { list: data.items.map(item => ({ title: item.title, text: item.summary || '' })) },
+        { note: 'Open the app to read the full updates.' }
+      ]
+    })
+  }
+};
+
+const NOTIFICATION_TEMPLATES = Object.keys(TEMPLATES);
+
+const blockToHtml = (block, brand) => {
+  if (block.code !== undefined) {
+    return `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:16px 0">${escapeHtml(block.code)}</p>`;
+  }
+  if (block.button !== undefined) {
+    return `<p style="margin:24px 0"><a href="${escapeHtml(block.url)}" style="background:${brand.primaryColor};color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none">${escapeHtml(block.button)}</a></p>`;
+  }
+  if (block.list !== undefined) {
+    const items = block.list.map(item =>
+      `<li><strong>${escapeHtml(item.title)}</strong>${item.text ? ` &ndash; ${escapeHtml(item.text)}` : ''}</li>`);
+    return `<ul>${items.join('')}</ul>`;
+  }
+  if (block.note !== undefined) {
+    return `<p style="color:#666666;font-size:13px">${escapeHtml(block.note)}</p>`;
+  }
+  return `<p>${escapeHtml(block.p)}</p>`;
+};
+
+const blockToText = (block) => {
+  if (block.code !== undefined) return block.code;
+  if (block.button !== undefined) return `${block.button}: ${block.url}`;
+  if (block.list !== undefined) return block.list.map(item => `- ${item.title}${item.text ? `: ${item.text}` : ''}`).join('\n');
+  if (block.note !== undefined) return block.note;
+  return block.p;
+};
+
+const layout = (brand, bodyHtml) => `
+<div style="font-family:Arial,Helvetica,sans-serif;max-width:600px;margin:0 auto;color:#222222">
+  <div style="border-bottom:4px solid ${brand.primaryColor};padding:16px 0">
+    ${brand.logoUrl
+      ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.senderName)}" style="max-height:48px">`
+      : `<strong style="font-size:20px;color:${brand.primaryColor}">${escapeHtml(brand.senderName)}</strong>`}
+  </div>
+  <div style="padding:16px 0">${bodyHtml}</div>
+  <div style="border-top:1px solid #dddddd;padding-top:12px;color:#888888;font-size:12px">
+    ${escapeHtml(brand.footerText || `Sent by ${brand.senderName}`)}
+  </div>
+</div>`;
+
+/**
+ * Render a template to { subject, html, text }.
+ * @param {string} template - one of NOTIFICATION_TEMPLATES
+ * @param {object} data - template data (the outbox payload)
+ * @param {object} branding - organization branding; missing fields use the defaults
+ */
+const renderNotification = (template, data, branding = {}) => {
+  const definition = TEMPLATES[template];
+  if (!definition) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  const brand = { ...DEFAULT_BRANDING };
+  Object.entries(branding || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') brand[key] = value;
+  });
+
+  const { subject, blocks } = definition.render(data || {}, brand);
+
+  return {
+    subject,
+    html: layout(brand, blocks.map(block => blockToHtml(block, brand)).join('\n')),
+    text: `${blocks.map(blockToText).join('\n\n')}\n\n--\n${brand.footerText || `Sent by ${brand.senderName}`}`,
+    brand
+  };
+};
+
+const isSensitiveTemplate = (template) => Boolean(TEMPLATES[template]?.sensitive);
+
+module.exports = {
+  DEFAULT_BRANDING,
+  NOTIFICATION_TEMPLATES,
+  escapeHtml,
+  isSensitiveTemplate,
+  renderNotification
+};
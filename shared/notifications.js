@@ -0,0 +1,280 @@
+const { NOTIFICATION_TEMPLATES, isSensitiveTemplate, renderNotification } = require('./notificationTemplates');
+
+// Transactional email. Every message goes into an outbox first and is
+// delivered from there by a driver, so a failed delivery is retried with
+// backoff and each message's status can be inspected.
+//
+//   outbox  - where messages are kept: createSupabaseOutbox (notification_outbox
+//             table) or createMemoryOutbox (in-process, for tests and the demo server)
+//   driver  - how they are sent: createSmtpDriver (any SMTP server, including a
+//             local capture server such as MailHog for tests) or createLogDriver.
+//             The SMTP driver is given the caller's nodemailer, so this module
+//             has no dependencies of its own
+//
+// send() delivers straight away and falls back to the retry schedule on failure;
+// enqueue() leaves delivery to the worker (processOutbox / startWorker).
+
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const DEFAULT_FROM_ADDRESS = process.env.MAIL_FROM_ADDRESS || 'no-reply@kachinahealth.com';
+
+// ===== DRIVERS =====
+
+const smtpOptionsFromEnv = () => ({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+});
+
+const createSmtpDriver = (nodemailer, options = smtpOptionsFromEnv()) => {
+  const transport = nodemailer.createTransport(options);
+
+  return {
+    name: 'smtp',
+    async send({ from, replyTo, to, subject, html, text }) {
+      const info = await transport.sendMail({ from, replyTo: replyTo || undefined, to, subject, html, text });
+      return {
+        messageId: info.messageId || null,
+        // Ethereal and similar test services give a link to view the message
+        previewUrl: nodemailer.getTestMessageUrl(info) || null
+      };
+    }
+  };
+};
+
+const createLogDriver = () => ({
+  name: 'log',
+  async send({ to, subject }) {
+    console.log(`📭 Mail not configured, not sending "${subject}" to ${to}`);
+    return { messageId: null, previewUrl: null };
+  }
+});
+
+// SMTP when SMTP_HOST is set, otherwise log only
+const createDriverFromEnv = (nodemailer) => (process.env.SMTP_HOST ? createSmtpDriver(nodemailer) : createLogDriver());
+
+// ===== OUTBOXES =====
+
+const createSupabaseOutbox = (client) => ({
+  async add(message) {
+    const { data, error } = await client
+      .from('notification_outbox')
+      .insert(message)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async claimDue(limit) {
+    const { data, error } = await client.rpc('claim_notification_outbox', { batch_size: limit });
+    if (error) throw error;
+    return data || [];
+  },
+
+  async update(id, changes) {
+    const { data, error } = await client
+      .from('notification_outbox')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+});
+
+const createMemoryOutbox = () => {
+  const messages = [];
+  let nextId = 1;
+
+  return {
+    messages,
+
+    async add(message) {
+      const row = {
+        id: String(nextId++),
+        organization_id: null,
+        recipient_user_id: null,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: 5,
+        next_attempt_at: new Date().toISOString(),
+        last_error: null,
+        provider_message_id: null,
+        sent_at: null,
+        created_at: new Date().toISOString(),
+        ...message
+      };
+      messages.push(row);
+      return { ...row };
+    },
+
+    async claimDue(limit) {
+      const now = new Date().toISOString();
+      return messages
+        .filter(m => m.status === 'pending' && m.next_attempt_at <= now)
+        .slice(0, limit)
+        .map(m => {
+          m.status = 'sending';
+          m.attempts += 1;
+          return { ...m };
+        });
+    },
+
+    async update(id, changes) {
+      const row = messages.find(m => m.id === id);
+      Object.assign(row, changes);
+      return { ...row };
+    }
+  };
+};
+
+// ===== SERVICE =====
+
+/**
+ * @param {object} options
+ * @param {object} options.outbox - from createSupabaseOutbox or createMemoryOutbox
+ * @param {object} options.driver - from createSmtpDriver, createLogDriver or createDriverFromEnv
+ * @param {Function} [options.getBranding] - async (organizationId) => branding fields or null
+ * @param {string} [options.fromAddress] - envelope address; the display name comes from branding
+ */
+const createNotificationService = ({ outbox, driver, getBranding = async () => null, fromAddress = DEFAULT_FROM_ADDRESS }) => {
+  // Send one claimed outbox row and record the outcome
+  const deliver = async (row) => {
+    try {
+      const branding = row.organization_id ? await getBranding(row.organization_id) : null;
+      const { subject, html, text, brand } = renderNotification(row.template, row.payload, branding);
+      const result = await driver.send({
+        from: `"${brand.senderName.replace(/"/g, '')}" <${fromAddress}>`,
+        replyTo: brand.replyTo,
+        to: row.recipient,
+        subject,
+        html,
+        text
+      });
+
+      await outbox.update(row.id, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        provider_message_id: result.messageId,
+        last_error: null,
+        ...(row.sensitive ? { payload: null } : {})
+      });
+
+      return { id: row.id, status: 'sent', previewUrl: result.previewUrl };
+    } catch (err) {
+      const retry = row.attempts < row.max_attempts;
+      const delay = RETRY_DELAYS_MS[Math.min(row.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+      await outbox.update(row.id, {
+        status: retry ? 'pending' : 'failed',
+        last_error: err.message,
+        next_attempt_at: new Date(Date.now() + (retry ? delay : 0)).toISOString(),
+        ...(row.sensitive && !retry ? { payload: null } : {})
+      });
+
+      console.error(`Notification ${row.id} (${row.template} to ${row.recipient}) failed, attempt ${row.attempts}:`, err.message);
+      return { id: row.id, status: retry ? 'pending' : 'failed', error: err.message };
+    }
+  };
+
+  const toOutboxRow = (template, { to, organizationId = null, userId = null, data = {}, createdBy = null }) => {
+    if (!NOTIFICATION_TEMPLATES.includes(template)) {
+      throw new Error(`Unknown notification template: ${template}`);
+    }
+    if (!to) {
+      throw new Error('Notification recipient is required');
+    }
+
+    return {
+      organization_id: organizationId,
+      template,
+      recipient: to,
+      recipient_user_id: userId,
+      payload: data,
+      sensitive: isSensitiveTemplate(template),
+      created_by: createdBy
+    };
+  };
+
+  return {
+    /**
+     * Record a message and try to deliver it now.
+     * @returns {Promise<{id, status, previewUrl?, error?}>} status is 'sent', 'pending' (will retry) or 'failed'
+     */
+    async send(template, message) {
+      const row = await outbox.add({ ...toOutboxRow(template, message), status: 'sending', attempts: 1 });
+      return deliver(row);
+    },
+
+    // Record a message for the worker to deliver; returns the outbox row
+    async enqueue(template, message) {
+      return outbox.add(toOutboxRow(template, message));
+    },
+
+    // Deliver due messages (new, or waiting for a retry); returns counts by outcome
+    async processOutbox({ limit = 20 } = {}) {
+      const rows = await outbox.claimDue(limit);
+      const results = [];
+      for (const row of rows) {
+        results.push(await deliver(row));
+      }
+      return {
+        sent: results.filter(r => r.status === 'sent').length,
+        retrying: results.filter(r => r.status === 'pending').length,
+        failed: results.filter(r => r.status === 'failed').length
+      };
+    },
+
+    // Poll the outbox every intervalMs; returns a function that stops the worker
+    startWorker(intervalMs = 5000) {
+      let running = false;
+      const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+          await this.processOutbox();
+        } catch (err) {
+          console.error('Notification outbox worker error:', err.message);
+        } finally {
+          running = false;
+        }
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    }
+  };
+};
+
+/**
+ * Branding lookup for createNotificationService: the organization's
+ * notification_branding row, with the organization name as sender by default.
+ */
+const createBrandingLoader = (client) => async (organizationId) => {
+  const [{ data: organization }, { data: branding }] = await Promise.all([
+    client.from('organizations').select('name').eq('id', organizationId).maybeSingle(),
+    client.from('notification_branding').select('*').eq('organization_id', organizationId).maybeSingle()
+  ]);
+
+  return {
+    senderName: branding?.sender_name || organization?.name || null,
+    replyTo: branding?.reply_to || null,
+    logoUrl: branding?.logo_url || null,
+    primaryColor: branding?.primary_color || null,
+    footerText: branding?.footer_text || null
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TEMPLATES,
+  createBrandingLoader,
+  createDriverFromEnv,
+  createLogDriver,
+  createMemoryOutbox,
+  createNotificationService,
+  createSmtpDriver,
+  createSupabaseOutbox
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryOutbox, createNotificationService } = require('./notifications');
+
+const okDriver = () => {
+  const sent = [];
+  return { sent, driver: { name: 'test', async send(mail) { sent.push(mail); return { messageId: `msg-${sent.length}`, previewUrl: null }; } } };
+};
+
+const failingDriver = { name: 'test', async send() { throw new Error('connection refused'); } };
+
+const loginCode = { to: 'ana@example.com', data: { code: '123456', expiresInMinutes: 5 } };
+
+test('an enqueued message is delivered by the worker and its sensitive payload cleared', async () => {
+  const outbox = createMemoryOutbox();
+  const { sent, driver } = okDriver();
+  const notifications = createNotificationService({ outbox, driver });
+
+  const row = await notifications.enqueue('login_code', loginCode);
+  assert.equal(row.status, 'pending');
+
+  assert.deepEqual(await notifications.processOutbox(), { sent: 1, retrying: 0, failed: 0 });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'ana@example.com');
+  assert.match(sent[0].text, /123456/);
+
+  const [stored] = outbox.messages;
+  assert.equal(stored.status, 'sent');
+  assert.equal(stored.provider_message_id, 'msg-1');
+  assert.equal(stored.payload, null);
+
+  // Nothing left to deliver
+  assert.deepEqual(await notifications.processOutbox(), { sent: 0, retrying: 0, failed: 0 });
+});
+
+test('a message that keeps failing is retried, then marked failed', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const outbox = createMemoryOutbox();
+  const notifications = createNotificationService({ outbox, driver: failingDriver });
+
+  const first = await notifications.send('login_code', loginCode);
+  assert.equal(first.status, 'pending');
+
+  const [stored] = outbox.messages;
+  assert.equal(stored.last_error, 'connection refused');
+  assert.ok(new Date(stored.next_attempt_at) > new Date(), 'the retry waits for its backoff');
+  assert.deepEqual(await notifications.processOutbox(), { sent: 0, retrying: 0, failed: 0 });
+
+  for (let attempt = 2; attempt <= stored.max_attempts; attempt++) {
+    stored.next_attempt_at = new Date(Date.now() - 1).toISOString();
+    const expected = attempt < stored.max_attempts
+      ? { sent: 0, retrying: 1, failed: 0 }
+      : { sent: 0, retrying: 0, failed: 1 };
+    assert.deepEqual(await notifications.processOutbox(), expected);
+  }
+
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, stored.max_attempts);
+  assert.equal(stored.payload, null);
+});
+
+test('unknown templates and missing recipients are refused', async () => {
+  const notifications = createNotificationService({ outbox: createMemoryOutbox(), driver: okDriver().driver });
+
+  await assert.rejects(notifications.enqueue('no_such_template', loginCode), /Unknown notification template/);
+  await assert.rejects(notifications.enqueue('login_code', { data: {} }), /recipient is required/);
+});
@@ -0,0 +1,328 @@
+// Role-based permissions, shared by the API server and the admin dashboard
+// API. Every profile has a named role (profiles.permission_role) and each role
+// a list of capabilities. The defaults below can be replaced per organization
+// (role_permissions); routes ask for capabilities through the authorize
+// middleware in backend/server.js instead of testing role names.
+//
+// profiles.role is kept as the coarse access level (admin, user, doctor)
+// that RLS policies, trial scoping and the mobile API rely on. The database
+// derives it from the named role (see 2026-10-18-permissions.sql), so the
+// two never disagree: sponsor admins are 'admin', monitors and auditors
+// 'user', site staff 'doctor'.
+//
+// Site roles are also scoped to the hospitals a user works at
+// (profile_hospitals): their access carries those hospital ids, and
+// enrollment, hospital detail and messaging routes only show those sites.
+// Sponsor roles see every site of the trials they can access.
+//
+// A trial assignment (user_clinical_assignments) may carry its own named
+// role, e.g. PI on one trial and coordinator on another. It has to be at the
+// same access level as the profile's role, so it changes what the user may
+// do in that trial (canInTrial) but not which trials and sites they see.
+
+// Capability -> what it lets you do, as in "You do not have permission to ..."
+const CAPABILITIES = {
+  'users.view': 'view all users in the organization',
+  'users.invite': 'invite users',
+  'users.manage': 'manage users, their roles, trials, sites and sessions',
+  'registrations.review': 'review registrations',
+  'permissions.manage': 'manage role permissions',
+  'trials.manage': 'create and update clinical trials',
+  'trials.delete': 'delete clinical trials',
+  'sites.manage': 'manage trial sites',
+  'hospitals.manage': 'create and update hospitals',
+  'hospitals.delete': 'delete hospitals',
+  'enrollments.create': 'record enrollments',
+  'enrollments.update': 'update enrollments',
+  'reports.view': 'view trial compliance and training reports',
+  'news.view_drafts': 'see unpublished news',
+  'news.manage': 'create and update news',
+  'news.delete': 'delete news',
+  'news.categories': 'manage news categories',
+  'training.manage': 'create and update training materials and courses',
+  'training.delete': 'delete training materials and courses',
+  'protocols.manage': 'create and update study protocols',
+  'protocols.delete': 'delete study protocols',
+  'documents.manage': 'manage documents',
+  'uploads.create': 'upload files',
+  'uploads.policies': 'manage upload policies and quarantined uploads',
+  'downloads.view': 'view the download log',
+  'messages.moderate': 'moderate message threads',
+  'notifications.manage': 'manage email and push notifications',
+  'settings.manage': 'change app settings',
+  'analytics.view': 'view analytics',
+  'audit.view': 'view the audit log'
+};
+
+const ALL_CAPABILITIES = Object.keys(CAPABILITIES);
+
+// Named roles with their access level, default capabilities and whether
+// they only see their own sites
+const ROLES = {
+  sponsor_admin: {
+    label: 'Sponsor admin',
+    baseRole: 'admin',
+    capabilities: ALL_CAPABILITIES
+  },
+  monitor: {
+    label: 'CRA / monitor',
+    baseRole: 'user',
+    capabilities: [
+      'users.invite',
+      'trials.manage',
+      'hospitals.manage',
+      'enrollments.create',
+      'enrollments.update',
+      'reports.view',
+      'news.view_drafts',
+      'news.manage',
+      'news.delete',
+      'training.manage',
+      'protocols.manage',
+      'documents.manage',
+      'uploads.create'
+    ]
+  },
+  site_pi: {
+    label: 'Site PI',
+    baseRole: 'doctor',
+    siteScoped: true,
+    capabilities: ['enrollments.create', 'enrollments.update', 'reports.view']
+  },
+  site_coordinator: {
+    label: 'Site coordinator',
+    baseRole: 'doctor',
+    siteScoped: true,
+    capabilities: ['enrollments.create']
+  },
+  auditor: {
+    label: 'Read-only auditor',
+    baseRole: 'user',
+    capabilities: ['users.view', 'reports.view', 'news.view_drafts', 'downloads.view', 'analytics.view', 'audit.view']
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Named role for each of the original roles, used for profiles and clients
+// that still only know admin/user/doctor
+const LEGACY_ROLES = {
+  admin: 'sponsor_admin',
+  user: 'monitor',
+  doctor: 'site_coordinator'
+};
+
+// Capabilities sponsor admins can't give up, so an organization can't lock
+// itself out of its own permission settings
+const PROTECTED_CAPABILITIES = {
+  sponsor_admin: ['permissions.manage']
+};
+
+/**
+ * Named role for a role given by a client or stored on a profile: a named
+ * role as is, an original role (admin/user/doctor) mapped, anything else null.
+ */
+const parseRole = (value) => {
+  if (ROLES[value]) return value;
+  return LEGACY_ROLES[value] || null;
+};
+
+const baseRoleFor = (role) => ROLES[role]?.baseRole || null;
+
+/**
+ * Validate the role a user has on one trial. Empty means the profile's own
+ * role; otherwise a named role at the profile's access level. Sponsor
+ * admins see every trial and have no trial roles.
+ * @returns {{ value: string|null } | { error: string }}
+ */
+const parseTrialRole = (value, baseRole) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+
+  const role = parseRole(value);
+  if (!role) {
+    return { error: `trial_role must be one of: ${ROLE_NAMES.join(', ')}` };
+  }
+  if (baseRole === 'admin' || ROLES[role].baseRole !== baseRole) {
+    const allowed = ROLE_NAMES.filter(name => baseRole !== 'admin' && ROLES[name].baseRole === baseRole);
+    return {
+      error: allowed.length > 0
+        ? `This user's trial role must be one of: ${allowed.join(', ')}`
+        : 'Sponsor admins have no trial roles'
+    };
+  }
+  return { value: role };
+};
+
+/**
+ * Validate a capability list for a role.
+ * @returns {{ values: string[] } | { error: string }}
+ */
+const parseCapabilities = (role, capabilities) => {
+  if (!Array.isArray(capabilities)) {
+    return { error: 'capabilities must be an array' };
+  }
+
+  const values = [...new Set(capabilities.map(c => String(c).trim()).filter(Boolean))];
+  const unknown = values.filter(c => !CAPABILITIES[c]);
+  if (unknown.length > 0) {
+    return { error: `Unknown capability: ${unknown.join(', ')}` };
+  }
+
+  const missing = (PROTECTED_CAPABILITIES[role] || []).filter(c => !values.includes(c));
+  if (missing.length > 0) {
+    return { error: `${ROLES[role].label} must keep ${missing.join(', ')}` };
+  }
+
+  return { values: ALL_CAPABILITIES.filter(c => values.includes(c)) };
+};
+
+// 403 message for a missing capability
+const permissionDeniedMessage = (capability) =>
+  `You do not have permission to ${CAPABILITIES[capability] || capability}`;
+
+const formatRole = (role, override) => ({
+  role,
+  label: ROLES[role].label,
+  baseRole: ROLES[role].baseRole,
+  siteScoped: !!ROLES[role].siteScoped,
+  capabilities: override ? override.capabilities : ROLES[role].capabilities,
+  customized: !!override,
+  updatedBy: override?.updated_by || null,
+  updatedAt: override?.updated_at || null
+});
+
+/**
+ * Loads callers' permissions. Organization overrides are cached for
+ * cacheMs and dropped when they are changed through this policy; another
+ * server instance picks up a change within cacheMs.
+ *
+ *   client - Supabase client (service role)
+ */
+const createPermissionPolicy = ({ client, cacheMs = 30 * 1000 }) => {
+  const overrideCache = new Map();
+
+  const loadOverrides = async (organizationId) => {
+    const cached = overrideCache.get(organizationId);
+    if (cached && Date.now() - cached.loadedAt < cacheMs) return cached.byRole;
+
+    const { data, error } = await client
+      .from('role_permissions')
+      .select('role, capabilities, updated_by, updated_at')
+      .eq('organization_id', organizationId);
+    if (error) throw error;
+
+    // Capabilities removed from the catalogue since they were saved are ignored
+    const byRole = new Map((data || [])
+      .filter(row => ROLES[row.role])
+      .map(row => [row.role, { ...row, capabilities: row.capabilities.filter(c => CAPABILITIES[c]) }]));
+    overrideCache.set(organizationId, { loadedAt: Date.now(), byRole });
+    return byRole;
+  };
+
+  return {
+    /**
+     * The caller's access: { userId, organizationId, role, baseRole,
+     * capabilities, can(capability), hospitalIds, canAccessHospital(id),
+     * trialRoles, canInTrial(capability, trialId) }, or null without a
+     * profile. hospitalIds is null for roles that aren't site scoped;
+     * trialRoles maps trial ids to the roles set on assignments.
+     */
+    async load(userId) {
+      const { data: profile, error } = await client
+        .from('profiles')
+        .select('organization_id, role, permission_role')
+        .eq('id', userId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!profile) return null;
+
+      const role = parseRole(profile.permission_role) || parseRole(profile.role);
+      const overrides = await loadOverrides(profile.organization_id);
+      const capabilitiesOf = (named) => (named ? formatRole(named, overrides.get(named)).capabilities : []);
+      const capabilities = capabilitiesOf(role);
+
+      let hospitalIds = null;
+      if (!role || ROLES[role].siteScoped) {
+        const { data: sites, error: sitesError } = await client
+          .from('profile_hospitals')
+          .select('hospital_id')
+          .eq('profile_id', userId)
+          .eq('organization_id', profile.organization_id);
+        if (sitesError) throw sitesError;
+        hospitalIds = (sites || []).map(site => site.hospital_id);
+      }
+
+      // Roles of another access level (left from before a role change) don't count
+      const trialRoles = {};
+      if (profile.role !== 'admin') {
+        const { data: assignments, error: assignmentsError } = await client
+          .from('user_clinical_assignments')
+          .select('clinical_trial_id, trial_role')
+          .eq('user_id', userId)
+          .not('trial_role', 'is', null);
+        if (assignmentsError) throw assignmentsError;
+        (assignments || [])
+          .filter(assignment => ROLES[assignment.trial_role]?.baseRole === profile.role)
+          .forEach(assignment => { trialRoles[assignment.clinical_trial_id] = assignment.trial_role; });
+      }
+
+      return {
+        userId,
+        organizationId: profile.organization_id,
+        role,
+        baseRole: profile.role,
+        capabilities,
+        can: (capability) => capabilities.includes(capability),
+        hospitalIds,
+        canAccessHospital: (hospitalId) => hospitalIds === null || hospitalIds.includes(hospitalId),
+        trialRoles,
+        canInTrial: (capability, trialId) => capabilitiesOf(trialRoles[trialId] || role).includes(capability)
+      };
+    },
+
+    // Every role with the organization's effective capabilities
+    async listRoles(organizationId) {
+      const overrides = await loadOverrides(organizationId);
+      return ROLE_NAMES.map(role => formatRole(role, overrides.get(role)));
+    },
+
+    async setRoleCapabilities(organizationId, role, capabilities, updatedBy) {
+      const { error } = await client
+        .from('role_permissions')
+        .upsert({
+          organization_id: organizationId,
+          role,
+          capabilities,
+          updated_by: updatedBy,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'organization_id,role' });
+      overrideCache.delete(organizationId);
+      if (error) throw error;
+    },
+
+    // Back to the defaults above
+    async resetRole(organizationId, role) {
+      const { error } = await client
+        .from('role_permissions')
+        .delete()
+        .eq('organization_id', organizationId)
+        .eq('role', role);
+      overrideCache.delete(organizationId);
+      if (error) throw error;
+    }
+  };
+};
+
+module.exports = {
+  ALL_CAPABILITIES,
+  CAPABILITIES,
+  LEGACY_ROLES,
+  ROLES,
+  ROLE_NAMES,
+  baseRoleFor,
+  createPermissionPolicy,
+  parseCapabilities,
+  parseRole,
+  parseTrialRole,
+  permissionDeniedMessage
+};
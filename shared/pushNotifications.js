@@ -0,0 +1,335 @@
+// Push notifications to the mobile app. Publishing news or a protocol change
+// queues one push_notifications row for the trial; the worker fans it out to
+// the registered devices of every user assigned to that trial, skipping users
+// who turned the category off (notification_preferences: a trial-specific row
+// wins over the user's default row, and with no row at all pushes are on).
+// A new message is pushed only to its thread's other participants
+// (recipient_ids) instead of the whole trial.
+//
+//   provider - how pushes are delivered: createExpoPushProvider (Expo push
+//              service), createFakePushProvider (records messages, for tests)
+//              or createLogPushProvider. createPushProviderFromEnv picks one
+//              from PUSH_PROVIDER.
+
+const PUSH_CATEGORIES = ['news', 'protocol', 'message'];
+const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_BATCH_SIZE = 100;
+
+// ===== PROVIDERS =====
+//
+// A provider takes [{ token, title, body, data }] and resolves to one result
+// per message, in order: { status: 'sent' | 'failed' | 'invalid_token',
+// messageId?, error? }. Only 'failed' messages are sent again on the next
+// attempt; rejecting means none of them were sent.
+
+const createExpoPushProvider = ({ accessToken = process.env.EXPO_ACCESS_TOKEN, url = EXPO_PUSH_URL } = {}) => ({
+  name: 'expo',
+  async send(messages) {
+    const results = [];
+    for (let i = 0; i < messages.length; i += EXPO_BATCH_SIZE) {
+      const batch = messages.slice(i, i + EXPO_BATCH_SIZE);
+      let tickets;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+          },
+          body: JSON.stringify(batch.map(m => ({ to: m.token, title: m.title, body: m.body, data: m.data, sound: 'default' })))
+        });
+
+        if (!response.ok) {
+          throw new Error(`Expo push service responded ${response.status}`);
+        }
+        ({ data: tickets = [] } = await response.json());
+      } catch (err) {
+        // Earlier batches were delivered; only this one is retried
+        batch.forEach(() => results.push({ status: 'failed', error: err.message }));
+        continue;
+      }
+
+      batch.forEach((message, index) => {
+        const ticket = tickets[index] || {};
+        if (ticket.status === 'ok') {
+          results.push({ status: 'sent', messageId: ticket.id || null });
+        } else if (ticket.details?.error === 'DeviceNotRegistered') {
+          results.push({ status: 'invalid_token', error: ticket.message || 'Device not registered' });
+        } else {
+          results.push({ status: 'failed', error: ticket.message || 'No ticket returned' });
+        }
+      });
+    }
+    return results;
+  }
+});
+
+/**
+ * In-process provider for tests: keeps every message in `sent`, reports
+ * tokens in `invalidTokens` as unregistered and those in `failingTokens` as
+ * failed, and rejects while `failing` is set.
+ */
+const createFakePushProvider = ({ invalidTokens = [], failingTokens = [] } = {}) => {
+  const provider = {
+    name: 'fake',
+    sent: [],
+    invalidTokens: new Set(invalidTokens),
+    failingTokens: new Set(failingTokens),
+    failing: false,
+
+    async send(messages) {
+      if (provider.failing) {
+        throw new Error('Fake push provider is failing');
+      }
+      return messages.map(message => {
+        if (provider.invalidTokens.has(message.token)) {
+          return { status: 'invalid_token', error: 'Device not registered' };
+        }
+        if (provider.failingTokens.has(message.token)) {
+          return { status: 'failed', error: 'Fake push provider failed this token' };
+        }
+        provider.sent.push(message);
+        return { status: 'sent', messageId: `fake-${provider.sent.length}` };
+      });
+    }
+  };
+  return provider;
+};
+
+const createLogPushProvider = () => ({
+  name: 'log',
+  async send(messages) {
+    messages.forEach(m => console.log(`📭 Push not configured, not sending "${m.title}" to ${m.token}`));
+    return messages.map(() => ({ status: 'sent', messageId: null }));
+  }
+});
+
+// PUSH_PROVIDER=expo|fake|log; log when unset
+const createPushProviderFromEnv = () => {
+  switch (process.env.PUSH_PROVIDER) {
+    case 'expo': return createExpoPushProvider();
+    case 'fake': return createFakePushProvider();
+    default: return createLogPushProvider();
+  }
+};
+
+// ===== RECIPIENTS =====
+
+/**
+ * Users from userIds who should get a push for this trial and category.
+ * @param {string[]} userIds - users assigned to the trial
+ * @param {object[]} preferences - notification_preferences rows for those users and this category
+ */
+const selectPushRecipients = (userIds, preferences, clinicalTrialId) => userIds.filter(userId => {
+  const own = preferences.filter(p => p.user_id === userId);
+  const preference = own.find(p => p.clinical_trial_id === clinicalTrialId) ||
+    own.find(p => p.clinical_trial_id === null);
+  return preference ? preference.push_enabled : true;
+});
+
+// ===== DISPATCHER =====
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Supabase client with the service role key
+ * @param {object} options.provider - from createPushProviderFromEnv or one of the create*PushProvider factories
+ */
+const createPushDispatcher = ({ client, provider }) => {
+  const loadAudience = async (row) => {
+    if (row.recipient_ids) return row.recipient_ids;
+
+    const { data: assignments, error: assignmentsError } = await client
+      .from('user_clinical_assignments')
+      .select('user_id')
+      .eq('clinical_trial_id', row.clinical_trial_id);
+    if (assignmentsError) throw assignmentsError;
+    return (assignments || []).map(a => a.user_id);
+  };
+
+  const loadRecipientDevices = async (row) => {
+    // Whoever published it doesn't need telling
+    const userIds = [...new Set(await loadAudience(row))].filter(id => id !== row.created_by);
+    if (userIds.length === 0) return { recipients: [], devices: [] };
+
+    const { data: preferences, error: preferencesError } = await client
+      .from('notification_preferences')
+      .select('user_id, clinical_trial_id, push_enabled')
+      .in('user_id', userIds)
+      .eq('category', row.category);
+    if (preferencesError) throw preferencesError;
+
+    const recipients = selectPushRecipients(userIds, preferences || [], row.clinical_trial_id);
+    if (recipients.length === 0) return { recipients, devices: [] };
+
+    const { data: devices, error: devicesError } = await client
+      .from('push_devices')
+      .select('id, user_id, token')
+      .in('user_id', recipients)
+      .is('disabled_at', null);
+    if (devicesError) throw devicesError;
+
+    return { recipients, devices: devices || [] };
+  };
+
+  // Devices this push already reached (or found unregistered) on an earlier attempt
+  const loadSettledDeviceIds = async (row) => {
+    if (row.attempts <= 1) return new Set();
+
+    const { data, error } = await client
+      .from('push_deliveries')
+      .select('device_id')
+      .eq('push_notification_id', row.id)
+      .in('status', ['sent', 'invalid_token']);
+    if (error) throw error;
+    return new Set((data || []).map(d => d.device_id));
+  };
+
+  const scheduleRetry = async (row, message) => {
+    const retry = row.attempts < row.max_attempts;
+    const delay = RETRY_DELAYS_MS[Math.min(row.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+    await client.from('push_notifications').update({
+      status: retry ? 'pending' : 'failed',
+      last_error: message,
+      next_attempt_at: new Date(Date.now() + (retry ? delay : 0)).toISOString()
+    }).eq('id', row.id);
+
+    console.error(`Push ${row.id} (${row.category} for trial ${row.clinical_trial_id}) failed, attempt ${row.attempts}:`, message);
+    return { id: row.id, status: retry ? 'pending' : 'failed', error: message };
+  };
+
+  // Fan one claimed row out to the devices it hasn't reached yet and record
+  // the outcome; devices whose delivery failed are tried again later
+  const dispatch = async (row) => {
+    try {
+      const { recipients, devices } = await loadRecipientDevices(row);
+      const settled = await loadSettledDeviceIds(row);
+      const pending = devices.filter(device => !settled.has(device.id));
+      const data = { ...row.data, category: row.category, clinicalTrialId: row.clinical_trial_id, pushId: row.id };
+      const results = pending.length > 0
+        ? await provider.send(pending.map(d => ({ token: d.token, title: row.title, body: row.body || '', data })))
+        : [];
+
+      if (pending.length > 0) {
+        const { error: deliveriesError } = await client.from('push_deliveries').insert(pending.map((device, index) => ({
+          push_notification_id: row.id,
+          device_id: device.id,
+          user_id: device.user_id,
+          status: results[index].status,
+          provider_message_id: results[index].messageId || null,
+          error: results[index].error || null
+        })));
+        // Without these rows a retry couldn't tell who already has the push
+        if (deliveriesError) throw deliveriesError;
+
+        const invalid = pending.filter((_, index) => results[index].status === 'invalid_token').map(d => d.id);
+        if (invalid.length > 0) {
+          await client
+            .from('push_devices')
+            .update({ disabled_at: new Date().toISOString(), disabled_reason: 'invalid_token' })
+            .in('id', invalid);
+        }
+      }
+
+      const failed = results.filter(result => result.status === 'failed');
+      if (failed.length > 0) {
+        await client.from('push_notifications').update({
+          recipient_count: recipients.length,
+          device_count: devices.length
+        }).eq('id', row.id);
+        return await scheduleRetry(row, `${failed.length} of ${devices.length} devices failed: ${failed[0].error}`);
+      }
+
+      await client.from('push_notifications').update({
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        recipient_count: recipients.length,
+        device_count: devices.length,
+        last_error: null
+      }).eq('id', row.id);
+
+      return { id: row.id, status: 'sent', devices: devices.length };
+    } catch (err) {
+      return scheduleRetry(row, err.message);
+    }
+  };
+
+  return {
+    /**
+     * Queue a push for everyone assigned to a trial, or only for recipientIds;
+     * the worker delivers it.
+     * @returns {Promise<object>} the push_notifications row
+     */
+    async enqueue({ organizationId, clinicalTrialId, category, title, body = null, data = {}, createdBy = null, recipientIds = null }) {
+      if (!PUSH_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown push category: ${category}`);
+      }
+
+      const { data: row, error } = await client
+        .from('push_notifications')
+        .insert({
+          organization_id: organizationId,
+          clinical_trial_id: clinicalTrialId,
+          category,
+          title,
+          body,
+          data,
+          created_by: createdBy,
+          recipient_ids: recipientIds
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return row;
+    },
+
+    // Fan out due pushes (new, or waiting for a retry); returns counts by outcome
+    async processQueue({ limit = 20 } = {}) {
+      const { data: rows, error } = await client.rpc('claim_push_notifications', { batch_size: limit });
+      if (error) throw error;
+
+      const results = [];
+      for (const row of rows || []) {
+        results.push(await dispatch(row));
+      }
+      return {
+        sent: results.filter(r => r.status === 'sent').length,
+        retrying: results.filter(r => r.status === 'pending').length,
+        failed: results.filter(r => r.status === 'failed').length
+      };
+    },
+
+    // Poll the queue every intervalMs; returns a function that stops the worker
+    startWorker(intervalMs = 5000) {
+      let running = false;
+      const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+          await this.processQueue();
+        } catch (err) {
+          console.error('Push notification worker error:', err.message);
+        } finally {
+          running = false;
+        }
+      }, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  PUSH_CATEGORIES,
+  PUSH_PLATFORMS,
+  createExpoPushProvider,
+  createFakePushProvider,
+  createLogPushProvider,
+  createPushDispatcher,
+  createPushProviderFromEnv,
+  selectPushRecipients
+};
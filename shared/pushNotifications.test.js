@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePushProvider, createPushDispatcher } = require('./pushNotifications');
+
+// Just enough of the Supabase client for the dispatcher: filters, inserts,
+// updates and the claim_push_notifications RPC, over in-memory tables
+const createFakeClient = (tables) => {
+  let nextId = 1;
+
+  const from = (table) => {
+    const filters = [];
+    let action = 'select';
+    let values = null;
+    let single = false;
+
+    const run = () => {
+      const rows = tables[table];
+      if (action === 'insert') {
+        const inserted = values.map(row => ({ id: `${table}-${nextId++}`, status: 'pending', attempts: 0, max_attempts: 5, ...row }));
+        rows.push(...inserted);
+        return inserted;
+      }
+      const matched = rows.filter(row => filters.every(filter => filter(row)));
+      if (action === 'update') matched.forEach(row => Object.assign(row, values));
+      return matched.map(row => ({ ...row }));
+    };
+
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      in: (column, list) => { filters.push(row => list.includes(row[column])); return builder; },
+      is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return builder; },
+      insert: (rows) => { action = 'insert'; values = [].concat(rows); return builder; },
+      update: (changes) => { action = 'update'; values = changes; return builder; },
+      single: () => { single = true; return builder; },
+      then: (resolve, reject) => {
+        try {
+          const data = run();
+          resolve({ data: single ? data[0] : data, error: null });
+        } catch (err) {
+          reject(err);
+        }
+      }
+    };
+    return builder;
+  };
+
+  const rpc = async (name, { batch_size: limit }) => {
+    assert.equal(name, 'claim_push_notifications');
+    const now = new Date().toISOString();
+    const due = tables.push_notifications
+      .filter(row => row.status === 'pending' && (row.next_attempt_at || now) <= now)
+      .slice(0, limit);
+    due.forEach(row => { row.status = 'sending'; row.attempts += 1; });
+    return { data: due.map(row => ({ ...row })), error: null };
+  };
+
+  return { from, rpc };
+};
+
+const setup = () => {
+  const users = ['publisher', 'no-preferences', 'muted-everywhere', 'muted-except-here', 'muted-here'];
+  const tables = {
+    user_clinical_assignments: users.map(user_id => ({ user_id, clinical_trial_id: 'trial-1' })),
+    notification_preferences: [
+      { user_id: 'muted-everywhere', clinical_trial_id: null, category: 'news', push_enabled: false },
+      { user_id: 'muted-except-here', clinical_trial_id: null, category: 'news', push_enabled: false },
+      { user_id: 'muted-except-here', clinical_trial_id: 'trial-1', category: 'news', push_enabled: true },
+      { user_id: 'muted-here', clinical_trial_id: null, category: 'news', push_enabled: true },
+      { user_id: 'muted-here', clinical_trial_id: 'trial-1', category: 'news', push_enabled: false }
+    ],
+    push_devices: users.map(user_id => ({ id: `device-${user_id}`, user_id, token: `token-${user_id}`, disabled_at: null })),
+    push_notifications: [],
+    push_deliveries: []
+  };
+  const provider = createFakePushProvider();
+  const dispatcher = createPushDispatcher({ client: createFakeClient(tables), provider });
+  return { tables, provider, dispatcher };
+};
+
+const publish = (dispatcher, category) => dispatcher.enqueue({
+  organizationId: 'org-1',
+  clinicalTrialId: 'trial-1',
+  category,
+  title: 'Enrollment update',
+  createdBy: 'publisher'
+});
+
+test('fan-out skips users who turned the category off', async () => {
+  const { tables, provider, dispatcher } = setup();
+  await publish(dispatcher, 'news');
+
+  assert.deepEqual(await dispatcher.processQueue(), { sent: 1, retrying: 0, failed: 0 });
+  assert.deepEqual(
+    provider.sent.map(message => message.token).sort(),
+    ['token-muted-except-here', 'token-no-preferences']
+  );
+
+  const [push] = tables.push_notifications;
+  assert.equal(push.status, 'sent');
+  assert.equal(push.recipient_count, 2);
+  assert.equal(tables.push_deliveries.length, 2);
+});
+
+test('turning one category off leaves the others on', async () => {
+  const { provider, dispatcher } = setup();
+  await publish(dispatcher, 'protocol');
+
+  await dispatcher.processQueue();
+  assert.deepEqual(
+    provider.sent.map(message => message.token).sort(),
+    ['token-muted-everywhere', 'token-muted-except-here', 'token-muted-here', 'token-no-preferences']
+  );
+});
+
+test('a retry only goes to the devices that failed', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { tables, provider, dispatcher } = setup();
+  provider.failingTokens.add('token-no-preferences');
+  await publish(dispatcher, 'news');
+
+  assert.deepEqual(await dispatcher.processQueue(), { sent: 0, retrying: 1, failed: 0 });
+  assert.deepEqual(provider.sent.map(message => message.token), ['token-muted-except-here']);
+
+  // Nothing is due until the backoff has passed
+  assert.deepEqual(await dispatcher.processQueue(), { sent: 0, retrying: 0, failed: 0 });
+
+  provider.failingTokens.clear();
+  tables.push_notifications[0].next_attempt_at = new Date(Date.now() - 1).toISOString();
+  assert.deepEqual(await dispatcher.processQueue(), { sent: 1, retrying: 0, failed: 0 });
+  assert.deepEqual(provider.sent.map(message => message.token), ['token-muted-except-here', 'token-no-preferences']);
+});
+
+test('unknown categories are refused', async () => {
+  const { dispatcher } = setup();
+  await assert.rejects(publish(dispatcher, 'marketing'), /Unknown push category/);
+});